@@ -0,0 +1,32 @@
+-- AlterEnum
+ALTER TYPE "SaveOperationType" ADD VALUE 'CREATE';
+
+-- CreateTable
+CREATE TABLE "mock_data_versions" (
+    "id" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "data" JSONB NOT NULL,
+    "schema" JSONB,
+    "itemCount" INTEGER NOT NULL,
+    "operation" "SaveOperationType" NOT NULL,
+    "saveLogId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mock_data_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mock_data_versions_saveLogId_key" ON "mock_data_versions"("saveLogId");
+
+-- CreateIndex
+CREATE INDEX "mock_data_versions_collectionId_createdAt_idx" ON "mock_data_versions"("collectionId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mock_data_versions_collectionId_version_key" ON "mock_data_versions"("collectionId", "version");
+
+-- AddForeignKey
+ALTER TABLE "mock_data_versions" ADD CONSTRAINT "mock_data_versions_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "mock_data_collections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "mock_data_versions" ADD CONSTRAINT "mock_data_versions_saveLogId_fkey" FOREIGN KEY ("saveLogId") REFERENCES "mock_data_save_logs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "SaveOperationType" ADD VALUE 'CASCADE';
@@ -0,0 +1,14 @@
+-- AlterEnum
+ALTER TYPE "SaveOperationType" ADD VALUE 'ENVIRONMENT_COPY';
+
+-- AlterTable
+ALTER TABLE "mock_data_collections" ADD COLUMN     "environmentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "mock_data_collections_environmentId_idx" ON "mock_data_collections"("environmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mock_data_collections_projectId_name_environmentId_key" ON "mock_data_collections"("projectId", "name", "environmentId");
+
+-- AddForeignKey
+ALTER TABLE "mock_data_collections" ADD CONSTRAINT "mock_data_collections_environmentId_fkey" FOREIGN KEY ("environmentId") REFERENCES "environments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
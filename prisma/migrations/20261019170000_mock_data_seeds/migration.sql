@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "SaveOperationType" ADD VALUE 'RESET';
+ALTER TYPE "SaveOperationType" ADD VALUE 'SEED';
+
+-- AlterTable
+ALTER TABLE "mock_data_versions" ADD COLUMN     "isSeed" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "mock_data_versions_collectionId_isSeed_idx" ON "mock_data_versions"("collectionId", "isSeed");
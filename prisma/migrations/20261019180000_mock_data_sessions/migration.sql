@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "MockDataSessionSource" AS ENUM ('HEADER', 'API_KEY', 'USER');
+
+-- AlterEnum
+ALTER TYPE "SaveOperationType" ADD VALUE 'SESSION_MERGE';
+
+-- CreateTable
+CREATE TABLE "mock_data_sessions" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "source" "MockDataSessionSource" NOT NULL,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mock_data_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "mock_data_session_overlays" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "baseVersion" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "operationCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mock_data_session_overlays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mock_data_sessions_projectId_lastUsedAt_idx" ON "mock_data_sessions"("projectId", "lastUsedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mock_data_sessions_projectId_key_key" ON "mock_data_sessions"("projectId", "key");
+
+-- CreateIndex
+CREATE INDEX "mock_data_session_overlays_collectionId_idx" ON "mock_data_session_overlays"("collectionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mock_data_session_overlays_sessionId_collectionId_key" ON "mock_data_session_overlays"("sessionId", "collectionId");
+
+-- AddForeignKey
+ALTER TABLE "mock_data_sessions" ADD CONSTRAINT "mock_data_sessions_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "mock_data_session_overlays" ADD CONSTRAINT "mock_data_session_overlays_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "mock_data_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "mock_data_session_overlays" ADD CONSTRAINT "mock_data_session_overlays_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "mock_data_collections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "endpoints" ADD COLUMN     "validateRequest" BOOLEAN NOT NULL DEFAULT false;
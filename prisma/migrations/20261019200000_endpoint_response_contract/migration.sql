@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "endpoints" ADD COLUMN     "contractViolations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastContractViolation" TIMESTAMP(3),
+ADD COLUMN     "strictResponse" BOOLEAN NOT NULL DEFAULT false;
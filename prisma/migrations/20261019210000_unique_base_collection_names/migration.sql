@@ -0,0 +1,15 @@
+-- RenameDuplicates
+-- Keep the oldest base collection per (projectId, name) and suffix the rest with the end of their id
+-- (variants keep following the name, i.e. the kept collection; the result stays within the 50 character limit)
+UPDATE "mock_data_collections" AS c
+SET "name" = LEFT(d."name", 41) || '_' || RIGHT(d."id", 8)
+FROM (
+  SELECT "id", "name", ROW_NUMBER() OVER (PARTITION BY "projectId", "name" ORDER BY "createdAt", "id") AS "rank"
+  FROM "mock_data_collections"
+  WHERE "environmentId" IS NULL
+) AS d
+WHERE c."id" = d."id" AND d."rank" > 1;
+
+-- CreateIndex
+-- NULLs never collide in the (projectId, name, environmentId) key, so base collections need their own index
+CREATE UNIQUE INDEX "mock_data_collections_projectId_name_base_key" ON "mock_data_collections"("projectId", "name") WHERE "environmentId" IS NULL;
@@ -12,6 +12,23 @@ const env = {
     backendUrl: process.env.BACKEND_URL,
     maxContainers: parseInt(process.env.MAX_CONTAINERS),
   },
+  sandbox: {
+    poolSize: process.env.CONTAINER_POOL_SIZE,
+    poolMaxUses: process.env.CONTAINER_POOL_MAX_USES,
+    poolMaxAgeMs: process.env.CONTAINER_POOL_MAX_AGE_MS,
+    poolRuntimes: process.env.CONTAINER_POOL_RUNTIMES,
+    isolateMaxWorkers: process.env.ISOLATE_MAX_WORKERS,
+    isolateMaxQueued: process.env.ISOLATE_MAX_QUEUED,
+    strategy: process.env.SANDBOX_STRATEGY,
+  },
+  execution: {
+    maxConcurrent: process.env.EXECUTION_MAX_CONCURRENT,
+    perUserLimit: process.env.EXECUTION_PER_USER_LIMIT,
+    perProjectLimit: process.env.EXECUTION_PER_PROJECT_LIMIT,
+    maxQueueSize: process.env.EXECUTION_QUEUE_SIZE,
+    maxQueuedPerUser: process.env.EXECUTION_QUEUE_PER_USER,
+    maxWaitMs: process.env.EXECUTION_QUEUE_MAX_WAIT_MS,
+  },
   jwt: {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN,
@@ -0,0 +1,78 @@
+import apiKeyService from '../services/apiKeyService.js';
+
+export const createApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.createApiKey(req.user.id, req.body);
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy the secret now, it will not be shown again.',
+      data: apiKey
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.getUserApiKeys(req.user.id);
+    
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+    const apiKey = await apiKeyService.updateApiKey(keyId, req.user.id, req.body);
+    
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rotateApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+    const apiKey = await apiKeyService.rotateApiKey(keyId, req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'API key rotated successfully. Copy the new secret now, it will not be shown again.',
+      data: apiKey
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+    const apiKey = await apiKeyService.revokeApiKey(keyId, req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -34,7 +34,8 @@ export const getEndpoints = async (req, res, next) => {
       projectId, 
       req.user.id, 
       parseInt(page), 
-      parseInt(limit)
+      parseInt(limit),
+      req.apiKey?.permissions?.endpointIds // Keys scoped to endpoints only list those
     );
     
     res.json({
@@ -49,8 +50,17 @@ export const getEndpoints = async (req, res, next) => {
 
 export const getEndpoint = async (req, res, next) => {
   try {
-    const { endpointId } = req.params;
+    const { projectId, endpointId } = req.params;
     const endpoint = await endpointService.getEndpoint(endpointId, req.user.id);
+
+    // Project-scoped keys must not reach other projects' endpoints through this URL
+    if (endpoint.projectId !== projectId) {
+      return res.status(404).json({
+        success: false,
+        error: 'ENDPOINT_NOT_FOUND',
+        message: 'Endpoint not found'
+      });
+    }
     
     res.json({
       success: true,
@@ -1,4 +1,6 @@
+import prisma from '../config/database.js';
 import sandboxService from '../services/execution/sandboxManager.js'
+import executionScheduler from '../services/execution/executionScheduler.js';
 import { validationResult } from 'express-validator';
 
 // In executeController.js, in the executeEndpoint function:
@@ -10,10 +12,26 @@ export const executeEndpoint = async (req, res) => {
   console.log('🔍 Request Body:', JSON.stringify(req.body, null, 2));
   
   try {
+    // Access was checked for :projectId only; the endpoint must belong to it (project-scoped API keys)
+    const endpoint = await prisma.endpoint.findFirst({
+      where: { id: req.params.endpointId, projectId: req.params.projectId },
+      select: { id: true }
+    });
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'ENDPOINT_NOT_FOUND',
+        message: 'Endpoint not found'
+      });
+    }
+
     const result = await sandboxService.executeEndpoint(
       req.params.endpointId,
       req.user.id,
-      req.body
+      {
+        ...req.body,
+        apiKeyId: req.apiKey?.id
+      }
     );
     
     console.log('✅ Execution succeeded:', result);
@@ -22,6 +40,27 @@ export const executeEndpoint = async (req, res) => {
   } catch (error) {
     console.error('❌ Execution failed:', error.message);
     console.error('❌ Full error:', error);
+
+    // Queue full / wait exceeded
+    if (error.statusCode === 429 || error.statusCode === 503) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        message: 'Execution capacity exhausted, please retry later',
+        retryAfter: error.retryAfter
+      });
+    }
+
+    // Request did not match the endpoint's declared contract
+    if (error.statusCode === 422) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        message: 'Request does not match the endpoint schema',
+        errors: error.errors
+      });
+    }
     
     res.status(400).json({ 
       success: false, 
@@ -52,6 +91,21 @@ export const getExecutionHistory = async (req, res, next) => {
   }
 };
 
+export const getQueueStatus = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...executionScheduler.getUserQueueStatus(req.user.id),
+        scheduler: executionScheduler.getMetrics()
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getSandboxHealth = async (req, res, next) => {
   try {
     const health = await sandboxService.healthCheck();
@@ -0,0 +1,75 @@
+import gatewayService from '../services/gatewayService.js';
+import responseBuilder from '../services/execution/responseBuilder.js';
+
+const gatewayErrors = {
+  PROJECT_NOT_FOUND: { status: 404, message: 'Project not found' },
+  ROUTE_NOT_FOUND: { status: 404, message: 'No endpoint matches this method and path' },
+  ENDPOINT_NOT_FOUND: { status: 404, message: 'Endpoint not found' },
+  ENDPOINT_ACCESS_DENIED: { status: 403, message: 'This endpoint is not public' },
+  API_KEY_SCOPE_DENIED: { status: 403, message: 'API key is not allowed to execute this endpoint' },
+  RATE_LIMIT_EXCEEDED: { status: 429, message: 'Execution rate limit exceeded' },
+  REQUEST_VALIDATION_FAILED: { status: 422, message: 'Request does not match the endpoint schema' }
+};
+
+// Serve a project endpoint over plain HTTP
+export const handleGatewayRequest = async (req, res, next) => {
+  try {
+    const { projectSlug } = req.params;
+    // Raw (still encoded) remainder after /:projectSlug
+    const path = '/' + req.path.split('/').slice(2).join('/');
+
+    const response = await gatewayService.handleRequest(
+      projectSlug,
+      {
+        method: req.method,
+        path,
+        body: req.body,
+        query: req.query,
+        headers: req.headers
+      },
+      {
+        userId: req.user?.id,
+        apiKey: req.apiKey,
+        ip: req.ip
+      }
+    );
+
+    responseBuilder.write(res, response, { basePath: `/p/${encodeURIComponent(projectSlug)}` });
+
+  } catch (error) {
+    const code = error.message?.startsWith('SANDBOX_VALIDATION_FAILED')
+      ? 'SANDBOX_VALIDATION_FAILED'
+      : error.message;
+    const mapped = gatewayErrors[code];
+
+    if (mapped) {
+      return res.status(mapped.status).json({
+        success: false,
+        error: code,
+        message: mapped.message,
+        ...(error.errors && { errors: error.errors })
+      });
+    }
+
+    // Queue full / wait exceeded
+    if (error.statusCode === 429 || error.statusCode === 503) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: code,
+        message: 'Execution capacity exhausted, please retry later',
+        retryAfter: error.retryAfter
+      });
+    }
+
+    if (code === 'SANDBOX_VALIDATION_FAILED') {
+      return res.status(500).json({
+        success: false,
+        error: code,
+        message: error.message
+      });
+    }
+
+    next(error);
+  }
+};
@@ -1,5 +1,10 @@
 import mockDataService from '../services/mockDataService.js';
+import endpointScaffoldService from '../services/endpointScaffoldService.js';
+import mockDataTransferService from '../services/mockDataTransferService.js';
+import mockDataSeedService from '../services/mockDataSeedService.js';
+import mockDataSessionService from '../services/mockDataSessionService.js';
 import { validationResult } from 'express-validator';
+import { pipeline } from 'stream/promises';
 
 
 export const createCollection = async (req, res, next) => {
@@ -21,7 +26,7 @@ export const createCollection = async (req, res, next) => {
 export const getCollections = async (req, res, next) => {
   try {
     const { projectId } = req.params;
-    const collections = await mockDataService.getProjectCollections(projectId, req.user.id);
+    const collections = await mockDataService.getProjectCollections(projectId, req.user.id, req.query.environmentId || null);
     
     res.json({
       success: true,
@@ -36,7 +41,12 @@ export const getCollections = async (req, res, next) => {
 export const updateCollection = async (req, res, next) => {
   try {
     const { collectionId } = req.params;
-    const updatedCollection = await mockDataService.updateCollection(collectionId, req.user.id, req.body);
+    // Optimistic concurrency: expectedVersion in the body or an If-Match header
+    const expectedVersion = req.body.expectedVersion ?? req.get('If-Match')?.replace(/"/g, '');
+    const updatedCollection = await mockDataService.updateCollection(collectionId, req.user.id, {
+      ...req.body,
+      expectedVersion
+    });
     
     res.json({
       success: true,
@@ -67,9 +77,7 @@ export const deleteCollection = async (req, res, next) => {
 export const searchCollection = async (req, res, next) => {
   try {
     const { collectionId } = req.params;
-    const { q: query, ...filters } = req.query;
-    
-    const result = await mockDataService.searchCollection(collectionId, req.user.id, query, filters);
+    const result = await mockDataService.searchCollection(collectionId, req.user.id, req.query);
     
     res.json({
       success: true,
@@ -87,7 +95,7 @@ export const saveFromExecution = async (req, res, next) => {
   try {
     console.log('💾 [Controller] Saving mock data from execution');
     
-    const { collectionId, data, executionContext } = req.body;
+    const { collectionId, data, executionContext, expectedVersion } = req.body;
     const userId = req.user.id;
 
     if (!collectionId) {
@@ -111,13 +119,23 @@ export const saveFromExecution = async (req, res, next) => {
       executionContext: executionContext || {}
     });
 
+    // In session mode the save lands in the caller's session overlay
+    const session = await mockDataSessionService.resolveForProject(req.params.projectId, {
+      headers: req.headers,
+      apiKeyId: req.apiKey?.id,
+      userId
+    });
+
     // Call the new service method
-    const result = await mockDataService.saveFromExecution(
-      collectionId,
-      data,
-      userId,
-      executionContext
-    );
+    const result = session
+      ? await mockDataSessionService.saveData(session, collectionId, data, userId, executionContext, { expectedVersion })
+      : await mockDataService.saveFromExecution(
+        collectionId,
+        data,
+        userId,
+        executionContext,
+        { expectedVersion }
+      );
 
     console.log('✅ Save successful:', result.message);
 
@@ -153,14 +171,171 @@ export const getSaveHistory = async (req, res, next) => {
   }
 };
 
-// Rollback collection to previous version
+// Generate schema-driven mock data for a collection
+export const generateCollectionData = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const result = await mockDataService.generateCollectionData(collectionId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create CRUD endpoints wired to a collection
+export const scaffoldCrudEndpoints = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { basePath, operations } = req.body;
+
+    const result = await endpointScaffoldService.scaffoldCollection(collectionId, req.user.id, { basePath, operations });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${result.endpoints.length} endpoints for ${result.collection.name}`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Import a CSV / NDJSON / JSON file into a collection
+export const importCollectionData = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { collectionId } = req.params;
+    const { format, mode, onError, dryRun, delimiter, mapping, expectedVersion } = req.body;
+
+    const result = await mockDataTransferService.importCollection(collectionId, req.user.id, req.file, {
+      format,
+      mode,
+      onError,
+      dryRun: dryRun === true || dryRun === 'true',
+      delimiter: delimiter === 'tab' ? '\t' : delimiter,
+      mapping,
+      expectedVersion
+    });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stream a collection as CSV / NDJSON / JSON
+export const exportCollectionData = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { format, fields, delimiter } = req.query;
+
+    const { stream, filename, contentType, itemCount } = await mockDataTransferService.exportCollection(collectionId, req.user.id, {
+      format,
+      fields,
+      delimiter: delimiter === 'tab' ? '\t' : delimiter
+    });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/["\\\r\n]/g, '_')}"`);
+    res.setHeader('X-Total-Count', itemCount);
+
+    await pipeline(stream, res);
+
+  } catch (error) {
+    // Once streaming has started the JSON error response can no longer be sent
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+// List collection versions
+export const getVersions = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { limit, offset } = req.query;
+
+    const result = await mockDataService.getVersions(collectionId, req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single version with its data
+export const getVersion = async (req, res, next) => {
+  try {
+    const { collectionId, version } = req.params;
+
+    const result = await mockDataService.getVersion(collectionId, req.user.id, version);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Diff two versions item-by-item
+export const diffVersions = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'from version is required'
+      });
+    }
+
+    const result = await mockDataService.diffVersions(collectionId, req.user.id, from, to ?? null);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rollback collection to any retained version
 export const rollbackCollection = async (req, res, next) => {
   try {
     const { collectionId } = req.params;
-    const { version } = req.body;
+    const { version, expectedVersion } = req.body;
     const userId = req.user.id;
 
-    const result = await mockDataService.rollbackCollection(collectionId, userId, version);
+    const result = await mockDataService.rollbackCollection(collectionId, userId, version, expectedVersion);
 
     return res.json({
       success: true,
@@ -174,3 +349,373 @@ export const rollbackCollection = async (req, res, next) => {
   }
 };
 
+// List a collection's base dataset and environment variants
+export const getCollectionVariants = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const result = await mockDataService.getDatasets(collectionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an environment-specific data variant
+export const createCollectionVariant = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { environmentId, data } = req.body;
+
+    const result = await mockDataService.createVariant(collectionId, req.user.id, { environmentId, data });
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Copy a dataset's items to another environment (or the base dataset)
+export const copyCollectionToEnvironment = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { environmentId = null, expectedVersion } = req.body;
+
+    const result = await mockDataService.copyToEnvironment(collectionId, req.user.id, { environmentId, expectedVersion });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Promote a dataset (items and schema) to another environment (or the base dataset)
+export const promoteCollection = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const { environmentId = null, expectedVersion } = req.body;
+
+    const result = await mockDataService.copyToEnvironment(collectionId, req.user.id, {
+      environmentId,
+      includeSchema: true,
+      expectedVersion
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a version (default: current) as the collection's seed
+export const markCollectionSeed = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const result = await mockDataSeedService.markSeed(collectionId, req.user.id, req.body?.version ?? null);
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const clearCollectionSeed = async (req, res, next) => {
+  try {
+    const { collectionId } = req.params;
+    const result = await mockDataSeedService.clearSeed(collectionId, req.user.id);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore every seeded collection of the project (or one environment's view of it)
+export const resetProjectData = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const result = await mockDataSeedService.resetProject(projectId, req.user.id, {
+      environmentId: req.body?.environmentId ?? null
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getResetSchedule = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const schedule = await mockDataSeedService.getSchedule(projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateResetSchedule = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const schedule = await mockDataSeedService.updateSchedule(projectId, req.user.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: schedule.enabled ? `Resets every ${schedule.intervalMinutes} minutes` : 'Scheduled resets disabled',
+      data: schedule
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download the project's seed file
+export const exportSeedFile = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const result = await mockDataSeedService.exportSeedFile(projectId, req.user.id, {
+      source: req.query.source || 'seed'
+    });
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename.replace(/["\\\r\n]/g, '_')}"`);
+    res.send(result.content);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bootstrap collections from a seed file (uploaded, or as the JSON body)
+export const importSeedFile = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    let seedFile = req.body;
+    if (req.file) {
+      try {
+        seedFile = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_SEED_FILE',
+          errors: [{ field: 'file', message: parseError.message }]
+        });
+      }
+    }
+
+    const markAsSeed = !['false', false].includes(req.query.markAsSeed);
+    const result = await mockDataSeedService.importSeedFile(projectId, req.user.id, seedFile, { markAsSeed });
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessionSettings = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const settings = await mockDataSessionService.getSettings(projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateSessionSettings = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const settings = await mockDataSessionService.updateSettings(projectId, req.user.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: settings.mode === 'off' ? 'Mock data sessions disabled' : `Mock data sessions keyed by ${settings.mode}`,
+      data: settings
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessions = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const sessions = await mockDataSessionService.listSessions(projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await mockDataSessionService.getSession(sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A collection's data in the session, with its diff from the base collection
+export const getSessionCollection = async (req, res, next) => {
+  try {
+    const { sessionId, collectionId } = req.params;
+    const overlay = await mockDataSessionService.getOverlay(sessionId, collectionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: overlay
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await mockDataSessionService.resetSession(sessionId, req.user.id, {
+      collectionId: req.body?.collectionId ?? null
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Apply the session's changes to the base collections
+export const mergeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await mockDataSessionService.mergeSession(sessionId, req.user.id, {
+      collectionIds: req.body?.collectionIds ?? null,
+      force: req.body?.force === true
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const discardSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await mockDataSessionService.discardSession(sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get project version retention policy
+export const getVersionRetention = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const retention = await mockDataService.getVersionRetention(projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: retention
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update project version retention policy
+export const updateVersionRetention = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const result = await mockDataService.updateVersionRetention(projectId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Version retention updated successfully',
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
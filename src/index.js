@@ -5,6 +5,10 @@ import helmet from 'helmet';
 import env from './config/env.js';
 import prisma from './config/database.js';
 import websocketService from './services/websocketService.js';
+import containerPool from './services/execution/containerPool.js';
+import executionScheduler from './services/execution/executionScheduler.js';
+import mockDataSeedService from './services/mockDataSeedService.js';
+import mockDataSessionService from './services/mockDataSessionService.js';
 
 // Middleware
 import logger from './middleware/logger.js';
@@ -27,6 +31,8 @@ import mockDataRoutes from './routes/mockDataRoutes.js';
 import environmentRoutes from './routes/environmentRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
+import gatewayRoutes from './routes/gatewayRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
 
 
 
@@ -35,9 +41,12 @@ const app = express();
 
 // Security Middleware
 app.use(helmet());
-app.use(cors({
-  origin: env.app.frontendUrl,
-  credentials: true
+app.use(cors((req, callback) => {
+  // Gateway mock servers are called from any client app
+  callback(null, {
+    origin: req.path.startsWith('/p/') ? true : env.app.frontendUrl,
+    credentials: true
+  });
 }));
 
 
@@ -69,7 +78,9 @@ app.get('/api/execute/health', (req, res) => {
     data: {        
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      total: 0
+      total: 0,
+      pool: containerPool.getMetrics(),
+      queue: executionScheduler.getMetrics()
     }
   });
 });
@@ -90,6 +101,10 @@ app.use('/api/mock-data', mockDataRoutes);
 app.use('/api/environments', environmentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Public API Gateway
+app.use('/p', gatewayRoutes);
 
 // 404 Handler
 app.use((req, res, next) => {
@@ -114,9 +129,23 @@ const server = app.listen(env.app.port, () => {
 // Initialize WebSocket Service
 websocketService.initialize(server);
 
+// Warm sandbox containers (Docker may be unavailable in development)
+containerPool.initialize().catch(error => {
+  console.error('❌ Container pool initialization failed:', error.message);
+});
+
+// Scheduled mock data resets
+mockDataSeedService.startScheduler();
+
+// Idle mock data session cleanup
+mockDataSessionService.startCleanup();
+
 // Graceful Shutdown
 const gracefulShutdown = async () => {
   console.log('\n🛑 Received shutdown signal. Starting graceful shutdown...');
+
+  mockDataSeedService.stopScheduler();
+  mockDataSessionService.stopCleanup();
   
   // Close HTTP server
   server.close(async () => {
@@ -128,6 +157,9 @@ const gracefulShutdown = async () => {
     
     // Close WebSocket service
     await websocketService.shutdown();
+
+    // Remove pooled sandbox containers
+    await containerPool.shutdown();
     
     console.log('🎉 Graceful shutdown completed');
     process.exit(0);
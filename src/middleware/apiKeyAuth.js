@@ -0,0 +1,103 @@
+import apiKeyService from '../services/apiKeyService.js';
+import { authMiddleware, optionalAuth, getUserPermissions } from './auth.js';
+
+/**
+ * API KEY AUTH MIDDLEWARE
+ * - Accepts X-API-Key as an alternative to a user JWT
+ * - Acts as the key owner, restricted to the key scopes
+ * - Tracks key usage
+ */
+
+// Authenticate X-API-Key and set user + key context
+const authenticateApiKey = async (req, res, rawKey) => {
+  try {
+    const apiKey = await apiKeyService.authenticate(rawKey);
+
+    req.user = {
+      id: apiKey.user.id,
+      email: apiKey.user.email,
+      name: apiKey.user.name,
+      avatar: apiKey.user.avatar,
+      role: apiKey.user.role,
+      permissions: getUserPermissions(apiKey.user.role)
+    };
+
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      permissions: apiKey.permissions
+    };
+
+    apiKeyService.recordUsage(apiKey.id);
+    return true;
+
+  } catch (error) {
+    if (error.statusCode === 401) {
+      res.status(401).json({
+        success: false,
+        error: error.message,
+        message: 'Invalid, expired or revoked API key'
+      });
+      return false;
+    }
+
+    console.error('API key auth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'AUTH_ERROR',
+      message: 'Authentication system error'
+    });
+    return false;
+  }
+};
+
+// Require either X-API-Key or a user JWT
+export const apiKeyOrAuth = async (req, res, next) => {
+  const rawKey = req.headers['x-api-key'];
+
+  if (!rawKey) {
+    return authMiddleware(req, res, next);
+  }
+
+  if (await authenticateApiKey(req, res, rawKey)) {
+    next();
+  }
+};
+
+// Optional X-API-Key or JWT (public gateway)
+export const optionalApiKeyOrAuth = async (req, res, next) => {
+  const rawKey = req.headers['x-api-key'];
+
+  if (!rawKey) {
+    return optionalAuth(req, res, next);
+  }
+
+  if (await authenticateApiKey(req, res, rawKey)) {
+    next();
+  }
+};
+
+// Enforce key scope for project/endpoint routes (no-op for JWT users)
+export const requireApiKeyScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const authorized = apiKeyService.isAuthorized(req.apiKey, {
+      scope,
+      projectId: req.params.projectId,
+      endpointId: req.params.endpointId
+    });
+
+    if (!authorized) {
+      return res.status(403).json({
+        success: false,
+        error: 'API_KEY_SCOPE_DENIED',
+        message: `API key is not allowed to ${scope} this resource`
+      });
+    }
+
+    next();
+  };
+};
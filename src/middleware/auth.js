@@ -218,7 +218,7 @@ const extractToken = (req) => {
   return null;
 };
 
-const getUserPermissions = (role) => {
+export const getUserPermissions = (role) => {
   const permissions = {
     USER: [
       'project:create',
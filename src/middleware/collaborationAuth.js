@@ -25,65 +25,51 @@ export const validateProjectAccess = [
         });
       }
 
-      if (!req.user) {
-        return res.status(401).json({
+      return resolveProjectAccess(req, res, next, req.params.projectId);
+    } catch (error) {
+      console.error('Project access validation error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'PROJECT_VALIDATION_ERROR',
+        message: 'Failed to validate project access'
+      });
+    }
+  }
+];
+
+// Validate access to the project owning :collectionId (collection routes carry no :projectId)
+export const validateCollectionAccess = [
+  param('collectionId')
+    .notEmpty()
+    .withMessage('Collection ID is required'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          error: 'AUTH_REQUIRED',
-          message: 'Authentication required for project access'
+          error: 'INVALID_COLLECTION_ID',
+          message: 'Invalid collection identifier'
         });
       }
 
-      const projectId = req.params.projectId;
-
-      // Check if user has access to project
-      const projectAccess = await prisma.project.findFirst({
-        where: {
-          id: projectId,
-          OR: [
-            { ownerId: req.user.id },
-            { 
-              collaborators: {
-                some: {
-                  userId: req.user.id,
-  
-                }
-              }
-            }
-          ]
-        },
-        select: {
-          id: true,
-          name: true,
-          ownerId: true,
-          visibility: true,
-          collaborators: {
-            where: { userId: req.user.id },
-            select: { role: true, canEdit: true, canInvite: true }
-          }
-        }
+      const collection = await prisma.mockDataCollection.findUnique({
+        where: { id: req.params.collectionId },
+        select: { projectId: true }
       });
 
-      if (!projectAccess) {
-        return res.status(403).json({
+      if (!collection) {
+        return res.status(404).json({
           success: false,
-          error: 'PROJECT_ACCESS_DENIED',
-          message: 'You do not have access to this project'
+          error: 'COLLECTION_NOT_FOUND',
+          message: 'Collection not found'
         });
       }
 
-      // Set project context and permissions
-      req.project = {
-        id: projectAccess.id,
-        name: projectAccess.name,
-        isOwner: projectAccess.ownerId === req.user.id,
-        userRole: projectAccess.collaborators[0]?.role || 'VIEWER',
-        permissions: getCollaborationPermissions(projectAccess, req.user.id)
-      };
-
-      next();
-
+      return resolveProjectAccess(req, res, next, collection.projectId);
     } catch (error) {
-      console.error('Project access validation error:', error);
+      console.error('Collection access validation error:', error);
       return res.status(500).json({
         success: false,
         error: 'PROJECT_VALIDATION_ERROR',
@@ -93,6 +79,64 @@ export const validateProjectAccess = [
   }
 ];
 
+// Load the user's access to a project into req.project
+const resolveProjectAccess = async (req, res, next, projectId) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'AUTH_REQUIRED',
+      message: 'Authentication required for project access'
+    });
+  }
+
+  // Check if user has access to project
+  const projectAccess = await prisma.project.findFirst({
+    where: {
+      id: projectId,
+      OR: [
+        { ownerId: req.user.id },
+        { 
+          collaborators: {
+            some: {
+              userId: req.user.id,
+
+            }
+          }
+        }
+      ]
+    },
+    select: {
+      id: true,
+      name: true,
+      ownerId: true,
+      visibility: true,
+      collaborators: {
+        where: { userId: req.user.id },
+        select: { role: true, canEdit: true, canInvite: true }
+      }
+    }
+  });
+
+  if (!projectAccess) {
+    return res.status(403).json({
+      success: false,
+      error: 'PROJECT_ACCESS_DENIED',
+      message: 'You do not have access to this project'
+    });
+  }
+
+  // Set project context and permissions
+  req.project = {
+    id: projectAccess.id,
+    name: projectAccess.name,
+    isOwner: projectAccess.ownerId === req.user.id,
+    userRole: projectAccess.collaborators[0]?.role || 'VIEWER',
+    permissions: getCollaborationPermissions(projectAccess, req.user.id)
+  };
+
+  next();
+};
+
 // Check if user can edit project
 export const requireEditPermission = (req, res, next) => {
   if (!req.project) {
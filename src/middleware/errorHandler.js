@@ -46,6 +46,11 @@ const errorHandler = (err, req, res, next) => {
     errors = err.errors;
   }
 
+  // Upload errors (file too large, too many files, unexpected field)
+  if (err.name === 'MulterError') {
+    statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  }
+
   if (err.code === 'P1017') {
     statusCode = 503;
     message = 'Database connection lost';
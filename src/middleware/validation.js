@@ -89,6 +89,28 @@ export const validateEndpointCreate = [
     .withMessage('Code is required')
     .isLength({ max: 10000 })
     .withMessage('Code cannot exceed 10000 characters'),
+  body('timeout')
+    .optional()
+    .isInt({ min: 100, max: 60000 })
+    .withMessage('Timeout must be between 100ms and 60 seconds')
+    .toInt(),
+  body('memoryLimit')
+    .optional()
+    .isInt({ min: 64, max: 1024 })
+    .withMessage('Memory limit must be between 64MB and 1024MB')
+    .toInt(),
+  body('collectionAccess')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('collectionAccess must map collection names to "read" or "write"'),
+  body('validateRequest')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('validateRequest must be true or false'),
+  body('strictResponse')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('strictResponse must be true or false'),
   handleValidationErrors
 ];
 
@@ -111,6 +133,28 @@ export const validateEndpointUpdate = [
     .optional()
     .isLength({ max: 10000 })
     .withMessage('Code cannot exceed 10000 characters'),
+  body('timeout')
+    .optional()
+    .isInt({ min: 100, max: 60000 })
+    .withMessage('Timeout must be between 100ms and 60 seconds')
+    .toInt(),
+  body('memoryLimit')
+    .optional()
+    .isInt({ min: 64, max: 1024 })
+    .withMessage('Memory limit must be between 64MB and 1024MB')
+    .toInt(),
+  body('collectionAccess')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('collectionAccess must map collection names to "read" or "write"'),
+  body('validateRequest')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('validateRequest must be true or false'),
+  body('strictResponse')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('strictResponse must be true or false'),
   handleValidationErrors
 ];
 
@@ -124,6 +168,151 @@ export const validateMockDataCreate = [
   handleValidationErrors
 ];
 
+export const validateMockDataGenerate = [
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Count must be between 1 and 1000')
+    .toInt(),
+  body('mode')
+    .optional()
+    .isIn(['append', 'replace'])
+    .withMessage('Mode must be append or replace'),
+  body('seed')
+    .optional()
+    .custom(value => ['string', 'number'].includes(typeof value))
+    .withMessage('Seed must be a number or string'),
+  body('locale')
+    .optional()
+    .isString()
+    .withMessage('Locale must be a string'),
+  body('refDate')
+    .optional()
+    .isISO8601()
+    .withMessage('refDate must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+export const validateMockDataImport = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'ndjson', 'json'])
+    .withMessage('Format must be csv, ndjson or json'),
+  body('mode')
+    .optional()
+    .isIn(['append', 'replace', 'upsert'])
+    .withMessage('Mode must be append, replace or upsert'),
+  body('onError')
+    .optional()
+    .isIn(['abort', 'skip'])
+    .withMessage('onError must be abort or skip'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('expectedVersion must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateMockDataVariant = [
+  body('environmentId')
+    .isString()
+    .notEmpty()
+    .withMessage('environmentId is required'),
+  body('data')
+    .optional()
+    .isArray()
+    .withMessage('Data must be an array'),
+  handleValidationErrors
+];
+
+export const validateMockDataEnvironmentCopy = [
+  body('environmentId')
+    .optional({ values: 'null' })
+    .isString()
+    .notEmpty()
+    .withMessage('environmentId must be an environment id, or null for the base dataset'),
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('expectedVersion must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateMockDataSeed = [
+  body('version')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateResetSchedule = [
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be true or false'),
+  body('intervalMinutes')
+    .optional()
+    .isInt({ min: 5, max: 10080 })
+    .withMessage('intervalMinutes must be between 5 and 10080')
+    .toInt(),
+  body('environmentId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('environmentId must be an environment id, or null for the base datasets'),
+  handleValidationErrors
+];
+
+export const validateSessionSettings = [
+  body('mode')
+    .isIn(['off', 'header', 'apiKey', 'user'])
+    .withMessage('mode must be one of: off, header, apiKey, user'),
+  handleValidationErrors
+];
+
+export const validateSessionReset = [
+  body('collectionId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('collectionId must be a collection id'),
+  handleValidationErrors
+];
+
+export const validateSessionMerge = [
+  body('collectionIds')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 })
+    .withMessage('collectionIds must be a non-empty array'),
+  body('collectionIds.*')
+    .isString()
+    .withMessage('collectionIds must contain collection ids'),
+  body('force')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('force must be true or false'),
+  handleValidationErrors
+];
+
+export const validateCrudScaffold = [
+  body('basePath')
+    .optional()
+    .trim()
+    .matches(/^\/[a-zA-Z0-9_\-/]*$/)
+    .withMessage('basePath must start with / and can contain letters, numbers, _, - and /'),
+  body('operations')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('operations must be a non-empty array'),
+  body('operations.*')
+    .isIn(['list', 'get', 'create', 'replace', 'update', 'delete'])
+    .withMessage('operations can contain list, get, create, replace, update and delete'),
+  handleValidationErrors
+];
+
 export const validateEnvironmentCreate = [
   body('name')
     .trim()
@@ -132,4 +321,68 @@ export const validateEnvironmentCreate = [
     .matches(/^[a-zA-Z0-9_\-]+$/)
     .withMessage('Environment name can only contain letters, numbers, hyphens, and underscores'),
   handleValidationErrors
+];
+
+export const validateApiKeyCreate = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('API key name must be 2-50 characters'),
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+  body('scopes.*')
+    .isIn(['read', 'execute'])
+    .withMessage('Scopes can only contain read or execute'),
+  body('projectIds')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('projectIds must be an array'),
+  body('endpointIds')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('endpointIds must be an array'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+export const validateApiKeyUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('API key name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('API key name must be 2-50 characters'),
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+  body('scopes.*')
+    .isIn(['read', 'execute'])
+    .withMessage('Scopes can only contain read or execute'),
+  body('projectIds')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('projectIds must be an array'),
+  body('projectIds.*')
+    .isString()
+    .withMessage('projectIds must contain project IDs'),
+  body('endpointIds')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('endpointIds must be an array'),
+  body('endpointIds.*')
+    .isString()
+    .withMessage('endpointIds must contain endpoint IDs'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors
 ];
\ No newline at end of file
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  createApiKey,
+  getApiKeys,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { validateApiKeyCreate, validateApiKeyUpdate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// API keys are managed with a user session, never with another key
+router.use(authMiddleware);
+
+router.post('/', validateApiKeyCreate, createApiKey);
+router.get('/', getApiKeys);
+router.patch('/:keyId', validateApiKeyUpdate, updateApiKey);
+router.post('/:keyId/rotate', rotateApiKey);
+router.delete('/:keyId', revokeApiKey);
+
+export default router;
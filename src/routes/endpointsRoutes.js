@@ -8,18 +8,21 @@ import {
   duplicateEndpoint
 } from '../controllers/endpointController.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { apiKeyOrAuth, requireApiKeyScope } from '../middleware/apiKeyAuth.js';
 import { validateEndpointCreate } from '../middleware/validation.js';
 import { validateProjectAccess, requireEditPermission } from '../middleware/collaborationAuth.js';
 
 const router = express.Router();
 
-// All routes require authentication and project access
+// Reads (user JWT or X-API-Key with the `read` scope)
+router.get('/:projectId/endpoints', apiKeyOrAuth, requireApiKeyScope('read'), validateProjectAccess, getEndpoints);
+router.get('/:projectId/endpoints/:endpointId', apiKeyOrAuth, requireApiKeyScope('read'), validateProjectAccess, getEndpoint);
+
+// Remaining routes require user authentication and project access
 router.use(authMiddleware);
 
 // Endpoint CRUD
 router.post('/:projectId/endpoints', validateProjectAccess, requireEditPermission, validateEndpointCreate, createEndpoint);
-router.get('/:projectId/endpoints', validateProjectAccess, getEndpoints);
-router.get('/:projectId/endpoints/:endpointId', validateProjectAccess, getEndpoint);
 router.put('/:projectId/endpoints/:endpointId', validateProjectAccess, requireEditPermission, updateEndpoint);
 router.delete('/:projectId/endpoints/:endpointId', validateProjectAccess, requireEditPermission, deleteEndpoint);
 router.post('/:projectId/endpoints/:endpointId/duplicate', validateProjectAccess, requireEditPermission, duplicateEndpoint);
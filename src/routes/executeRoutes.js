@@ -2,20 +2,22 @@ import express from 'express';
 import {
   executeEndpoint,
   getExecutionHistory,
+  getQueueStatus,
   getSandboxHealth
 } from '../controllers/executeController.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { apiKeyOrAuth, requireApiKeyScope } from '../middleware/apiKeyAuth.js';
 import { validateProjectAccess } from '../middleware/collaborationAuth.js';
 import { validateCodeExecution, executionRateLimit } from '../middleware/sandboxSecurity.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authMiddleware);
+// Code execution (user JWT or X-API-Key)
+router.post('/project/:projectId/endpoint/:endpointId', apiKeyOrAuth, requireApiKeyScope('execute'), validateProjectAccess, executeEndpoint);
 
-// Code execution
-router.post('/project/:projectId/endpoint/:endpointId', authMiddleware, validateProjectAccess, executeEndpoint);
-router.get('/endpoint/:endpointId/history', getExecutionHistory);
-router.get('/health', getSandboxHealth);
+// Remaining routes require user authentication
+router.get('/endpoint/:endpointId/history', authMiddleware, getExecutionHistory);
+router.get('/queue', authMiddleware, getQueueStatus);
+router.get('/health', authMiddleware, getSandboxHealth);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+import express from 'express';
+import { handleGatewayRequest } from '../controllers/gatewayController.js';
+import { optionalApiKeyOrAuth } from '../middleware/apiKeyAuth.js';
+
+const router = express.Router();
+
+// Public mock server: /p/:projectSlug/<endpoint path>
+router.all('/:projectSlug{/*path}', optionalApiKeyOrAuth, handleGatewayRequest);
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
   createCollection,
   getCollections,
@@ -7,28 +8,146 @@ import {
   searchCollection,
   saveFromExecution,
   getSaveHistory,
-  rollbackCollection
+  rollbackCollection,
+  getVersions,
+  getVersion,
+  diffVersions,
+  getVersionRetention,
+  updateVersionRetention,
+  generateCollectionData,
+  scaffoldCrudEndpoints,
+  importCollectionData,
+  exportCollectionData,
+  getCollectionVariants,
+  createCollectionVariant,
+  copyCollectionToEnvironment,
+  promoteCollection,
+  markCollectionSeed,
+  clearCollectionSeed,
+  resetProjectData,
+  getResetSchedule,
+  updateResetSchedule,
+  exportSeedFile,
+  importSeedFile,
+  getSessionSettings,
+  updateSessionSettings,
+  getSessions,
+  getSession,
+  getSessionCollection,
+  resetSession,
+  mergeSession,
+  discardSession
 } from '../controllers/mockDataController.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { validateProjectAccess, requireEditPermission } from '../middleware/collaborationAuth.js';
+import { validateProjectAccess, validateCollectionAccess, requireEditPermission } from '../middleware/collaborationAuth.js';
+import {
+  validateMockDataGenerate,
+  validateCrudScaffold,
+  validateMockDataImport,
+  validateMockDataVariant,
+  validateMockDataEnvironmentCopy,
+  validateMockDataSeed,
+  validateResetSchedule,
+  validateSessionSettings,
+  validateSessionReset,
+  validateSessionMerge
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+// Fixture uploads (CSV / NDJSON / JSON) are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'text/csv',
+      'application/x-ndjson',
+      'application/json',
+      'application/vnd.ms-excel', // How some browsers label .csv
+      'text/plain'
+    ];
+    const allowedExtensions = ['.csv', '.ndjson', '.jsonl', '.json', '.txt'];
+
+    if (allowedTypes.includes(file.mimetype) ||
+        allowedExtensions.some(ext => file.originalname.toLowerCase().endsWith(ext))) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV (.csv), NDJSON (.ndjson, .jsonl) and JSON (.json) files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
 router.use(authMiddleware);
 
 router.post('/project/:projectId/collections', validateProjectAccess, requireEditPermission, createCollection);
 router.get('/project/:projectId/collections', validateProjectAccess, getCollections);
-router.put('/collections/:collectionId', validateProjectAccess, requireEditPermission, updateCollection);
-router.delete('/collections/:collectionId', validateProjectAccess, requireEditPermission, deleteCollection);
-router.get('/collections/:collectionId/search', validateProjectAccess, searchCollection);
+router.put('/collections/:collectionId', validateCollectionAccess, requireEditPermission, updateCollection);
+router.delete('/collections/:collectionId', validateCollectionAccess, requireEditPermission, deleteCollection);
 
 //  Save from endpoint execution
 router.post('/projects/:projectId/collections/:collectionId/save-from-execution', validateProjectAccess, requireEditPermission, saveFromExecution);
 
 //  Get save history
-router.get('/collections/:collectionId/save-history', validateProjectAccess, getSaveHistory);
+router.get('/collections/:collectionId/save-history', validateCollectionAccess, getSaveHistory);
+
+//  Generate schema-driven data (seedable)
+router.post('/collections/:collectionId/generate', validateMockDataGenerate, generateCollectionData);
+
+//  Scaffold CRUD endpoints wired to the collection
+router.post('/collections/:collectionId/scaffold', validateCrudScaffold, scaffoldCrudEndpoints);
+
+//  File import / streamed export (access is checked against the collection's project in the service)
+router.post('/collections/:collectionId/import', upload.single('file'), validateMockDataImport, importCollectionData);
+router.get('/collections/:collectionId/export', exportCollectionData);
+
+//  Query language search (access is checked against the collection's project in the service)
+router.get('/collections/:collectionId/search', searchCollection);
+
+//  Environment data variants, copy and promote (access is checked against the collection's project in the service)
+router.get('/collections/:collectionId/variants', getCollectionVariants);
+router.post('/collections/:collectionId/variants', validateMockDataVariant, createCollectionVariant);
+router.post('/collections/:collectionId/copy', validateMockDataEnvironmentCopy, copyCollectionToEnvironment);
+router.post('/collections/:collectionId/promote', validateMockDataEnvironmentCopy, promoteCollection);
+
+//  Version history (access is checked against the collection's project in the service)
+router.get('/collections/:collectionId/versions', getVersions);
+router.get('/collections/:collectionId/versions/diff', diffVersions);
+router.get('/collections/:collectionId/versions/:version', getVersion);
 
 //  Rollback collection
-router.post('/collections/:collectionId/rollback', validateProjectAccess, requireEditPermission, rollbackCollection);
+router.post('/collections/:collectionId/rollback', rollbackCollection);
+
+//  Seeds: mark/clear a collection's seed (access is checked in the service)
+router.post('/collections/:collectionId/seed', validateMockDataSeed, markCollectionSeed);
+router.delete('/collections/:collectionId/seed', clearCollectionSeed);
+
+//  Project reset to seeds, scheduled resets and seed files
+router.post('/project/:projectId/reset', validateProjectAccess, requireEditPermission, resetProjectData);
+router.get('/project/:projectId/reset-schedule', validateProjectAccess, getResetSchedule);
+router.put('/project/:projectId/reset-schedule', validateProjectAccess, requireEditPermission, validateResetSchedule, updateResetSchedule);
+router.get('/project/:projectId/seed', validateProjectAccess, exportSeedFile);
+router.post('/project/:projectId/seed', validateProjectAccess, requireEditPermission, upload.single('file'), importSeedFile);
+
+//  Per-consumer sessions: copy-on-write overlays over the project's collections
+router.get('/project/:projectId/session-settings', validateProjectAccess, getSessionSettings);
+router.put('/project/:projectId/session-settings', validateProjectAccess, requireEditPermission, validateSessionSettings, updateSessionSettings);
+router.get('/project/:projectId/sessions', validateProjectAccess, getSessions);
+
+//  Session inspection, reset, merge and discard (access is checked against the session's project in the service)
+router.get('/sessions/:sessionId', getSession);
+router.get('/sessions/:sessionId/collections/:collectionId', getSessionCollection);
+router.post('/sessions/:sessionId/reset', validateSessionReset, resetSession);
+router.post('/sessions/:sessionId/merge', validateSessionMerge, mergeSession);
+router.delete('/sessions/:sessionId', discardSession);
+
+//  Version retention policy
+router.get('/project/:projectId/version-retention', validateProjectAccess, getVersionRetention);
+router.put('/project/:projectId/version-retention', validateProjectAccess, requireEditPermission, updateVersionRetention);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // services/ProjectExportImportService.js
 import prisma from '../config/database.js';
+import endpointService from './endpointService.js';
 
 export class ProjectExportImportService {
   
@@ -331,6 +332,9 @@ async exportProject(projectId, userId, options = {}) {
   }
   
   async createProjectFromImport(userId, projectData, options) {
+    // Imported routes must be routable and unambiguous, same as created ones
+    endpointService.assertRoutesAvailable(projectData.endpoints || []);
+
     // Generate unique slug
     const baseSlug = options.name
       .toLowerCase()
@@ -5,6 +5,7 @@ import prisma from '../config/database.js';
  * - Project usage statistics
  * - User activity tracking
  * - Endpoint performance metrics
+ * - Response contract violations per endpoint
  * - Growth and adoption analytics
  */
 
@@ -79,6 +80,36 @@ class AnalyticsService {
       take: 10
     });
 
+    // Endpoints whose responses drifted from their responseSchema
+    const contractDrift = await prisma.endpoint.findMany({
+      where: {
+        projectId,
+        isActive: true,
+        contractViolations: { gt: 0 }
+      },
+      select: {
+        id: true,
+        name: true,
+        path: true,
+        method: true,
+        contractViolations: true,
+        lastContractViolation: true
+      },
+      orderBy: { contractViolations: 'desc' },
+      take: 10
+    });
+
+    const periodContractViolations = await prisma.executionLog.count({
+      where: {
+        projectId,
+        createdAt: {
+          gte: startDate,
+          lte: endDate
+        },
+        metadata: { path: ['responseContract', 'valid'], equals: false }
+      }
+    });
+
     // Get collaborator activity
     const collaboratorActivity = await prisma.executionLog.groupBy({
       by: ['userId'],
@@ -136,6 +167,17 @@ class AnalyticsService {
         lastCalled: ep.lastCalled,
         recentExecutions: ep._count.executionLogs
       })),
+      contractViolations: {
+        total: periodContractViolations,
+        endpoints: contractDrift.map(ep => ({
+          id: ep.id,
+          name: ep.name,
+          path: ep.path,
+          method: ep.method,
+          violations: ep.contractViolations,
+          lastViolation: ep.lastContractViolation
+        }))
+      },
       topCollaborators: await this.enrichCollaboratorData(collaboratorActivity),
       performance: {
         uptime: await this.calculateUptime(projectId, startDate, endDate),
@@ -384,6 +426,9 @@ class AnalyticsService {
       return groups;
     }, {});
 
+    // Executions whose response broke the endpoint's responseSchema
+    const contractViolations = executionLogs.filter(log => log.metadata?.responseContract?.valid === false);
+
     // Group by hour for peak usage
     const hourlyUsage = executionLogs.reduce((hours, log) => {
       const hour = log.createdAt.getHours();
@@ -411,6 +456,9 @@ class AnalyticsService {
         method: endpoint.method,
         totalCalls: endpoint.callCount,
         lastCalled: endpoint.lastCalled,
+        totalContractViolations: endpoint.contractViolations,
+        lastContractViolation: endpoint.lastContractViolation,
+        strictResponse: endpoint.strictResponse,
         createdAt: endpoint.createdAt
       },
       period: {
@@ -426,12 +474,21 @@ class AnalyticsService {
         averageResponseTime: Math.round(avgResponseTime),
         maxResponseTime: Math.round(maxResponseTime),
         minResponseTime: Math.round(minResponseTime),
-        statusCodeDistribution: statusCodeGroups
+        statusCodeDistribution: statusCodeGroups,
+        contractViolations: contractViolations.length,
+        contractViolationRate: totalExecutions > 0 ? (contractViolations.length / totalExecutions) * 100 : 0
       },
       performance: {
         hourlyUsage,
         peakHour: hourlyUsage.indexOf(Math.max(...hourlyUsage)),
-        recentErrors
+        recentErrors,
+        recentContractViolations: contractViolations.slice(0, 10).map(log => ({
+          id: log.id,
+          statusCode: log.statusCode,
+          schema: log.metadata.responseContract.schema,
+          violations: log.metadata.responseContract.violations,
+          createdAt: log.createdAt
+        }))
       },
       timeline: executionLogs.map(log => ({
         id: log.id,
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+
+/**
+ * API KEY SERVICE
+ * - Create show-once secrets, stored as SHA-256 hashes
+ * - Scope keys per project, per endpoint and per action (read/execute)
+ * - Rotate, update and revoke keys
+ * - Authenticate X-API-Key requests and track usage
+ */
+
+const KEY_PREFIX = 'flx_';
+const VALID_SCOPES = ['read', 'execute'];
+
+class ApiKeyService {
+  // Create a new API key (secret is only returned here and on rotate)
+  async createApiKey(userId, keyData) {
+    const { name, expiresAt } = keyData;
+    const permissions = this.normalizePermissions(keyData);
+
+    await this.verifyScopeAccess(userId, permissions);
+
+    const secret = this.generateSecret();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        key: this.hashKey(secret),
+        prefix: this.getDisplayPrefix(secret),
+        userId,
+        permissions,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      }
+    });
+
+    return {
+      ...this.formatApiKey(apiKey),
+      secret // Only returned once
+    };
+  }
+
+  // List user's API keys
+  async getUserApiKeys(userId) {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return apiKeys.map(apiKey => this.formatApiKey(apiKey));
+  }
+
+  // Get a single API key owned by user
+  async getApiKey(keyId, userId) {
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id: keyId, userId }
+    });
+
+    if (!apiKey) {
+      throw this.createError('API_KEY_NOT_FOUND', 404);
+    }
+
+    return apiKey;
+  }
+
+  // Update name, scopes or expiry
+  async updateApiKey(keyId, userId, updateData) {
+    const apiKey = await this.getApiKey(keyId, userId);
+
+    if (apiKey.revokedAt) {
+      throw this.createError('API_KEY_REVOKED', 400);
+    }
+
+    const data = {};
+
+    if (updateData.name !== undefined) {
+      data.name = updateData.name;
+    }
+
+    if (updateData.expiresAt !== undefined) {
+      data.expiresAt = updateData.expiresAt ? new Date(updateData.expiresAt) : null;
+    }
+
+    if (updateData.scopes !== undefined ||
+        updateData.projectIds !== undefined ||
+        updateData.endpointIds !== undefined) {
+      data.permissions = this.normalizePermissions({
+        ...apiKey.permissions,
+        ...updateData
+      });
+      await this.verifyScopeAccess(userId, data.permissions);
+    }
+
+    const updated = await prisma.apiKey.update({
+      where: { id: keyId },
+      data
+    });
+
+    return this.formatApiKey(updated);
+  }
+
+  // Replace the secret, keeping name, scopes and history
+  async rotateApiKey(keyId, userId) {
+    const apiKey = await this.getApiKey(keyId, userId);
+
+    if (apiKey.revokedAt) {
+      throw this.createError('API_KEY_REVOKED', 400);
+    }
+
+    const secret = this.generateSecret();
+
+    const rotated = await prisma.apiKey.update({
+      where: { id: keyId },
+      data: {
+        key: this.hashKey(secret),
+        prefix: this.getDisplayPrefix(secret)
+      }
+    });
+
+    return {
+      ...this.formatApiKey(rotated),
+      secret
+    };
+  }
+
+  // Revoke API key (kept for execution log attribution)
+  async revokeApiKey(keyId, userId) {
+    const apiKey = await this.getApiKey(keyId, userId);
+
+    if (apiKey.revokedAt) {
+      return this.formatApiKey(apiKey);
+    }
+
+    const revoked = await prisma.apiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date() }
+    });
+
+    return this.formatApiKey(revoked);
+  }
+
+  // Resolve a raw X-API-Key value to its key and owner
+  async authenticate(rawKey) {
+    if (!rawKey || typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) {
+      throw this.createError('INVALID_API_KEY', 401);
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { key: this.hashKey(rawKey) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            avatar: true,
+            role: true
+          }
+        }
+      }
+    });
+
+    if (!apiKey) {
+      throw this.createError('INVALID_API_KEY', 401);
+    }
+
+    if (apiKey.revokedAt) {
+      throw this.createError('API_KEY_REVOKED', 401);
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+      throw this.createError('API_KEY_EXPIRED', 401);
+    }
+
+    return apiKey;
+  }
+
+  // Check key scopes against a project/endpoint action
+  isAuthorized(apiKey, { scope, projectId, endpointId }) {
+    const permissions = this.normalizePermissions(apiKey.permissions || {});
+
+    if (scope && !permissions.scopes.includes(scope)) return false;
+    if (projectId && permissions.projectIds && !permissions.projectIds.includes(projectId)) return false;
+    if (endpointId && permissions.endpointIds && !permissions.endpointIds.includes(endpointId)) return false;
+
+    return true;
+  }
+
+  // Record a call made with the key
+  async recordUsage(keyId) {
+    try {
+      await prisma.apiKey.update({
+        where: { id: keyId },
+        data: {
+          lastUsed: new Date(),
+          callCount: { increment: 1 }
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record API key usage:', error);
+    }
+  }
+
+  // Make sure every scoped project/endpoint belongs to a project the user can access
+  async verifyScopeAccess(userId, permissions) {
+    const accessFilter = {
+      OR: [
+        { ownerId: userId },
+        { collaborators: { some: { userId } } }
+      ]
+    };
+
+    if (permissions.projectIds) {
+      const count = await prisma.project.count({
+        where: { id: { in: permissions.projectIds }, ...accessFilter }
+      });
+
+      if (count !== permissions.projectIds.length) {
+        throw this.createError('API_KEY_SCOPE_ACCESS_DENIED', 403);
+      }
+    }
+
+    if (permissions.endpointIds) {
+      const count = await prisma.endpoint.count({
+        where: { id: { in: permissions.endpointIds }, project: accessFilter }
+      });
+
+      if (count !== permissions.endpointIds.length) {
+        throw this.createError('API_KEY_SCOPE_ACCESS_DENIED', 403);
+      }
+    }
+
+    return true;
+  }
+
+  // Normalize { scopes, projectIds, endpointIds } (null ids = unrestricted)
+  normalizePermissions({ scopes, projectIds, endpointIds } = {}) {
+    const normalizedScopes = Array.isArray(scopes) && scopes.length > 0
+      ? [...new Set(scopes)]
+      : ['execute'];
+
+    const invalid = normalizedScopes.filter(scope => !VALID_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw this.createError(`INVALID_API_KEY_SCOPE: ${invalid.join(', ')}`, 400);
+    }
+
+    return {
+      scopes: normalizedScopes,
+      projectIds: Array.isArray(projectIds) && projectIds.length > 0 ? [...new Set(projectIds)] : null,
+      endpointIds: Array.isArray(endpointIds) && endpointIds.length > 0 ? [...new Set(endpointIds)] : null
+    };
+  }
+
+  // Strip the hash and expose key status
+  formatApiKey(apiKey) {
+    const { key, ...rest } = apiKey;
+    const isExpired = !!(apiKey.expiresAt && apiKey.expiresAt < new Date());
+
+    return {
+      ...rest,
+      status: apiKey.revokedAt ? 'REVOKED' : isExpired ? 'EXPIRED' : 'ACTIVE'
+    };
+  }
+
+  generateSecret() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  }
+
+  hashKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  getDisplayPrefix(secret) {
+    return secret.substring(0, KEY_PREFIX.length + 8);
+  }
+
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default new ApiKeyService();
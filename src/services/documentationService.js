@@ -1,4 +1,6 @@
 import prisma from '../config/database.js';
+import endpointRouter from './endpointRouter.js';
+import responseValidator from './execution/responseValidator.js';
 
 /**
  * PRODUCTION DOCUMENTATION SERVICE
@@ -110,7 +112,7 @@ class DocumentationService {
           name,
           in: 'path',
           required: true,
-          schema: this.convertToOpenAPISchema(schema),
+          schema: this.convertToOpenAPISchema(this.getParameterSchema(schema)),
           description: `Path parameter: ${name}`
         });
       });
@@ -122,8 +124,8 @@ class DocumentationService {
         parameters.push({
           name,
           in: 'query',
-          required: false,
-          schema: this.convertToOpenAPISchema(schema),
+          required: schema?.required === true,
+          schema: this.convertToOpenAPISchema(this.getParameterSchema(schema)),
           description: `Query parameter: ${name}`
         });
       });
@@ -132,11 +134,13 @@ class DocumentationService {
     // Headers
     if (endpoint.headers && typeof endpoint.headers === 'object') {
       Object.entries(endpoint.headers).forEach(([name, value]) => {
+        // Object values are header schemas; anything else is an example value
+        const isSchema = value && typeof value === 'object';
         parameters.push({
           name,
           in: 'header',
-          required: false,
-          schema: { type: 'string', example: value },
+          required: isSchema && value.required === true,
+          schema: isSchema ? this.convertToOpenAPISchema(this.getParameterSchema(value)) : { type: 'string', example: value },
           description: `Header: ${name}`
         });
       });
@@ -145,9 +149,20 @@ class DocumentationService {
     return parameters;
   }
 
+  // `required: true` on a parameter definition is parameter-level, not JSON Schema
+  getParameterSchema(schema) {
+    // "integer" is shorthand for { type: 'integer' }
+    if (['string', 'number', 'integer', 'boolean', 'array', 'object'].includes(schema)) return { type: schema };
+    if (!schema || typeof schema !== 'object' || typeof schema.required !== 'boolean') return schema;
+
+    const { required, ...rest } = schema;
+    return rest;
+  }
+
   // Generate request body schema
   generateRequestBody(endpoint) {
-    if (!endpoint.requestBody || endpoint.method === 'GET') {
+    const requestSchema = this.getRequestSchema(endpoint);
+    if (!requestSchema || endpoint.method === 'GET') {
       return null;
     }
 
@@ -155,12 +170,21 @@ class DocumentationService {
       required: true,
       content: {
         'application/json': {
-          schema: this.convertToOpenAPISchema(endpoint.requestBody)
+          schema: this.convertToOpenAPISchema(requestSchema)
         }
       }
     };
   }
 
+  // Endpoints store the body schema as `requestSchema`; empty objects mean none
+  getRequestSchema(endpoint) {
+    const schema = endpoint.requestSchema ?? endpoint.requestBody;
+    if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+      return null;
+    }
+    return schema;
+  }
+
   // Generate response schemas
   generateResponses(endpoint) {
     const responses = {
@@ -204,21 +228,48 @@ class DocumentationService {
       }
     };
 
+    // Per-status response schemas ({ "201": ..., "4XX": ... }) document each status
+    if (this.hasStatusResponses(endpoint)) {
+      delete responses['200'];
+      Object.entries(endpoint.responseSchema).forEach(([status, schema]) => {
+        responses[status] = {
+          description: `Response ${status}`,
+          content: {
+            'application/json': {
+              schema: this.convertToOpenAPISchema(schema)
+            }
+          }
+        };
+      });
+    }
+
     return responses;
   }
 
+  hasStatusResponses(endpoint) {
+    return Boolean(endpoint.responseSchema) &&
+      typeof endpoint.responseSchema === 'object' &&
+      responseValidator.isStatusMap(endpoint.responseSchema);
+  }
+
   // Generate reusable schemas
   generateSchemas(endpoints) {
     const schemas = {};
 
     endpoints.forEach(endpoint => {
-      if (endpoint.requestBody && typeof endpoint.requestBody === 'object') {
-        const schemaName = this.generateSchemaName(endpoint.path, 'Request');
-        schemas[schemaName] = this.convertToOpenAPISchema(endpoint.requestBody);
+      const requestSchema = this.getRequestSchema(endpoint);
+      if (requestSchema && endpoint.method !== 'GET') {
+        const schemaName = this.generateSchemaName(`${endpoint.method} ${endpoint.path}`, 'Request');
+        schemas[schemaName] = this.convertToOpenAPISchema(requestSchema);
       }
 
-      if (endpoint.responseSchema && typeof endpoint.responseSchema === 'object') {
-        const schemaName = this.generateSchemaName(endpoint.path, 'Response');
+      if (this.hasStatusResponses(endpoint)) {
+        Object.entries(endpoint.responseSchema).forEach(([status, schema]) => {
+          const schemaName = this.generateSchemaName(`${endpoint.method} ${endpoint.path}`, `Response${status}`);
+          schemas[schemaName] = this.convertToOpenAPISchema(schema);
+        });
+      } else if (endpoint.responseSchema && typeof endpoint.responseSchema === 'object') {
+        const schemaName = this.generateSchemaName(`${endpoint.method} ${endpoint.path}`, 'Response');
         schemas[schemaName] = this.convertToOpenAPISchema(endpoint.responseSchema);
       }
     });
@@ -288,7 +339,11 @@ class DocumentationService {
 
   // Utility methods
   normalizePath(path) {
-    return path.replace(/:(\w+)/g, '{$1}');
+    try {
+      return endpointRouter.toOpenAPIPath(path);
+    } catch {
+      return path.replace(/:(\w+)/g, '{$1}');
+    }
   }
 
   generateOperationId(method, path) {
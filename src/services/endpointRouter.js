@@ -0,0 +1,231 @@
+/**
+ * ENDPOINT PATH ROUTER
+ * - Compile endpoint paths (`/users/:id`, `/users/{id}`) into matchers
+ * - Static segments take precedence over parameters
+ * - Coerce path params using the endpoint `pathParams` declarations
+ * - Detect ambiguous routes between endpoints
+ */
+
+const PARAM_PATTERNS = [
+  /^:([A-Za-z_][A-Za-z0-9_]*)$/,
+  /^\{([A-Za-z_][A-Za-z0-9_]*)\}$/
+];
+
+class EndpointRouter {
+  constructor() {
+    this.compiledCache = new Map();
+  }
+
+  // Compile a path template into segments
+  compile(path) {
+    if (this.compiledCache.has(path)) {
+      return this.compiledCache.get(path);
+    }
+
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error('INVALID_ENDPOINT_PATH');
+    }
+
+    const paramNames = [];
+    const segments = this.splitPath(path).map(segment => {
+      const paramName = this.getParamName(segment);
+
+      if (paramName) {
+        if (paramNames.includes(paramName)) {
+          throw new Error('DUPLICATE_PATH_PARAM');
+        }
+        paramNames.push(paramName);
+        return { type: 'param', name: paramName };
+      }
+
+      if (/[:{}]/.test(segment)) {
+        throw new Error('INVALID_ENDPOINT_PATH');
+      }
+
+      return { type: 'static', value: segment };
+    });
+
+    const compiled = {
+      path,
+      segments,
+      paramNames,
+      // Shape shared by routes that would match exactly the same URLs
+      signature: '/' + segments.map(s => s.type === 'param' ? ':' : s.value).join('/')
+    };
+
+    this.compiledCache.set(path, compiled);
+    return compiled;
+  }
+
+  // Sort routes so that more specific routes are tried first
+  compareSpecificity(a, b) {
+    const length = Math.min(a.segments.length, b.segments.length);
+
+    for (let i = 0; i < length; i++) {
+      const aStatic = a.segments[i].type === 'static';
+      const bStatic = b.segments[i].type === 'static';
+      if (aStatic !== bStatic) return aStatic ? -1 : 1;
+    }
+
+    return b.segments.length - a.segments.length;
+  }
+
+  // Match method + path against a list of endpoints
+  match(endpoints, method, path) {
+    const requestSegments = this.splitPath(path);
+
+    const routes = endpoints
+      .filter(endpoint => endpoint.method === method)
+      .map(endpoint => {
+        try {
+          return { endpoint, compiled: this.compile(endpoint.path) };
+        } catch {
+          return null; // Skip endpoints with unroutable paths
+        }
+      })
+      .filter(route => route && route.compiled.segments.length === requestSegments.length)
+      .sort((a, b) => this.compareSpecificity(a.compiled, b.compiled));
+
+    for (const { endpoint, compiled } of routes) {
+      const rawParams = this.extractParams(compiled, requestSegments);
+      if (!rawParams) continue;
+
+      const coerced = this.coerceParams(rawParams, endpoint.pathParams);
+      if (!coerced.valid) continue; // Typed params must match to select the route
+
+      return { endpoint, params: coerced.params };
+    }
+
+    return null;
+  }
+
+  // Extract raw params, or null when static segments differ
+  extractParams(compiled, requestSegments) {
+    const params = {};
+
+    for (let i = 0; i < compiled.segments.length; i++) {
+      const segment = compiled.segments[i];
+
+      if (segment.type === 'static') {
+        if (segment.value !== requestSegments[i]) return null;
+        continue;
+      }
+
+      try {
+        params[segment.name] = decodeURIComponent(requestSegments[i]);
+      } catch {
+        return null;
+      }
+    }
+
+    return params;
+  }
+
+  // Coerce raw string params according to `pathParams` declarations
+  coerceParams(rawParams, declarations) {
+    const params = { ...rawParams };
+    const errors = [];
+
+    if (!declarations || typeof declarations !== 'object') {
+      return { valid: true, params, errors };
+    }
+
+    for (const [name, value] of Object.entries(rawParams)) {
+      const declaration = declarations[name];
+      if (!declaration) continue;
+
+      const schema = typeof declaration === 'string' ? { type: declaration } : declaration;
+      const result = this.coerceValue(value, schema);
+
+      if (result.valid) {
+        params[name] = result.value;
+      } else {
+        errors.push({ param: name, value, message: result.message });
+      }
+    }
+
+    return { valid: errors.length === 0, params, errors };
+  }
+
+  // Coerce a single string value to the declared type
+  coerceValue(value, schema = {}) {
+    let coerced = value;
+
+    switch (schema.type) {
+      case 'integer':
+        if (!/^-?\d+$/.test(value)) {
+          return { valid: false, message: 'Expected an integer' };
+        }
+        coerced = parseInt(value, 10);
+        break;
+
+      case 'number':
+        if (value.trim() === '' || !Number.isFinite(Number(value))) {
+          return { valid: false, message: 'Expected a number' };
+        }
+        coerced = Number(value);
+        break;
+
+      case 'boolean':
+        if (value !== 'true' && value !== 'false') {
+          return { valid: false, message: 'Expected true or false' };
+        }
+        coerced = value === 'true';
+        break;
+
+      default:
+        if (schema.format === 'uuid' &&
+            !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+          return { valid: false, message: 'Expected a UUID' };
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+          return { valid: false, message: `Does not match pattern ${schema.pattern}` };
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(coerced)) {
+      return { valid: false, message: `Must be one of: ${schema.enum.join(', ')}` };
+    }
+
+    return { valid: true, value: coerced };
+  }
+
+  // Find an existing endpoint that would match exactly the same requests
+  findConflict(endpoints, candidate) {
+    const compiled = this.compile(candidate.path);
+
+    return endpoints.find(endpoint => {
+      if ((candidate.id && endpoint.id === candidate.id) || endpoint.method !== candidate.method) {
+        return false;
+      }
+
+      try {
+        return this.compile(endpoint.path).signature === compiled.signature;
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  // Convert `:id` params to OpenAPI `{id}` style
+  toOpenAPIPath(path) {
+    const { segments } = this.compile(path);
+    return '/' + segments.map(s => s.type === 'param' ? `{${s.name}}` : s.value).join('/');
+  }
+
+  // Split path into non-empty segments
+  splitPath(path = '/') {
+    return path.split('?')[0].split('/').filter(Boolean);
+  }
+
+  // Get parameter name for `:id` or `{id}` segments
+  getParamName(segment) {
+    for (const pattern of PARAM_PATTERNS) {
+      const match = segment.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+}
+
+export default new EndpointRouter();
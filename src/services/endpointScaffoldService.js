@@ -0,0 +1,357 @@
+import prisma from '../config/database.js';
+import endpointService from './endpointService.js';
+import mockDataService from './mockDataService.js';
+import schemaValidator from './schemaValidator.js';
+import mockDataRelationService from './mockDataRelationService.js';
+import mockDataEnvironmentService from './mockDataEnvironmentService.js';
+
+/**
+ * CRUD ENDPOINT SCAFFOLD
+ * - list / get / create / replace / update / delete endpoints for a collection
+ * - Code uses db.collection() with the collection query language
+ * - Request/response schemas and params derived from the collection schema
+ * - All endpoints are created together or not at all
+ */
+
+const OPERATIONS = ['list', 'get', 'create', 'replace', 'update', 'delete'];
+
+// Fields the server sets on every item
+const SERVER_FIELDS = ['createdAt', 'updatedAt'];
+
+const QUERY_PARAMS = {
+  q: { type: 'string', description: 'Full-text search across item fields' },
+  sort: { type: 'string', description: 'Comma-separated fields, "-" prefix for descending (e.g. -createdAt,name)' },
+  limit: { type: 'integer', minimum: 0, maximum: 1000, default: 100, description: 'Page size' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Items to skip (ignored when cursor is set)' },
+  cursor: { type: 'string', description: 'nextCursor from the previous page' },
+  fields: { type: 'string', description: 'Comma-separated fields to return (e.g. id,name,address.city)' },
+  filter: { type: 'string', description: 'JSON filter with $and/$or/$eq/$gt/... operators' }
+};
+
+class EndpointScaffoldService {
+  // Create CRUD endpoints wired to a collection
+  async scaffoldCollection(collectionId, userId, options = {}) {
+    const collection = await mockDataService.getCollection(collectionId, userId);
+    await mockDataService.verifyCollectionEditAccess(collectionId, userId);
+    await endpointService.verifyEndpointAccess(collection.projectId, userId, 'write');
+
+    const operations = options.operations?.length ? options.operations : OPERATIONS;
+    const unknown = operations.filter(operation => !OPERATIONS.includes(operation));
+    if (unknown.length > 0) {
+      throw this.createError('INVALID_SCAFFOLD_OPERATIONS', 400, unknown.map(operation => ({
+        field: 'operations',
+        message: `Unknown operation "${operation}" (use ${OPERATIONS.join(', ')})`
+      })));
+    }
+
+    const basePath = (options.basePath || `/${collection.name}`).replace(/\/+$/, '');
+    const referenced = await this.getReferencedCollections(collection);
+    const definitions = this.buildEndpoints(collection, basePath, operations, referenced);
+
+    // Report every conflicting route, not just the first
+    const conflicts = [];
+    for (const definition of definitions) {
+      try {
+        await endpointService.verifyRouteAvailable(collection.projectId, definition);
+      } catch (error) {
+        if (error.message !== 'ENDPOINT_ROUTE_CONFLICT') throw error;
+        conflicts.push(error.errors);
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw this.createError('ENDPOINT_ROUTE_CONFLICT', 409, conflicts);
+    }
+
+    const endpoints = await prisma.$transaction(
+      definitions.map(definition => prisma.endpoint.create({
+        data: {
+          projectId: collection.projectId,
+          ...definition
+        }
+      }))
+    );
+
+    console.log(`🏗️ Scaffolded ${endpoints.length} endpoints for "${collection.name}" at ${basePath}`);
+
+    return {
+      collection: {
+        id: collection.id,
+        name: collection.name
+      },
+      basePath,
+      endpoints
+    };
+  }
+
+  // Endpoint records for the requested operations
+  buildEndpoints(collection, basePath, operations, referenced = []) {
+    const itemSchema = this.getItemSchema(collection);
+    const idSchema = this.getIdSchema(itemSchema);
+    const itemPath = `${basePath}/:id`;
+    const name = JSON.stringify(collection.name);
+    const label = collection.name;
+
+    const pathParams = { id: idSchema };
+    // Referenced collections are readable so `expand` can embed them
+    const readAccess = {
+      ...Object.fromEntries(referenced.map(reference => [reference, 'read'])),
+      [collection.name]: 'read'
+    };
+    const writeAccess = { [collection.name]: 'write' };
+    const expandParam = {
+      expand: { type: 'string', description: 'Comma-separated references to embed (x-ref fields)' }
+    };
+
+    const builders = {
+      list: () => ({
+        method: 'GET',
+        path: basePath || '/',
+        name: `List ${label}`,
+        description: `List ${label} with filtering (field=value, field[gt]=10; operators: eq, ne, gt, gte, lt, lte, in, nin, contains, regex, exists), sorting, offset or cursor pagination and field projection.`,
+        code: this.listCode(name),
+        queryParams: { ...QUERY_PARAMS, ...expandParam, ...this.getFilterParams(itemSchema) },
+        responseSchema: this.getPageSchema(itemSchema),
+        collectionAccess: readAccess
+      }),
+      get: () => ({
+        method: 'GET',
+        path: itemPath,
+        name: `Get ${label} item`,
+        description: `Get one ${label} item by id (404 when missing).`,
+        code: this.getCode(name),
+        pathParams,
+        queryParams: expandParam,
+        responseSchema: itemSchema,
+        collectionAccess: readAccess
+      }),
+      create: () => ({
+        method: 'POST',
+        path: basePath || '/',
+        name: `Create ${label} item`,
+        description: `Create a ${label} item (201 with a Location header).`,
+        code: this.createCode(name, basePath, idSchema.type === 'integer'),
+        requestSchema: this.getRequestSchema(itemSchema, { partial: false }),
+        responseSchema: itemSchema,
+        collectionAccess: writeAccess
+      }),
+      replace: () => ({
+        method: 'PUT',
+        path: itemPath,
+        name: `Replace ${label} item`,
+        description: `Replace every field of a ${label} item (404 when missing).`,
+        code: this.replaceCode(name),
+        pathParams,
+        requestSchema: this.getRequestSchema(itemSchema, { partial: false }),
+        responseSchema: itemSchema,
+        collectionAccess: writeAccess
+      }),
+      update: () => ({
+        method: 'PATCH',
+        path: itemPath,
+        name: `Update ${label} item`,
+        description: `Update the given fields of a ${label} item (404 when missing).`,
+        code: this.updateCode(name),
+        pathParams,
+        requestSchema: this.getRequestSchema(itemSchema, { partial: true }),
+        responseSchema: itemSchema,
+        collectionAccess: writeAccess
+      }),
+      delete: () => ({
+        method: 'DELETE',
+        path: itemPath,
+        name: `Delete ${label} item`,
+        description: `Delete a ${label} item (204, or 404 when missing).`,
+        code: this.deleteCode(name),
+        pathParams,
+        collectionAccess: writeAccess
+      })
+    };
+
+    return OPERATIONS
+      .filter(operation => operations.includes(operation))
+      .map(operation => {
+        const definition = builders[operation]();
+        return {
+          headers: {},
+          queryParams: {},
+          pathParams: {},
+          requestSchema: {},
+          responseSchema: {},
+          ...definition,
+          // Endpoint names are limited to 50 characters
+          name: definition.name.slice(0, 50)
+        };
+      });
+  }
+
+  listCode(name) {
+    return `// Generated CRUD endpoint: list with filtering, sorting and pagination
+// e.g. ?status=active&price[gte]=10&sort=-createdAt&limit=20&cursor=...
+try {
+  const page = db.collection(${name}).query(request.query);
+  return Response.header('X-Total-Count', page.total).json(page);
+} catch (error) {
+  return Response.error(error.message, 400);
+}`;
+  }
+
+  getCode(name) {
+    return `// Generated CRUD endpoint: get one item by id
+try {
+  const item = db.collection(${name}).findOne({ id: request.params.id }, { expand: request.query.expand });
+  if (!item) return Response.error('Item not found', 404);
+  return Response.json(item);
+} catch (error) {
+  return Response.error(error.message, 400);
+}`;
+  }
+
+  createCode(name, basePath, integerIds) {
+    const idLine = integerIds
+      ? `  // Integer ids continue after the highest existing id
+  const id = db.collection(${name}).find().reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+  const created = db.collection(${name}).insert({ ...request.body, id });`
+      : `  const created = db.collection(${name}).insert(request.body);`;
+
+    return `// Generated CRUD endpoint: create an item
+if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+  return Response.error('Request body must be a JSON object', 400);
+}
+try {
+${idLine}
+  return Response.status(201).header('Location', ${JSON.stringify(`${basePath}/`)} + created.id).json(created);
+} catch (error) {
+  return Response.error(error.message, 409);
+}`;
+  }
+
+  replaceCode(name) {
+    return `// Generated CRUD endpoint: replace an item (fields left out are removed)
+if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+  return Response.error('Request body must be a JSON object', 400);
+}
+const existing = db.collection(${name}).findOne({ id: request.params.id });
+if (!existing) return Response.error('Item not found', 404);
+
+const { id, createdAt, updatedAt, ...fields } = request.body;
+const removed = Object.keys(existing).filter(key => !['id', 'createdAt', 'updatedAt'].includes(key) && !(key in fields));
+const changes = { $set: fields };
+if (removed.length > 0) changes.$unset = Object.fromEntries(removed.map(key => [key, true]));
+
+const result = db.collection(${name}).update({ id: existing.id }, changes, { multi: false });
+return Response.json(result.items[0]);`;
+  }
+
+  updateCode(name) {
+    return `// Generated CRUD endpoint: update the given fields of an item
+if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+  return Response.error('Request body must be a JSON object', 400);
+}
+const { id, createdAt, updatedAt, ...fields } = request.body;
+const result = db.collection(${name}).update({ id: request.params.id }, { $set: fields }, { multi: false });
+if (result.matched === 0) return Response.error('Item not found', 404);
+return Response.json(result.items[0]);`;
+  }
+
+  deleteCode(name) {
+    return `// Generated CRUD endpoint: delete an item
+const result = db.collection(${name}).delete({ id: request.params.id }, { multi: false });
+if (result.deleted === 0) return Response.error('Item not found', 404);
+return Response.noContent();`;
+  }
+
+  // Collections reachable through x-ref declarations, nested ones included
+  async getReferencedCollections(collection) {
+    const environmentId = collection.environmentId ?? null;
+    const projectCollections = mockDataEnvironmentService.scope(await prisma.mockDataCollection.findMany({
+      where: { projectId: collection.projectId, ...mockDataEnvironmentService.scopeWhere(environmentId) },
+      select: { name: true, environmentId: true, schema: true }
+    }), environmentId);
+    const relations = mockDataRelationService.buildRelationMap(
+      projectCollections.map(entry => (entry.name === collection.name ? { ...entry, schema: collection.schema } : entry))
+    );
+
+    const referenced = new Set();
+    const visit = (name) => (relations[name] || []).forEach(ref => {
+      if (referenced.has(ref.collection)) return;
+      referenced.add(ref.collection);
+      visit(ref.collection);
+    });
+    visit(collection.name);
+    referenced.delete(collection.name);
+
+    return [...referenced];
+  }
+
+  // Declared item schema, or one inferred from the data
+  getItemSchema(collection) {
+    const declared = schemaValidator.getItemSchema(collection.schema);
+    const itemSchema = declared?.properties
+      ? declared
+      : mockDataService.inferSchema(collection.data).items;
+
+    const { $schema, ...schema } = itemSchema || {};
+    return Object.keys(schema).length > 0 ? schema : { type: 'object' };
+  }
+
+  getIdSchema(itemSchema) {
+    const type = itemSchema.properties?.id?.type;
+    return { type: ['integer', 'number'].includes(type) ? 'integer' : 'string' };
+  }
+
+  // Body schema: the item without server-managed fields; PATCH makes everything optional
+  getRequestSchema(itemSchema, { partial }) {
+    if (!itemSchema.properties) return { type: 'object' };
+
+    const properties = Object.fromEntries(
+      Object.entries(itemSchema.properties).filter(([key]) => key !== 'id' && !SERVER_FIELDS.includes(key))
+    );
+    const required = (itemSchema.required || []).filter(key => properties[key]);
+    const { required: _, ...rest } = itemSchema;
+
+    return {
+      ...rest,
+      properties,
+      ...(!partial && required.length > 0 && { required })
+    };
+  }
+
+  getPageSchema(itemSchema) {
+    return {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: itemSchema },
+        total: { type: 'integer' },
+        count: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] }
+      },
+      required: ['items', 'total', 'count', 'limit', 'offset', 'hasMore', 'nextCursor']
+    };
+  }
+
+  // Equality filters for scalar top-level fields (operators use field[op]=value)
+  getFilterParams(itemSchema) {
+    return Object.fromEntries(
+      Object.entries(itemSchema.properties || {})
+        .filter(([, property]) => ['string', 'integer', 'number', 'boolean'].includes(property?.type) || Array.isArray(property?.enum))
+        .map(([key, property]) => [key, {
+          ...(property.type && { type: property.type }),
+          ...(property.enum && { enum: property.enum }),
+          description: `Filter by ${key} (${key}[ne], ${key}[gt], ${key}[in], ... for operators)`
+        }])
+    );
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new EndpointScaffoldService();
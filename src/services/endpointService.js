@@ -1,13 +1,36 @@
+import pkg from '@prisma/client';
 import prisma from '../config/database.js';
+import endpointRouter from './endpointRouter.js';
+import resourceLimits from './execution/resourceLimits.js';
+import collectionAccess from './execution/collectionAccess.js';
+import requestValidator from './execution/requestValidator.js';
+import responseValidator from './execution/responseValidator.js';
+
+const { Prisma } = pkg;
 
 class EndpointService {
   // Create endpoint
   async createEndpoint(projectId, userId, endpointData) {
-    const { path, method, name, description, code, headers, queryParams, pathParams, requestSchema, responseSchema } = endpointData;
+    const { path, method, name, description, code, headers, queryParams, pathParams, requestSchema, responseSchema, timeout, memoryLimit, validateRequest, strictResponse } = endpointData;
+    const declaredAccess = collectionAccess.normalize(endpointData.collectionAccess);
 
     // Verify project access
     await this.verifyEndpointAccess(projectId, userId, 'write');
 
+    // Reject paths that collide with an existing route
+    await this.verifyRouteAvailable(projectId, { path, method });
+
+    // Sandbox limits must fit the project owner's plan
+    await this.verifyResourceLimits(projectId, { timeout, memoryLimit });
+
+    // Validated requests need schemas that compile
+    if (validateRequest) {
+      requestValidator.assertValidDefinitions(endpointData);
+    }
+    if (strictResponse) {
+      responseValidator.assertValidSchema(responseSchema);
+    }
+
     const endpoint = await prisma.endpoint.create({
       data: {
         projectId,
@@ -20,7 +43,12 @@ class EndpointService {
         queryParams: queryParams || {},
         pathParams: pathParams || {},
         requestSchema: requestSchema || {},
-        responseSchema: responseSchema || {}
+        responseSchema: responseSchema || {},
+        ...(timeout !== undefined && { timeout }),
+        ...(memoryLimit !== undefined && { memoryLimit }),
+        ...(validateRequest !== undefined && { validateRequest }),
+        ...(strictResponse !== undefined && { strictResponse }),
+        ...(declaredAccess && { collectionAccess: declaredAccess })
       },
       include: {
         project: {
@@ -37,7 +65,7 @@ class EndpointService {
   }
 
   // Get project endpoints
-  async getProjectEndpoints(projectId, userId, page = 1, limit = 50) {
+  async getProjectEndpoints(projectId, userId, page = 1, limit = 50, endpointIds = null) {
     await this.verifyEndpointAccess(projectId, userId, 'read');
 
     const skip = (page - 1) * limit;
@@ -46,7 +74,8 @@ class EndpointService {
       prisma.endpoint.findMany({
         where: { 
           projectId,
-          isActive: true
+          isActive: true,
+          ...(endpointIds && { id: { in: endpointIds } })
         },
         orderBy: { createdAt: 'asc' },
         skip,
@@ -55,7 +84,8 @@ class EndpointService {
       prisma.endpoint.count({
         where: { 
           projectId,
-          isActive: true
+          isActive: true,
+          ...(endpointIds && { id: { in: endpointIds } })
         }
       })
     ]);
@@ -107,6 +137,41 @@ class EndpointService {
     // Verify write access
     await this.verifyEndpointAccess(endpoint.projectId, userId, 'write');
 
+    if (updateData.path || updateData.method) {
+      await this.verifyRouteAvailable(endpoint.projectId, {
+        id: endpointId,
+        path: updateData.path || endpoint.path,
+        method: updateData.method || endpoint.method
+      });
+    }
+
+    if (updateData.timeout !== undefined || updateData.memoryLimit !== undefined) {
+      await this.verifyResourceLimits(endpoint.projectId, {
+        timeout: updateData.timeout,
+        memoryLimit: updateData.memoryLimit
+      });
+    }
+
+    if (updateData.validateRequest ?? endpoint.validateRequest) {
+      requestValidator.assertValidDefinitions({
+        requestSchema: updateData.requestSchema ?? endpoint.requestSchema,
+        queryParams: updateData.queryParams ?? endpoint.queryParams,
+        pathParams: updateData.pathParams ?? endpoint.pathParams,
+        headers: updateData.headers ?? endpoint.headers
+      });
+    }
+    if (updateData.strictResponse ?? endpoint.strictResponse) {
+      responseValidator.assertValidSchema(updateData.responseSchema ?? endpoint.responseSchema);
+    }
+
+    // null clears the declared list (every project collection, read/write)
+    if (updateData.collectionAccess !== undefined) {
+      updateData = {
+        ...updateData,
+        collectionAccess: collectionAccess.normalize(updateData.collectionAccess) ?? Prisma.DbNull
+      };
+    }
+
     const updatedEndpoint = await prisma.endpoint.update({
       where: { id: endpointId },
       data: updateData
@@ -137,10 +202,13 @@ class EndpointService {
     // Verify write access
     await this.verifyEndpointAccess(endpoint.projectId, userId, 'write');
 
+    const path = await this.getDuplicatePath(endpoint);
+    await this.verifyRouteAvailable(endpoint.projectId, { path, method: endpoint.method });
+
     const duplicatedEndpoint = await prisma.endpoint.create({
       data: {
         projectId: endpoint.projectId,
-        path: endpoint.path + '-copy',
+        path,
         method: endpoint.method,
         name: endpoint.name + ' (Copy)',
         description: endpoint.description,
@@ -149,7 +217,12 @@ class EndpointService {
         queryParams: endpoint.queryParams,
         pathParams: endpoint.pathParams,
         requestSchema: endpoint.requestSchema,
-        responseSchema: endpoint.responseSchema
+        responseSchema: endpoint.responseSchema,
+        timeout: endpoint.timeout,
+        memoryLimit: endpoint.memoryLimit,
+        validateRequest: endpoint.validateRequest,
+        strictResponse: endpoint.strictResponse,
+        collectionAccess: endpoint.collectionAccess ?? Prisma.DbNull
       }
     });
 
@@ -182,6 +255,110 @@ class EndpointService {
     return true;
   }
 
+  // Verify timeout/memoryLimit fit the project owner's plan
+  async verifyResourceLimits(projectId, limits) {
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        owner: {
+          select: { role: true }
+        }
+      }
+    });
+
+    return resourceLimits.validate(limits, project?.owner?.role);
+  }
+
+  // Verify path compiles and does not conflict with another active endpoint
+  async verifyRouteAvailable(projectId, candidate) {
+    const endpoints = await prisma.endpoint.findMany({
+      where: {
+        projectId,
+        method: candidate.method,
+        isActive: true
+      },
+      select: {
+        id: true,
+        path: true,
+        method: true,
+        name: true
+      }
+    });
+
+    this.assertRoutesAvailable([candidate], endpoints);
+    return true;
+  }
+
+  // Check a batch of new routes against existing endpoints and each other (imports)
+  assertRoutesAvailable(candidates, existing = []) {
+    const accepted = [...existing];
+
+    for (const candidate of candidates) {
+      try {
+        endpointRouter.compile(candidate.path);
+      } catch (compileError) {
+        const error = new Error(compileError.message);
+        error.statusCode = 400;
+        error.errors = { method: candidate.method, path: candidate.path };
+        throw error;
+      }
+
+      const conflict = endpointRouter.findConflict(accepted, candidate);
+
+      if (conflict) {
+        const error = new Error('ENDPOINT_ROUTE_CONFLICT');
+        error.statusCode = 409;
+        error.errors = {
+          method: candidate.method,
+          path: candidate.path,
+          conflictsWith: {
+            id: conflict.id,
+            name: conflict.name,
+            path: conflict.path
+          }
+        };
+        throw error;
+      }
+
+      accepted.push(candidate);
+    }
+  }
+
+  // `/users` -> `/users-copy`, `/users/:id` -> `/users/:id/copy`, numbered until the route is free
+  async getDuplicatePath(endpoint) {
+    const trimmed = endpoint.path.replace(/\/+$/, '');
+    let segments = [];
+    try {
+      ({ segments } = endpointRouter.compile(endpoint.path));
+    } catch {
+      // Unroutable originals are reported by verifyRouteAvailable
+    }
+    const base = segments.at(-1)?.type === 'static' ? `${trimmed}-copy` : `${trimmed}/copy`;
+
+    const siblings = await prisma.endpoint.findMany({
+      where: {
+        projectId: endpoint.projectId,
+        method: endpoint.method
+      },
+      select: {
+        id: true,
+        path: true,
+        method: true,
+        isActive: true
+      }
+    });
+    const active = siblings.filter(sibling => sibling.isActive);
+
+    for (let copy = 1; ; copy++) {
+      const path = copy === 1 ? base : `${base}-${copy}`;
+      const taken = siblings.some(sibling => sibling.path === path) ||
+        endpointRouter.findConflict(active, { path, method: endpoint.method });
+
+      if (!taken) return path;
+    }
+  }
+
+
   // Update endpoint call statistics
   async updateEndpointStats(endpointId, statusCode, responseTime) {
     await prisma.endpoint.update({
@@ -1,10 +1,15 @@
-import vm2 from 'vm2';
 import dockerManager from './dockerManager.js';
+import containerPool from './containerPool.js';
 import prisma from '../../config/database.js';
+import responseBuilder from './responseBuilder.js';
+import resourceLimits from './resourceLimits.js';
+import logCapture from './logCapture.js';
+import sandboxHelpers from './sandboxHelpers.js';
+import isolateRuntime from './isolateRuntime.js';
 
 /**
  * PRODUCTION CODE EXECUTOR SERVICE
- * - Multi-execution strategy (Docker + VM2 fallback)
+ * - Multi-execution strategy (Docker + in-process isolate)
  * - Performance optimization
  * - Advanced security policies
  * - Execution caching
@@ -12,27 +17,6 @@ import prisma from '../../config/database.js';
 
 class CodeExecutor {
   constructor() {
-    this.vm = new vm2.NodeVM({
-      // Security sandbox configuration
-      sandbox: this.createSecureSandbox(),
-      timeout: 10000, // 10 seconds max
-      eval: false,
-      wasm: false,
-      fixAsync: true,
-      
-      // Module restrictions
-      require: {
-        external: false, // No external modules
-        builtin: this.getAllowedModules(), // Only allowed built-in modules
-        root: false, // No relative requires
-        context: 'sandbox'
-      },
-      
-      // Source code restrictions
-      compiler: 'javascript',
-      strict: true
-    });
-
     this.executionCache = new Map();
     this.cacheTTL = 30000; // 30 seconds
     this.cleanupInterval = setInterval(() => this.cleanupCache(), 60000);
@@ -59,8 +43,9 @@ class CodeExecutor {
           result = await this.executeWithDocker(executionContext);
           break;
           
-        case 'vm2':
-          result = await this.executeWithVM2(executionContext);
+        case 'isolate':
+        case 'vm2': // Legacy name for the in-process strategy
+          result = await this.executeWithIsolate(executionContext);
           break;
           
         case 'auto':
@@ -97,193 +82,95 @@ class CodeExecutor {
       this.hasAsyncOperations(code) ||
       executionContext.requireIsolation;
     
-    if (shouldUseDocker && await dockerManager.healthCheck().status === 'HEALTHY') {
+    const dockerHealth = shouldUseDocker ? await dockerManager.healthCheck() : null;
+
+    if (dockerHealth && dockerHealth.status === 'HEALTHY') {
       try {
         return await this.executeWithDocker(executionContext);
       } catch (dockerError) {
-        console.warn('Docker execution failed, falling back to VM2:', dockerError);
-        // Fall back to VM2
+        console.warn('Docker execution failed, falling back to isolate:', dockerError);
+        // Fall back to the in-process isolate
       }
     }
     
-    return await this.executeWithVM2(executionContext);
+    // The isolate only runs JavaScript
+    if (language && language !== 'javascript' && language !== 'node') {
+      throw new Error('DOCKER_UNAVAILABLE');
+    }
+    
+    return await this.executeWithIsolate(executionContext);
   }
 
   // Execute with Docker container (maximum security)
   async executeWithDocker(executionContext) {
-    const { code, timeout, language } = executionContext;
+    const { code, timeout, memoryLimit, language, role } = executionContext;
     
-    const startTime = Date.now();
+    const limits = resourceLimits.resolve({ timeout, memoryLimit }, role);
     let containerId;
+    let containerDirty = true;
     
     try {
-      // Create container
-      containerId = await dockerManager.createContainer(language);
-      
-      // Prepare execution context
-      const wrappedCode = this.wrapCodeForDocker(code, executionContext);
+      // Take a warm container from the pool
+      containerId = await containerPool.acquire(language);
+      await dockerManager.applyResourceLimits(containerId, limits);
       
       // Execute
-      const result = await dockerManager.executeCode(containerId, wrappedCode, timeout);
-      
-      const executionTime = Date.now() - startTime;
+      const result = await dockerManager.executeCode(containerId, this.wrapCode(code, executionContext), limits);
+      containerDirty = !result.success;
       
       return {
-        success: result.success,
-        output: this.parseDockerOutput(result.output),
-        error: result.error,
-        logs: result.logs || [],
-        executionTime,
-        strategy: 'docker',
+        ...this.formatResult(result, limits, 'docker'),
         containerId
       };
       
     } catch (error) {
       throw new Error(`DOCKER_EXECUTION_FAILED: ${error.message}`);
     } finally {
-      // Cleanup container
+      // Return container to the pool
       if (containerId) {
-        await dockerManager.destroyContainer(containerId);
+        await containerPool.release(containerId, { dirty: containerDirty });
       }
     }
   }
 
-  // Execute with VM2 (faster, less secure)
-  async executeWithVM2(executionContext) {
-    const { code, timeout } = executionContext;
-    
-    const startTime = Date.now();
-    
+  // Execute in an in-process isolate (fast, no container)
+  async executeWithIsolate(executionContext) {
+    const { code, timeout, memoryLimit, role } = executionContext;
+    const limits = resourceLimits.resolve({ timeout, memoryLimit }, role);
+
     try {
-      // Prepare execution context
-      const script = this.wrapCodeForVM2(code, executionContext);
-      
-      // Execute in VM
-      const result = await this.vm.run(script, 'vm.js');
-      
-      const executionTime = Date.now() - startTime;
-      
-      return {
-        success: true,
-        output: result,
-        error: null,
-        logs: [], // VM2 doesn't capture console logs easily
-        executionTime,
-        strategy: 'vm2'
-      };
-      
+      const result = await isolateRuntime.executeCode(this.wrapCode(code, executionContext), limits);
+      return this.formatResult(result, limits, 'isolate');
     } catch (error) {
-      const executionTime = Date.now() - startTime;
-      
       return {
         success: false,
         output: null,
         error: error.message,
         logs: [],
-        executionTime,
-        strategy: 'vm2'
+        executionTime: 0,
+        memoryUsed: null,
+        limits,
+        strategy: 'isolate'
       };
     }
   }
 
-  // Create secure sandbox environment
-  createSecureSandbox() {
-    const logs = [];
-    
+  // Same result shape for every strategy
+  formatResult(result, limits, strategy) {
     return {
-      // Mock data and environment
-      mockData: {},
-      environment: {},
-      
-      // Request context
-      request: {},
-      
-      // Safe console implementation
-      console: {
-        log: (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-          ).join(' ');
-          logs.push(`LOG: ${message}`);
-        },
-        error: (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-          ).join(' ');
-          logs.push(`ERROR: ${message}`);
-        },
-        warn: (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-          ).join(' ');
-          logs.push(`WARN: ${message}`);
-        }
-      },
-      
-      // Response helpers
-      Response: {
-        json: (data, status = 200) => ({ status, data }),
-        error: (message, status = 400) => ({ status, error: message }),
-        success: (data) => ({ status: 200, data })
-      },
-      
-      // Safe utility functions
-      utils: {
-        generateId: () => Math.random().toString(36).substr(2, 9),
-        generateToken: () => `mock_${Math.random().toString(36).substr(2)}`,
-        getTimestamp: () => new Date().toISOString(),
-        validateEmail: (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email),
-        validateUrl: (url) => {
-          try {
-            new URL(url);
-            return true;
-          } catch {
-            return false;
-          }
-        }
-      },
-      
-      // Data manipulation helpers (safe versions)
-      dataHelpers: {
-        find: (array, predicate) => {
-          if (!Array.isArray(array)) return null;
-          return array.find(predicate);
-        },
-        filter: (array, predicate) => {
-          if (!Array.isArray(array)) return [];
-          return array.filter(predicate);
-        },
-        map: (array, mapper) => {
-          if (!Array.isArray(array)) return [];
-          return array.map(mapper);
-        },
-        sort: (array, comparator) => {
-          if (!Array.isArray(array)) return [];
-          return [...array].sort(comparator);
-        }
-      },
-      
-      // Get logs for this execution
-      getLogs: () => [...logs]
+      success: result.success,
+      output: this.parseDockerOutput(result.output),
+      error: result.error,
+      logs: logCapture.normalize(result.logs),
+      executionTime: result.executionTime,
+      memoryUsed: result.memoryUsedMb,
+      limits,
+      strategy
     };
   }
 
-  // Get allowed built-in modules
-  getAllowedModules() {
-    return [
-      'path',
-      'url',
-      'util',
-      'crypto', // Limited access
-      'buffer',
-      'stream',
-      'events',
-      'assert'
-    ];
-  }
-
-  // Wrap code for Docker execution
-  wrapCodeForDocker(code, context) {
+  // Wrap code with the injected globals (run as-is by both strategies)
+  wrapCode(code, context) {
     const { mockData = {}, environment = {}, request = {} } = context;
     
     return `
@@ -292,55 +179,18 @@ class CodeExecutor {
       const request = ${JSON.stringify(request)};
       
       // Safe helpers
-      const Response = {
-        json: (data, status = 200) => ({ status, data }),
-        error: (message, status = 400) => ({ status, error: message }),
-        success: (data) => ({ status: 200, data })
-      };
-      
-      const utils = {
-        generateId: () => Math.random().toString(36).substr(2, 9),
-        generateToken: () => 'mock_' + Math.random().toString(36).substr(2),
-        getTimestamp: () => new Date().toISOString()
-      };
+      ${responseBuilder.getHelperSource()}
+      ${sandboxHelpers.getHelperSource()}
       
-      const dataHelpers = {
-        find: (array, predicate) => Array.isArray(array) ? array.find(predicate) : null,
-        filter: (array, predicate) => Array.isArray(array) ? array.filter(predicate) : [],
-        map: (array, mapper) => Array.isArray(array) ? array.map(mapper) : []
-      };
+      // User code execution (errors and rejections propagate to the runtime wrapper)
+      const result = await (async function() {
+        ${code}
+      })();
       
-      // User code execution
-      try {
-        const result = (function() {
-          ${code}
-        })();
-        
-        // Ensure response is properly formatted
-        if (result && typeof result === 'object' && result.status && result.data) {
-          process.stdout.write(JSON.stringify(result));
-        } else {
-          process.stdout.write(JSON.stringify(Response.success(result)));
-        }
-        
-      } catch (error) {
-        process.stderr.write(JSON.stringify(Response.error(error.message, 500)));
-      }
-    `;
-  }
-
-  // Wrap code for VM2 execution
-  wrapCodeForVM2(code, context) {
-    const { mockData = {}, environment = {}, request = {} } = context;
-    
-    return `
-      // Inject context
-      const mockData = ${JSON.stringify(mockData)};
-      const environment = ${JSON.stringify(environment)};
-      const request = ${JSON.stringify(request)};
-      
-      // User code
-      ${code}
+      // Ensure response is properly formatted
+      return result && typeof result === 'object' && Number.isInteger(result.status)
+        ? result
+        : Response.success(result);
     `;
   }
 
@@ -416,10 +266,7 @@ class CodeExecutor {
     return {
       cacheSize: this.executionCache.size,
       cacheTTL: this.cacheTTL,
-      vm2Config: {
-        timeout: this.vm.options.timeout,
-        allowedModules: this.getAllowedModules().length
-      },
+      isolate: isolateRuntime.getMetrics(),
       dockerStatus: dockerManager.healthCheck()
     };
   }
@@ -0,0 +1,188 @@
+import prisma from '../../config/database.js';
+import mockDataRelationService from '../mockDataRelationService.js';
+
+/**
+ * EXECUTION COLLECTION ACCESS
+ * - Every project collection available by name (or the endpoint's declared list)
+ * - Per-collection read/write permissions
+ * - Only collections the code references are loaded
+ * - Collections referenced through `x-ref` come along for `expand`
+ * - Lazily parsed `mockData` inside the sandbox
+ */
+
+const ACCESS_LEVELS = ['read', 'write'];
+// Same characters as mockDataService.validateCollectionName
+const COLLECTION_NAME = '([A-Za-z0-9_-]+)';
+// `mockData.name` only works for names that are also identifiers (`-` would be subtraction)
+const IDENTIFIER_NAME = '([A-Za-z0-9_]+)';
+
+// Literal references we can resolve statically
+const LITERAL_REFERENCES = [
+  new RegExp(`db\\.collection\\(\\s*(['"\`])${COLLECTION_NAME}\\1\\s*\\)`, 'g'),
+  new RegExp(`getCollectionByName\\(\\s*(['"\`])${COLLECTION_NAME}\\1\\s*\\)`, 'g'),
+  new RegExp(`mockData\\[\\s*(['"\`])${COLLECTION_NAME}\\1\\s*\\]`, 'g'),
+  new RegExp(`mockData\\.()${IDENTIFIER_NAME}\\b`, 'g')
+];
+
+// Anything left after stripping literal references means names are computed at runtime
+const DYNAMIC_REFERENCES = [
+  /\bmockData\b/,
+  /db\.collection\s*\(/,
+  /db\.collections\s*\(/,
+  /getCollectionByName\s*\(/,
+  /\b(saveMockData|updateAndSave|createAndSave|updateAndSaveItem|deleteAndSave|saveMockDataToDatabase|updateAndSaveMockData|createItemAndSave|updateItemAndSave|deleteItemAndSave)\s*\(/
+];
+
+class CollectionAccess {
+  // Validate an endpoint's declared access map ({ users: 'read', orders: 'write' })
+  normalize(collectionAccess) {
+    if (collectionAccess === undefined || collectionAccess === null) return null;
+
+    const invalid = () => {
+      const error = new Error('INVALID_COLLECTION_ACCESS');
+      error.statusCode = 400;
+      error.errors = [{
+        field: 'collectionAccess',
+        message: 'collectionAccess must map collection names to "read" or "write"'
+      }];
+      return error;
+    };
+
+    if (typeof collectionAccess !== 'object' || Array.isArray(collectionAccess)) {
+      throw invalid();
+    }
+
+    const normalized = {};
+    for (const [name, access] of Object.entries(collectionAccess)) {
+      if (!new RegExp(`^${COLLECTION_NAME}$`).test(name) || !ACCESS_LEVELS.includes(access)) {
+        throw invalid();
+      }
+      normalized[name] = access;
+    }
+
+    return normalized;
+  }
+
+  // Collection names referenced by endpoint code
+  detectReferences(code = '') {
+    const names = new Set();
+    let remaining = code;
+
+    for (const pattern of LITERAL_REFERENCES) {
+      for (const match of code.matchAll(pattern)) {
+        names.add(match[2]);
+      }
+      remaining = remaining.replace(pattern, '');
+    }
+
+    return {
+      names,
+      dynamic: DYNAMIC_REFERENCES.some(pattern => pattern.test(remaining))
+    };
+  }
+
+  // Collections the endpoint is allowed to reach, with their access level
+  getAvailable(endpoint, projectCollections) {
+    const declared = this.normalize(endpoint.collectionAccess);
+
+    return projectCollections
+      .filter(collection => !declared || declared[collection.name])
+      .map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        access: declared ? declared[collection.name] : 'write'
+      }));
+  }
+
+  // Collections this execution may use, with their access level
+  resolve(endpoint, projectCollections, selectedCollectionId) {
+    const available = this.getAvailable(endpoint, projectCollections);
+
+    const { names, dynamic } = this.detectReferences(endpoint.code);
+    if (dynamic) return available;
+
+    // The selected collection backs getCollection() and the legacy save helpers
+    return available.filter(collection =>
+      names.has(collection.name) || collection.id === selectedCollectionId
+    );
+  }
+
+  // Load data for the collections an execution needs
+  async loadForExecution(endpoint, projectCollections, selectedCollectionId) {
+    let collections = this.resolve(endpoint, projectCollections, selectedCollectionId);
+    if (collections.length === 0) return [];
+
+    const available = this.getAvailable(endpoint, projectCollections);
+    const rowsById = new Map();
+
+    // Referenced collections are pulled in until the set is closed
+    for (let missing = collections; missing.length > 0;) {
+      const rows = await prisma.mockDataCollection.findMany({
+        where: {
+          id: { in: missing.map(collection => collection.id) }
+        },
+        select: {
+          id: true,
+          data: true,
+          schema: true,
+          metadata: true
+        }
+      });
+      rows.forEach(row => rowsById.set(row.id, row));
+
+      const referenced = new Set(rows.flatMap(row =>
+        mockDataRelationService.getReferences(row.schema).map(ref => ref.collection)
+      ));
+      missing = available.filter(collection =>
+        referenced.has(collection.name) && !collections.some(loaded => loaded.id === collection.id)
+      );
+      collections = [...collections, ...missing];
+    }
+
+    // version is the base for optimistic concurrency when saving
+    return collections.map(collection => ({
+      ...collection,
+      data: rowsById.get(collection.id)?.data || [],
+      schema: rowsById.get(collection.id)?.schema || null,
+      version: parseInt(rowsById.get(collection.id)?.metadata?.version) || 1
+    }));
+  }
+
+  // Sandbox source: `mockData` whose collections are parsed on first access
+  getSandboxSource(collections) {
+    const sources = Object.fromEntries(
+      collections.map(collection => [collection.name, JSON.stringify(collection.data || [])])
+    );
+    const permissions = Object.fromEntries(
+      collections.map(collection => [collection.name, collection.access])
+    );
+    const relations = mockDataRelationService.buildRelationMap(collections);
+
+    return `
+      const mockData = {};
+      const __collectionSources = ${JSON.stringify(sources)};
+      Object.keys(__collectionSources).forEach((name) => {
+        const define = (value) => Object.defineProperty(mockData, name, {
+          value,
+          writable: true,
+          enumerable: true,
+          configurable: true
+        });
+        Object.defineProperty(mockData, name, {
+          enumerable: true,
+          configurable: true,
+          get: () => {
+            const value = JSON.parse(__collectionSources[name]);
+            define(value);
+            return value;
+          },
+          set: (value) => define(value)
+        });
+      });
+      const __collectionPermissions = ${JSON.stringify(permissions)};
+      const __collectionRelations = ${JSON.stringify(relations)};
+    `;
+  }
+}
+
+export default new CollectionAccess();
@@ -0,0 +1,789 @@
+import isolateRuntime from './isolateRuntime.js';
+
+/**
+ * SANDBOX COLLECTION API
+ * - `db.collection(name)` with find/findOne/insert/update/delete/count
+ * - Mongo-style filter and update operators
+ * - Query-string query language with sorting, offset/cursor pagination and projection
+ * - Mutations recorded as an operation log, replayed server-side
+ * - Read-only collections reject mutations
+ * - `expand` embeds items referenced through schema `x-ref` declarations
+ */
+
+// Injected into sandboxes via toString(), so it must stay self-contained
+// relations: { orders: [{ field: 'userId', collection: 'users', targetField: 'id', as: 'user', many: false }] }
+export function createCollectionApi(collections = {}, permissions = {}, relations = {}) {
+  const operations = [];
+
+  // Prototype keys are never field names (no walking into or polluting prototypes)
+  const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+  const splitPath = (path) => {
+    const keys = String(path).split('.');
+    if (keys.some(key => UNSAFE_KEYS.includes(key))) {
+      throw Object.assign(new Error(`invalid field path "${path}"`), { field: String(path) });
+    }
+    return keys;
+  };
+
+  const getPath = (item, path) => splitPath(path).reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    item
+  );
+
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+  const equals = (a, b) => {
+    if (a === b) return true;
+    // Ids often arrive as strings from path params
+    if ((typeof a === 'number' && typeof b === 'string') || (typeof a === 'string' && typeof b === 'number')) {
+      return String(a) === String(b);
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+  };
+
+  const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+  };
+
+  const matchOperator = (value, operator, expected) => {
+    switch (operator) {
+      case '$eq': return Array.isArray(value) && !Array.isArray(expected)
+        ? value.some(entry => equals(entry, expected))
+        : equals(value, expected);
+      case '$ne': return !matchOperator(value, '$eq', expected);
+      case '$gt': return value !== undefined && value !== null && value > expected;
+      case '$gte': return value !== undefined && value !== null && value >= expected;
+      case '$lt': return value !== undefined && value !== null && value < expected;
+      case '$lte': return value !== undefined && value !== null && value <= expected;
+      case '$in': return Array.isArray(expected) && expected.some(entry => matchOperator(value, '$eq', entry));
+      case '$nin': return !matchOperator(value, '$in', expected);
+      case '$exists': return (value !== undefined) === !!expected;
+      case '$regex': return typeof value === 'string' && new RegExp(expected).test(value);
+      case '$contains': return Array.isArray(value)
+        ? value.some(entry => equals(entry, expected))
+        : typeof value === 'string' && value.toLowerCase().includes(String(expected).toLowerCase());
+      case '$size': return Array.isArray(value) && value.length === expected;
+      case '$not': return !matchCondition(value, expected);
+      default: throw new Error(`Unknown filter operator: ${operator}`);
+    }
+  };
+
+  const matchCondition = (value, condition) => {
+    if (condition instanceof RegExp) {
+      return typeof value === 'string' && condition.test(value);
+    }
+    if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+      return Object.entries(condition).every(([operator, expected]) => matchOperator(value, operator, expected));
+    }
+    return matchOperator(value, '$eq', condition);
+  };
+
+  const matches = (item, filter = {}) => {
+    if (typeof filter === 'function') return !!filter(item);
+    if (!isPlainObject(filter)) return matchOperator(item && item.id, '$eq', filter);
+
+    return Object.entries(filter).every(([key, condition]) => {
+      if (key === '$and') return condition.every(sub => matches(item, sub));
+      if (key === '$or') return condition.some(sub => matches(item, sub));
+      if (key === '$nor') return !condition.some(sub => matches(item, sub));
+      return matchCondition(getPath(item, key), condition);
+    });
+  };
+
+  const setPath = (item, path, value) => {
+    const keys = splitPath(path);
+    let target = item;
+    keys.slice(0, -1).forEach(key => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  };
+
+  const unsetPath = (item, path) => {
+    const keys = splitPath(path);
+    const parent = keys.length > 1 ? getPath(item, keys.slice(0, -1).join('.')) : item;
+    if (isPlainObject(parent)) delete parent[keys[keys.length - 1]];
+  };
+
+  // Plain objects are treated as $set
+  const applyChanges = (item, changes, timestamp) => {
+    const updated = JSON.parse(JSON.stringify(item));
+    const hasOperators = Object.keys(changes).some(key => key.startsWith('$'));
+    const normalized = hasOperators ? changes : { $set: changes };
+
+    Object.entries(normalized).forEach(([operator, fields]) => {
+      Object.entries(fields || {}).forEach(([path, value]) => {
+        switch (operator) {
+          case '$set': setPath(updated, path, value); break;
+          case '$unset': unsetPath(updated, path); break;
+          case '$inc': setPath(updated, path, (Number(getPath(updated, path)) || 0) + Number(value)); break;
+          case '$push': {
+            const current = getPath(updated, path);
+            setPath(updated, path, [...(Array.isArray(current) ? current : []), value]);
+            break;
+          }
+          case '$pull': {
+            const current = getPath(updated, path);
+            setPath(updated, path, (Array.isArray(current) ? current : []).filter(entry => !matchCondition(entry, value)));
+            break;
+          }
+          default: throw new Error(`Unknown update operator: ${operator}`);
+        }
+      });
+    });
+
+    updated.id = item.id; // ids are immutable
+    updated.updatedAt = timestamp;
+    return updated;
+  };
+
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  const hasRegex = (condition) => condition instanceof RegExp ||
+    (!!condition && typeof condition === 'object' &&
+      Object.entries(condition).some(([key, value]) => key === '$regex' || hasRegex(value)));
+
+  // Regex $pull conditions become the exact values they removed, so the server never runs sandbox patterns
+  const resolvePulls = (changes, selected) => {
+    if (!isPlainObject(changes.$pull)) return clone(changes);
+
+    const pull = {};
+    Object.entries(changes.$pull).forEach(([path, condition]) => {
+      if (!hasRegex(condition)) {
+        pull[path] = condition;
+        return;
+      }
+      const removed = [];
+      selected.forEach(item => {
+        const current = getPath(item, path);
+        (Array.isArray(current) ? current : []).forEach(entry => {
+          if (matchCondition(entry, condition) && !removed.some(value => equals(value, entry))) removed.push(entry);
+        });
+      });
+      pull[path] = { $in: removed };
+    });
+
+    return clone({ ...changes, $pull: pull });
+  };
+
+  // "userId,productId.categoryId" -> embeds user, product and the product's category
+  const expandItems = (name, list, expand) => {
+    const paths = (Array.isArray(expand) ? expand : String(expand || '').split(','))
+      .map(path => String(path).trim())
+      .filter(Boolean);
+    if (paths.length === 0) return list;
+
+    const grouped = new Map();
+    paths.forEach(path => {
+      const [head, ...rest] = path.split('.');
+      if (!grouped.has(head)) grouped.set(head, []);
+      if (rest.length > 0) grouped.get(head).push(rest.join('.'));
+    });
+
+    grouped.forEach((nested, key) => {
+      const relation = (relations[name] || []).find(entry => entry.field === key || entry.as === key);
+      if (!relation) {
+        throw new Error(`"${key}" is not a reference in collection "${name}"`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(collections, relation.collection)) {
+        throw new Error(`Collection "${relation.collection}" is not available in this execution`);
+      }
+
+      const index = new Map();
+      (Array.isArray(collections[relation.collection]) ? collections[relation.collection] : []).forEach(target => {
+        const value = target && target[relation.targetField];
+        if (value !== undefined && value !== null && !index.has(String(value))) index.set(String(value), target);
+      });
+      const lookup = (value) => (value !== undefined && value !== null && index.has(String(value))
+        ? clone(index.get(String(value)))
+        : null);
+
+      list.forEach(item => {
+        if (!isPlainObject(item)) return;
+        const value = item[relation.field];
+        const embedded = relation.many ? (Array.isArray(value) ? value.map(lookup) : []) : lookup(value);
+
+        if (nested.length > 0) {
+          expandItems(relation.collection, (relation.many ? embedded : [embedded]).filter(Boolean), nested);
+        }
+        item[relation.as] = embedded;
+      });
+    });
+
+    return list;
+  };
+
+  // ---- Query language (search route and db.collection(name).query) ----
+  // price[gt]=10, tags[contains]=sale, user.name[regex]=/^a/i, sort=-price,name, fields=id,name
+  const QUERY_PARAMS = ['q', 'filter', 'sort', 'limit', 'offset', 'cursor', 'fields', 'expand'];
+  const QUERY_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'contains', 'regex', 'exists'];
+  const DEFAULT_QUERY_LIMIT = 100;
+  const MAX_QUERY_LIMIT = 1000;
+  const MAX_REGEX_LENGTH = 200;
+  const CURSOR_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+  const queryError = (field, message) => Object.assign(new Error(message), { field });
+
+  // Query strings carry text; null and booleans are recognised, numbers compare loosely anyway
+  const scalar = (value) => {
+    if (value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+  };
+
+  const ordered = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+    ? Number(value)
+    : scalar(value));
+
+  // Quantifier at `index`: its length, whether it repeats and whether its width varies
+  const quantifierAt = (source, index) => {
+    if (source[index] === '*' || source[index] === '+') return { length: 1, repeats: true, varies: true };
+    if (source[index] === '?') return { length: 1, repeats: false, varies: true };
+    const braces = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return null;
+    const min = Number(braces[1]);
+    const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : min;
+    return { length: braces[0].length, repeats: max > 1, varies: max !== min };
+  };
+
+  // Repeating a group whose width varies ((a+)+, (\w+\s?)*, (a?){20}) or using
+  // backreferences can backtrack exponentially
+  const isSafeRegex = (source) => {
+    if (/\\[1-9]|\\k</.test(source)) return false;
+
+    const groups = [{ varies: false }];
+    let inClass = false;
+    for (let index = 0; index < source.length; index++) {
+      const char = source[index];
+      if (char === '\\') {
+        index++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push({ varies: false });
+        if (source[index + 1] === '?') index++;
+      } else if (char === ')' && groups.length > 1) {
+        const group = groups.pop();
+        const quantifier = quantifierAt(source, index + 1);
+        if (group.varies && quantifier?.repeats) return false;
+        if (quantifier) index += quantifier.length;
+        if (quantifier && source[index + 1] === '?') index++;
+        const parent = groups[groups.length - 1];
+        parent.varies = parent.varies || group.varies || Boolean(quantifier?.varies);
+      } else {
+        const quantifier = quantifierAt(source, index);
+        if (!quantifier) continue;
+        const group = groups[groups.length - 1];
+        group.varies = group.varies || quantifier.varies;
+        index += quantifier.length - 1;
+        if (source[index + 1] === '?') index++;
+      }
+    }
+    return true;
+  };
+
+  const toRegExp = (field, value) => {
+    const source = value instanceof RegExp ? value.source : String(value);
+    if (source.length > MAX_REGEX_LENGTH) {
+      throw queryError(field, `regex must be at most ${MAX_REGEX_LENGTH} characters`);
+    }
+    if (!isSafeRegex(source)) {
+      throw queryError(field, 'regex may not repeat variable-width groups or use backreferences');
+    }
+    const literal = value instanceof RegExp ? null : source.match(/^\/(.+)\/([imsu]*)$/);
+    try {
+      return value instanceof RegExp ? value : literal ? new RegExp(literal[1], literal[2]) : new RegExp(source);
+    } catch {
+      throw queryError(field, `invalid regex "${source}"`);
+    }
+  };
+
+  const toCondition = (field, operator, raw) => {
+    const values = Array.isArray(raw) ? raw : [raw];
+    const value = values[values.length - 1];
+
+    switch (operator) {
+      case 'eq': return values.length > 1 ? { $in: values.map(scalar) } : { $eq: scalar(value) };
+      case 'ne': return { $ne: scalar(value) };
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': return { [`$${operator}`]: ordered(value) };
+      case 'in':
+      case 'nin': return { [`$${operator}`]: values.flatMap(entry => String(entry).split(',')).map(scalar) };
+      case 'contains': return { $contains: scalar(value) };
+      case 'regex': return { $regex: toRegExp(field, value) };
+      case 'exists': return { $exists: ![false, 'false', '0'].includes(value) };
+      default: throw queryError(field, `unknown operator "${operator}" (use ${QUERY_OPERATORS.join(', ')})`);
+    }
+  };
+
+  // Raw JSON filters may carry regexes too; keep them bounded
+  const checkFilter = (filter) => {
+    if (Array.isArray(filter)) return filter.forEach(checkFilter);
+    if (!isPlainObject(filter)) return;
+    Object.entries(filter).forEach(([key, value]) => {
+      if (key === '$regex') toRegExp('filter', value);
+      checkFilter(value);
+    });
+  };
+
+  const parseFilter = (params = {}) => {
+    const conditions = [];
+
+    Object.entries(params).forEach(([key, raw]) => {
+      if (QUERY_PARAMS.includes(key) || raw === undefined) return;
+
+      // Flat `price[gt]` keys, or `{ price: { gt } }` from an extended query parser
+      const bracket = key.match(/^([^[\]]+)\[([a-z]+)\]$/);
+      const path = bracket ? bracket[1] : key;
+      if (isPlainObject(raw)) {
+        Object.entries(raw).forEach(([operator, value]) => conditions.push({ [path]: toCondition(path, operator, value) }));
+        return;
+      }
+      conditions.push({ [path]: toCondition(path, bracket ? bracket[2] : 'eq', raw) });
+    });
+
+    // filter={"$or":[...]} for anything the flat syntax cannot say
+    if (params.filter !== undefined && params.filter !== '') {
+      let filter = params.filter;
+      if (typeof filter === 'string') {
+        try {
+          filter = JSON.parse(filter);
+        } catch {
+          throw queryError('filter', 'filter must be a JSON object');
+        }
+      }
+      if (!isPlainObject(filter)) throw queryError('filter', 'filter must be a JSON object');
+      checkFilter(filter);
+      conditions.push(filter);
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  };
+
+  const parseList = (value) => (Array.isArray(value) ? value.join(',') : String(value || ''))
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  // "-price,name" or "price:desc,name:asc"
+  const parseSort = (sort) => parseList(sort).map(entry => {
+    if (entry.startsWith('-')) return [entry.slice(1), -1];
+    const [field, direction = 'asc'] = entry.split(':');
+    if (!['asc', 'desc'].includes(direction)) {
+      throw queryError('sort', `sort direction must be asc or desc, got "${direction}"`);
+    }
+    return [field, direction === 'desc' ? -1 : 1];
+  });
+
+  const parseCount = (field, value, fallback, max) => {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > max) {
+      throw queryError(field, `${field} must be an integer between 0 and ${max}`);
+    }
+    return parsed;
+  };
+
+  // Opaque base64url cursor holding the last item's sort key
+  const encodeCursor = (values) => {
+    const text = encodeURIComponent(JSON.stringify(values));
+    let output = '';
+    for (let index = 0; index < text.length; index += 3) {
+      const bits = (text.charCodeAt(index) << 16) |
+        ((text.charCodeAt(index + 1) || 0) << 8) |
+        (text.charCodeAt(index + 2) || 0);
+      output += CURSOR_ALPHABET[(bits >> 18) & 63] + CURSOR_ALPHABET[(bits >> 12) & 63] +
+        (index + 1 < text.length ? CURSOR_ALPHABET[(bits >> 6) & 63] : '') +
+        (index + 2 < text.length ? CURSOR_ALPHABET[bits & 63] : '');
+    }
+    return output;
+  };
+
+  const decodeCursor = (cursor) => {
+    const source = String(cursor);
+    let text = '';
+    for (let index = 0; index < source.length; index += 4) {
+      const codes = [0, 1, 2, 3].map(offset => CURSOR_ALPHABET.indexOf(source[index + offset] || 'A'));
+      if (codes.some(code => code < 0)) throw queryError('cursor', 'invalid cursor');
+      const bits = (codes[0] << 18) | (codes[1] << 12) | (codes[2] << 6) | codes[3];
+      text += String.fromCharCode((bits >> 16) & 255);
+      if (index + 2 < source.length) text += String.fromCharCode((bits >> 8) & 255);
+      if (index + 3 < source.length) text += String.fromCharCode(bits & 255);
+    }
+    try {
+      return JSON.parse(decodeURIComponent(text));
+    } catch {
+      throw queryError('cursor', 'invalid cursor');
+    }
+  };
+
+  const project = (item, fields) => {
+    const output = {};
+    fields.forEach(path => {
+      const value = getPath(item, path);
+      if (value !== undefined) setPath(output, path, value);
+    });
+    return output;
+  };
+
+  // Filter, search, sort, paginate (offset or cursor), expand and project one collection
+  const runQuery = (name, params = {}) => {
+    const filter = parseFilter(params);
+    const source = Array.isArray(collections[name]) ? collections[name] : [];
+    let results = source.filter(item => matches(item, filter));
+
+    if (params.q) {
+      const text = String(params.q).toLowerCase();
+      results = results.filter(item => JSON.stringify(item).toLowerCase().includes(text));
+    }
+
+    // id breaks ties so pages never overlap or skip items
+    const sort = parseSort(params.sort);
+    if (!sort.some(([field]) => field === 'id')) sort.push(['id', 1]);
+
+    const compareKey = (item, key) => {
+      for (let index = 0; index < sort.length; index++) {
+        const [field, direction] = sort[index];
+        const result = compare(getPath(item, field) ?? null, key[index] ?? null);
+        if (result !== 0) return result * direction;
+      }
+      return 0;
+    };
+    const keyOf = (item) => sort.map(([field]) => getPath(item, field) ?? null);
+    results.sort((a, b) => compareKey(a, keyOf(b)));
+
+    const limit = parseCount('limit', params.limit, DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+    let offset = parseCount('offset', params.offset, 0, Number.MAX_SAFE_INTEGER);
+
+    // A cursor continues after the item it was taken from, whatever was inserted since
+    if (params.cursor) {
+      const key = decodeCursor(params.cursor);
+      if (!Array.isArray(key) || key.length !== sort.length) {
+        throw queryError('cursor', 'cursor does not match the requested sort');
+      }
+      const start = results.findIndex(item => compareKey(item, key) > 0);
+      offset = start === -1 ? results.length : start;
+    }
+
+    const page = results.slice(offset, offset + limit);
+    const hasMore = offset + page.length < results.length;
+    const fields = parseList(params.fields);
+
+    let output = expandItems(name, clone(page), params.expand);
+    if (fields.length > 0) output = output.map(item => project(item, fields));
+
+    return {
+      items: output,
+      total: results.length,
+      count: output.length,
+      limit,
+      offset,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? encodeCursor(keyOf(page[page.length - 1])) : null
+    };
+  };
+
+  const generateId = () => 'item_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+
+  const collection = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(collections, name)) {
+      throw new Error(`Collection "${name}" is not available in this execution`);
+    }
+    if (!Array.isArray(collections[name])) collections[name] = [];
+    const items = () => collections[name];
+
+    const assertWritable = () => {
+      if (permissions[name] === 'read') {
+        throw new Error(`Collection "${name}" is read-only in this endpoint`);
+      }
+    };
+
+    const select = (filter, options = {}) => {
+      let results = items().filter(item => matches(item, filter));
+
+      if (options.sort) {
+        const sortEntries = Object.entries(options.sort);
+        results = [...results].sort((a, b) => {
+          for (const [field, direction] of sortEntries) {
+            const result = compare(getPath(a, field), getPath(b, field));
+            if (result !== 0) return direction === -1 || direction === 'desc' ? -result : result;
+          }
+          return 0;
+        });
+      }
+
+      const skip = Math.max(0, parseInt(options.skip) || 0);
+      const limit = options.limit === undefined ? undefined : Math.max(0, parseInt(options.limit) || 0);
+      return results.slice(skip, limit === undefined ? undefined : skip + limit);
+    };
+
+    return {
+      name,
+
+      find: (filter = {}, options = {}) => expandItems(name, clone(select(filter, options)), options.expand),
+
+      findOne: (filter = {}, options = {}) => {
+        const found = clone(items().find(item => matches(item, filter)));
+        return found ? expandItems(name, [found], options.expand)[0] : null;
+      },
+
+      // Filtered, sorted, paginated page plus total (see runQuery)
+      query: (params = {}) => runQuery(name, params),
+
+      // Embed references into items already fetched
+      expand: (docs, expand) => {
+        const list = clone(Array.isArray(docs) ? docs : [docs]);
+        expandItems(name, list, expand);
+        return Array.isArray(docs) ? list : list[0];
+      },
+
+      count: (filter = {}) => items().filter(item => matches(item, filter)).length,
+
+      insert: (docs) => {
+        assertWritable();
+        const list = Array.isArray(docs) ? docs : [docs];
+        const timestamp = new Date().toISOString();
+        const inserted = list.map(doc => {
+          if (!isPlainObject(doc)) throw new Error('insert() expects an object or an array of objects');
+          if (doc.id !== undefined && items().some(item => equals(item.id, doc.id))) {
+            throw new Error(`Duplicate id "${doc.id}" in collection "${name}"`);
+          }
+          return { id: generateId(), createdAt: timestamp, ...clone(doc), updatedAt: timestamp };
+        });
+
+        items().push(...inserted);
+        operations.push({ collection: name, type: 'insert', items: clone(inserted) });
+        return clone(Array.isArray(docs) ? inserted : inserted[0]);
+      },
+
+      update: (filter, changes, options = {}) => {
+        assertWritable();
+        if (!isPlainObject(changes)) throw new Error('update() expects an object of changes');
+        const timestamp = new Date().toISOString();
+        const targets = items().filter(item => matches(item, filter));
+        const selected = options.multi === false ? targets.slice(0, 1) : targets;
+        if (selected.length === 0) return { matched: 0, modified: 0, items: [] };
+
+        const recorded = resolvePulls(changes, selected);
+        const updated = selected.map(item => {
+          const next = applyChanges(item, changes, timestamp);
+          collections[name][items().indexOf(item)] = next;
+          return next;
+        });
+
+        operations.push({
+          collection: name,
+          type: 'update',
+          ids: updated.map(item => item.id),
+          changes: recorded,
+          timestamp
+        });
+        return { matched: selected.length, modified: updated.length, items: clone(updated) };
+      },
+
+      delete: (filter, options = {}) => {
+        assertWritable();
+        const targets = items().filter(item => matches(item, filter));
+        const selected = options.multi === false ? targets.slice(0, 1) : targets;
+        if (selected.length === 0) return { deleted: 0, items: [] };
+
+        collections[name] = items().filter(item => !selected.includes(item));
+        operations.push({ collection: name, type: 'delete', ids: selected.map(item => item.id) });
+        return { deleted: selected.length, items: clone(selected) };
+      },
+
+      // Whole-collection overwrite (legacy saveMockData helpers)
+      replace: (docs) => {
+        assertWritable();
+        if (!Array.isArray(docs)) throw new Error('replace() expects an array');
+        collections[name] = clone(docs);
+        operations.push({ collection: name, type: 'replace', items: clone(docs) });
+        return { replaced: docs.length };
+      }
+    };
+  };
+
+  return {
+    db: {
+      collection,
+      collections: () => Object.keys(collections),
+      isWritable: (name) => Object.prototype.hasOwnProperty.call(collections, name) && permissions[name] !== 'read'
+    },
+    getOperations: () => operations,
+    expand: expandItems,
+    query: runQuery,
+    matches,
+    applyChanges,
+    isSafeRegex
+  };
+}
+
+const OPERATION_TYPES = ['insert', 'update', 'delete', 'replace'];
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull'];
+const UNSAFE_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+// Regex searches on the server run off the event loop with these limits
+const REGEX_SEARCH_LIMITS = { timeoutMs: 1000, memoryMb: 256 };
+
+class CollectionApi {
+  // Source for injecting `db` into sandboxed code
+  getApiSource(collectionsExpression = 'mockData', permissionsExpression = '{}', relationsExpression = '{}') {
+    return `const __collectionApi = (${createCollectionApi.toString()})(${collectionsExpression}, ${permissionsExpression}, ${relationsExpression});
+      const db = __collectionApi.db;`;
+  }
+
+  // Server-side search; regexes that slip past the static check cannot block the event loop
+  async query(collections, name, params = {}, relations = {}) {
+    if (!this.usesRegex(params)) {
+      return createCollectionApi(collections, {}, relations).query(name, params);
+    }
+
+    const result = await isolateRuntime.executeCode(`
+      try {
+        const api = (${createCollectionApi.toString()})(${JSON.stringify(collections)}, {}, ${JSON.stringify(relations)});
+        return { items: api.query(${JSON.stringify(name)}, ${JSON.stringify(params)}) };
+      } catch (error) {
+        return { error: { message: error.message, field: error.field } };
+      }
+    `, REGEX_SEARCH_LIMITS).catch(error => ({ success: false, error: error.message }));
+
+    if (result.error === 'EXECUTION_TIMEOUT') {
+      throw Object.assign(new Error(`regex search took longer than ${REGEX_SEARCH_LIMITS.timeoutMs}ms`), { field: 'regex' });
+    }
+    if (!result.success) {
+      const error = new Error('SEARCH_UNAVAILABLE');
+      error.statusCode = 503;
+      throw error;
+    }
+    if (result.output.error) {
+      throw Object.assign(new Error(result.output.error.message), { field: result.output.error.field });
+    }
+
+    return result.output.items;
+  }
+
+  // `name[regex]=`, `name[regex]` from an extended parser, or `$regex` inside a JSON filter
+  usesRegex(params = {}) {
+    return Object.entries(params).some(([key, value]) => {
+      if (/\[regex\]$/.test(key)) return true;
+      if (key === 'filter') return this.containsRegex(this.parseJson(value));
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, 'regex');
+    });
+  }
+
+  parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  // Replay an operation log against the current collection data
+  applyOperations(data, operations) {
+    const { applyChanges } = createCollectionApi();
+    let items = Array.isArray(data) ? [...data] : [];
+    const summary = { inserted: 0, updated: 0, deleted: 0, replaced: false };
+
+    for (const operation of operations) {
+      switch (operation.type) {
+        case 'insert': {
+          const existingIds = new Set(items.map(item => String(item.id)));
+          const fresh = operation.items.filter(item => !existingIds.has(String(item.id)));
+          items.push(...fresh);
+          summary.inserted += fresh.length;
+          break;
+        }
+        case 'update': {
+          const ids = new Set(operation.ids.map(String));
+          items = items.map(item => {
+            if (!ids.has(String(item.id))) return item;
+            summary.updated++;
+            return applyChanges(item, operation.changes, operation.timestamp || new Date().toISOString());
+          });
+          break;
+        }
+        case 'delete': {
+          const before = items.length;
+          const ids = new Set(operation.ids.map(String));
+          items = items.filter(item => !ids.has(String(item.id)));
+          summary.deleted += before - items.length;
+          break;
+        }
+        case 'replace':
+          items = [...operation.items];
+          summary.replaced = true;
+          break;
+      }
+    }
+
+    return { data: items, summary };
+  }
+
+  // Same static backtracking check as `[regex]` searches, for regexes run on the server (e.g. schema patterns)
+  isSafeRegex(source) {
+    const { isSafeRegex } = createCollectionApi();
+    return isSafeRegex(String(source));
+  }
+
+  // Reject malformed operations coming back from a sandbox
+  validateOperations(operations) {
+    if (!Array.isArray(operations)) return [];
+
+    return operations.filter(operation =>
+      operation &&
+      typeof operation.collection === 'string' &&
+      OPERATION_TYPES.includes(operation.type) &&
+      (['insert', 'replace'].includes(operation.type)
+        ? Array.isArray(operation.items) && operation.items.every(item => item && typeof item === 'object')
+        : Array.isArray(operation.ids)) &&
+      (operation.type !== 'update' || this.isSafeChanges(operation.changes))
+    );
+  }
+
+  // Known operators on safe field paths; $pull conditions may not carry regexes (they run server-side)
+  isSafeChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return false;
+
+    const hasOperators = Object.keys(changes).some(key => key.startsWith('$'));
+    const groups = hasOperators ? Object.entries(changes) : [['$set', changes]];
+
+    return groups.every(([operator, fields]) =>
+      UPDATE_OPERATORS.includes(operator) &&
+      (fields === null || fields === undefined || (typeof fields === 'object' && !Array.isArray(fields))) &&
+      Object.entries(fields || {}).every(([path, value]) =>
+        String(path).split('.').every(key => !UNSAFE_PATH_KEYS.includes(key)) &&
+        (operator !== '$pull' || !this.containsRegex(value))
+      )
+    );
+  }
+
+  containsRegex(value) {
+    if (!value || typeof value !== 'object') return false;
+    return Object.entries(value).some(([key, entry]) => key === '$regex' || this.containsRegex(entry));
+  }
+
+  // Group operations by collection name, keeping order
+  groupByCollection(operations) {
+    const groups = new Map();
+    for (const operation of operations) {
+      if (!groups.has(operation.collection)) groups.set(operation.collection, []);
+      groups.get(operation.collection).push(operation);
+    }
+    return groups;
+  }
+}
+
+export default new CollectionApi();
@@ -0,0 +1,266 @@
+import dockerManager from './dockerManager.js';
+import env from '../../config/env.js';
+
+/**
+ * PRE-WARMED CONTAINER POOL
+ * - Keeps warm, hardened containers per runtime
+ * - Hands out one container per execution
+ * - Resets containers after use, recycles dirty or worn-out ones
+ * - Health checks idle containers
+ * - Pool metrics for /api/execute/health
+ */
+
+// Writable tmpfs mounts (see dockerManager HostConfig); anything left here would leak into the next run
+const SCRATCH_DIRS = ['/tmp', '/dev/shm'];
+
+class ContainerPool {
+  constructor() {
+    this.poolSize = parseInt(env.sandbox.poolSize) || 2;
+    this.maxUses = parseInt(env.sandbox.poolMaxUses) || 50;
+    this.maxAge = parseInt(env.sandbox.poolMaxAgeMs) || 30 * 60 * 1000; // 30 minutes
+    this.runtimes = (env.sandbox.poolRuntimes || 'node')
+      .split(',')
+      .map(runtime => runtime.trim())
+      .filter(Boolean);
+
+    this.pools = new Map();
+    this.runtimes.forEach(runtime => this.getPool(runtime));
+
+    this.healthCheckInterval = null;
+    this.initialized = false;
+  }
+
+  // Warm pools and start health checks
+  async initialize() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    // Never warm more than the global container limit allows
+    const maxPerRuntime = Math.floor(dockerManager.maxContainers / Math.max(this.runtimes.length, 1));
+    this.poolSize = Math.min(this.poolSize, maxPerRuntime);
+
+    this.healthCheckInterval = setInterval(() => this.runHealthChecks(), 30000);
+
+    await Promise.all(this.runtimes.map(runtime => this.replenish(runtime)));
+    console.log(`🔥 Container pool warmed: ${this.runtimes.join(', ')} (${this.poolSize} per runtime)`);
+  }
+
+  // Get (or lazily create) the pool for a runtime
+  getPool(runtime) {
+    if (!this.pools.has(runtime)) {
+      this.pools.set(runtime, {
+        idle: [],
+        busy: new Map(),
+        warming: 0,
+        stats: {
+          acquired: 0,
+          warmHits: 0,
+          coldStarts: 0,
+          recycled: 0,
+          resetFailures: 0,
+          unhealthyRemoved: 0,
+          totalAcquireMs: 0
+        }
+      });
+    }
+
+    return this.pools.get(runtime);
+  }
+
+  // Hand out a container for one execution
+  async acquire(runtime = 'node') {
+    const pool = this.getPool(runtime);
+    const startTime = Date.now();
+    let entry = null;
+
+    while (pool.idle.length > 0 && !entry) {
+      const candidate = pool.idle.shift();
+      if (this.isUsable(candidate)) {
+        entry = candidate;
+        pool.stats.warmHits++;
+      } else {
+        this.recycle(runtime, candidate);
+      }
+    }
+
+    if (!entry) {
+      // Throws CONTAINER_LIMIT_EXCEEDED when the global limit is reached
+      entry = await this.createEntry(runtime);
+      pool.stats.coldStarts++;
+    }
+
+    pool.busy.set(entry.containerId, entry);
+    pool.stats.acquired++;
+    pool.stats.totalAcquireMs += Date.now() - startTime;
+
+    // Keep the pool topped up in the background
+    this.replenish(runtime).catch(error => console.error('❌ Pool replenish failed:', error.message));
+
+    return entry.containerId;
+  }
+
+  // Return a container after an execution
+  async release(containerId, { dirty = false } = {}) {
+    for (const [runtime, pool] of this.pools) {
+      const entry = pool.busy.get(containerId);
+      if (!entry) continue;
+
+      pool.busy.delete(containerId);
+      entry.uses++;
+
+      if (dirty || !this.isUsable(entry)) {
+        await this.recycle(runtime, entry);
+        return;
+      }
+
+      // Burst containers beyond the warm target are retired
+      if (pool.idle.length >= this.poolSize) {
+        await dockerManager.destroyContainer(containerId, 1);
+        return;
+      }
+
+      try {
+        await this.resetContainer(containerId);
+        pool.idle.push(entry);
+      } catch (error) {
+        console.error(`❌ Container reset failed (${containerId}):`, error.message);
+        pool.stats.resetFailures++;
+        await this.recycle(runtime, entry);
+      }
+      return;
+    }
+
+    // Not a pooled container
+    await dockerManager.destroyContainer(containerId, 1);
+  }
+
+  // Kill leftover processes and wipe every writable scratch mount
+  async resetContainer(containerId) {
+    const scratch = SCRATCH_DIRS.map(dir => `${dir}/* ${dir}/.[!.]*`).join(' ');
+    const exitCode = await dockerManager.execCommand(containerId, [
+      'sh', '-c', `kill -9 -1 2>/dev/null; rm -rf ${scratch} 2>/dev/null; exit 0`
+    ], 3000);
+
+    if (exitCode !== 0) {
+      throw new Error('CONTAINER_RESET_FAILED');
+    }
+  }
+
+  // Destroy a container and top the pool back up
+  async recycle(runtime, entry) {
+    const pool = this.getPool(runtime);
+    pool.stats.recycled++;
+
+    await dockerManager.destroyContainer(entry.containerId, 1);
+
+    if (this.initialized) {
+      this.replenish(runtime).catch(error => console.error('❌ Pool replenish failed:', error.message));
+    }
+  }
+
+  // Start containers until the runtime has `poolSize` idle ones
+  async replenish(runtime) {
+    const pool = this.getPool(runtime);
+    const missing = this.poolSize - pool.idle.length - pool.warming;
+    if (missing <= 0) return;
+
+    pool.warming += missing;
+
+    await Promise.all(Array.from({ length: missing }, async () => {
+      try {
+        pool.idle.push(await this.createEntry(runtime));
+      } catch (error) {
+        // Limit reached or Docker down: the next acquire/health check retries
+        console.warn(`⚠️ Could not warm ${runtime} container:`, error.message);
+      } finally {
+        pool.warming--;
+      }
+    }));
+  }
+
+  // Create a hardened container tracked by the pool
+  async createEntry(runtime) {
+    const containerId = await dockerManager.createContainer(runtime);
+    const containerData = dockerManager.activeContainers.get(containerId);
+    if (containerData) containerData.pooled = true;
+
+    return {
+      containerId,
+      runtime,
+      uses: 0,
+      createdAt: Date.now()
+    };
+  }
+
+  // Container still tracked, not worn out and not too old
+  isUsable(entry) {
+    return dockerManager.activeContainers.has(entry.containerId) &&
+      entry.uses < this.maxUses &&
+      Date.now() - entry.createdAt < this.maxAge;
+  }
+
+  // Inspect idle containers and replace dead ones
+  async runHealthChecks() {
+    for (const [runtime, pool] of this.pools) {
+      for (const entry of [...pool.idle]) {
+        const status = await dockerManager.getContainerStatus(entry.containerId);
+        if (status === 'running' && this.isUsable(entry)) continue;
+
+        // Skip containers acquired while we were inspecting
+        const index = pool.idle.indexOf(entry);
+        if (index === -1) continue;
+
+        pool.idle.splice(index, 1);
+        pool.stats.unhealthyRemoved++;
+        await this.recycle(runtime, entry);
+      }
+
+      await this.replenish(runtime).catch(error => console.error('❌ Pool replenish failed:', error.message));
+    }
+  }
+
+  // Pool metrics per runtime
+  getMetrics() {
+    const runtimes = {};
+
+    for (const [runtime, pool] of this.pools) {
+      runtimes[runtime] = {
+        idle: pool.idle.length,
+        busy: pool.busy.size,
+        warming: pool.warming,
+        target: this.poolSize,
+        ...pool.stats,
+        avgAcquireMs: pool.stats.acquired > 0
+          ? Math.round(pool.stats.totalAcquireMs / pool.stats.acquired)
+          : 0
+      };
+      delete runtimes[runtime].totalAcquireMs;
+    }
+
+    return {
+      initialized: this.initialized,
+      poolSize: this.poolSize,
+      maxUses: this.maxUses,
+      maxAgeMs: this.maxAge,
+      runtimes
+    };
+  }
+
+  // Destroy every pooled container
+  async shutdown() {
+    clearInterval(this.healthCheckInterval);
+    this.initialized = false;
+
+    const entries = [];
+    for (const pool of this.pools.values()) {
+      entries.push(...pool.idle, ...pool.busy.values());
+      pool.idle = [];
+      pool.busy.clear();
+    }
+
+    await Promise.all(entries.map(entry => dockerManager.destroyContainer(entry.containerId, 1)));
+    console.log(`✅ Container pool drained (${entries.length} containers)`);
+  }
+}
+
+export default new ContainerPool();
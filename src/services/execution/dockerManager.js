@@ -1,6 +1,9 @@
 import Docker from 'dockerode';
 import os from 'os';
 import env from '../../config/env.js';
+import logCapture from './logCapture.js';
+
+const RESULT_MARKER = '__FLUX_RESULT__';
 
 /**
  * PRODUCTION DOCKER CONTAINER MANAGEMENT
@@ -33,14 +36,20 @@ class DockerManager {
       HostConfig: {
         // Security: No privileged access
         Privileged: false,
+        CapDrop: ['ALL'],
+        PidsLimit: 64,
         // Resource limits
         Memory: 128 * 1024 * 1024, // 128MB
         MemorySwap: 256 * 1024 * 1024, // 256MB total
         CpuShares: 512, // CPU priority
         // Network isolation
         NetworkMode: 'none', // No network access
-        // Read-only filesystem
+        // Read-only filesystem (scratch space is reset between pooled runs)
         ReadonlyRootfs: true,
+        Tmpfs: {
+          '/tmp': 'rw,noexec,nosuid,size=16m',
+          '/dev/shm': 'rw,noexec,nosuid,size=16m'
+        },
         // Security options
         SecurityOpt: ['no-new-privileges:true'],
         // Auto remove on exit
@@ -53,6 +62,8 @@ class DockerManager {
       ],
       // Working directory
       WorkingDir: '/workspace',
+      // Unprivileged user shipped with the official images
+      User: language === 'python' ? 'nobody' : 'node',
       // No TTY
       Tty: false,
       // No STDIN
@@ -79,22 +90,54 @@ class DockerManager {
     }
   }
 
+  // Apply per-execution limits to a running container
+  async applyResourceLimits(containerId, limits) {
+    const containerData = this.activeContainers.get(containerId);
+    if (!containerData) {
+      throw new Error('CONTAINER_NOT_FOUND');
+    }
+
+    try {
+      await containerData.container.update({
+        Memory: limits.memoryMb * 1024 * 1024,
+        MemorySwap: limits.memoryMb * 1024 * 1024, // No swap beyond the limit
+        CpuShares: limits.cpuShares,
+        PidsLimit: limits.pidsLimit
+      });
+      containerData.limits = limits;
+    } catch (error) {
+      console.error(`❌ Applying resource limits failed (${containerId}):`, error.message);
+      throw new Error('RESOURCE_LIMITS_APPLY_FAILED');
+    }
+  }
+
   // Execute code in container
- async executeCode(containerId, code, timeout = 5000) {
+ async executeCode(containerId, code, limits = 5000) {
   const containerData = this.activeContainers.get(containerId);
   if (!containerData) {
     throw new Error('CONTAINER_NOT_FOUND');
   }
 
+  // Older callers pass a bare timeout
+  const { timeoutMs: timeout = 5000, cpuTimeSeconds, heapMb } = typeof limits === 'number'
+    ? { timeoutMs: limits }
+    : limits;
+
   // Update last used
   containerData.lastUsed = Date.now();
 
+  // CPU time is capped with ulimit (SIGXCPU, then SIGKILL a second later),
+  // the V8 heap below the container memory limit
   const exec = await containerData.container.exec({
-    Cmd: ['node', '-e', this.wrapCode(code)],
+    Cmd: [
+      'sh', '-c', 'ulimit -S -t "$1" && ulimit -H -t "$(($1 + 1))"; exec node --max-old-space-size="$2" -e "$3"',
+      'sh',
+      String(cpuTimeSeconds || Math.max(1, Math.ceil(timeout / 1000))),
+      String(heapMb || 96),
+      this.wrapCode(code)
+    ],
     AttachStdout: true,
-    AttachStderr: true,
-    // Timeout for execution
-    timeout: Math.min(timeout, 30000) // Max 30 seconds
+    AttachStderr: true
   });
 
   const stream = await exec.start({ hijack: true, stdin: false });
@@ -125,55 +168,29 @@ class DockerManager {
       try {
         const execInfo = await exec.inspect();
         
-        // Parse JSON output
         let output = null;
         let error = null;
+        let usage = null;
         let success = execInfo.ExitCode === 0;
-        
-        try {
-          if (stdout.trim()) {
-            const lines = stdout.trim().split('\n');
-            
-            // Find the JSON line (usually last line)
-            let jsonLine = lines[lines.length - 1];
-            
-            // If last line isn't JSON, look for JSON in any line
-            if (!jsonLine.trim().startsWith('{') && !jsonLine.trim().startsWith('[')) {
-              jsonLine = lines.find(line => 
-                line.trim().startsWith('{') || line.trim().startsWith('[')
-              ) || jsonLine;
-            }
-            
-            // Parse the JSON
-            const parsed = JSON.parse(jsonLine);
-            output = parsed.data || parsed;
-            logs = parsed.logs || [];
-            success = parsed.success !== false;
-            if (parsed.error) error = parsed.error;
-          }
-        } catch (e) {
-          // If not JSON, use raw output
-          output = stdout.trim();
+
+        const result = this.parseResult(stdout);
+        if (result) {
+          output = result.data ?? null;
+          logs = result.logs || [];
+          usage = result.usage || null;
+          success = result.success !== false;
+          error = result.error || null;
+        } else {
+          // The runtime died before it could report a result
+          success = false;
+          error = stderr.trim() || stdout.trim() || `Process exited with code ${execInfo.ExitCode}`;
         }
-        
-        if (stderr.trim()) {
-          try {
-            const lines = stderr.trim().split('\n');
-            let jsonLine = lines[lines.length - 1];
-            
-            if (!jsonLine.trim().startsWith('{') && !jsonLine.trim().startsWith('[')) {
-              jsonLine = lines.find(line => 
-                line.trim().startsWith('{') || line.trim().startsWith('[')
-              ) || jsonLine;
-            }
-            
-            const parsedError = JSON.parse(jsonLine);
-            success = false;
-            error = parsedError.error || stderr.trim();
-            logs = parsedError.logs || [];
-          } catch (e) {
-            error = stderr.trim();
-          }
+
+        // Killed by the kernel: no JSON result was written
+        const limitError = this.getLimitError(execInfo.ExitCode);
+        if (limitError) {
+          success = false;
+          error = limitError;
         }
         
         const executionTime = Date.now() - containerData.lastUsed;
@@ -183,8 +200,11 @@ class DockerManager {
           output,
           error,
           logs,
+          operations: success && result ? result.operations || [] : [],
           executionTime,
-          exitCode: execInfo.ExitCode
+          exitCode: execInfo.ExitCode,
+          memoryUsedMb: usage ? Math.ceil(usage.maxRssKb / 1024) : null,
+          cpuTimeMs: usage ? usage.cpuTimeMs : null
         });
         
       } catch (error) {
@@ -199,13 +219,75 @@ class DockerManager {
   });
 }
 
+  // Result line written by wrapCode (anything else on stdout is ignored)
+  parseResult(stdout) {
+    const index = stdout.lastIndexOf(RESULT_MARKER);
+    if (index === -1) return null;
+
+    const line = stdout.slice(index + RESULT_MARKER.length).split('\n')[0];
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  // Map signal exit codes to resource limit errors
+  getLimitError(exitCode) {
+    switch (exitCode) {
+      case 137: // SIGKILL (OOM killer)
+      case 134: // SIGABRT (V8 heap out of memory)
+        return 'MEMORY_LIMIT_EXCEEDED';
+      case 152: // SIGXCPU (ulimit -t)
+        return 'CPU_TIME_LIMIT_EXCEEDED';
+      default:
+        return null;
+    }
+  }
+
+  // Run a helper command in a container and wait for it
+  async execCommand(containerId, cmd, timeout = 5000) {
+    const containerData = this.activeContainers.get(containerId);
+    if (!containerData) {
+      throw new Error('CONTAINER_NOT_FOUND');
+    }
+
+    const exec = await containerData.container.exec({
+      Cmd: cmd,
+      AttachStdout: true,
+      AttachStderr: true
+    });
+
+    const stream = await exec.start({ hijack: true, stdin: false });
+
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        stream.destroy();
+        reject(new Error('COMMAND_TIMEOUT'));
+      }, timeout);
+
+      stream.on('end', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      });
+      stream.on('error', (error) => {
+        clearTimeout(timeoutId);
+        reject(error);
+      });
+      stream.resume();
+    });
+
+    const execInfo = await exec.inspect();
+    return execInfo.ExitCode;
+  }
+
   // Stop and remove container
-  async destroyContainer(containerId) {
+  async destroyContainer(containerId, grace = 10) {
     const containerData = this.activeContainers.get(containerId);
     if (!containerData) return;
 
     try {
-      await containerData.container.stop({ t: 10 }); // 10 second grace period
+      await containerData.container.stop({ t: grace }); // Grace period in seconds
       this.activeContainers.delete(containerId);
       console.log(`✅ Container destroyed: ${containerId}`);
     } catch (error) {
@@ -276,6 +358,9 @@ class DockerManager {
     const toRemove = [];
 
     for (const [containerId, data] of this.activeContainers) {
+      // Pooled containers are recycled by the container pool
+      if (data.pooled) continue;
+
       if (now - data.lastUsed > maxAge) {
         toRemove.push(containerId);
       }
@@ -310,52 +395,88 @@ getImageForLanguage(language) {
   // Wrap user code in safe execution context
 wrapCode(code) {
   return `
-    const logs = [];
-    
-    // Override console.log to capture logs
-    const originalConsoleLog = console.log;
-    const originalConsoleError = console.error;
-    
-    console.log = (...args) => {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-      ).join(' ');
-      logs.push({ type: 'log', message, timestamp: new Date().toISOString() });
-      originalConsoleLog(...args);
+    // Peak memory and CPU time of this process
+    const getUsage = () => {
+      const usage = process.resourceUsage();
+      return {
+        maxRssKb: usage.maxRSS,
+        cpuTimeMs: Math.round((usage.userCPUTime + usage.systemCPUTime) / 1000)
+      };
     };
-    
-    console.error = (...args) => {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-      ).join(' ');
-      logs.push({ type: 'error', message, timestamp: new Date().toISOString() });
-      originalConsoleError(...args);
+
+    // Structured console capture (nothing reaches stdout but the result)
+    ${logCapture.getCaptureSource()}
+    globalThis.console = __logCapture.console;
+
+    let resultWritten = false;
+    const writeResult = (payload) => {
+      if (resultWritten) return;
+      resultWritten = true;
+
+      let line;
+      try {
+        line = JSON.stringify({ ...payload, logs: __logCapture.getLogs(), usage: getUsage() });
+      } catch (error) {
+        line = JSON.stringify({
+          success: false,
+          error: 'Response is not serializable: ' + error.message,
+          logs: __logCapture.getLogs(),
+          usage: getUsage()
+        });
+        process.exitCode = 1;
+      }
+      process.stdout.write('\\n${RESULT_MARKER}' + line + '\\n');
     };
-    
-    try {
-      // Execute user code
-      const result = (function() {
-        ${code}
-      })();
-      
-      // Output result with logs
-      console.log(JSON.stringify({
-        success: true,
-        data: result,
-        logs: logs
-      }));
-      
-    } catch (error) {
-      // Output error with logs
-      console.error(JSON.stringify({
-        success: false,
-        error: error.message,
-        logs: logs
-      }));
+
+    const errorMessage = (error) => error && error.message ? error.message : String(error);
+
+    // Rejections nobody awaited fail the execution
+    const unhandledRejections = [];
+    process.on('unhandledRejection', (reason) => {
+      unhandledRejections.push(errorMessage(reason));
+    });
+
+    process.on('uncaughtException', (error) => {
+      writeResult({ success: false, error: errorMessage(error) });
       process.exit(1);
-    }
+    });
+
+    // Event loop drained while user code was still awaiting
+    process.on('beforeExit', () => {
+      writeResult({ success: false, error: 'PROMISE_NEVER_SETTLED' });
+      process.exitCode = 1;
+    });
+    
+    (async () => {
+      try {
+        // Execute user code (top-level await and returned promises are awaited)
+        const result = await (async function() {
+          ${code}
+        })();
+
+        // Let pending rejections surface before reporting
+        await new Promise(resolve => setImmediate(resolve));
+
+        if (unhandledRejections.length > 0) {
+          writeResult({ success: false, error: 'Unhandled promise rejection: ' + unhandledRejections[0] });
+          process.exit(1);
+        }
+        
+        // Collection mutations recorded by db.collection(), if the context set one up
+        const operations = typeof globalThis.__collectionOperations === 'function'
+          ? globalThis.__collectionOperations()
+          : [];
+        
+        writeResult({ success: true, data: result, operations });
+        process.exit(process.exitCode || 0);
+        
+      } catch (error) {
+        writeResult({ success: false, error: errorMessage(error) });
+        process.exit(1);
+      }
+    })();
   `;
 }
 }
 
-export default new DockerManager();
\ No newline at end of file
+export default new DockerManager();
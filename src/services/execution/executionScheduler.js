@@ -0,0 +1,270 @@
+import env from '../../config/env.js';
+import dockerManager from './dockerManager.js';
+
+/**
+ * EXECUTION SCHEDULER
+ * - Global, per-user and per-project concurrency caps
+ * - Per-project FIFO queues served round-robin (fair between projects)
+ * - Bounded queue and bounded wait time
+ * - Queue positions and Retry-After estimates
+ */
+
+class ExecutionScheduler {
+  constructor() {
+    this.maxConcurrent = parseInt(env.execution.maxConcurrent) || dockerManager.maxContainers;
+    this.perUserLimit = parseInt(env.execution.perUserLimit) || 3;
+    this.perProjectLimit = parseInt(env.execution.perProjectLimit) || 5;
+    this.maxQueueSize = parseInt(env.execution.maxQueueSize) || 100;
+    this.maxQueuedPerUser = parseInt(env.execution.maxQueuedPerUser) || 20;
+    this.maxWaitMs = parseInt(env.execution.maxWaitMs) || 30000;
+
+    this.running = 0;
+    this.runningByUser = new Map();
+    this.runningByProject = new Map();
+
+    this.queues = new Map(); // projectId -> [job]
+    this.projectOrder = []; // round-robin order of projects with waiting jobs
+    this.queuedCount = 0;
+    this.nextJobId = 1;
+
+    this.avgExecutionMs = 1000;
+    this.stats = {
+      started: 0,
+      totalQueued: 0,
+      rejected: 0,
+      timedOut: 0,
+      totalWaitMs: 0
+    };
+  }
+
+  // Wait for an execution slot; resolves to a slot that must be released
+  async acquire({ userKey, projectId }) {
+    if (this.canStart(userKey, projectId) && this.queuedCount === 0) {
+      return this.start({ userKey, projectId, enqueuedAt: Date.now() });
+    }
+
+    if (this.queuedCount >= this.maxQueueSize) {
+      this.stats.rejected++;
+      throw this.createError('EXECUTION_QUEUE_FULL', 503, {
+        retryAfter: this.estimateRetryAfter(this.queuedCount)
+      });
+    }
+
+    if (this.countQueuedForUser(userKey) >= this.maxQueuedPerUser) {
+      this.stats.rejected++;
+      throw this.createError('USER_EXECUTION_QUEUE_FULL', 429, {
+        retryAfter: this.estimateRetryAfter(this.maxQueuedPerUser)
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        userKey,
+        projectId,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      };
+
+      job.timer = setTimeout(() => this.expire(job), this.maxWaitMs);
+
+      if (!this.queues.has(projectId)) {
+        this.queues.set(projectId, []);
+        this.projectOrder.push(projectId);
+      }
+      this.queues.get(projectId).push(job);
+      this.queuedCount++;
+      this.stats.totalQueued++;
+
+      job.positionAtEnqueue = this.getPosition(job.id);
+      console.log(`⏳ Execution queued for project ${projectId} (position ${job.positionAtEnqueue})`);
+
+      this.dispatch();
+    });
+  }
+
+  // Mark a job as running and hand back its slot
+  start(job) {
+    this.running++;
+    this.runningByUser.set(job.userKey, (this.runningByUser.get(job.userKey) || 0) + 1);
+    this.runningByProject.set(job.projectId, (this.runningByProject.get(job.projectId) || 0) + 1);
+
+    const waitedMs = Date.now() - job.enqueuedAt;
+    this.stats.started++;
+    this.stats.totalWaitMs += waitedMs;
+
+    const startedAt = Date.now();
+    let released = false;
+
+    return {
+      waitedMs,
+      queuePosition: job.positionAtEnqueue || 0,
+      release: () => {
+        if (released) return;
+        released = true;
+        this.finish(job, Date.now() - startedAt);
+      }
+    };
+  }
+
+  // Free a slot and start whatever can run next
+  finish(job, durationMs) {
+    this.running--;
+    this.decrement(this.runningByUser, job.userKey);
+    this.decrement(this.runningByProject, job.projectId);
+
+    // Smoothed execution time for Retry-After estimates
+    this.avgExecutionMs = Math.round(this.avgExecutionMs * 0.8 + durationMs * 0.2);
+
+    this.dispatch();
+  }
+
+  // Start queued jobs, one project at a time in round-robin order
+  dispatch() {
+    let progressed = true;
+
+    while (progressed && this.running < this.maxConcurrent && this.queuedCount > 0) {
+      progressed = false;
+
+      for (let i = 0; i < this.projectOrder.length && this.running < this.maxConcurrent; i++) {
+        const projectId = this.projectOrder[0];
+        const queue = this.queues.get(projectId);
+
+        // Rotate so the next project goes first next time
+        this.projectOrder.push(this.projectOrder.shift());
+
+        const index = queue.findIndex(job => this.canStart(job.userKey, job.projectId));
+        if (index === -1) continue;
+
+        const [job] = queue.splice(index, 1);
+        this.removeFromQueue(job);
+
+        clearTimeout(job.timer);
+        job.resolve(this.start(job));
+        progressed = true;
+      }
+    }
+  }
+
+  // Reject a job that waited too long
+  expire(job) {
+    const queue = this.queues.get(job.projectId);
+    const index = queue ? queue.indexOf(job) : -1;
+    if (index === -1) return;
+
+    queue.splice(index, 1);
+    this.removeFromQueue(job);
+    this.stats.timedOut++;
+
+    job.reject(this.createError('EXECUTION_QUEUE_TIMEOUT', 503, {
+      retryAfter: this.estimateRetryAfter(this.queuedCount),
+      waitedMs: Date.now() - job.enqueuedAt
+    }));
+  }
+
+  // Bookkeeping after a job left its project queue
+  removeFromQueue(job) {
+    this.queuedCount--;
+
+    const queue = this.queues.get(job.projectId);
+    if (queue && queue.length === 0) {
+      this.queues.delete(job.projectId);
+      this.projectOrder = this.projectOrder.filter(id => id !== job.projectId);
+    }
+  }
+
+  canStart(userKey, projectId) {
+    return this.running < this.maxConcurrent &&
+      (this.runningByUser.get(userKey) || 0) < this.perUserLimit &&
+      (this.runningByProject.get(projectId) || 0) < this.perProjectLimit;
+  }
+
+  // 1-based position in round-robin dispatch order
+  getPosition(jobId) {
+    const queues = this.projectOrder.map(projectId => this.queues.get(projectId) || []);
+    const longest = Math.max(0, ...queues.map(queue => queue.length));
+    let position = 0;
+
+    for (let depth = 0; depth < longest; depth++) {
+      for (const queue of queues) {
+        if (depth >= queue.length) continue;
+        position++;
+        if (queue[depth].id === jobId) return position;
+      }
+    }
+
+    return null;
+  }
+
+  // Queued jobs of a user with their current positions
+  getUserQueueStatus(userKey) {
+    const jobs = [];
+
+    for (const queue of this.queues.values()) {
+      for (const job of queue) {
+        if (job.userKey !== userKey) continue;
+        jobs.push({
+          id: job.id,
+          projectId: job.projectId,
+          position: this.getPosition(job.id),
+          waitingMs: Date.now() - job.enqueuedAt
+        });
+      }
+    }
+
+    return {
+      running: this.runningByUser.get(userKey) || 0,
+      queued: jobs.sort((a, b) => a.position - b.position)
+    };
+  }
+
+  countQueuedForUser(userKey) {
+    let count = 0;
+    for (const queue of this.queues.values()) {
+      count += queue.filter(job => job.userKey === userKey).length;
+    }
+    return count;
+  }
+
+  // Seconds until a slot is likely to be free for `queueLength` jobs ahead
+  estimateRetryAfter(queueLength) {
+    const rounds = Math.ceil((queueLength + 1) / Math.max(this.maxConcurrent, 1));
+    return Math.max(1, Math.ceil((rounds * this.avgExecutionMs) / 1000));
+  }
+
+  decrement(map, key) {
+    const value = (map.get(key) || 1) - 1;
+    if (value <= 0) map.delete(key);
+    else map.set(key, value);
+  }
+
+  createError(message, statusCode, details = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    Object.assign(error, details);
+    return error;
+  }
+
+  // Scheduler metrics
+  getMetrics() {
+    return {
+      running: this.running,
+      queued: this.queuedCount,
+      limits: {
+        maxConcurrent: this.maxConcurrent,
+        perUser: this.perUserLimit,
+        perProject: this.perProjectLimit,
+        maxQueueSize: this.maxQueueSize,
+        maxQueuedPerUser: this.maxQueuedPerUser,
+        maxWaitMs: this.maxWaitMs
+      },
+      projectsWaiting: this.projectOrder.length,
+      avgExecutionMs: this.avgExecutionMs,
+      avgWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+      ...this.stats
+    };
+  }
+}
+
+export default new ExecutionScheduler();
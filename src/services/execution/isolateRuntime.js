@@ -0,0 +1,169 @@
+import { Worker } from 'worker_threads';
+import env from '../../config/env.js';
+import logCapture from './logCapture.js';
+
+/**
+ * IN-PROCESS ISOLATE RUNTIME
+ * - One worker thread + fresh V8 context per execution
+ * - Hard heap limit (worker resourceLimits) and wall-clock limit (terminate)
+ * - Async endpoint code; microtasks count against the timeout
+ * - Runs the same scripts as the Docker strategy, with the same result shape
+ * - Bounded worker count; executions beyond it wait (FIFO) for a free worker
+ */
+
+const WORKER_PATH = new URL('./isolateWorker.js', import.meta.url);
+
+class IsolateRuntime {
+  constructor() {
+    this.maxWorkers = parseInt(env.sandbox.isolateMaxWorkers) || 4;
+    this.maxQueued = parseInt(env.sandbox.isolateMaxQueued) || 100;
+    this.activeWorkers = 0;
+    this.waiting = []; // resolvers of executions waiting for a worker
+    this.stats = {
+      executions: 0,
+      queued: 0,
+      timeouts: 0,
+      memoryExceeded: 0
+    };
+  }
+
+  // Run a script in an isolated context (same contract and result shape as dockerManager.executeCode)
+  async executeCode(code, limits) {
+    await this.acquireWorker();
+
+    const source = this.wrapCode(code);
+    const startTime = Date.now();
+
+    this.stats.executions++;
+
+    const result = await new Promise((resolve) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: { source, timeout: limits.timeoutMs },
+        resourceLimits: {
+          maxOldGenerationSizeMb: limits.memoryMb,
+          maxYoungGenerationSizeMb: Math.min(16, Math.max(4, Math.floor(limits.memoryMb / 8))),
+          stackSizeMb: 4
+        },
+        env: {},
+        argv: [],
+        execArgv: []
+      });
+
+      let settled = false;
+      const finish = (payload) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate().catch(() => {});
+        resolve(payload);
+      };
+
+      // Backstop for work the in-context timeout cannot interrupt
+      const timer = setTimeout(() => {
+        finish({ success: false, error: 'EXECUTION_TIMEOUT' });
+      }, limits.timeoutMs + 1000);
+
+      worker.once('message', finish);
+      worker.once('error', (error) => {
+        finish({
+          success: false,
+          error: error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'MEMORY_LIMIT_EXCEEDED' : error.message
+        });
+      });
+      worker.once('exit', (exitCode) => {
+        finish({ success: false, error: `Isolate exited with code ${exitCode}` });
+      });
+    }).finally(() => {
+      this.releaseWorker();
+    });
+
+    if (result.error === 'EXECUTION_TIMEOUT') this.stats.timeouts++;
+    if (result.error === 'MEMORY_LIMIT_EXCEEDED') this.stats.memoryExceeded++;
+
+    const success = result.success === true;
+
+    return {
+      success,
+      output: success ? (result.data ?? null) : null,
+      error: success ? null : result.error,
+      logs: result.logs || [],
+      operations: success ? result.operations || [] : [],
+      executionTime: Date.now() - startTime,
+      exitCode: null,
+      memoryUsedMb: result.memoryUsedMb ?? null,
+      cpuTimeMs: null
+    };
+  }
+
+  // Take a worker slot, waiting in line when all are busy (the scheduler may admit more runs than there are workers)
+  async acquireWorker() {
+    if (this.activeWorkers < this.maxWorkers) {
+      this.activeWorkers++;
+      return;
+    }
+
+    if (this.waiting.length >= this.maxQueued) {
+      throw new Error('ISOLATE_LIMIT_EXCEEDED');
+    }
+
+    this.stats.queued++;
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiting execution, or free it
+  releaseWorker() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.activeWorkers--;
+  }
+
+  // Script evaluated inside the context; settles into a JSON string on __executionResult
+  wrapCode(code) {
+    return `
+      ${logCapture.getCaptureSource()}
+      const console = __logCapture.console;
+
+      const __settle = (payload) => {
+        try {
+          globalThis.__executionResult = JSON.stringify({ ...payload, logs: __logCapture.getLogs() });
+        } catch (error) {
+          globalThis.__executionResult = JSON.stringify({
+            success: false,
+            error: 'Response is not serializable: ' + String(error && error.message),
+            logs: __logCapture.getLogs()
+          });
+        }
+      };
+
+      // Async function body: top-level await and returned promises both work
+      (async function() {
+        ${code}
+      })().then(
+        (result) => __settle({
+          success: true,
+          data: result,
+          // Collection mutations recorded by db.collection(), if the script set one up
+          operations: typeof globalThis.__collectionOperations === 'function'
+            ? globalThis.__collectionOperations()
+            : []
+        }),
+        (error) => __settle({
+          success: false,
+          error: error && error.message ? String(error.message) : String(error)
+        })
+      );
+    `;
+  }
+
+  // Runtime metrics
+  getMetrics() {
+    return {
+      activeWorkers: this.activeWorkers,
+      maxWorkers: this.maxWorkers,
+      waiting: this.waiting.length,
+      ...this.stats
+    };
+  }
+}
+
+export default new IsolateRuntime();
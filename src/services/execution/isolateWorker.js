@@ -0,0 +1,66 @@
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+import v8 from 'v8';
+
+/**
+ * ISOLATE WORKER
+ * - Runs one execution in a fresh V8 context inside its own worker thread
+ * - No require, process or host objects inside the context
+ * - Only JSON strings cross the context boundary
+ */
+
+const { source, timeout } = workerData;
+
+// Null prototype: nothing in the context can reach host constructors
+const contextObject = Object.create(null);
+const context = vm.createContext(contextObject, {
+  name: 'endpoint-isolate',
+  codeGeneration: { strings: false, wasm: false },
+  // Promise jobs run inside runInContext, so the timeout covers async code
+  microtaskMode: 'afterEvaluate'
+});
+
+const unhandledRejections = [];
+process.on('unhandledRejection', (reason) => {
+  unhandledRejections.push(reason && reason.message ? String(reason.message) : String(reason));
+});
+
+const heapUsedMb = () => Math.ceil(v8.getHeapStatistics().total_heap_size / 1024 / 1024);
+
+const runEndpoint = async () => {
+  vm.runInContext(source, context, {
+    timeout,
+    filename: 'endpoint.js',
+    displayErrors: false
+  });
+
+  // Let rejections nobody awaited surface before reporting
+  await new Promise(resolve => setImmediate(resolve));
+
+  const output = contextObject.__executionResult;
+  if (typeof output !== 'string') {
+    // Nothing in the context can resolve it later (no timers or I/O)
+    return { success: false, error: 'PROMISE_NEVER_SETTLED', logs: [] };
+  }
+
+  const result = JSON.parse(output);
+  if (result.success && unhandledRejections.length > 0) {
+    return {
+      ...result,
+      success: false,
+      error: `Unhandled promise rejection: ${unhandledRejections[0]}`
+    };
+  }
+
+  return result;
+};
+
+try {
+  parentPort.postMessage({ ...(await runEndpoint()), memoryUsedMb: heapUsedMb() });
+} catch (error) {
+  const message = error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+    ? 'EXECUTION_TIMEOUT'
+    : String(error?.message || error);
+
+  parentPort.postMessage({ success: false, error: message, logs: [], memoryUsedMb: heapUsedMb() });
+}
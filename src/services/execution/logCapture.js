@@ -0,0 +1,150 @@
+/**
+ * EXECUTION LOG CAPTURE
+ * - Structured console capture injected into endpoint code
+ * - Size-capped entries with safe truncation
+ * - Same log shape for every execution strategy
+ */
+
+export const DEFAULT_LOG_LIMITS = {
+  maxEntries: 100,
+  maxArgLength: 2000,
+  maxTotalLength: 32000
+};
+
+// Injected into sandboxes via toString(), so it must stay self-contained
+export function createLogCapture(limits = {}) {
+  const maxEntries = limits.maxEntries || 100;
+  const maxArgLength = limits.maxArgLength || 2000;
+  const maxTotalLength = limits.maxTotalLength || 32000;
+  const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+  const entries = [];
+  let totalLength = 0;
+  let dropped = 0;
+
+  // Cut without splitting a surrogate pair
+  const truncate = (text, max) => {
+    if (text.length <= max) return { text, truncated: false };
+    let end = max;
+    const code = text.charCodeAt(end - 1);
+    if (code >= 0xd800 && code <= 0xdbff) end--;
+    return { text: text.slice(0, end) + '…[truncated]', truncated: true };
+  };
+
+  const serialize = (value) => {
+    if (typeof value === 'string') return value;
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+    if (value === null || typeof value !== 'object') return String(value);
+
+    const seen = new WeakSet();
+    try {
+      return JSON.stringify(value, (key, item) => {
+        if (typeof item === 'bigint') return `${item}n`;
+        if (typeof item === 'function') return `[Function ${item.name || 'anonymous'}]`;
+        if (item instanceof Error) return { name: item.name, message: item.message };
+        if (item && typeof item === 'object') {
+          if (seen.has(item)) return '[Circular]';
+          seen.add(item);
+        }
+        return item;
+      });
+    } catch (error) {
+      return `[Unserializable: ${error.message}]`;
+    }
+  };
+
+  const record = (level, args, timestamp = new Date().toISOString()) => {
+    if (entries.length >= maxEntries || totalLength >= maxTotalLength) {
+      dropped++;
+      return;
+    }
+
+    let truncated = false;
+    const serializedArgs = args.map(arg => {
+      const result = truncate(serialize(arg), maxArgLength);
+      truncated = truncated || result.truncated;
+      return result.text;
+    });
+
+    const message = truncate(serializedArgs.join(' '), Math.max(maxTotalLength - totalLength, 0));
+    totalLength += message.text.length;
+
+    entries.push({
+      level,
+      timestamp,
+      args: message.truncated ? [message.text] : serializedArgs,
+      message: message.text,
+      ...((truncated || message.truncated) && { truncated: true })
+    });
+  };
+
+  const console = {};
+  LEVELS.forEach(level => {
+    console[level] = (...args) => record(level, args);
+  });
+  console.trace = (...args) => record('debug', args);
+
+  return {
+    console,
+    record,
+    addDropped: (count) => { dropped += count; },
+    getLogs: () => dropped > 0
+      ? [...entries, {
+          level: 'warn',
+          timestamp: new Date().toISOString(),
+          args: [],
+          message: `${dropped} log entries dropped (log limit reached)`,
+          dropped
+        }]
+      : [...entries]
+  };
+}
+
+const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+class LogCapture {
+  // Source for injecting the capture into sandboxed code
+  getCaptureSource(limits = DEFAULT_LOG_LIMITS) {
+    return `const __logCapture = (${createLogCapture.toString()})(${JSON.stringify(limits)});`;
+  }
+
+  // Re-validate logs coming back from a sandbox (container output is untrusted)
+  normalize(logs, limits = DEFAULT_LOG_LIMITS) {
+    if (!Array.isArray(logs)) return [];
+
+    const capture = createLogCapture(limits);
+
+    for (const log of logs) {
+      if (typeof log === 'string') {
+        capture.record('log', [log]);
+        continue;
+      }
+
+      if (!log || typeof log !== 'object') continue;
+
+      // Drop notice from the sandbox's own capture
+      if (Number.isInteger(log.dropped)) {
+        capture.addDropped(log.dropped);
+        continue;
+      }
+
+      const level = LEVELS.includes(log.level) ? log.level : 'log';
+      const timestamp = typeof log.timestamp === 'string' && !isNaN(Date.parse(log.timestamp))
+        ? log.timestamp
+        : new Date().toISOString();
+      const args = Array.isArray(log.args)
+        ? log.args.map(arg => (typeof arg === 'string' ? arg : String(arg)))
+        : [String(log.message ?? '')];
+
+      capture.record(level, args, timestamp);
+    }
+
+    return capture.getLogs();
+  }
+}
+
+export default new LogCapture();
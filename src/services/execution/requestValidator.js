@@ -0,0 +1,238 @@
+import schemaValidator from '../schemaValidator.js';
+import collectionApi from './collectionApi.js';
+
+/**
+ * ENDPOINT REQUEST VALIDATION
+ * - Opt-in per endpoint (`validateRequest`), checked before a container is acquired
+ * - Body against `requestSchema`; query, path params and headers against their definitions
+ * - Query/path/header values are strings, coerced to the declared type before validation
+ * - Per-field errors: { location, field, path, keyword, message }
+ * - Regex keywords must pass the static backtracking check (they run on the event loop)
+ */
+
+const MAX_ERRORS = 100;
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+const SCHEMA_KEYWORDS = ['type', 'properties', 'items', 'enum', 'const', 'allOf', 'anyOf', 'oneOf', '$ref', 'pattern', 'format'];
+// Keywords holding instance values rather than subschemas
+const VALUE_KEYWORDS = ['enum', 'const', 'default', 'examples', 'example'];
+const SCHEMA_MAPS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas'];
+
+class RequestValidator {
+  // Validate an incoming request; `values` carries the coerced query and path params
+  validate(endpoint, { body, query = {}, params = {}, headers = {} }) {
+    const errors = [
+      ...this.validateBody(endpoint, body),
+      ...this.validateParameters('path', endpoint.pathParams, params, { required: true }),
+      ...this.validateParameters('query', endpoint.queryParams, query),
+      ...this.validateParameters('header', this.getHeaderDefinitions(endpoint.headers), this.lowerCaseKeys(headers))
+    ];
+
+    return {
+      valid: errors.length === 0,
+      errors: errors.slice(0, MAX_ERRORS),
+      truncated: errors.length > MAX_ERRORS,
+      values: {
+        body,
+        query: { ...query, ...this.coerceAll(endpoint.queryParams, query) },
+        params: { ...params, ...this.coerceAll(endpoint.pathParams, params) },
+        headers
+      }
+    };
+  }
+
+  // Reject definitions that would fail to compile at execution time
+  assertValidDefinitions({ requestSchema, queryParams, pathParams, headers }) {
+    const errors = [];
+    const check = (field, schema) => {
+      try {
+        schemaValidator.compile(schema);
+      } catch (error) {
+        errors.push(...(error.errors || []).map(detail => ({ ...detail, field })));
+      }
+      errors.push(...this.findUnsafePatterns(schema).map(path => ({
+        field,
+        path,
+        keyword: 'pattern',
+        message: 'pattern may not repeat variable-width groups or use backreferences'
+      })));
+    };
+
+    if (this.isSchema(requestSchema)) check('requestSchema', requestSchema);
+    for (const [location, definitions] of [['queryParams', queryParams], ['pathParams', pathParams], ['headers', this.getHeaderDefinitions(headers)]]) {
+      for (const [name, definition] of Object.entries(this.getDefinitions(definitions))) {
+        check(`${location}.${name}`, definition.schema);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw schemaValidator.createError('INVALID_SCHEMA', 400, errors);
+    }
+  }
+
+  // Schema paths of `pattern` / `patternProperties` regexes that could backtrack exponentially
+  findUnsafePatterns(schema, path = '') {
+    if (!schema || typeof schema !== 'object') return [];
+    if (Array.isArray(schema)) return schema.flatMap((entry, index) => this.findUnsafePatterns(entry, `${path}/${index}`));
+
+    const unsafe = [];
+    if (typeof schema.pattern === 'string' && !collectionApi.isSafeRegex(schema.pattern)) {
+      unsafe.push(`${path}/pattern`);
+    }
+
+    for (const [key, value] of Object.entries(schema)) {
+      if (VALUE_KEYWORDS.includes(key) || !value || typeof value !== 'object') continue;
+
+      // Maps of name -> subschema (a property may be called "pattern" or "enum")
+      if (SCHEMA_MAPS.includes(key) && !Array.isArray(value)) {
+        for (const [name, subschema] of Object.entries(value)) {
+          if (key === 'patternProperties' && !collectionApi.isSafeRegex(name)) {
+            unsafe.push(`${path}/patternProperties/${name}`);
+          }
+          unsafe.push(...this.findUnsafePatterns(subschema, `${path}/${key}/${name}`));
+        }
+        continue;
+      }
+
+      unsafe.push(...this.findUnsafePatterns(value, `${path}/${key}`));
+    }
+    return unsafe;
+  }
+
+  validateBody(endpoint, body) {
+    if (BODYLESS_METHODS.includes(endpoint.method) || !this.isSchema(endpoint.requestSchema)) return [];
+
+    const validate = schemaValidator.compile(endpoint.requestSchema);
+    if (validate(body ?? null)) return [];
+
+    return validate.errors.map(error => {
+      // Missing and unexpected properties are reported at the property itself
+      const property = error.params.missingProperty ?? error.params.additionalProperty;
+      const path = property !== undefined ? `${error.instancePath}/${property}` : error.instancePath;
+
+      return {
+        location: 'body',
+        field: path.split('/')[1] || null,
+        path: path || '/',
+        keyword: error.keyword,
+        message: schemaValidator.formatMessage(error)
+      };
+    });
+  }
+
+  validateParameters(location, definitions, values, { required: alwaysRequired = false } = {}) {
+    const errors = [];
+
+    for (const [name, { schema, required }] of Object.entries(this.getDefinitions(definitions))) {
+      const key = location === 'header' ? name.toLowerCase() : name;
+      const value = values[key];
+
+      if (value === undefined || value === '') {
+        if (alwaysRequired || required) {
+          errors.push({ location, field: name, path: '/', keyword: 'required', message: `missing required ${location} parameter "${name}"` });
+        }
+        continue;
+      }
+
+      const validate = schemaValidator.compile(schema);
+      if (validate(this.coerce(value, schema))) continue;
+
+      errors.push(...validate.errors.map(error => ({
+        location,
+        field: name,
+        path: error.instancePath || '/',
+        keyword: error.keyword,
+        message: schemaValidator.formatMessage(error)
+      })));
+    }
+
+    return errors;
+  }
+
+  // { name: schema } definitions; `required: true` on a parameter marks it mandatory
+  getDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) return {};
+
+    const result = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      // "integer" is shorthand for { type: 'integer' }
+      const spec = typeof definition === 'string' && JSON_TYPES.includes(definition)
+        ? { type: definition }
+        : definition;
+      if (!this.isSchema(spec)) continue;
+
+      const { required, ...schema } = spec;
+      result[name] = {
+        schema: typeof required === 'boolean' ? schema : spec,
+        required: required === true
+      };
+    }
+    return result;
+  }
+
+  // Header definitions map names to schemas; plain string values are documentation examples
+  getHeaderDefinitions(headers) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return {};
+
+    return Object.fromEntries(
+      Object.entries(headers).filter(([, definition]) => definition && typeof definition === 'object')
+    );
+  }
+
+  coerceAll(definitions, values) {
+    const coerced = {};
+    for (const [name, { schema }] of Object.entries(this.getDefinitions(definitions))) {
+      if (values[name] !== undefined && values[name] !== '') {
+        coerced[name] = this.coerce(values[name], schema);
+      }
+    }
+    return coerced;
+  }
+
+  // Strings become the declared type when they parse as it; values a string type allows are kept
+  coerce(value, schema) {
+    const types = [].concat(schema.type || []);
+
+    // Repeated query keys arrive as arrays
+    if (Array.isArray(value) && types.includes('array')) {
+      const itemSchema = schema.items && typeof schema.items === 'object' ? schema.items : {};
+      return value.map(item => this.coerce(item, itemSchema));
+    }
+    if (typeof value !== 'string' || types.length === 0 || types.includes('string')) return value;
+
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    if (types.includes('null') && value === 'null') {
+      return null;
+    }
+    if (types.includes('array')) {
+      const itemSchema = schema.items && typeof schema.items === 'object' ? schema.items : {};
+      return value.split(',').map(item => this.coerce(item.trim(), itemSchema));
+    }
+    if (types.includes('object')) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+
+    return value;
+  }
+
+  // Endpoints may store example payloads instead of schemas (documentation infers those)
+  isSchema(schema) {
+    return Boolean(schema) && typeof schema === 'object' && !Array.isArray(schema) &&
+      SCHEMA_KEYWORDS.some(keyword => schema[keyword] !== undefined);
+  }
+
+  lowerCaseKeys(values) {
+    return Object.fromEntries(Object.entries(values || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+}
+
+export default new RequestValidator();
@@ -0,0 +1,97 @@
+/**
+ * SANDBOX RESOURCE LIMITS
+ * - Resolve per-endpoint timeout/memory into container limits
+ * - Enforce bounds per plan (the project owner's role)
+ * - Validate endpoint limits on create/update
+ */
+
+const PLAN_LIMITS = {
+  USER: {
+    maxTimeoutMs: 10000,
+    maxMemoryMb: 256,
+    cpuShares: 512,
+    pidsLimit: 64
+  },
+  ADMIN: {
+    maxTimeoutMs: 30000,
+    maxMemoryMb: 512,
+    cpuShares: 1024,
+    pidsLimit: 128
+  },
+  SUPER_ADMIN: {
+    maxTimeoutMs: 60000,
+    maxMemoryMb: 1024,
+    cpuShares: 1024,
+    pidsLimit: 256
+  }
+};
+
+const MIN_TIMEOUT_MS = 100;
+const MIN_MEMORY_MB = 64;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MEMORY_MB = 128;
+
+class ResourceLimits {
+  // Plan bounds for a role
+  getPlanLimits(role) {
+    return PLAN_LIMITS[role] || PLAN_LIMITS.USER;
+  }
+
+  // Limits applied to one execution, clamped to the plan
+  resolve(endpoint = {}, role) {
+    const plan = this.getPlanLimits(role);
+
+    const timeoutMs = this.clamp(endpoint.timeout ?? DEFAULT_TIMEOUT_MS, MIN_TIMEOUT_MS, plan.maxTimeoutMs);
+    const memoryMb = this.clamp(endpoint.memoryLimit ?? DEFAULT_MEMORY_MB, MIN_MEMORY_MB, plan.maxMemoryMb);
+
+    return {
+      timeoutMs,
+      memoryMb,
+      cpuShares: plan.cpuShares,
+      pidsLimit: plan.pidsLimit,
+      // CPU time can never usefully exceed wall-clock time
+      cpuTimeSeconds: Math.max(1, Math.ceil(timeoutMs / 1000)),
+      // Leave headroom for the Node runtime itself
+      heapMb: Math.max(32, Math.floor(memoryMb * 0.75))
+    };
+  }
+
+  // Reject endpoint limits outside the plan bounds
+  validate({ timeout, memoryLimit }, role) {
+    const plan = this.getPlanLimits(role);
+    const errors = [];
+
+    if (timeout !== undefined && timeout !== null &&
+        (!Number.isInteger(timeout) || timeout < MIN_TIMEOUT_MS || timeout > plan.maxTimeoutMs)) {
+      errors.push({
+        field: 'timeout',
+        message: `Timeout must be an integer between ${MIN_TIMEOUT_MS} and ${plan.maxTimeoutMs}ms`
+      });
+    }
+
+    if (memoryLimit !== undefined && memoryLimit !== null &&
+        (!Number.isInteger(memoryLimit) || memoryLimit < MIN_MEMORY_MB || memoryLimit > plan.maxMemoryMb)) {
+      errors.push({
+        field: 'memoryLimit',
+        message: `Memory limit must be an integer between ${MIN_MEMORY_MB} and ${plan.maxMemoryMb}MB`
+      });
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('RESOURCE_LIMITS_EXCEEDED');
+      error.statusCode = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    return true;
+  }
+
+  clamp(value, min, max) {
+    const number = parseInt(value);
+    if (!Number.isFinite(number)) return min;
+    return Math.min(Math.max(number, min), max);
+  }
+}
+
+export default new ResourceLimits();
@@ -0,0 +1,268 @@
+/**
+ * ENDPOINT RESPONSE CONTRACT
+ * - `Response` helpers injected into endpoint code
+ * - Normalize sandbox output into status, headers, cookies and body
+ * - Write normalized responses to Express
+ */
+
+// Injected into sandboxes via toString(), so it must stay self-contained
+export function createResponseHelpers() {
+  const envelope = (status, payload, options = {}) => ({
+    success: status >= 200 && status < 300,
+    status,
+    ...payload,
+    ...(options.headers && Object.keys(options.headers).length > 0 && { headers: options.headers }),
+    ...(options.cookies && options.cookies.length > 0 && { cookies: options.cookies }),
+    ...(options.contentType && { contentType: options.contentType }),
+    timestamp: new Date().toISOString()
+  });
+
+  // Chainable: Response.status(404).header('X-Reason', 'gone').json({ ... })
+  const builder = (state) => ({
+    status: (code) => builder({ ...state, status: code }),
+    header: (name, value) => builder({ ...state, headers: { ...state.headers, [name]: String(value) } }),
+    headers: (values = {}) => builder({ ...state, headers: { ...state.headers, ...values } }),
+    cookie: (name, value, options = {}) => builder({
+      ...state,
+      cookies: [...state.cookies, { name, value: String(value), options }]
+    }),
+    clearCookie: (name, options = {}) => builder({
+      ...state,
+      cookies: [...state.cookies, { name, value: '', options: { ...options, expires: new Date(0).toISOString() } }]
+    }),
+    type: (contentType) => builder({ ...state, contentType }),
+    json: (data) => envelope(state.status, { data }, state),
+    send: (body) => envelope(state.status, { body }, state),
+    error: (message) => envelope(state.status, { error: message }, state),
+    // Response.status(301).redirect(url) keeps the chained 3xx status
+    redirect: (url, status) => envelope(
+      status ?? (state.status >= 300 && state.status <= 399 ? state.status : 302),
+      { redirect: url },
+      state
+    ),
+    noContent: () => envelope(204, { body: null }, state)
+  });
+
+  const start = () => builder({ status: 200, headers: {}, cookies: [], contentType: null });
+
+  return {
+    json: (data, status = 200, options) => envelope(status, { data }, options),
+    error: (message, status = 400, options) => envelope(status, { error: message }, options),
+    success: (data) => envelope(200, { data }),
+    send: (body, status = 200, options) => envelope(status, { body }, options),
+    redirect: (url, status = 302) => envelope(status, { redirect: url }),
+    noContent: () => envelope(204, { body: null }),
+    status: (code) => start().status(code),
+    header: (name, value) => start().header(name, value),
+    headers: (values) => start().headers(values),
+    cookie: (name, value, options) => start().cookie(name, value, options),
+    clearCookie: (name, options) => start().clearCookie(name, options),
+    type: (contentType) => start().type(contentType)
+  };
+}
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const BLOCKED_HEADERS = [
+  'set-cookie',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'keep-alive',
+  'upgrade',
+  'host',
+  'trailer',
+  // Security headers are owned by the app (helmet)
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'strict-transport-security',
+  'x-frame-options',
+  'x-content-type-options',
+  'x-xss-protection',
+  'x-dns-prefetch-control',
+  'x-download-options',
+  'x-permitted-cross-domain-policies',
+  'referrer-policy',
+  'origin-agent-cluster',
+  'cross-origin-opener-policy',
+  'cross-origin-resource-policy',
+  'cross-origin-embedder-policy'
+];
+// CORS is decided by the gateway, not by endpoint code
+const BLOCKED_HEADER_PREFIXES = ['access-control-'];
+// Cookies the app itself reads (auth), plus prefixes whose rules a scoped path would break
+const RESERVED_COOKIES = ['accesstoken', 'refreshtoken', 'connect.sid'];
+const RESERVED_COOKIE_PREFIXES = ['__host-', '__secure-'];
+const SAME_SITE_VALUES = ['strict', 'lax', 'none'];
+
+class ResponseBuilder {
+  // Source for injecting the helpers into sandboxed code
+  getHelperSource() {
+    return `const Response = (${createResponseHelpers.toString()})();`;
+  }
+
+  // Normalize execution output into an HTTP response description
+  build(executionResult, output) {
+    if (!executionResult.success) {
+      return {
+        status: 500,
+        headers: {},
+        cookies: [],
+        contentType: null,
+        body: {
+          success: false,
+          error: 'EXECUTION_FAILED',
+          message: executionResult.error
+        }
+      };
+    }
+
+    if (!this.isEnvelope(output)) {
+      return {
+        status: 200,
+        headers: {},
+        cookies: [],
+        contentType: null,
+        body: output
+      };
+    }
+
+    if (output.status < 100 || output.status > 599) {
+      return {
+        status: 500,
+        headers: {},
+        cookies: [],
+        contentType: null,
+        body: {
+          success: false,
+          error: 'INVALID_RESPONSE_STATUS',
+          message: `Endpoint returned invalid status code ${output.status}`
+        }
+      };
+    }
+
+    const headers = this.sanitizeHeaders(output.headers);
+    let status = output.status;
+    let body;
+
+    if (output.redirect) {
+      headers.location = String(output.redirect).replace(/[\r\n]/g, '');
+      if (status < 300 || status > 399) status = 302;
+      body = null;
+    } else if (output.error !== undefined) {
+      body = { error: output.error };
+    } else {
+      body = 'body' in output ? output.body : output.data;
+    }
+
+    return {
+      status,
+      headers,
+      cookies: this.sanitizeCookies(output.cookies),
+      contentType: typeof output.contentType === 'string' ? output.contentType : null,
+      body
+    };
+  }
+
+  // Response.json()/error()/send()/redirect() envelopes carry an integer status
+  isEnvelope(output) {
+    return !!output &&
+      typeof output === 'object' &&
+      !Array.isArray(output) &&
+      Number.isInteger(output.status) &&
+      ['data', 'error', 'body', 'redirect'].some(key => key in output);
+  }
+
+  // Drop hop-by-hop/unsafe headers and header injection attempts
+  sanitizeHeaders(headers) {
+    const sanitized = {};
+    if (!headers || typeof headers !== 'object') return sanitized;
+
+    for (const [name, value] of Object.entries(headers)) {
+      const lowerName = name.toLowerCase();
+
+      if (!HEADER_NAME_PATTERN.test(name) || BLOCKED_HEADERS.includes(lowerName)) continue;
+      if (BLOCKED_HEADER_PREFIXES.some(prefix => lowerName.startsWith(prefix))) continue;
+      if (value === undefined || value === null || typeof value === 'object') continue;
+
+      sanitized[lowerName] = String(value).replace(/[\r\n]/g, '');
+    }
+
+    return sanitized;
+  }
+
+  // Keep well-formed cookies and safe options only; app cookies cannot be set or cleared
+  sanitizeCookies(cookies) {
+    if (!Array.isArray(cookies)) return [];
+
+    return cookies
+      .filter(cookie => cookie && HEADER_NAME_PATTERN.test(cookie.name || '') && !this.isReservedCookie(cookie.name))
+      .map(({ name, value, options = {} }) => {
+        const safeOptions = {};
+
+        if (Number.isFinite(options.maxAge)) safeOptions.maxAge = options.maxAge;
+        if (options.expires && !isNaN(new Date(options.expires))) safeOptions.expires = new Date(options.expires);
+        if (typeof options.httpOnly === 'boolean') safeOptions.httpOnly = options.httpOnly;
+        if (typeof options.secure === 'boolean') safeOptions.secure = options.secure;
+        if (typeof options.path === 'string') safeOptions.path = options.path;
+        if (typeof options.sameSite === 'string' && SAME_SITE_VALUES.includes(options.sameSite.toLowerCase())) {
+          safeOptions.sameSite = options.sameSite.toLowerCase();
+        }
+
+        return {
+          name,
+          value: String(value ?? '').replace(/[\r\n;]/g, ''),
+          options: safeOptions
+        };
+      });
+  }
+
+  isReservedCookie(name) {
+    const lowerName = name.toLowerCase();
+    return RESERVED_COOKIES.includes(lowerName) || RESERVED_COOKIE_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+  }
+
+  // Cookie paths are relative to the project's base path: `/cart` -> `/p/shop/cart`
+  scopeCookiePath(path, basePath) {
+    const relative = typeof path === 'string' && path.startsWith('/') ? path.replace(/\/+$/, '') : '';
+    return basePath + relative;
+  }
+
+  // Write a normalized response to Express; cookies never escape `basePath`
+  write(res, response, { basePath }) {
+    res.status(response.status);
+
+    Object.entries(response.headers || {}).forEach(([name, value]) => res.set(name, value));
+    (response.cookies || []).forEach(cookie => res.cookie(cookie.name, cookie.value, {
+      ...cookie.options,
+      path: this.scopeCookiePath(cookie.options?.path, basePath)
+    }));
+
+    if (response.contentType) {
+      res.type(response.contentType);
+    }
+
+    const { body } = response;
+    const noBody = res.req.method === 'HEAD' ||
+      response.status === 204 ||
+      response.status === 304 ||
+      body === undefined ||
+      (body === null && response.headers?.location);
+
+    if (noBody) {
+      return res.end();
+    }
+
+    if (typeof body === 'string') {
+      if (!response.contentType) res.type('text/plain');
+      return res.send(body);
+    }
+
+    if (response.contentType && !/json/i.test(response.contentType)) {
+      return res.send(JSON.stringify(body));
+    }
+
+    return res.json(body);
+  }
+}
+
+export default new ResponseBuilder();
@@ -0,0 +1,123 @@
+import schemaValidator from '../schemaValidator.js';
+import requestValidator from './requestValidator.js';
+
+/**
+ * ENDPOINT RESPONSE CONTRACT CHECKS
+ * - Each execution's response body is checked against `responseSchema` for its status
+ * - `responseSchema` is one schema (2xx responses) or a map keyed by status:
+ *   { "200": schema, "4XX": schema, "default": schema }
+ * - Strict endpoints (`strictResponse`) turn violations into 500s
+ */
+
+const MAX_VIOLATIONS = 100;
+const STATUS_KEY_PATTERN = /^([1-5]XX|[1-5]\d\d|default)$/i;
+
+class ResponseValidator {
+  // Contract check result, or null when no schema covers the response
+  check(endpoint, response) {
+    const contract = this.getSchemaForStatus(endpoint.responseSchema, response.status);
+    if (!contract) return null;
+
+    // Redirects and empty responses have no body to check
+    if (response.body === null || response.body === undefined) return null;
+
+    let validate;
+    try {
+      validate = schemaValidator.compile(contract.schema);
+    } catch (error) {
+      return this.result(response.status, contract.key, [{
+        path: '/',
+        keyword: 'schema',
+        message: error.errors?.[0]?.message || error.message
+      }]);
+    }
+
+    if (validate(response.body)) {
+      return this.result(response.status, contract.key, []);
+    }
+
+    return this.result(response.status, contract.key, validate.errors.map(error => {
+      const property = error.params.missingProperty ?? error.params.additionalProperty;
+      return {
+        path: (property !== undefined ? `${error.instancePath}/${property}` : error.instancePath) || '/',
+        keyword: error.keyword,
+        message: schemaValidator.formatMessage(error)
+      };
+    }));
+  }
+
+  // Exact status, then its class ("4XX"), then "default"; a single schema covers 2xx
+  getSchemaForStatus(responseSchema, status) {
+    if (!responseSchema || typeof responseSchema !== 'object' || Array.isArray(responseSchema)) return null;
+
+    if (this.isStatusMap(responseSchema)) {
+      const keys = Object.keys(responseSchema);
+      const key = [String(status), `${String(status)[0]}XX`, 'default']
+        .map(candidate => keys.find(existing => existing.toUpperCase() === candidate.toUpperCase()))
+        .find(existing => existing !== undefined && requestValidator.isSchema(responseSchema[existing]));
+
+      return key ? { key, schema: responseSchema[key] } : null;
+    }
+
+    if (status < 200 || status > 299 || !requestValidator.isSchema(responseSchema)) return null;
+    return { key: 'responseSchema', schema: responseSchema };
+  }
+
+  isStatusMap(responseSchema) {
+    const keys = Object.keys(responseSchema);
+    return keys.length > 0 && keys.every(key => STATUS_KEY_PATTERN.test(key));
+  }
+
+  // Reject schemas that would not compile (checked when strict mode is turned on)
+  assertValidSchema(responseSchema) {
+    const schemas = responseSchema && typeof responseSchema === 'object' && this.isStatusMap(responseSchema)
+      ? Object.entries(responseSchema)
+      : [['responseSchema', responseSchema]];
+
+    const errors = [];
+    for (const [key, schema] of schemas) {
+      if (!requestValidator.isSchema(schema)) continue;
+
+      try {
+        schemaValidator.compile(schema);
+      } catch (error) {
+        errors.push(...(error.errors || []).map(detail => ({
+          ...detail,
+          field: key === 'responseSchema' ? key : `responseSchema.${key}`
+        })));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw schemaValidator.createError('INVALID_SCHEMA', 400, errors);
+    }
+  }
+
+  // What a strict endpoint returns instead of a response that breaks its contract
+  buildViolationResponse(contract) {
+    return {
+      status: 500,
+      headers: {},
+      cookies: [],
+      contentType: null,
+      body: {
+        success: false,
+        error: 'RESPONSE_CONTRACT_VIOLATION',
+        message: `Endpoint response (${contract.status}) does not match its responseSchema`,
+        violations: contract.violations
+      }
+    };
+  }
+
+  result(status, schema, violations) {
+    return {
+      valid: violations.length === 0,
+      status,
+      schema,
+      violations: violations.slice(0, MAX_VIOLATIONS),
+      truncated: violations.length > MAX_VIOLATIONS
+    };
+  }
+}
+
+export default new ResponseValidator();
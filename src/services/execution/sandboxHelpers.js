@@ -0,0 +1,41 @@
+/**
+ * SANDBOX HELPERS
+ * - `utils` and `dataHelpers` globals for endpoint code
+ * - Shared by every execution strategy
+ */
+
+// Injected into sandboxes via toString(), so it must stay self-contained
+export function createSandboxHelpers() {
+  const utils = {
+    generateId: () => Math.random().toString(36).substr(2, 9),
+    generateToken: () => `mock_${Math.random().toString(36).substr(2)}`,
+    getTimestamp: () => new Date().toISOString(),
+    validateEmail: (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email),
+    validateUrl: (url) => {
+      try {
+        new URL(url);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+
+  const dataHelpers = {
+    find: (array, predicate) => Array.isArray(array) ? array.find(predicate) : null,
+    filter: (array, predicate) => Array.isArray(array) ? array.filter(predicate) : [],
+    map: (array, mapper) => Array.isArray(array) ? array.map(mapper) : [],
+    sort: (array, comparator) => Array.isArray(array) ? [...array].sort(comparator) : []
+  };
+
+  return { utils, dataHelpers };
+}
+
+class SandboxHelpers {
+  // Source for injecting the helpers into sandboxed code
+  getHelperSource() {
+    return `const { utils, dataHelpers } = (${createSandboxHelpers.toString()})();`;
+  }
+}
+
+export default new SandboxHelpers();
@@ -1,7 +1,21 @@
+import env from '../../config/env.js';
 import dockerManager from './dockerManager.js';
+import containerPool from './containerPool.js';
+import executionScheduler from './executionScheduler.js';
 import prisma from '../../config/database.js';
 import codeExecutor from './codeExecutor.js';
 import mockDataService from '../mockDataService.js';
+import responseBuilder from './responseBuilder.js';
+import sandboxHelpers from './sandboxHelpers.js';
+import resourceLimits from './resourceLimits.js';
+import logCapture from './logCapture.js';
+import collectionApi from './collectionApi.js';
+import isolateRuntime from './isolateRuntime.js';
+import collectionAccess from './collectionAccess.js';
+import mockDataEnvironmentService from '../mockDataEnvironmentService.js';
+import mockDataSessionService from '../mockDataSessionService.js';
+import requestValidator from './requestValidator.js';
+import responseValidator from './responseValidator.js';
 
 /**
  * PRODUCTION SANDBOX EXECUTION SERVICE
@@ -16,7 +30,7 @@ class SandboxService {
   constructor() {
     this.executionStats = new Map();
     this.maxExecutionsPerUser = 1000; // Per hour
-    this.saveQueue = new Map(); // Queue for saving mock data changes
+    this.strategy = env.sandbox.strategy || 'auto'; // auto | docker | isolate
   }
 
   // Execute endpoint code with REAL mock data saving
@@ -36,14 +50,15 @@ class SandboxService {
       headers = {},
       mockDataCollectionId,
       environmentId,
-      timeout = 5000
+      clientIp,
+      apiKeyId
     } = executionData;
 
     console.log('📦 Mock Data Collection ID:', mockDataCollectionId);
     console.log('🌍 Environment ID:', environmentId);
 
-    // Check rate limits
-    await this.checkRateLimit(userId);
+    // Check rate limits (anonymous gateway callers are limited per IP)
+    await this.checkRateLimit(userId || `ip:${clientIp}`);
 
     // Get endpoint with ALL needed data
     const endpoint = await prisma.endpoint.findUnique({
@@ -54,17 +69,21 @@ class SandboxService {
             id: true,
             name: true,
             ownerId: true,
-            collaborators: {
+            visibility: true,
+            settings: true,
+            owner: {
+              select: { role: true }
+            },
+            collaborators: userId ? {
               where: { userId: userId },
               select: { userId: true, canEdit: true }
-            },
+            } : false,
+            // Names only; data is loaded per execution by collectionAccess
             mockData: {
-              where: mockDataCollectionId ? { id: mockDataCollectionId } : undefined,
               select: {
                 id: true,
                 name: true,
-                data: true,
-                schema: true
+                environmentId: true
               }
             },
             environments: {
@@ -88,14 +107,23 @@ class SandboxService {
 
     // Validate user has access to project
     const hasAccess = 
-      endpoint.project.ownerId === userId ||
-      endpoint.project.collaborators.length > 0 ||
-      endpoint.project.visibility === 'PUBLIC';
+      endpoint.isPublic ||
+      endpoint.project.visibility === 'PUBLIC' ||
+      (userId && (
+        endpoint.project.ownerId === userId ||
+        endpoint.project.collaborators.length > 0
+      ));
 
     if (!hasAccess) {
       throw new Error('ENDPOINT_ACCESS_DENIED');
     }
 
+    // Anonymous gateway calls save mock data on behalf of the project owner
+    const actorId = userId || endpoint.project.ownerId;
+
+    // Endpoint timeout/memory, bounded by the project owner's plan
+    const limits = resourceLimits.resolve(endpoint, endpoint.project.owner?.role);
+
     // Validate code
     try {
       codeExecutor.validateCode(endpoint.code);
@@ -106,6 +134,7 @@ class SandboxService {
         endpointId,
         projectId: endpoint.projectId,
         userId,
+        apiKeyId,
         method: endpoint.method,
         path: endpoint.path,
         statusCode: 400,
@@ -122,132 +151,177 @@ class SandboxService {
       throw new Error(`SANDBOX_VALIDATION_FAILED: ${validationError.message}`);
     }
 
+    // Opt-in request contract: mismatches are rejected before a container is used
+    let request = { body, query, params, headers };
+    if (endpoint.validateRequest) {
+      const validation = requestValidator.validate(endpoint, request);
+
+      if (!validation.valid) {
+        console.log(`❌ Request validation failed (${validation.errors.length} errors)`);
+        await this.logExecution({
+          endpointId,
+          projectId: endpoint.projectId,
+          userId,
+          apiKeyId,
+          method: endpoint.method,
+          path: endpoint.path,
+          statusCode: 422,
+          requestBody: body,
+          queryParams: query,
+          pathParams: params,
+          headers: headers,
+          responseBody: null,
+          responseTime: 0,
+          error: 'REQUEST_VALIDATION_FAILED',
+          sandboxId: null,
+          mockDataCollectionId,
+          environmentId,
+          metadata: {
+            requestValidation: {
+              errors: validation.errors,
+              truncated: validation.truncated
+            },
+            timestamp: new Date().toISOString()
+          }
+        });
+
+        const error = new Error('REQUEST_VALIDATION_FAILED');
+        error.statusCode = 422;
+        error.errors = validation.errors;
+        throw error;
+      }
+
+      // Handlers see query and path values as their declared types
+      request = validation.values;
+    }
+
+    // Session mode: this caller's saves go to its own overlays instead of the shared collections
+    const session = await mockDataSessionService.resolve(endpoint.project, { headers, apiKeyId, userId });
+
+    // Wait for an execution slot (throws 429/503 when the queue is full)
+    const slot = await executionScheduler.acquire({
+      userKey: userId || `ip:${clientIp}`,
+      projectId: endpoint.projectId
+    });
+
     const startTime = Date.now();
+    let strategy;
     let containerId;
+    let containerDirty = true;
     let executionResult;
     let saveResults = []; // Track REAL save results
 
     try {
+      // The execution's environment (explicit or default) picks its data variants, falling back to base datasets
+      const projectMockData = endpoint.project.mockData || [];
+      const scopedMockData = mockDataEnvironmentService.scope(projectMockData, endpoint.project.environments[0]?.id ?? null);
+      const selectedCollectionId = mockDataEnvironmentService.resolveSelected(projectMockData, scopedMockData, mockDataCollectionId);
+
+      // Collections this endpoint can reach, loaded only if the code uses them
+      const collections = await mockDataSessionService.applyOverlays(session, await collectionAccess.loadForExecution(
+        endpoint,
+        scopedMockData,
+        selectedCollectionId
+      ));
+
       // Create execution context with REAL save capabilities
       const executionContext = this.createExecutionContext(
         endpoint, 
-        { body, query, params, headers },
+        request,
         endpoint.project,
-        mockDataCollectionId,
+        collections,
+        selectedCollectionId,
         environmentId,
         endpointId,
-        userId
+        actorId
       );
 
-      // Create container
-      containerId = await dockerManager.createContainer('node');
-      console.log(`📦 Container created: ${containerId}`);
+      // Docker when it is healthy, otherwise the in-process isolate (same script, same result shape)
+      strategy = this.selectStrategy(dockerHealth);
+
+      if (strategy === 'docker') {
+        try {
+          // Take a warm container from the pool
+          containerId = await containerPool.acquire('node');
+          console.log(`📦 Container acquired: ${containerId}`);
+
+          await dockerManager.applyResourceLimits(containerId, limits);
+        } catch (dockerError) {
+          // Nothing ran yet, so the isolate can take over
+          if (this.strategy === 'docker') throw dockerError;
+          console.warn(`⚠️ Docker unavailable (${dockerError.message}), falling back to isolate`);
+          strategy = 'isolate';
+        }
+      }
 
       // Execute code
-      executionResult = await dockerManager.executeCode(
-        containerId, 
-        executionContext, 
-        timeout
-      );
+      executionResult = strategy === 'docker'
+        ? await dockerManager.executeCode(containerId, executionContext, limits)
+        : await isolateRuntime.executeCode(executionContext, limits);
+
+      // Failed runs may leave the container in a bad state
+      containerDirty = !executionResult.success;
+
+      // Structured, size-capped console output
+      const logs = logCapture.normalize(executionResult.logs);
 
     const executionTime = Date.now() - startTime;
      console.log(`⏱️ Execution time: ${executionTime}ms`);  
 
-    //  Check for save operation in the response
-      try {
-      // Parse the execution output
-      const output = this.parseOutput(executionResult.output);
-      console.log('🔍 Checking for _saveOperation...');
-  
-      if (output && output.data && output.data._saveOperation) {
-        console.log(`💾 Found save operation in response!`);
-    
-  const saveOp = output.data._saveOperation;
-  
-  // ⭐⭐ FILL IN MISSING IDs FROM EXECUTION CONTEXT ⭐⭐
-  // If saveOp is missing IDs, fill them from current execution
-  const completeSaveOp = {
-    ...saveOp,
-    // Fill collectionId if missing
-    collectionId: saveOp.collectionId || mockDataCollectionId,
-    // Fill endpointId if missing  
-    endpointId: saveOp.endpointId || endpointId,
-    // Fill userId if missing
-    userId: saveOp.userId || userId,
-    // Fill projectId if missing
-    projectId: saveOp.projectId || endpoint.projectId
-  };
-  
-  console.log(`📤 Processing save for ${completeSaveOp.collectionName}:`, {
-    items: completeSaveOp.data.length,
-    collectionId: completeSaveOp.collectionId,
-    hasAllIds: !!(completeSaveOp.collectionId && completeSaveOp.endpointId && completeSaveOp.userId && completeSaveOp.projectId)
-  });
-    // ⭐ ACTUAL DATABASE SAVE ⭐
-    const saveResult = await mockDataService.saveFromExecution(
-      completeSaveOp.collectionId,
-      completeSaveOp.data,
-      completeSaveOp.userId,
-      {
-        endpointId: completeSaveOp.endpointId,
-        executionId: completeSaveOp.executionId
+      // Resolve the HTTP response the endpoint asked for
+      const parsedOutput = this.parseOutput(executionResult.output);
+      let response = responseBuilder.build(executionResult, parsedOutput);
+
+      // Check the response against the endpoint's declared responseSchema (failed runs have none)
+      const contract = executionResult.success ? responseValidator.check(endpoint, response) : null;
+      const contractViolated = contract !== null && !contract.valid;
+      const contractRejected = contractViolated && endpoint.strictResponse;
+
+      if (contractViolated) {
+        console.log(`⚠️ Response contract violation (${contract.violations.length}) for status ${contract.status}`);
+      }
+      if (contractRejected) {
+        response = responseValidator.buildViolationResponse(contract);
       }
-    );
-    
-    saveResults.push(saveResult);
-    console.log(`✅ Save successful:`, saveResult.message);
-  } else {
-    console.log('❌ _saveOperation not found at output.data._saveOperation');
-    console.log('🔍 Output structure:', {
-      hasOutput: !!output,
-      hasData: output ? !!output.data : false,
-      dataKeys: output && output.data ? Object.keys(output.data) : []
-    });
-  }
-} catch (error) {
-  console.error(`❌ Error processing save operation:`, error);
-}
 
-      // ⭐⭐ REAL SAVE PROCESSING ⭐⭐
-      // Process any save operations that were queued during execution
-      if (this.saveQueue.has(containerId)) {
-        const pendingSaves = this.saveQueue.get(containerId);
-        console.log(`💾 Processing ${pendingSaves.length} REAL save operations...`);
-        
-        // Process saves sequentially
-        for (const saveOp of pendingSaves) {
-          try {
-            console.log(`📤 Processing save for ${saveOp.collectionName}:`, {
-              items: saveOp.data.length,
-              collectionId: saveOp.collectionId
-            });
-            
-            // ⭐ ACTUAL DATABASE SAVE ⭐
-            const saveResult = await mockDataService.saveFromExecution(
-              saveOp.collectionId,
-              saveOp.data,
-              userId,
-              {
-                endpointId: saveOp.endpointId,
-                executionId: saveOp.executionId
-              }
-            );
-            
-            saveResults.push(saveResult);
-            console.log(`✅ Save successful:`, saveResult.message);
-            
-          } catch (saveError) {
-            console.error(`❌ Save operation failed:`, saveError.message);
-            saveResults.push({
-              success: false,
-              error: saveError.message,
-              collectionName: saveOp.collectionName
-            });
-          }
+      // Replay db.collection() mutations on the latest data (successful runs only).
+      // A strict endpoint answering outside its contract is a failed run: nothing is saved
+      const operations = collectionApi.validateOperations(executionResult.operations);
+      if (contractRejected && operations.length > 0) {
+        saveResults.push(...[...new Set(operations.map(operation => operation.collection))].map(collectionName => ({
+          success: false,
+          error: 'RESPONSE_CONTRACT_VIOLATION',
+          collectionName
+        })));
+      } else if (executionResult.success && operations.length > 0) {
+        console.log(`💾 Applying ${operations.length} collection operations...`);
+
+        // Only collections loaded with write access can be saved to
+        const targets = Object.fromEntries(
+          collections
+            .filter(collection => collection.access === 'write')
+            .map(collection => [collection.name, { id: collection.id, version: collection.version }])
+        );
+        const writable = operations.filter(operation => targets[operation.collection]);
+        const rejected = [...new Set(
+          operations
+            .filter(operation => !targets[operation.collection])
+            .map(operation => operation.collection)
+        )];
+
+        saveResults.push(...rejected.map(collectionName => ({
+          success: false,
+          error: 'COLLECTION_READ_ONLY',
+          collectionName
+        })));
+
+        if (writable.length > 0) {
+          // All collections commit in one transaction, merged onto newer versions when possible
+          const saveContext = { endpointId, projectId: endpoint.projectId };
+          saveResults.push(...await (session
+            ? mockDataSessionService.applyExecutionOperations(session, targets, writable, actorId, saveContext)
+            : mockDataService.applyExecutionOperations(targets, writable, actorId, saveContext)));
         }
-        
-        // Clear queue
-        this.saveQueue.delete(containerId);
       }
 
       // Log execution
@@ -255,23 +329,34 @@ class SandboxService {
         endpointId,
         projectId: endpoint.projectId,
         userId,
+        apiKeyId,
         method: endpoint.method,
         path: endpoint.path,
-        statusCode: executionResult.success ? 200 : 500,
+        statusCode: response.status,
         requestBody: body,
         queryParams: query,
         pathParams: params,
         headers: headers,
         responseBody: executionResult.success ? executionResult.output : null,
         responseTime: executionTime,
-        memoryUsed: 0, 
-        logs: executionResult.logs || [],
-        error: executionResult.success ? null : executionResult.error,
+        memoryUsed: executionResult.memoryUsedMb,
+        logs,
+        error: executionResult.success
+          ? (contractRejected ? 'RESPONSE_CONTRACT_VIOLATION' : null)
+          : executionResult.error,
         sandboxId: containerId,
         mockDataCollectionId,
         environmentId,
         metadata: {
           pendingSaves: saveResults.length,
+          mockDataSession: session?.key ?? null,
+          responseContract: contract,
+          responseHeaders: response.headers,
+          responseCookies: response.cookies.map(cookie => cookie.name),
+          contentType: response.contentType,
+          limits,
+          strategy,
+          cpuTimeMs: executionResult.cpuTimeMs,
           timestamp: new Date().toISOString()
         }
       });
@@ -281,7 +366,11 @@ class SandboxService {
         where: { id: endpointId },
         data: {
           callCount: { increment: 1 },
-          lastCalled: new Date()
+          lastCalled: new Date(),
+          ...(contractViolated && {
+            contractViolations: { increment: 1 },
+            lastContractViolation: new Date()
+          })
         }
       });
 
@@ -289,15 +378,29 @@ class SandboxService {
       this.updateUserStats(userId);
 
       return {
-        success: executionResult.success,
-        data: executionResult.success ? this.parseOutput(executionResult.output) : null,
-        error: executionResult.error,
-        logs: executionResult.logs || [],
+        success: executionResult.success && !contractRejected,
+        data: executionResult.success && !contractRejected ? parsedOutput : null,
+        response,
+        error: contractRejected ? 'RESPONSE_CONTRACT_VIOLATION' : executionResult.error,
+        contract,
+        logs,
         executionTime,
+        strategy,
+        resources: {
+          limits,
+          memoryUsedMb: executionResult.memoryUsedMb,
+          cpuTimeMs: executionResult.cpuTimeMs
+        },
+        queue: {
+          waitedMs: slot.waitedMs,
+          position: slot.queuePosition
+        },
         timestamp: new Date().toISOString(),
+        session: session ? mockDataSessionService.summarizeSession(session) : null,
         savedData: saveResults.length > 0 ? {
           count: saveResults.length,
-          results: saveResults
+          results: saveResults,
+          conflict: saveResults.some(result => result.error === 'COLLECTION_VERSION_CONFLICT')
         } : null
       };
 
@@ -307,6 +410,7 @@ class SandboxService {
         endpointId,
         projectId: endpoint.projectId,
         userId,
+        apiKeyId,
         method: endpoint.method,
         path: endpoint.path,
         statusCode: 500,
@@ -319,42 +423,51 @@ class SandboxService {
         error: error.message,
         sandboxId: containerId,
         mockDataCollectionId,
-        environmentId
+        environmentId,
+        metadata: {
+          limits,
+          strategy,
+          timestamp: new Date().toISOString()
+        }
       });
 
       throw error;
 
     } finally {
-      // Cleanup container and any pending saves
+      // Return the container to the pool
       if (containerId) {
-        if (this.saveQueue.has(containerId)) {
-          this.saveQueue.delete(containerId);
-        }
-        await dockerManager.destroyContainer(containerId);
-        console.log(`🧹 Container destroyed: ${containerId}`);
+        await containerPool.release(containerId, { dirty: containerDirty });
+        console.log(`🧹 Container released: ${containerId}`);
       }
+
+      slot.release();
     }
   }
 
+  // Pinned strategy, or Docker when healthy and the isolate otherwise
+  selectStrategy(dockerHealth) {
+    if (this.strategy === 'docker' || this.strategy === 'isolate') return this.strategy;
+    return dockerHealth?.status === 'HEALTHY' ? 'docker' : 'isolate';
+  }
+
   // Create execution context with REAL save capabilities
-  createExecutionContext(endpoint, requestData, project, mockDataCollectionId, environmentId, endpointId, userId) {
+  createExecutionContext(endpoint, requestData, project, collections, mockDataCollectionId, environmentId, endpointId, userId) {
     const { body, query, params, headers } = requestData;
 
-    // Get specific mock data collection
-    let mockDataContext = {};
+    // Selected collection backs getCollection() and the legacy save helpers
     let collectionName = '';
     let collectionData = [];
-    
-    if (mockDataCollectionId && project.mockData && project.mockData.length > 0) {
-      const collection = project.mockData.find(md => md.id === mockDataCollectionId);
-      if (collection) {
-        collectionName = collection.name;
-        collectionData = collection.data || [];
-        mockDataContext = {
-          [collection.name]: collectionData
-        };
-        console.log(`📊 Mock data loaded: ${collection.name} (${collectionData.length} items)`);
-      }
+    let canSave = false;
+
+    const selected = collections.find(collection => collection.id === mockDataCollectionId);
+    if (selected) {
+      collectionName = selected.name;
+      collectionData = selected.data || [];
+      canSave = selected.access === 'write';
+    }
+
+    if (collections.length > 0) {
+      console.log(`📊 Mock data loaded: ${collections.map(collection => `${collection.name} (${collection.access})`).join(', ')}`);
     }
 
     // Get specific environment
@@ -373,173 +486,79 @@ class SandboxService {
     // Generate unique execution ID for tracking saves
     const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    // Create the REAL execution context with ACTUAL save capabilities
+    // Legacy save helpers, now thin wrappers over db.collection()
     const saveFunctions = `
-      // ============================================
-      // 💾 REAL SAVE FUNCTIONS - QUEUED FOR PROCESSING
-      // ============================================
-      
-      // 🚀 REAL SAVE FUNCTION (Queued for actual database save)
-    const saveMockDataToDatabase = async (dataToSave, customCollectionName = null, options = {}) => {
-  const collectionToUse = customCollectionName || "${collectionName}";
-  const collectionIdToUse = "${mockDataCollectionId || ''}";
-  const currentExecutionId = "${executionId}";
-  
-  console.log(\`💾 [Save Action] Collection: \${collectionToUse}, Items: \${dataToSave.length}\`);
-  
-  if (!collectionIdToUse) {
-    console.error(\`❌ [Save Error] No collection ID specified\`);
-    return {
-      success: false,
-      error: "No mock data collection selected. Please select a collection first.",
-      collection: collectionToUse
-    };
-  }
-  
-  if (!Array.isArray(dataToSave)) {
-    console.error(\`❌ [Save Error] Data must be an array\`);
-    return {
-      success: false,
-      error: "Data to save must be an array",
-      collection: collectionToUse
-    };
-  }
-  
-  try {
-    // Create save operation
-    const saveOperation = {
-      type: 'save_mock_data',
-      collectionId: collectionIdToUse,
-      collectionName: collectionToUse,
-      data: dataToSave,
-      executionId: currentExecutionId,
-      endpointId: "${endpointId}",
-      userId: "${userId}",
-      projectId: "${project.id}",
-      timestamp: new Date().toISOString(),
-      options: options
-    };
-    
-    console.log(\`📤 [Save Operation Created] \${dataToSave.length} items for \${collectionToUse}\`);
-    
-    return {
-      success: true,
-      message: \`✅ \${dataToSave.length} items ready to save to \${collectionToUse}\`,
-      collection: collectionToUse,
-      itemsToSave: dataToSave.length,
-      executionId: currentExecutionId,
-      status: 'ready',
-      // ⭐ Include the save operation data ⭐
-      _saveOperation: saveOperation
-    };
-    
-  } catch (error) {
-    console.error(\`❌ [Save Failed] \${error.message}\`);
-    return {
-      success: false,
-      error: \`Save failed: \${error.message}\`,
-      collection: collectionToUse
-    };
-  }
-};
-      
-      // 🔄 UPDATE AND QUEUE SAVE
-      const updateAndSaveMockData = async (newData, customCollectionName = null) => {
+      const __resolveCollection = (customCollectionName) => {
         const collectionToUse = customCollectionName || "${collectionName}";
-        
-        // Update in-memory data
-        mockData[collectionToUse] = newData;
-        console.log(\`🔄 [Update] \${collectionToUse} updated to \${newData.length} items\`);
-        
-        // Queue save to database
-        return await saveMockDataToDatabase(newData, collectionToUse);
+        if (!collectionToUse || !db.collections().includes(collectionToUse)) {
+          return { error: "No mock data collection selected. Please select a collection first.", collection: collectionToUse };
+        }
+        if (!db.isWritable(collectionToUse)) {
+          return { error: \`Collection "\${collectionToUse}" is read-only in this endpoint\`, collection: collectionToUse };
+        }
+        return { collection: collectionToUse };
       };
-      
-      // ➕ CREATE ITEM AND QUEUE SAVE
+
+      const __queued = (collectionToUse, message, extra = {}) => ({
+        success: true,
+        message,
+        collection: collectionToUse,
+        executionId: "${executionId}",
+        status: 'queued',
+        ...extra
+      });
+
+      // 💾 Replace the whole collection
+      const saveMockDataToDatabase = async (dataToSave, customCollectionName = null) => {
+        const target = __resolveCollection(customCollectionName);
+        if (target.error) return { success: false, ...target };
+
+        if (!Array.isArray(dataToSave)) {
+          return { success: false, error: "Data to save must be an array", collection: target.collection };
+        }
+
+        db.collection(target.collection).replace(dataToSave);
+        return __queued(target.collection, \`✅ \${dataToSave.length} items queued for \${target.collection}\`, {
+          itemsToSave: dataToSave.length
+        });
+      };
+
+      // 🔄 Update in-memory data and queue the save
+      const updateAndSaveMockData = async (newData, customCollectionName = null) => {
+        return await saveMockDataToDatabase(newData, customCollectionName);
+      };
+
+      // ➕ Insert one item
       const createItemAndSave = async (itemData, customCollectionName = null) => {
-        const collectionToUse = customCollectionName || "${collectionName}";
-        const collection = mockData[collectionToUse] || [];
-        
-        const newItem = {
-          id: 'item_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
-          ...itemData,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-        
-        collection.push(newItem);
-        mockData[collectionToUse] = collection;
-        
-        console.log(\`➕ [Create] New item added to \${collectionToUse}\`);
-        
-        // Queue save
-        const saveResult = await saveMockDataToDatabase(collection, collectionToUse);
-        
-        return {
-          ...saveResult,
-          item: newItem
-        };
+        const target = __resolveCollection(customCollectionName);
+        if (target.error) return { success: false, ...target };
+
+        const item = db.collection(target.collection).insert(itemData);
+        return __queued(target.collection, \`➕ Item queued for \${target.collection}\`, { item });
       };
-      
-      // ✏️ UPDATE ITEM AND QUEUE SAVE
+
+      // ✏️ Update one item by id
       const updateItemAndSave = async (itemId, updates, customCollectionName = null) => {
-        const collectionToUse = customCollectionName || "${collectionName}";
-        const collection = mockData[collectionToUse] || [];
-        
-        const index = collection.findIndex(item => item.id == itemId || item._id == itemId);
-        if (index === -1) {
-          return {
-            success: false,
-            error: \`Item with ID \${itemId} not found in \${collectionToUse}\`
-          };
+        const target = __resolveCollection(customCollectionName);
+        if (target.error) return { success: false, ...target };
+
+        const result = db.collection(target.collection).update({ id: itemId }, updates, { multi: false });
+        if (result.matched === 0) {
+          return { success: false, error: \`Item with ID \${itemId} not found in \${target.collection}\` };
         }
-        
-        const updatedItem = {
-          ...collection[index],
-          ...updates,
-          updatedAt: new Date().toISOString()
-        };
-        
-        collection[index] = updatedItem;
-        mockData[collectionToUse] = collection;
-        
-        console.log(\`✏️ [Update] Item \${itemId} updated in \${collectionToUse}\`);
-        
-        // Queue save
-        const saveResult = await saveMockDataToDatabase(collection, collectionToUse);
-        
-        return {
-          ...saveResult,
-          item: updatedItem
-        };
+        return __queued(target.collection, \`✏️ Item \${itemId} update queued\`, { item: result.items[0] });
       };
-      
-      // ❌ DELETE ITEM AND QUEUE SAVE
+
+      // ❌ Delete one item by id
       const deleteItemAndSave = async (itemId, customCollectionName = null) => {
-        const collectionToUse = customCollectionName || "${collectionName}";
-        const collection = mockData[collectionToUse] || [];
-        
-        const index = collection.findIndex(item => item.id == itemId || item._id == itemId);
-        if (index === -1) {
-          return {
-            success: false,
-            error: \`Item with ID \${itemId} not found in \${collectionToUse}\`
-          };
+        const target = __resolveCollection(customCollectionName);
+        if (target.error) return { success: false, ...target };
+
+        const result = db.collection(target.collection).delete({ id: itemId }, { multi: false });
+        if (result.deleted === 0) {
+          return { success: false, error: \`Item with ID \${itemId} not found in \${target.collection}\` };
         }
-        
-        const deletedItem = collection[index];
-        collection.splice(index, 1);
-        mockData[collectionToUse] = collection;
-        
-        console.log(\`❌ [Delete] Item \${itemId} removed from \${collectionToUse}\`);
-        
-        // Queue save
-        const saveResult = await saveMockDataToDatabase(collection, collectionToUse);
-        
-        return {
-          ...saveResult,
-          item: deletedItem
-        };
+        return __queued(target.collection, \`❌ Item \${itemId} delete queued\`, { item: result.items[0] });
       };
       
       // Make save functions globally available
@@ -557,8 +576,12 @@ class SandboxService {
       
       ${saveFunctions}
       
-      // Mock Data Collections (in-memory for this execution)
-      const mockData = ${JSON.stringify(mockDataContext, null, 2)};
+      // Mock Data Collections (in-memory for this execution, parsed on first access)
+      ${collectionAccess.getSandboxSource(collections)}
+      
+      // db.collection(name) query API; mutations are returned as an operation log
+      ${collectionApi.getApiSource('mockData', '__collectionPermissions', '__collectionRelations')}
+      globalThis.__collectionOperations = __collectionApi.getOperations;
       
       // Environment Variables
       const environment = ${JSON.stringify(environmentContext, null, 2)};
@@ -568,7 +591,7 @@ class SandboxService {
         name: "${collectionName}",
         id: "${mockDataCollectionId || ''}",
         itemCount: ${collectionData.length},
-        canSave: ${!!mockDataCollectionId}
+        canSave: ${canSave}
       };
       
       // Request Data
@@ -580,27 +603,11 @@ class SandboxService {
         collection: "${collectionName}"
       };
       
-      // Helper Functions
-      const Response = {
-        json: (data, status = 200) => ({ 
-          success: status >= 200 && status < 300,
-          status,
-          data,
-          timestamp: new Date().toISOString()
-        }),
-        error: (message, status = 400) => ({ 
-          success: false,
-          status,
-          error: message,
-          timestamp: new Date().toISOString()
-        }),
-        success: (data) => ({ 
-          success: true,
-          status: 200,
-          data,
-          timestamp: new Date().toISOString()
-        })
-      };
+      // Response helpers (status, headers, cookies, content type, redirects)
+      ${responseBuilder.getHelperSource()}
+      
+      // utils and dataHelpers (same helpers as every other strategy)
+      ${sandboxHelpers.getHelperSource()}
       
       // Collection-specific helpers
       const getCollection = () => mockData["${collectionName}"] || [];
@@ -614,9 +621,12 @@ class SandboxService {
       // Expose everything to user code
       Object.assign(globalThis, {
         mockData,
+        db,
         environment,
         request,
         Response,
+        utils,
+        dataHelpers,
         getCollection,
         getCollectionByName,
         generateId,
@@ -725,6 +735,7 @@ class SandboxService {
           error: logData.error,
           sandboxId: logData.sandboxId,
           userId: logData.userId,
+          apiKeyId: logData.apiKeyId,
           mockDataCollectionId: logData.mockDataCollectionId,
           environmentId: logData.environmentId,
           metadata: logData.metadata || {}
@@ -788,14 +799,17 @@ class SandboxService {
     return {
       sandbox: {
         status: dockerHealth.status,
-        activeContainers: dockerHealth.containers.total,
-        maxContainers: dockerHealth.containers.max
+        activeContainers: dockerHealth.containers?.total || 0,
+        maxContainers: dockerHealth.containers?.max || dockerManager.maxContainers,
+        strategy: this.selectStrategy(dockerHealth)
       },
+      isolate: isolateRuntime.getMetrics(),
+      pool: containerPool.getMetrics(),
+      queue: executionScheduler.getMetrics(),
       executions: {
         totalUsers: this.executionStats.size,
         totalExecutions: totalExecutions,
-        rateLimit: this.maxExecutionsPerUser,
-        pendingSaves: this.saveQueue.size
+        rateLimit: this.maxExecutionsPerUser
       },
       system: dockerHealth.system
     };
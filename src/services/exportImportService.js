@@ -1,5 +1,7 @@
 import prisma from '../config/database.js';
 import documentationService from './documentationService.js';
+import endpointService from './endpointService.js';
+import mockDataVersionService from './mockDataVersionService.js';
 
 class ExportImportService {
   // Export project to various formats
@@ -310,6 +312,11 @@ class ExportImportService {
   async importFromCustomJSON(userId, importData, options) {
     const { project, endpoints, mockData, environments } = importData;
 
+    // Imported routes must be routable and unambiguous, same as created ones
+    if (Array.isArray(endpoints)) {
+      endpointService.assertRoutesAvailable(endpoints);
+    }
+
     // Create new project
     const newProject = await prisma.project.create({
       data: {
@@ -341,25 +348,11 @@ class ExportImportService {
       }
     }
 
-    // Import mock data
-    if (mockData && Array.isArray(mockData)) {
-      for (const mockCollection of mockData) {
-        await prisma.mockDataCollection.create({
-          data: {
-            projectId: newProject.id,
-            name: mockCollection.name,
-            description: mockCollection.description,
-            schema: mockCollection.schema || {},
-            data: mockCollection.data || []
-          }
-        });
-      }
-    }
-
-    // Import environments
+    // Import environments (before mock data, whose variants point at them)
+    const environmentIds = new Map();
     if (environments && Array.isArray(environments)) {
       for (const envData of environments) {
-        await prisma.environment.create({
+        const environment = await prisma.environment.create({
           data: {
             projectId: newProject.id,
             name: envData.name,
@@ -367,6 +360,47 @@ class ExportImportService {
             isDefault: envData.isDefault || false
           }
         });
+        if (envData.id) environmentIds.set(envData.id, environment.id);
+      }
+    }
+
+    // Import mock data
+    if (mockData && Array.isArray(mockData)) {
+      for (const mockCollection of mockData) {
+        // Environment variants need their environment in the same file
+        const environmentId = mockCollection.environmentId
+          ? environmentIds.get(mockCollection.environmentId)
+          : null;
+        if (environmentId === undefined) continue;
+
+        await prisma.$transaction(async (tx) => {
+          const collection = await tx.mockDataCollection.create({
+            data: {
+              projectId: newProject.id,
+              environmentId,
+              name: mockCollection.name,
+              description: mockCollection.description,
+              schema: mockCollection.schema || {},
+              data: mockCollection.data || [],
+              metadata: {
+                createdBy: userId,
+                createdAt: new Date().toISOString(),
+                version: 1,
+                saveCount: 0
+              }
+            }
+          });
+
+          // Imported data starts the collection's version history
+          await mockDataVersionService.recordVersion(tx, {
+            collectionId: collection.id,
+            version: 1,
+            data: collection.data,
+            schema: collection.schema,
+            operation: 'IMPORT',
+            userId
+          });
+        });
       }
     }
 
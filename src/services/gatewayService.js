@@ -0,0 +1,90 @@
+import prisma from '../config/database.js';
+import sandboxService from './execution/sandboxManager.js';
+import endpointRouter from './endpointRouter.js';
+import apiKeyService from './apiKeyService.js';
+
+/**
+ * PUBLIC API GATEWAY SERVICE
+ * - Resolve projects by slug
+ * - Match incoming method + path against project endpoints (HEAD falls back to GET)
+ * - Run matched endpoints through the sandbox
+ * - Return the endpoint's HTTP response contract
+ */
+
+// Caller credentials never reach endpoint code or execution logs
+const CREDENTIAL_HEADERS = ['authorization', 'x-access-token', 'x-api-key', 'cookie'];
+
+class GatewayService {
+  // Handle a request arriving at /p/:projectSlug/*
+  async handleRequest(projectSlug, requestData, caller = {}) {
+    const { method, path, body, query } = requestData;
+
+    const headers = this.stripCredentials(requestData.headers);
+
+    const project = await this.resolveProject(projectSlug);
+
+    const match = endpointRouter.match(project.endpoints, method, path) ||
+      (method === 'HEAD' ? endpointRouter.match(project.endpoints, 'GET', path) : null);
+    if (!match) {
+      throw new Error('ROUTE_NOT_FOUND');
+    }
+
+    if (caller.apiKey && !apiKeyService.isAuthorized(caller.apiKey, {
+      scope: 'execute',
+      projectId: project.id,
+      endpointId: match.endpoint.id
+    })) {
+      throw new Error('API_KEY_SCOPE_DENIED');
+    }
+
+    const result = await sandboxService.executeEndpoint(match.endpoint.id, caller.userId || null, {
+      body: body || {},
+      query: query || {},
+      params: match.params,
+      headers,
+      mockDataCollectionId: headers['x-collection-id'],
+      environmentId: headers['x-environment-id'],
+      clientIp: caller.ip,
+      apiKeyId: caller.apiKey?.id
+    });
+
+    return result.response;
+  }
+
+  stripCredentials(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers || {}).filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase()))
+    );
+  }
+
+  // Find an active project by slug with its active endpoints
+  async resolveProject(projectSlug) {
+    const project = await prisma.project.findFirst({
+      where: {
+        slug: projectSlug,
+        deletedAt: null
+      },
+      select: {
+        id: true,
+        slug: true,
+        endpoints: {
+          where: { isActive: true },
+          select: {
+            id: true,
+            path: true,
+            method: true,
+            pathParams: true
+          }
+        }
+      }
+    });
+
+    if (!project) {
+      throw new Error('PROJECT_NOT_FOUND');
+    }
+
+    return project;
+  }
+}
+
+export default new GatewayService();
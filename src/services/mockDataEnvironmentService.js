@@ -0,0 +1,96 @@
+import prisma from '../config/database.js';
+
+/**
+ * ENVIRONMENT-SCOPED MOCK DATA
+ * - A collection may have one data variant per environment (same name, own id)
+ * - Executions in an environment see its variants, falling back to the base datasets
+ * - Collections without an environment form the base scope
+ */
+
+class MockDataEnvironmentService {
+  // Prisma filter for the rows an environment can see (its variants and the base datasets)
+  scopeWhere(environmentId = null) {
+    return environmentId
+      ? { OR: [{ environmentId: null }, { environmentId }] }
+      : { environmentId: null };
+  }
+
+  // One collection per name: the environment's variant, else the base dataset
+  scope(collections, environmentId = null) {
+    const byName = new Map();
+
+    for (const collection of collections) {
+      const rowEnvironment = collection.environmentId ?? null;
+      if (rowEnvironment !== null && rowEnvironment !== environmentId) continue;
+
+      const chosen = byName.get(collection.name);
+      if (!chosen || (rowEnvironment !== null && (chosen.environmentId ?? null) === null)) {
+        byName.set(collection.name, collection);
+      }
+    }
+
+    // Keep the callers' ordering
+    const selected = new Set(byName.values());
+    return collections.filter(collection => selected.has(collection));
+  }
+
+  // The row an environment uses in place of `collectionId` (a base id resolves to its variant)
+  resolveSelected(collections, scoped, collectionId) {
+    if (!collectionId) return collectionId;
+
+    const requested = collections.find(collection => collection.id === collectionId);
+    if (!requested) return collectionId;
+
+    return scoped.find(collection => collection.name === requested.name)?.id ?? collectionId;
+  }
+
+  // The environment must belong to the collection's project
+  async getEnvironment(projectId, environmentId) {
+    const environment = await prisma.environment.findFirst({
+      where: { id: environmentId, projectId },
+      select: { id: true, name: true, isDefault: true }
+    });
+
+    if (!environment) {
+      const error = new Error('ENVIRONMENT_NOT_FOUND');
+      error.statusCode = 404;
+      error.errors = [{ field: 'environmentId', message: 'Environment not found in this project' }];
+      throw error;
+    }
+
+    return environment;
+  }
+
+  // Base collection and every variant sharing its name
+  async getDatasets(projectId, name) {
+    return prisma.mockDataCollection.findMany({
+      where: { projectId, name },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        environmentId: true,
+        environment: { select: { id: true, name: true, isDefault: true } },
+        data: true,
+        metadata: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+  }
+
+  // List entry for a dataset (no item payload)
+  summarize(collection) {
+    return {
+      id: collection.id,
+      environmentId: collection.environmentId ?? null,
+      environment: collection.environment ?? null,
+      itemCount: Array.isArray(collection.data) ? collection.data.length : 0,
+      version: parseInt(collection.metadata?.version) || 1,
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    };
+  }
+}
+
+export default new MockDataEnvironmentService();
@@ -0,0 +1,468 @@
+import { Faker, allLocales, base, en } from '@faker-js/faker';
+import schemaValidator, { DRAFT_2020_12 } from './schemaValidator.js';
+import mockDataRelationService from './mockDataRelationService.js';
+
+/**
+ * SCHEMA-DRIVEN MOCK DATA GENERATOR
+ * - Honours JSON Schema types, constraints and formats
+ * - `x-faker` hints per field ("internet.email" or { method, args })
+ * - Locales, and a seed + reference date for reproducible output
+ * - `x-ref` fields pick existing ids from the referenced collection
+ */
+
+const MAX_DEPTH = 8;
+const MAX_UNIQUE_ATTEMPTS = 25;
+
+// Faker modules `x-faker` hints may call
+const FAKER_MODULES = [
+  'airline', 'animal', 'book', 'color', 'commerce', 'company', 'database', 'datatype', 'date',
+  'finance', 'food', 'git', 'hacker', 'helpers', 'image', 'internet', 'location', 'lorem', 'music',
+  'number', 'person', 'phone', 'science', 'string', 'system', 'vehicle', 'word'
+];
+
+const FORMAT_GENERATORS = {
+  email: (faker) => faker.internet.email(),
+  uuid: (faker) => faker.string.uuid(),
+  'date-time': (faker) => faker.date.anytime().toISOString(),
+  date: (faker) => faker.date.anytime().toISOString().slice(0, 10),
+  time: (faker) => faker.date.anytime().toISOString().slice(11, 19) + 'Z',
+  uri: (faker) => faker.internet.url(),
+  url: (faker) => faker.internet.url(),
+  hostname: (faker) => faker.internet.domainName(),
+  ipv4: (faker) => faker.internet.ipv4(),
+  ipv6: (faker) => faker.internet.ipv6()
+};
+
+// Field-name heuristics for plain strings
+const STRING_HINTS = [
+  ['email', (faker) => faker.internet.email()],
+  ['phone', (faker) => faker.phone.number()],
+  ['address', (faker) => faker.location.streetAddress()],
+  ['city', (faker) => faker.location.city()],
+  ['country', (faker) => faker.location.country()],
+  ['avatar', (faker) => faker.image.avatar()],
+  ['image', (faker) => faker.image.url()],
+  ['url', (faker) => faker.internet.url()],
+  ['description', (faker) => faker.lorem.sentence()],
+  ['title', (faker) => faker.lorem.sentence()],
+  ['name', (faker) => faker.person.fullName()]
+];
+
+const timestamp = { type: 'string', format: 'date-time', 'x-faker': 'date.past' };
+
+// Built-in schemas for common collection names
+const DEFAULT_SCHEMAS = {
+  users: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string', 'x-faker': 'person.fullName' },
+      email: { type: 'string', format: 'email' },
+      avatar: { type: 'string', format: 'uri', 'x-faker': 'image.avatar' },
+      role: { enum: ['user', 'admin', 'moderator'] },
+      isActive: { type: 'boolean' },
+      createdAt: timestamp,
+      updatedAt: { type: 'string', format: 'date-time', 'x-faker': 'date.recent' }
+    },
+    required: ['id', 'name', 'email', 'role', 'isActive', 'createdAt', 'updatedAt']
+  },
+  products: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string', 'x-faker': 'commerce.productName' },
+      description: { type: 'string', 'x-faker': 'commerce.productDescription' },
+      price: { type: 'number', minimum: 1, maximum: 1000, 'x-faker': 'commerce.price' },
+      category: { type: 'string', 'x-faker': 'commerce.department' },
+      inStock: { type: 'boolean' },
+      images: { type: 'array', minItems: 1, maxItems: 1, items: { type: 'string', format: 'uri', 'x-faker': 'image.url' } },
+      tags: { type: 'array', minItems: 2, maxItems: 2, uniqueItems: true, items: { enum: ['featured', 'new', 'sale'] } },
+      createdAt: timestamp
+    },
+    required: ['id', 'name', 'price', 'category', 'inStock', 'createdAt']
+  },
+  orders: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      userId: { type: 'integer', minimum: 1, maximum: 10 },
+      productId: { type: 'integer', minimum: 1, maximum: 10 },
+      quantity: { type: 'integer', minimum: 1, maximum: 5 },
+      total: { type: 'number', minimum: 1, maximum: 1000, 'x-faker': 'commerce.price' },
+      status: { enum: ['pending', 'completed', 'cancelled'] },
+      createdAt: timestamp
+    },
+    required: ['id', 'userId', 'productId', 'quantity', 'total', 'status', 'createdAt']
+  },
+  posts: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string', 'x-faker': 'lorem.sentence' },
+      content: { type: 'string', 'x-faker': { method: 'lorem.paragraphs', args: [3] } },
+      author: { type: 'string', 'x-faker': 'person.fullName' },
+      category: { enum: ['tech', 'lifestyle', 'business'] },
+      isPublished: { type: 'boolean' },
+      views: { type: 'integer', minimum: 0, maximum: 1000 },
+      createdAt: timestamp
+    },
+    required: ['id', 'title', 'content', 'author', 'category', 'isPublished', 'views', 'createdAt']
+  },
+  categories: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string', 'x-faker': 'commerce.department', 'x-unique': true },
+      description: { type: 'string', 'x-faker': 'lorem.sentence' },
+      isActive: { const: true },
+      createdAt: timestamp
+    },
+    required: ['id', 'name', 'description', 'isActive', 'createdAt']
+  }
+};
+
+class MockDataGenerator {
+  // Generate `count` items for a collection schema (array or item schema)
+  generate(schema, options = {}) {
+    const count = Math.min(Math.max(parseInt(options.count) || 10, 0), 1000);
+    const startId = parseInt(options.startId) || 1;
+    const { faker, seed, locale, refDate } = this.createFaker(options);
+
+    const itemSchema = schemaValidator.getItemSchema(schema) || { type: 'object', properties: {} };
+    const unique = new Map();
+
+    // "users.id" -> ids to pick from; self-references also grow with each generated item
+    const references = new Map([...(options.references || [])].map(([key, values]) => [key, [...values]]));
+    const selfReferences = options.collectionName
+      ? mockDataRelationService.getReferences(schema).filter(ref => ref.collection === options.collectionName)
+      : [];
+
+    const items = Array.from({ length: count }, (_, index) => {
+      const item = this.generateValue(itemSchema, {
+        faker,
+        fieldName: '',
+        path: '',
+        depth: 0,
+        sequence: startId + index,
+        unique,
+        references,
+        collectionName: options.collectionName
+      });
+
+      // Items get a sequential id unless the schema describes one or forbids it
+      const result = this.isObject(item) && item.id === undefined && itemSchema.additionalProperties !== false
+        ? { id: startId + index, ...item }
+        : item;
+
+      for (const ref of selfReferences) {
+        const key = `${ref.collection}.${ref.targetField}`;
+        if (result?.[ref.targetField] !== undefined) {
+          references.set(key, [...(references.get(key) || []), result[ref.targetField]]);
+        }
+      }
+      return result;
+    });
+
+    return { items, seed, locale, refDate };
+  }
+
+  // Built-in item schema for a collection name (users when unknown)
+  getDefaultSchema(collectionName = '') {
+    return {
+      $schema: DRAFT_2020_12,
+      type: 'array',
+      items: DEFAULT_SCHEMAS[collectionName.toLowerCase()] || DEFAULT_SCHEMAS.users
+    };
+  }
+
+  // Seeded Faker; the seed and reference date together make output reproducible
+  createFaker({ seed, locale = 'en', refDate } = {}) {
+    if (!Object.hasOwn(allLocales, locale)) {
+      const error = new Error('INVALID_LOCALE');
+      error.statusCode = 400;
+      error.errors = [{ field: 'locale', message: `Unknown locale "${locale}"` }];
+      throw error;
+    }
+
+    const resolvedSeed = seed === undefined || seed === null || seed === ''
+      ? Math.floor(Math.random() * 2 ** 31)
+      : this.normalizeSeed(seed);
+    const resolvedRefDate = new Date(refDate || Date.now());
+
+    if (Number.isNaN(resolvedRefDate.getTime())) {
+      const error = new Error('INVALID_REF_DATE');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const faker = new Faker({ locale: [allLocales[locale], en, base] });
+    faker.seed(resolvedSeed);
+    faker.setDefaultRefDate(resolvedRefDate);
+
+    return {
+      faker,
+      seed: resolvedSeed,
+      locale,
+      refDate: resolvedRefDate.toISOString()
+    };
+  }
+
+  // Integers are used as-is; strings hash to a 31-bit integer (FNV-1a)
+  normalizeSeed(seed) {
+    if (Number.isInteger(Number(seed)) && String(seed).trim() !== '') {
+      return Math.abs(Number(seed)) % 2 ** 31;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % 2 ** 31;
+  }
+
+  generateValue(schema, context) {
+    if (!schema || typeof schema !== 'object' || context.depth > MAX_DEPTH) return null;
+
+    if (schema['x-ref'] !== undefined) {
+      return this.pickReference(schema['x-ref'], context);
+    }
+
+    if (schema['x-unique']) {
+      return this.generateUnique(schema, context);
+    }
+
+    if (schema['x-faker']) return this.callFakerHint(schema['x-faker'], { ...context, schema });
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return context.faker.helpers.arrayElement(schema.enum);
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return context.faker.helpers.arrayElement(schema.examples);
+
+    const variants = schema.oneOf || schema.anyOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+      return this.generateValue(context.faker.helpers.arrayElement(variants), context);
+    }
+    if (Array.isArray(schema.allOf)) {
+      return this.generateValue(this.mergeAllOf(schema), context);
+    }
+
+    switch (this.resolveType(schema)) {
+      case 'object': return this.generateObject(schema, context);
+      case 'array': return this.generateArray(schema, context);
+      case 'string': return this.generateString(schema, context);
+      case 'integer': return this.generateNumber(schema, context, true);
+      case 'number': return this.generateNumber(schema, context, false);
+      case 'boolean': return context.faker.datatype.boolean();
+      default: return null;
+    }
+  }
+
+  // Retry until the value has not been produced for this field before
+  generateUnique(schema, context) {
+    const { 'x-unique': _, ...rest } = schema;
+    const key = context.path || context.fieldName;
+    if (!context.unique.has(key)) context.unique.set(key, new Set());
+    const seen = context.unique.get(key);
+
+    let value;
+    for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+      value = this.generateValue(rest, context);
+      if (!seen.has(JSON.stringify(value))) break;
+    }
+
+    // Fall back to a suffix when the value space is exhausted
+    if (seen.has(JSON.stringify(value)) && typeof value === 'string') {
+      value = `${value} ${context.sequence}`;
+    }
+
+    seen.add(JSON.stringify(value));
+    return value;
+  }
+
+  // An existing key of the referenced collection
+  pickReference(declaration, context) {
+    const ref = mockDataRelationService.parseRef(declaration);
+    const pool = ref ? context.references?.get(`${ref.collection}.${ref.targetField}`) || [] : [];
+
+    if (pool.length > 0) return context.faker.helpers.arrayElement(pool);
+
+    // The first items of a self-referencing collection have nothing to point at yet
+    if (ref && ref.collection === context.collectionName) return null;
+
+    const error = new Error('REFERENCE_TARGET_EMPTY');
+    error.statusCode = 400;
+    error.errors = [{
+      field: context.path || context.fieldName || 'x-ref',
+      message: ref
+        ? `Collection "${ref.collection}" has no items to reference`
+        : 'Invalid x-ref declaration'
+    }];
+    throw error;
+  }
+
+  // "internet.email" or { method: "number.int", args: [{ min: 1 }] }
+  callFakerHint(hint, context) {
+    const { method, args = [] } = typeof hint === 'string' ? { method: hint } : hint;
+    const [moduleName, methodName, ...rest] = String(method || '').split('.');
+    const fakerModule = FAKER_MODULES.includes(moduleName) ? context.faker[moduleName] : null;
+
+    if (!fakerModule || rest.length > 0 || !methodName || methodName === 'constructor' ||
+      methodName.startsWith('_') || typeof fakerModule[methodName] !== 'function') {
+      const error = new Error('INVALID_FAKER_HINT');
+      error.statusCode = 400;
+      error.errors = [{ field: context.path || context.fieldName || 'x-faker', message: `Unsupported x-faker method "${method}"` }];
+      throw error;
+    }
+
+    const value = fakerModule[methodName](...(Array.isArray(args) ? args : [args]));
+    return this.coerce(value instanceof Date ? value.toISOString() : value, context.schema);
+  }
+
+  // Hints like commerce.price return strings; match the declared type
+  coerce(value, schema = {}) {
+    const type = this.resolveType(schema);
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return type === 'integer' ? Math.round(Number(value)) : Number(value);
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return String(value);
+    }
+    return value;
+  }
+
+  generateObject(schema, context) {
+    const properties = schema.properties || {};
+    const item = {};
+
+    for (const [key, property] of Object.entries(properties)) {
+      // An integer id is the item's position, so ids stay unique
+      if (context.depth === 0 && key === 'id' && this.resolveType(property) === 'integer' && !property['x-faker']) {
+        item.id = context.sequence;
+        continue;
+      }
+
+      item[key] = this.generateValue(property, {
+        ...context,
+        fieldName: key,
+        path: context.path ? `${context.path}.${key}` : key,
+        depth: context.depth + 1
+      });
+    }
+
+    return item;
+  }
+
+  generateArray(schema, context) {
+    const minItems = schema.minItems ?? 1;
+    const maxItems = Math.max(minItems, schema.maxItems ?? Math.max(minItems, 3));
+    const length = context.faker.number.int({ min: minItems, max: maxItems });
+    const itemContext = { ...context, depth: context.depth + 1 };
+
+    if (Array.isArray(schema.prefixItems)) {
+      return schema.prefixItems.map(itemSchema => this.generateValue(itemSchema, itemContext));
+    }
+
+    const values = [];
+    const seen = new Set();
+    for (let attempt = 0; values.length < length && attempt < length * MAX_UNIQUE_ATTEMPTS; attempt++) {
+      const value = this.generateValue(schema.items || { type: 'string' }, itemContext);
+      if (schema.uniqueItems && seen.has(JSON.stringify(value))) continue;
+      seen.add(JSON.stringify(value));
+      values.push(value);
+    }
+    return values;
+  }
+
+  generateString(schema, context) {
+    const { faker, fieldName } = context;
+
+    if (schema.format && FORMAT_GENERATORS[schema.format]) {
+      return FORMAT_GENERATORS[schema.format](faker);
+    }
+
+    if (schema.pattern) {
+      try {
+        return faker.helpers.fromRegExp(this.simplifyPattern(schema.pattern));
+      } catch {
+        // Fall through for patterns faker cannot expand
+      }
+    }
+
+    const hint = STRING_HINTS.find(([name]) => fieldName.toLowerCase().includes(name));
+    let value = hint ? hint[1](faker) : faker.lorem.words(3);
+
+    const minLength = schema.minLength ?? 0;
+    const maxLength = schema.maxLength ?? Infinity;
+    while (value.length < minLength) value += ` ${faker.lorem.word()}`;
+    return value.length > maxLength ? value.slice(0, maxLength) : value;
+  }
+
+  generateNumber(schema, context, integer) {
+    const { faker } = context;
+    const fieldName = context.fieldName.toLowerCase();
+    const hasBounds = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'].some(key => schema[key] !== undefined);
+
+    if (!hasBounds && !schema.multipleOf) {
+      if (fieldName.includes('price') || fieldName.includes('amount')) return parseFloat(faker.commerce.price());
+      if (fieldName.includes('age')) return faker.number.int({ min: 18, max: 80 });
+    }
+
+    const step = schema.multipleOf || (integer ? 1 : 0.01);
+    let min = schema.minimum ?? (schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + step : undefined);
+    let max = schema.maximum ?? (schema.exclusiveMaximum !== undefined ? schema.exclusiveMaximum - step : undefined);
+    if (min === undefined) min = max !== undefined ? Math.min(0, max) : (integer ? 1 : 0);
+    if (max === undefined) max = min + 1000;
+
+    // Pick a multiple of the step inside [min, max]
+    const low = Math.ceil(min / step);
+    const high = Math.floor(max / step);
+    if (high < low) return min;
+
+    const value = faker.number.int({ min: low, max: high }) * step;
+    return integer ? Math.round(value) : Number(value.toFixed(this.decimals(step)));
+  }
+
+  // fromRegExp has no anchors or shorthand classes
+  simplifyPattern(pattern) {
+    return pattern
+      .replace(/^\^/, '')
+      .replace(/(?<!\\)\$$/, '')
+      .replace(/\\d/g, '[0-9]')
+      .replace(/\\w/g, '[a-zA-Z0-9_]')
+      .replace(/\\s/g, ' ');
+  }
+
+  resolveType(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(candidate => candidate && candidate !== 'null');
+    if (type) return type;
+    if (schema.type === 'null') return 'null';
+    if (schema.properties) return 'object';
+    if (schema.items || schema.prefixItems) return 'array';
+    return 'string';
+  }
+
+  mergeAllOf(schema) {
+    const { allOf, ...rest } = schema;
+    return allOf.reduce((merged, part) => {
+      const next = { ...merged, ...part };
+      if (merged.properties || part.properties) {
+        next.properties = { ...(merged.properties || {}), ...(part.properties || {}) };
+      }
+      if (merged.required || part.required) {
+        next.required = [...(merged.required || []), ...(part.required || [])];
+      }
+      return next;
+    }, rest);
+  }
+
+  decimals(step) {
+    const [, fraction = ''] = String(step).split('.');
+    return Math.min(fraction.length, 10);
+  }
+
+  isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+export default new MockDataGenerator();
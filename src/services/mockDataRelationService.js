@@ -0,0 +1,384 @@
+import prisma from '../config/database.js';
+import schemaValidator from './schemaValidator.js';
+import mockDataEnvironmentService from './mockDataEnvironmentService.js';
+
+/**
+ * MOCK DATA RELATIONS
+ * - References declared in collection schemas with `x-ref` ("users.id")
+ * - Referential integrity checked on every save
+ * - onDelete: restrict (default), cascade or setNull
+ * - Loads referenced collections for `expand`
+ */
+
+const ON_DELETE_ACTIONS = ['restrict', 'cascade', 'setNull'];
+const COLLECTION_NAME = /^[a-zA-Z0-9_-]+$/;
+const MAX_ERRORS = 100;
+
+class MockDataRelationService {
+  // `x-ref` is "users", "users.id" or { collection, field, onDelete, as }
+  parseRef(ref) {
+    const spec = typeof ref === 'string'
+      ? { collection: ref.split('.')[0], field: ref.split('.').slice(1).join('.') || undefined }
+      : ref;
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return null;
+    if (typeof spec.collection !== 'string' || !COLLECTION_NAME.test(spec.collection)) return null;
+    if (spec.field !== undefined && (typeof spec.field !== 'string' || !spec.field)) return null;
+    if (spec.onDelete !== undefined && !ON_DELETE_ACTIONS.includes(spec.onDelete)) return null;
+    if (spec.as !== undefined && (typeof spec.as !== 'string' || !spec.as)) return null;
+
+    return {
+      collection: spec.collection,
+      targetField: spec.field || 'id',
+      onDelete: spec.onDelete || 'restrict',
+      as: spec.as || null
+    };
+  }
+
+  // References on an item's top-level fields; `items: { 'x-ref': ... }` declares a list of references
+  getReferences(schema) {
+    const properties = schemaValidator.getItemSchema(schema)?.properties || {};
+    const references = [];
+
+    for (const [field, property] of Object.entries(properties)) {
+      if (!property || typeof property !== 'object') continue;
+
+      const many = property['x-ref'] === undefined && property.items?.['x-ref'] !== undefined;
+      const ref = this.parseRef(many ? property.items['x-ref'] : property['x-ref']);
+      if (!ref) continue;
+
+      references.push({ field, many, ...ref, as: ref.as || this.defaultAlias(field, many) });
+    }
+
+    return references;
+  }
+
+  // Reject malformed `x-ref` declarations (JSON Schema itself ignores the keyword)
+  assertValidReferences(schema) {
+    const properties = schemaValidator.getItemSchema(schema)?.properties || {};
+    const errors = [];
+
+    for (const [field, property] of Object.entries(properties)) {
+      if (!property || typeof property !== 'object') continue;
+
+      const declarations = [
+        ['x-ref', property['x-ref']],
+        ['items/x-ref', property.items?.['x-ref']]
+      ].filter(([, ref]) => ref !== undefined);
+
+      for (const [keyword, ref] of declarations) {
+        if (!this.parseRef(ref)) {
+          errors.push({
+            field: 'schema',
+            path: `/properties/${field}/${keyword}`,
+            message: `x-ref must be "collection.field" or { collection, field, onDelete: ${ON_DELETE_ACTIONS.join(' | ')}, as }`
+          });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw this.createError('INVALID_SCHEMA', 400, errors);
+    }
+  }
+
+  // userId -> user, tagIds -> tags; other fields are replaced in place
+  defaultAlias(field, many) {
+    const alias = many
+      ? field.replace(/_?[iI]ds$/, 's')
+      : field.replace(/_?[iI]d$/, '');
+    return alias && alias !== field && alias !== 's' ? alias : field;
+  }
+
+  // { collectionName: references } for the given collections
+  buildRelationMap(collections) {
+    return Object.fromEntries(
+      collections
+        .map(collection => [collection.name, this.getReferences(collection.schema)])
+        .filter(([, references]) => references.length > 0)
+    );
+  }
+
+  // Values the generator may pick for each reference ("users.id" -> [1, 2, ...]),
+  // taken from the datasets visible in `self`'s environment
+  async loadReferencePools(client, projectId, schema, self = null) {
+    const references = this.getReferences(schema);
+    const pools = new Map();
+    if (references.length === 0) return pools;
+
+    const environmentId = self?.environmentId ?? null;
+    const names = [...new Set(references.map(ref => ref.collection))].filter(name => name !== self?.name);
+    const rows = names.length > 0
+      ? mockDataEnvironmentService.scope(await client.mockDataCollection.findMany({
+        where: { projectId, name: { in: names }, ...mockDataEnvironmentService.scopeWhere(environmentId) },
+        select: { name: true, environmentId: true, data: true }
+      }), environmentId)
+      : [];
+    const dataByName = new Map(rows.map(row => [row.name, row.data]));
+    if (self) dataByName.set(self.name, self.data);
+
+    for (const ref of references) {
+      const items = Array.isArray(dataByName.get(ref.collection)) ? dataByName.get(ref.collection) : [];
+      pools.set(`${ref.collection}.${ref.targetField}`, items
+        .map(item => item?.[ref.targetField])
+        .filter(value => value !== undefined && value !== null));
+    }
+
+    return pools;
+  }
+
+  // Apply onDelete rules and check references for a save, inside its transaction.
+  // changes: Map<collectionId, { current, data, schema? }> of locked rows and their new data;
+  // cascades update `data` in place, and collections changed only by a cascade are returned.
+  // References resolve within the saved datasets' environment (its variants, else the base)
+  async enforce(tx, projectId, changes, lockCollections) {
+    const environmentId = [...changes.values()]
+      .map(entry => entry.current.environmentId)
+      .find(Boolean) ?? null;
+
+    const projectCollections = mockDataEnvironmentService.scope(await tx.mockDataCollection.findMany({
+      where: { projectId, ...mockDataEnvironmentService.scopeWhere(environmentId) },
+      select: { id: true, name: true, environmentId: true, schema: true }
+    }), environmentId);
+    const schemaOf = (collection) => (changes.has(collection.id)
+      ? changes.get(collection.id).schema ?? changes.get(collection.id).current.schema
+      : collection.schema);
+
+    const relations = projectCollections.flatMap(collection =>
+      this.getReferences(schemaOf(collection)).map(ref => ({ ...ref, source: collection }))
+    );
+    if (relations.length === 0) return [];
+
+    const pending = new Map(changes);
+    const cascaded = new Map();
+    const restricted = new Map();
+    const queue = [...changes.keys()];
+
+    while (queue.length > 0) {
+      const { current, data } = pending.get(queue.shift());
+
+      for (const relation of relations.filter(ref => ref.collection === current.name)) {
+        const removed = this.removedKeys(current.data, data, relation.targetField);
+        if (removed.size === 0) continue;
+
+        if (!pending.has(relation.source.id)) {
+          const locked = await lockCollections(tx, [relation.source.id]);
+          const row = locked.get(relation.source.id);
+          pending.set(row.id, { current: row, data: Array.isArray(row.data) ? row.data : [] });
+        }
+
+        const entry = pending.get(relation.source.id);
+        const { data: next, affected } = this.applyOnDelete(entry.data, relation, removed);
+        if (affected.length === 0) continue;
+
+        if (relation.onDelete === 'restrict') {
+          const key = `${relation.source.name}.${relation.field}`;
+          restricted.set(key, {
+            collectionName: relation.source.name,
+            field: relation.field,
+            references: relation.collection,
+            message: `${affected.length} ${relation.source.name} item(s) still reference deleted ${relation.collection}`,
+            ids: affected.map(item => item?.id ?? null).slice(0, MAX_ERRORS)
+          });
+          continue;
+        }
+
+        entry.data = next;
+        if (!changes.has(relation.source.id)) {
+          const reasons = cascaded.get(relation.source.id)?.reasons || [];
+          cascaded.set(relation.source.id, {
+            ...entry,
+            reasons: [...reasons, { from: relation.collection, field: relation.field, onDelete: relation.onDelete, affected: affected.length }]
+          });
+        }
+        queue.push(relation.source.id);
+      }
+    }
+
+    if (restricted.size > 0) {
+      throw this.createError('REFERENCE_RESTRICTED', 409, [...restricted.values()]);
+    }
+
+    for (const [id, entry] of cascaded) {
+      cascaded.set(id, { ...entry, data: pending.get(id).data });
+    }
+
+    await this.assertReferences(tx, projectCollections, pending, [...changes.keys(), ...cascaded.keys()], schemaOf);
+
+    return [...cascaded.values()];
+  }
+
+  // Every reference in the saved collections must point at an existing item
+  async assertReferences(tx, projectCollections, pending, collectionIds, schemaOf) {
+    const collectionsById = new Map(projectCollections.map(collection => [collection.id, collection]));
+    const dataByName = new Map();
+    for (const { current, data } of pending.values()) {
+      dataByName.set(current.name, data);
+    }
+
+    const errors = [];
+    for (const id of collectionIds) {
+      const collection = collectionsById.get(id) || pending.get(id).current;
+      const references = this.getReferences(schemaOf(collection));
+
+      for (const ref of references) {
+        if (!dataByName.has(ref.collection)) {
+          const target = projectCollections.find(candidate => candidate.name === ref.collection);
+          if (target) {
+            const row = await tx.mockDataCollection.findUnique({ where: { id: target.id }, select: { data: true } });
+            dataByName.set(ref.collection, row?.data || []);
+          }
+        }
+
+        errors.push(...this.findInvalidReferences(
+          collection.name,
+          pending.get(id).data,
+          ref,
+          dataByName.get(ref.collection)
+        ));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw this.createError('REFERENCE_VALIDATION_FAILED', 400, errors.slice(0, MAX_ERRORS));
+    }
+  }
+
+  // Per-item errors in the same shape as schema validation errors
+  findInvalidReferences(collectionName, data, ref, targetData) {
+    if (!targetData) {
+      return [{
+        collectionName,
+        index: null,
+        path: `/${ref.field}`,
+        keyword: 'x-ref',
+        message: `references unknown collection "${ref.collection}"`,
+        params: { collection: ref.collection }
+      }];
+    }
+
+    const keys = new Set((Array.isArray(targetData) ? targetData : []).map(item => String(item?.[ref.targetField])));
+    const errors = [];
+
+    (Array.isArray(data) ? data : []).forEach((item, index) => {
+      const value = item?.[ref.field];
+      const values = ref.many ? (Array.isArray(value) ? value : []) : [value];
+
+      values.forEach((entry, position) => {
+        if (entry === undefined || entry === null || keys.has(String(entry))) return;
+        errors.push({
+          collectionName,
+          index,
+          path: ref.many ? `/${ref.field}/${position}` : `/${ref.field}`,
+          keyword: 'x-ref',
+          message: `no ${ref.collection} item with ${ref.targetField} ${JSON.stringify(entry)}`,
+          params: { collection: ref.collection, field: ref.targetField, value: entry }
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  // Target keys present before the save and gone after it
+  removedKeys(before, after, targetField) {
+    const keysOf = (items) => new Set((Array.isArray(items) ? items : [])
+      .map(item => item?.[targetField])
+      .filter(value => value !== undefined && value !== null)
+      .map(String));
+
+    const remaining = keysOf(after);
+    return new Set([...keysOf(before)].filter(key => !remaining.has(key)));
+  }
+
+  // Items referencing removed keys, and the data after cascade/setNull
+  applyOnDelete(data, relation, removed) {
+    const references = (item) => {
+      const value = item?.[relation.field];
+      return relation.many
+        ? Array.isArray(value) && value.some(entry => entry !== null && removed.has(String(entry)))
+        : value !== undefined && value !== null && removed.has(String(value));
+    };
+
+    const affected = data.filter(references);
+    if (affected.length === 0 || relation.onDelete === 'restrict') {
+      return { data, affected };
+    }
+
+    if (relation.onDelete === 'cascade') {
+      return { data: data.filter(item => !references(item)), affected };
+    }
+
+    // setNull: single references become null, lists drop the removed entries
+    return {
+      data: data.map(item => {
+        if (!references(item)) return item;
+        const value = item[relation.field];
+        return {
+          ...item,
+          [relation.field]: relation.many
+            ? value.filter(entry => entry === null || !removed.has(String(entry)))
+            : null
+        };
+      }),
+      affected
+    };
+  }
+
+  // Collections whose schemas reference `collectionName` (its own variants aside)
+  async getReferencingCollections(projectId, collectionName) {
+    const collections = await prisma.mockDataCollection.findMany({
+      where: { projectId },
+      select: { id: true, name: true, schema: true }
+    });
+
+    return collections
+      .filter(collection => collection.name !== collectionName)
+      .flatMap(collection => this.getReferences(collection.schema)
+        .filter(ref => ref.collection === collectionName)
+        .map(ref => ({ collectionId: collection.id, collectionName: collection.name, field: ref.field })));
+  }
+
+  // The collection's data plus every collection reachable through its references,
+  // with the relation map `expand` needs
+  async loadRelated(collection) {
+    const environmentId = collection.environmentId ?? null;
+    const projectCollections = mockDataEnvironmentService.scope(await prisma.mockDataCollection.findMany({
+      where: { projectId: collection.projectId, ...mockDataEnvironmentService.scopeWhere(environmentId) },
+      select: { id: true, name: true, environmentId: true, schema: true }
+    }), environmentId);
+    const relations = this.buildRelationMap(
+      projectCollections.map(entry => (entry.id === collection.id ? { ...entry, schema: collection.schema } : entry))
+    );
+
+    const needed = new Set();
+    const visit = (name) => (relations[name] || []).forEach(ref => {
+      if (needed.has(ref.collection)) return;
+      needed.add(ref.collection);
+      visit(ref.collection);
+    });
+    visit(collection.name);
+    needed.delete(collection.name);
+
+    const rows = needed.size > 0
+      ? await prisma.mockDataCollection.findMany({
+        where: { id: { in: projectCollections.filter(entry => needed.has(entry.name)).map(entry => entry.id) } },
+        select: { name: true, data: true }
+      })
+      : [];
+
+    const collections = Object.fromEntries(rows.map(row => [row.name, row.data]));
+    collections[collection.name] = collection.data;
+
+    return { collections, relations };
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new MockDataRelationService();
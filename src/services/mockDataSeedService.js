@@ -0,0 +1,718 @@
+import prisma from '../config/database.js';
+import mockDataService from './mockDataService.js';
+import mockDataVersionService from './mockDataVersionService.js';
+import mockDataEnvironmentService from './mockDataEnvironmentService.js';
+import mockDataRelationService from './mockDataRelationService.js';
+import schemaValidator from './schemaValidator.js';
+
+/**
+ * MOCK DATA SEEDS
+ * - A version of each collection can be marked as its seed
+ * - Project reset restores every seeded collection in one transaction (RESET versions);
+ *   an environment reset restores only its variants, since base datasets are shared
+ * - Optional interval resets (project.settings.mockDataReset)
+ * - Seed files: bootstrap a project's collections from one JSON document
+ */
+
+const SEED_FILE_FORMAT = 'flux-mock-seed';
+const SEED_FILE_VERSION = 1;
+
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+const SCHEDULE_BOUNDS = { min: 5, max: 7 * 24 * 60 }; // minutes
+
+// Project-wide writes lock many rows; the default 5s interactive timeout is too short
+const PROJECT_TRANSACTION_TIMEOUT_MS = 30000;
+
+class MockDataSeedService {
+  constructor() {
+    this.schedulerInterval = null;
+    this.runningScheduled = false;
+  }
+
+  // Mark a retained version (default: the current data) as the collection's seed
+  async markSeed(collectionId, userId, version = null) {
+    await mockDataService.verifyCollectionEditAccess(collectionId, userId);
+
+    const seed = await prisma.$transaction(async (tx) => {
+      const current = await mockDataService.lockCollection(tx, collectionId);
+      const currentVersion = mockDataService.getCollectionVersion(current);
+      const seedVersion = version !== null && version !== undefined ? parseInt(version) : currentVersion;
+
+      // Collections saved before versioning have no snapshot of their current data yet
+      if (seedVersion === currentVersion) {
+        await mockDataVersionService.ensureBaseline(tx, current, currentVersion);
+      }
+
+      const snapshot = await tx.mockDataVersion.findUnique({
+        where: { collectionId_version: { collectionId, version: seedVersion } },
+        select: { id: true, version: true, itemCount: true, createdAt: true }
+      });
+      if (!snapshot) {
+        throw this.createError('VERSION_NOT_FOUND', 404);
+      }
+
+      await this.setSeedVersion(tx, current, snapshot.id, snapshot.version);
+      return snapshot;
+    });
+
+    console.log(`🌱 [MockDataSeed] Marked v${seed.version} as the seed of collection ${collectionId}`);
+
+    return {
+      success: true,
+      message: `Version ${seed.version} is now the seed`,
+      seed: {
+        version: seed.version,
+        itemCount: seed.itemCount,
+        createdAt: seed.createdAt
+      }
+    };
+  }
+
+  // Stop resetting a collection (the version itself stays in history until pruned)
+  async clearSeed(collectionId, userId) {
+    await mockDataService.verifyCollectionEditAccess(collectionId, userId);
+
+    await prisma.$transaction(async (tx) => {
+      const current = await mockDataService.lockCollection(tx, collectionId);
+      const { seedVersion, ...metadata } = current.metadata || {};
+
+      await tx.mockDataVersion.updateMany({
+        where: { collectionId, isSeed: true },
+        data: { isSeed: false }
+      });
+      await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: { isSeedData: false, metadata }
+      });
+    });
+
+    return { success: true, message: 'Seed cleared' };
+  }
+
+  // Exactly one seed version per collection
+  async setSeedVersion(tx, current, versionId, version) {
+    await tx.mockDataVersion.updateMany({
+      where: { collectionId: current.id, isSeed: true, NOT: { id: versionId } },
+      data: { isSeed: false }
+    });
+    await tx.mockDataVersion.update({
+      where: { id: versionId },
+      data: { isSeed: true }
+    });
+    await tx.mockDataCollection.update({
+      where: { id: current.id },
+      data: {
+        isSeedData: true,
+        metadata: { ...(current.metadata || {}), seedVersion: version }
+      }
+    });
+  }
+
+  // Reset the base datasets, or one environment's variants, to their seeds
+  async resetProject(projectId, userId, { environmentId = null } = {}) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+    return this.reset(projectId, userId, { environmentId, trigger: 'manual' });
+  }
+
+  // All seeded collections in scope are restored in one transaction, or none are
+  async reset(projectId, actorId, { environmentId = null, trigger = 'manual' } = {}) {
+    const environment = environmentId
+      ? await mockDataEnvironmentService.getEnvironment(projectId, environmentId)
+      : null;
+
+    const collections = await prisma.mockDataCollection.findMany({
+      where: { projectId, environmentId },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, name: true, environmentId: true, isSeedData: true }
+    });
+
+    const seeded = collections.filter(collection => collection.isSeedData);
+    if (seeded.length === 0) {
+      throw this.createError('NO_SEED_DATA', 400, [{
+        field: 'environmentId',
+        message: 'No collection in this scope has a seed; mark one with POST /collections/:collectionId/seed'
+      }]);
+    }
+
+    const { results, cascaded } = await prisma.$transaction(async (tx) => {
+      const locked = await mockDataService.lockCollections(tx, seeded.map(collection => collection.id));
+      const seeds = await tx.mockDataVersion.findMany({
+        where: { collectionId: { in: [...locked.keys()] }, isSeed: true },
+        select: { collectionId: true, version: true, data: true, schema: true }
+      });
+      const seedByCollection = new Map(seeds.map(seed => [seed.collectionId, seed]));
+
+      const changes = new Map();
+      for (const [id, current] of locked) {
+        const seed = seedByCollection.get(id);
+        if (!seed) continue;
+        changes.set(id, { current, data: seed.data, schema: seed.schema ?? current.schema });
+      }
+
+      if (changes.size === 0) {
+        throw this.createError('NO_SEED_DATA', 400);
+      }
+
+      for (const { data, schema, current } of changes.values()) {
+        this.assertEntryMatchesSchema(data, schema, current.name);
+      }
+
+      // Restored data must fit the references of the environment it is read in
+      const cascaded = await mockDataService.applyRelations(tx, changes, actorId, { trigger });
+
+      const results = [];
+      for (const [id, { current, data, schema }] of changes) {
+        const seed = seedByCollection.get(id);
+        const { backup, ...currentMetadata } = current.metadata || {};
+        const metadata = {
+          ...currentMetadata,
+          version: mockDataService.getCollectionVersion(current) + 1,
+          lastResetAt: new Date().toISOString(),
+          lastResetBy: actorId
+        };
+
+        await tx.mockDataCollection.update({
+          where: { id },
+          data: {
+            data,
+            ...(seed.schema && { schema: seed.schema }),
+            metadata
+          }
+        });
+
+        await mockDataService.snapshotSave(tx, current, {
+          data,
+          schema,
+          version: metadata.version,
+          operation: 'RESET',
+          userId: actorId,
+          metadata: { seedVersion: seed.version, trigger, environmentId }
+        });
+
+        results.push({
+          id,
+          name: current.name,
+          environmentId: current.environmentId ?? null,
+          itemCount: data.length,
+          version: metadata.version,
+          seedVersion: seed.version
+        });
+      }
+
+      return { results, cascaded };
+    }, { timeout: PROJECT_TRANSACTION_TIMEOUT_MS });
+
+    await mockDataService.pruneSavedVersions([...results.map(result => result.id), ...cascaded.map(entry => entry.id)]);
+
+    console.log(`🌱 [MockDataSeed] Reset ${results.length} collections of project ${projectId}${environment ? ` (${environment.name})` : ''} [${trigger}]`);
+
+    const resetIds = new Set(results.map(result => result.id));
+    return {
+      success: true,
+      message: `Reset ${results.length} collections to their seeds`,
+      environment,
+      trigger,
+      reset: results,
+      skipped: collections
+        .filter(collection => !resetIds.has(collection.id))
+        .map(collection => ({ id: collection.id, name: collection.name, reason: 'NO_SEED' })),
+      cascaded
+    };
+  }
+
+  // Interval reset settings, with defaults filled in
+  async getSchedule(projectId, userId) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { settings: true }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    return this.withScheduleDefaults(project.settings?.mockDataReset);
+  }
+
+  async updateSchedule(projectId, userId, input = {}) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { settings: true }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    // Only the settings are client-controlled; run bookkeeping is kept
+    const current = this.withScheduleDefaults(project.settings?.mockDataReset);
+    const { enabled, intervalMinutes, environmentId } = input;
+    const schedule = this.validateSchedule({
+      ...current,
+      ...(enabled !== undefined && { enabled }),
+      ...(intervalMinutes !== undefined && { intervalMinutes }),
+      ...(environmentId !== undefined && { environmentId })
+    });
+
+    if (schedule.environmentId) {
+      await mockDataEnvironmentService.getEnvironment(projectId, schedule.environmentId);
+    }
+
+    // Changing the interval or turning the schedule on restarts the countdown
+    schedule.nextRunAt = schedule.enabled
+      ? new Date(Date.now() + schedule.intervalMinutes * 60 * 1000).toISOString()
+      : null;
+
+    await prisma.project.update({
+      where: { id: projectId },
+      data: {
+        settings: { ...(project.settings || {}), mockDataReset: schedule }
+      }
+    });
+
+    return schedule;
+  }
+
+  withScheduleDefaults(schedule = {}) {
+    return {
+      enabled: false,
+      intervalMinutes: 24 * 60,
+      environmentId: null,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastResult: null,
+      ...(schedule || {})
+    };
+  }
+
+  validateSchedule(schedule) {
+    const errors = [];
+
+    if (typeof schedule.enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'enabled must be true or false' });
+    }
+
+    const interval = Number(schedule.intervalMinutes);
+    if (!Number.isInteger(interval) || interval < SCHEDULE_BOUNDS.min || interval > SCHEDULE_BOUNDS.max) {
+      errors.push({ field: 'intervalMinutes', message: `intervalMinutes must be an integer between ${SCHEDULE_BOUNDS.min} and ${SCHEDULE_BOUNDS.max}` });
+    }
+
+    if (schedule.environmentId !== null && typeof schedule.environmentId !== 'string') {
+      errors.push({ field: 'environmentId', message: 'environmentId must be an environment id, or null for the base datasets' });
+    }
+
+    if (errors.length > 0) {
+      throw this.createError('INVALID_RESET_SCHEDULE', 400, errors);
+    }
+
+    return {
+      enabled: schedule.enabled,
+      intervalMinutes: interval,
+      environmentId: schedule.environmentId || null,
+      nextRunAt: schedule.nextRunAt,
+      lastRunAt: schedule.lastRunAt,
+      lastResult: schedule.lastResult
+    };
+  }
+
+  // Check for due scheduled resets once a minute
+  startScheduler() {
+    if (this.schedulerInterval) return;
+
+    this.schedulerInterval = setInterval(() => {
+      this.runScheduledResets().catch(error => {
+        console.error('❌ Scheduled mock data resets failed:', error.message);
+      });
+    }, SCHEDULE_CHECK_INTERVAL_MS);
+    this.schedulerInterval.unref();
+
+    console.log('🌱 Mock data reset scheduler started');
+  }
+
+  stopScheduler() {
+    clearInterval(this.schedulerInterval);
+    this.schedulerInterval = null;
+  }
+
+  async runScheduledResets() {
+    if (this.runningScheduled) return;
+    this.runningScheduled = true;
+
+    try {
+      const projects = await prisma.project.findMany({
+        where: { settings: { path: ['mockDataReset', 'enabled'], equals: true } },
+        select: { id: true }
+      });
+
+      for (const { id } of projects) {
+        const claim = await this.claimScheduledReset(id);
+        if (!claim) continue;
+
+        let lastResult;
+        try {
+          const result = await this.reset(id, claim.ownerId, {
+            environmentId: claim.schedule.environmentId,
+            trigger: 'schedule'
+          });
+          lastResult = { success: true, reset: result.reset.length, skipped: result.skipped.length };
+        } catch (error) {
+          console.error(`❌ Scheduled reset of project ${id} failed:`, error.message);
+          lastResult = { success: false, error: error.message };
+        }
+
+        await this.recordScheduledRun(id, lastResult);
+      }
+    } finally {
+      this.runningScheduled = false;
+    }
+  }
+
+  // Advance nextRunAt under a row lock so only one server runs each due reset
+  async claimScheduledReset(projectId) {
+    return prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM "projects" WHERE id = ${projectId} FOR UPDATE`;
+
+      const project = await tx.project.findUnique({
+        where: { id: projectId },
+        select: { ownerId: true, settings: true }
+      });
+      const schedule = this.withScheduleDefaults(project?.settings?.mockDataReset);
+
+      if (!project || !schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt).getTime() > Date.now()) {
+        return null;
+      }
+
+      const nextSchedule = {
+        ...schedule,
+        lastRunAt: new Date().toISOString(),
+        nextRunAt: new Date(Date.now() + schedule.intervalMinutes * 60 * 1000).toISOString()
+      };
+      await tx.project.update({
+        where: { id: projectId },
+        data: { settings: { ...project.settings, mockDataReset: nextSchedule } }
+      });
+
+      return { ownerId: project.ownerId, schedule: nextSchedule };
+    });
+  }
+
+  async recordScheduledRun(projectId, lastResult) {
+    try {
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        select: { settings: true }
+      });
+      if (!project?.settings?.mockDataReset) return;
+
+      await prisma.project.update({
+        where: { id: projectId },
+        data: {
+          settings: {
+            ...project.settings,
+            mockDataReset: { ...project.settings.mockDataReset, lastResult }
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to record scheduled reset for project ${projectId}:`, error.message);
+    }
+  }
+
+  // Seed file with every collection (base and variants): their seeds, or current data
+  async exportSeedFile(projectId, userId, { source = 'seed' } = {}) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    if (!['seed', 'current'].includes(source)) {
+      throw this.createError('INVALID_SEED_SOURCE', 400, [{ field: 'source', message: 'source must be seed or current' }]);
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        name: true,
+        mockData: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            name: true,
+            description: true,
+            schema: true,
+            data: true,
+            environment: { select: { name: true } },
+            versions: {
+              where: { isSeed: true },
+              select: { version: true, data: true, schema: true }
+            }
+          }
+        }
+      }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    // Base datasets first so importing in file order creates bases before variants
+    const collections = [...project.mockData].sort((a, b) => Number(Boolean(a.environment)) - Number(Boolean(b.environment)));
+
+    const seedFile = {
+      format: SEED_FILE_FORMAT,
+      version: SEED_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      project: { id: project.id, name: project.name },
+      collections: collections.map(collection => {
+        const seed = source === 'seed' ? collection.versions[0] : null;
+        return {
+          name: collection.name,
+          environment: collection.environment?.name ?? null,
+          description: collection.description ?? undefined,
+          schema: (seed ? seed.schema : collection.schema) ?? undefined,
+          data: seed ? seed.data : collection.data,
+          ...(source === 'seed' && !seed && { seeded: false })
+        };
+      })
+    };
+
+    return {
+      content: JSON.stringify(seedFile, null, 2),
+      contentType: 'application/json',
+      filename: `${project.name}-seed.json`
+    };
+  }
+
+  // Create or overwrite collections from a seed file in one transaction; each becomes its seed by default
+  async importSeedFile(projectId, userId, seedFile, { markAsSeed = true } = {}) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    const environments = await prisma.environment.findMany({
+      where: { projectId },
+      select: { id: true, name: true }
+    });
+    const entries = this.parseSeedFile(seedFile, environments);
+
+    const { results, cascaded } = await prisma.$transaction(async (tx) => {
+      const existing = await tx.mockDataCollection.findMany({
+        where: { projectId, name: { in: [...new Set(entries.map(entry => entry.name))] } },
+        select: { id: true, name: true, environmentId: true }
+      });
+      const existingId = (entry) => existing.find(row =>
+        row.name === entry.name && (row.environmentId ?? null) === entry.environmentId
+      )?.id;
+
+      const locked = await mockDataService.lockCollections(tx, entries.map(existingId).filter(Boolean));
+
+      // Base datasets first: variants' references fall back to them
+      const scopes = [null, ...new Set(entries.map(entry => entry.environmentId).filter(Boolean))];
+      const results = [];
+      const cascaded = [];
+
+      for (const environmentId of scopes) {
+        const changes = new Map();
+
+        for (const entry of entries.filter(candidate => candidate.environmentId === environmentId)) {
+          const id = existingId(entry);
+          let current = id ? locked.get(id) : null;
+
+          if (!current) {
+            const created = await tx.mockDataCollection.create({
+              data: {
+                projectId,
+                environmentId,
+                name: entry.name,
+                description: entry.description,
+                schema: entry.schema ?? mockDataService.inferSchema(entry.data),
+                data: [],
+                metadata: {
+                  createdBy: userId,
+                  createdAt: new Date().toISOString(),
+                  version: 0,
+                  saveCount: 0
+                }
+              },
+              select: { id: true, projectId: true, environmentId: true, name: true, data: true, schema: true, metadata: true }
+            });
+            current = { ...created, created: true };
+          }
+
+          const schema = entry.schema ?? current.schema;
+          this.assertEntryMatchesSchema(entry.data, schema, entry.name, entry.environment);
+          changes.set(current.id, { current, data: entry.data, schema, entry });
+        }
+
+        if (changes.size === 0) continue;
+
+        cascaded.push(...await mockDataService.applyRelations(tx, changes, userId));
+
+        for (const [id, { current, data, schema, entry }] of changes) {
+          const { backup, ...currentMetadata } = current.metadata || {};
+          const version = current.created ? 1 : mockDataService.getCollectionVersion(current) + 1;
+          const metadata = {
+            ...currentMetadata,
+            version,
+            lastSeededAt: new Date().toISOString(),
+            lastSeededBy: userId
+          };
+
+          await tx.mockDataCollection.update({
+            where: { id },
+            data: {
+              data,
+              ...(entry.schema && { schema: entry.schema }),
+              ...(entry.description !== undefined && { description: entry.description }),
+              metadata
+            }
+          });
+
+          const seedMetadata = { environment: entry.environment, markAsSeed };
+          const snapshot = current.created
+            ? await mockDataVersionService.recordVersion(tx, {
+              collectionId: id,
+              version,
+              data,
+              schema,
+              operation: 'SEED',
+              userId,
+              metadata: seedMetadata
+            })
+            : await mockDataService.snapshotSave(tx, current, {
+              data,
+              schema,
+              version,
+              operation: 'SEED',
+              userId,
+              metadata: seedMetadata
+            });
+
+          if (markAsSeed) {
+            await this.setSeedVersion(tx, { ...current, metadata }, snapshot.id, version);
+          }
+
+          results.push({
+            id,
+            name: entry.name,
+            environment: entry.environment,
+            created: Boolean(current.created),
+            itemCount: data.length,
+            version,
+            ...(markAsSeed && { seedVersion: version })
+          });
+        }
+      }
+
+      return { results, cascaded };
+    }, { timeout: PROJECT_TRANSACTION_TIMEOUT_MS });
+
+    await mockDataService.pruneSavedVersions([...results.map(result => result.id), ...cascaded.map(entry => entry.id)]);
+
+    console.log(`🌱 [MockDataSeed] Seeded ${results.length} collections of project ${projectId}`);
+
+    return {
+      success: true,
+      message: `Seeded ${results.length} collections`,
+      collections: results,
+      cascaded
+    };
+  }
+
+  // Validate the whole file up front; every problem is reported at once
+  parseSeedFile(seedFile, environments) {
+    const fail = (errors) => this.createError('INVALID_SEED_FILE', 400, errors);
+
+    if (!seedFile || typeof seedFile !== 'object' || Array.isArray(seedFile)) {
+      throw fail([{ field: 'format', message: `Seed files are JSON objects with format "${SEED_FILE_FORMAT}"` }]);
+    }
+    if (seedFile.format !== SEED_FILE_FORMAT) {
+      throw fail([{ field: 'format', message: `format must be "${SEED_FILE_FORMAT}"` }]);
+    }
+    if (seedFile.version !== undefined && seedFile.version !== SEED_FILE_VERSION) {
+      throw fail([{ field: 'version', message: `Unsupported seed file version ${seedFile.version}` }]);
+    }
+    if (!Array.isArray(seedFile.collections) || seedFile.collections.length === 0) {
+      throw fail([{ field: 'collections', message: 'collections must be a non-empty array' }]);
+    }
+
+    const environmentByName = new Map(environments.map(environment => [environment.name, environment.id]));
+    const errors = [];
+    const seen = new Set();
+
+    const entries = seedFile.collections.map((collection, index) => {
+      const at = (field, message) => errors.push({
+        index,
+        collection: collection?.name ?? null,
+        environment: collection?.environment ?? null,
+        field,
+        message
+      });
+
+      if (!collection || typeof collection !== 'object') {
+        at('collections', 'must be an object');
+        return null;
+      }
+
+      try {
+        mockDataService.validateCollectionName(collection.name);
+      } catch (error) {
+        at('name', error.message);
+      }
+
+      const environment = collection.environment ?? null;
+      const environmentId = environment === null ? null : environmentByName.get(environment);
+      if (environmentId === undefined) {
+        at('environment', `No environment named "${environment}" in this project`);
+      }
+
+      const key = `${collection.name}@${environment ?? ''}`;
+      if (seen.has(key)) at('name', 'appears more than once for the same environment');
+      seen.add(key);
+
+      if (!Array.isArray(collection.data)) {
+        at('data', 'data must be an array');
+      }
+
+      if (collection.schema !== undefined && collection.schema !== null) {
+        try {
+          schemaValidator.assertValidSchema(collection.schema);
+          mockDataRelationService.assertValidReferences(collection.schema);
+        } catch (error) {
+          (error.errors || [{ message: error.message }]).forEach(detail => at('schema', detail.message));
+        }
+      }
+
+      return {
+        name: collection.name,
+        environment,
+        environmentId: environmentId ?? null,
+        description: collection.description,
+        schema: collection.schema ?? null,
+        data: collection.data
+      };
+    });
+
+    if (errors.length > 0) {
+      throw fail(errors);
+    }
+
+    return entries;
+  }
+
+  // Schema errors tagged with the collection they belong to
+  assertEntryMatchesSchema(data, schema, collectionName, environment = null) {
+    try {
+      mockDataService.assertDataMatchesSchema(data, schema);
+    } catch (error) {
+      error.errors = (error.errors || []).map(detail => ({ collectionName, environment, ...detail }));
+      throw error;
+    }
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new MockDataSeedService();
@@ -1,13 +1,26 @@
-import { faker } from '@faker-js/faker';
 import prisma from '../config/database.js';
+import collectionApi from './execution/collectionApi.js';
+import mockDataVersionService from './mockDataVersionService.js';
+import schemaValidator, { DRAFT_2020_12 } from './schemaValidator.js';
+import mockDataGenerator from './mockDataGenerator.js';
+import mockDataRelationService from './mockDataRelationService.js';
+import mockDataEnvironmentService from './mockDataEnvironmentService.js';
+
+// Checked in order; uri last since it is the loosest
+const INFERRED_FORMATS = ['uuid', 'date-time', 'email', 'uri'];
+
+// Fields clients may change through updateCollection; metadata, project and environment are managed here
+const UPDATABLE_FIELDS = ['name', 'description', 'schema', 'data'];
 
 /**
  * PRODUCTION MOCK DATA SERVICE
  * - Create fake data collections
  * - Generate realistic test data
- * - Manage mock data relationships
+ * - Manage mock data relationships (x-ref references, onDelete, expand)
  * - Data validation and seeding
  * - REAL SAVE FROM EXECUTION SUPPORT ✅
+ * - Every save snapshotted as an immutable version
+ * - Per-environment data variants, copied or promoted between environments
  */
 
 class MockDataService {
@@ -21,40 +34,78 @@ class MockDataService {
     // Validate collection name
     this.validateCollectionName(name);
 
+    // Schema must itself be valid JSON Schema
+    schemaValidator.assertValidSchema(schema);
+    mockDataRelationService.assertValidReferences(schema);
+
+    // Generated references point at existing items of the referenced collections
+    const references = !initialData && schema
+      ? await mockDataRelationService.loadReferencePools(prisma, projectId, schema, { name, data: [] })
+      : undefined;
+
     // Generate initial data if not provided
-    const data = initialData || this.generateDataFromSchema(schema) || this.generateDefaultData(name);
-
-    const collection = await prisma.mockDataCollection.create({
-      data: {
-        projectId,
-        name,
-        description,
-        schema: schema || this.inferSchema(data),
-        data,
-        metadata: {
-          createdBy: userId,
-          createdAt: new Date().toISOString(),
-          version: 1,
-          saveCount: 0
-        }
-      },
-      include: {
-        project: {
-          select: {
-            id: true,
-            name: true
+    const data = initialData || this.generateDataFromSchema(schema, 10, { references, collectionName: name }) || this.generateDefaultData(name);
+
+    if (schema) {
+      this.assertDataMatchesSchema(data, schema);
+    }
+
+    const collection = await prisma.$transaction(async (tx) => {
+      await this.assertNameAvailable(tx, projectId, name);
+
+      const collection = await tx.mockDataCollection.create({
+        data: {
+          projectId,
+          name,
+          description,
+          // Built-in schemas keep their x-faker hints for later regeneration
+          schema: schema || (initialData ? this.inferSchema(data) : mockDataGenerator.getDefaultSchema(name)),
+          data,
+          metadata: {
+            createdBy: userId,
+            createdAt: new Date().toISOString(),
+            version: 1,
+            saveCount: 0
+          }
+        },
+        include: {
+          project: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         }
-      }
+      });
+
+      await this.applyRelations(tx, new Map([
+        [collection.id, { current: { ...collection, data: [] }, data }]
+      ]), userId);
+
+      await mockDataVersionService.recordVersion(tx, {
+        collectionId: collection.id,
+        version: 1,
+        data: collection.data,
+        schema: collection.schema,
+        operation: 'CREATE',
+        userId
+      });
+
+      return collection;
     });
 
     return collection;
   }
 
-  // Get all collections for project
-  async getProjectCollections(projectId, userId) {
+  // Get all collections for project: base datasets with their variants listed,
+  // or with an environmentId, the datasets that environment executes against
+  async getProjectCollections(projectId, userId, environmentId = null) {
     await this.verifyProjectAccess(projectId, userId);
 
+    if (environmentId) {
+      await mockDataEnvironmentService.getEnvironment(projectId, environmentId);
+    }
+
     const collections = await prisma.mockDataCollection.findMany({
       where: { projectId },
       orderBy: { createdAt: 'asc' },
@@ -67,12 +118,25 @@ class MockDataService {
         createdAt: true,
         updatedAt: true,
         projectId: true,
+        environmentId: true,
         isSeedData: true,
         metadata: true
       }
     });
 
-    return collections;
+    if (environmentId) {
+      return mockDataEnvironmentService.scope(collections, environmentId);
+    }
+
+    const variants = collections.filter(collection => collection.environmentId);
+    return collections
+      .filter(collection => !collection.environmentId)
+      .map(collection => ({
+        ...collection,
+        variants: variants
+          .filter(variant => variant.name === collection.name)
+          .map(variant => mockDataEnvironmentService.summarize(variant))
+      }));
   }
 
   // Get specific collection
@@ -150,48 +214,20 @@ class MockDataService {
   }
 
   // ⭐⭐ NEW: Save mock data from endpoint execution ⭐⭐
-  async saveFromExecution(collectionId, data, userId, executionContext = {}) {
+  async saveFromExecution(collectionId, data, userId, executionContext = {}, options = {}) {
     console.log(`💾 [MockDataService] Saving from execution:`, {
       collectionId,
       dataLength: Array.isArray(data) ? data.length : 'not array',
       userId,
+      expectedVersion: options.expectedVersion,
       executionContext: {
         endpointId: executionContext.endpointId,
         executionId: executionContext.executionId
       }
     });
 
-    // Get collection with full access check
-    const collection = await prisma.mockDataCollection.findUnique({
-      where: { id: collectionId },
-      include: {
-        project: {
-          select: {
-            id: true,
-            ownerId: true,
-            collaborators: {
-              where: { userId: userId },
-              select: { userId: true, canEdit: true }
-            }
-          }
-        }
-      }
-    });
-
-    if (!collection) {
-      console.error(`❌ Collection ${collectionId} not found`);
-      throw new Error('COLLECTION_NOT_FOUND');
-    }
-
     // Verify user has EDIT access
-    const canEdit = 
-      collection.project.ownerId === userId ||
-      collection.project.collaborators.some(collab => collab.canEdit === true);
-
-    if (!canEdit) {
-      console.error(`❌ User ${userId} has no edit access to collection ${collectionId}`);
-      throw new Error('COLLECTION_EDIT_ACCESS_DENIED');
-    }
+    await this.verifyCollectionEditAccess(collectionId, userId);
 
     // Validate data
     if (!Array.isArray(data)) {
@@ -199,407 +235,682 @@ class MockDataService {
       throw new Error('DATA_MUST_BE_ARRAY');
     }
 
-    // Validate data structure against schema if exists
-    if (collection.schema) {
-      const validationResult = this.validateDataAgainstSchema(data, collection.schema);
-      if (!validationResult.valid) {
-        console.error(`❌ Schema validation failed:`, validationResult.errors);
-        throw new Error(`SCHEMA_VALIDATION_FAILED: ${validationResult.errors.join(', ')}`);
-      }
-    }
+    const { collection, metadata } = await prisma.$transaction(async (tx) => {
+      const current = await this.lockCollection(tx, collectionId);
 
-    // Create backup before update
-    const backup = {
-      previousData: collection.data,
-      previousVersion: collection._metadata?.version || 1,
-      backedUpAt: new Date().toISOString()
-    };
+      // Whole-array writes cannot be merged, so a stale version is rejected
+      this.assertVersion(current, options.expectedVersion);
 
-    // Update collection with new data
-    const currentMetadata = collection.metadata || {};
-    const updatedMetadata = {
-      ...currentMetadata,
-      version: (currentMetadata.version || 1) + 1,
-      saveCount: (currentMetadata.saveCount || 0) + 1,
-      lastSavedFromExecution: new Date().toISOString(),
-      lastExecutionContext: executionContext,
-      lastSavedBy: userId,
-      backup: backup
-    };
+      // Validate data structure against schema if exists
+      this.assertDataMatchesSchema(data, current.schema);
 
-    const updatedCollection = await prisma.mockDataCollection.update({
-      where: { id: collectionId },
-      data: {
-        data: data,
-        updatedAt: new Date(),
-        metadata: updatedMetadata
-      },
-      select: {
-        id: true,
-        name: true,
-        data: true,
-        updatedAt: true,
-        metadata: true
-      }
-    });
+      // Self-referencing deletes may cascade within the saved data itself
+      const changes = new Map([[collectionId, { current, data }]]);
+      const cascaded = await this.applyRelations(tx, changes, userId, executionContext);
+      const saved = changes.get(collectionId).data;
 
-    console.log(`✅ [MockDataService] Saved ${data.length} items to "${collection.name}" (v${updatedMetadata.version})`);
+      const metadata = this.nextExecutionMetadata(current, userId, executionContext);
 
-    // Log the save operation
-    await this.logSaveOperation({
-      collectionId,
-      collectionName: collection.name,
-      userId,
-      operation: 'save_from_execution',
-      itemCount: data.length,
-      executionContext,
-      metadata: {
-        previousVersion: backup.previousVersion,
-        newVersion: updatedMetadata.version,
-        saveCount: updatedMetadata.saveCount
-      }
+      const collection = await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: { data: saved, metadata },
+        select: {
+          id: true,
+          name: true,
+          updatedAt: true
+        }
+      });
+
+      await this.snapshotSave(tx, current, {
+        data: saved,
+        version: metadata.version,
+        operation: 'SAVE_FROM_EXECUTION',
+        userId,
+        executionContext,
+        metadata: { saveCount: metadata.saveCount }
+      });
+
+      return { collection: { ...collection, itemCount: saved.length }, metadata, cascaded };
     });
 
+    console.log(`✅ [MockDataService] Saved ${collection.itemCount} items to "${collection.name}" (v${metadata.version})`);
+
+    await this.pruneSavedVersions([collectionId, ...cascaded.map(entry => entry.id)]);
+
     return {
       success: true,
-      message: `Saved ${data.length} items to ${collection.name}`,
+      message: `Saved ${collection.itemCount} items to ${collection.name}`,
       collection: {
-        id: updatedCollection.id,
+        id: collection.id,
         name: collection.name,
-        itemCount: data.length,
-        version: updatedMetadata.version,
-        updatedAt: updatedCollection.updatedAt
+        itemCount: collection.itemCount,
+        version: metadata.version,
+        updatedAt: collection.updatedAt
       },
+      cascaded,
       executionContext,
       metadata: {
-        saveCount: updatedMetadata.saveCount,
-        version: updatedMetadata.version
+        saveCount: metadata.saveCount,
+        version: metadata.version
       }
     };
   }
 
-  // Update collection data
-  async updateCollection(collectionId, userId, updateData) {
-    const collection = await this.getCollection(collectionId, userId);
+  // Apply a sandbox operation log (db.collection() mutations) in one transaction
+  // targets: { collectionName: { id, version } } where version is what the sandbox loaded
+  async applyExecutionOperations(targets, operations, userId, executionContext = {}) {
+    const groups = collectionApi.groupByCollection(operations);
+    const names = [...groups.keys()];
 
-    // If updating data, validate and create backup
-    if (updateData.data) {
-      if (!Array.isArray(updateData.data)) {
-        throw new Error('DATA_MUST_BE_ARRAY');
+    try {
+      const missing = names.find(name => !targets[name]);
+      if (missing) {
+        const error = new Error('COLLECTION_NOT_FOUND');
+        error.statusCode = 404;
+        error.errors = { collectionName: missing };
+        throw error;
+      }
+
+      for (const name of names) {
+        await this.verifyCollectionEditAccess(targets[name].id, userId);
       }
 
-      // Validate against schema if exists
-      if (collection.schema) {
-        const validationResult = this.validateDataAgainstSchema(updateData.data, collection.schema);
-        if (!validationResult.valid) {
-          throw new Error(`SCHEMA_VALIDATION_FAILED: ${validationResult.errors.join(', ')}`);
+      // Every collection commits together or not at all
+      const { applied, cascaded } = await prisma.$transaction(async (tx) => {
+        const locked = await this.lockCollections(tx, names.map(name => targets[name].id));
+
+        const replays = names.map(name => ({
+          current: locked.get(targets[name].id),
+          operationCount: groups.get(name).length,
+          ...this.replayOperations(locked.get(targets[name].id), groups.get(name), targets[name].version)
+        }));
+
+        // References are checked across the whole save; deletes may cascade into other collections
+        const changes = new Map(replays.map(({ current, data }) => [current.id, { current, data }]));
+        const cascaded = await this.applyRelations(tx, changes, userId, executionContext);
+
+        const applied = [];
+        for (const replay of replays) {
+          applied.push(await this.writeReplay(tx, {
+            ...replay,
+            data: changes.get(replay.current.id).data
+          }, userId, executionContext));
         }
+        return { applied, cascaded };
+      });
+
+      await this.pruneSavedVersions(cascaded.map(entry => entry.id));
+
+      const results = [];
+      for (const { collection, data, summary, metadata, merged, operationCount } of applied) {
+        console.log(`✅ [MockDataService] Applied ${operationCount} operations to "${collection.name}" (v${metadata.version}${merged ? ', merged' : ''})`);
+
+        await mockDataVersionService.pruneAfterSave(collection.id);
+
+        results.push({
+          success: true,
+          message: `Applied ${operationCount} operations to ${collection.name}`,
+          collection: {
+            id: collection.id,
+            name: collection.name,
+            itemCount: data.length,
+            version: metadata.version,
+            updatedAt: collection.updatedAt
+          },
+          operations: summary,
+          merged,
+          cascaded,
+          executionContext,
+          metadata: {
+            saveCount: metadata.saveCount,
+            version: metadata.version
+          }
+        });
       }
 
-      // Update metadata
-      const currentMetadata = collection.metadata || {};
-      updateData.metadata = {
-        ...currentMetadata,
-        version: (currentMetadata.version || 1) + 1,
-        lastManualUpdate: new Date().toISOString(),
-        updatedBy: userId
-      };
+      return results;
+    } catch (error) {
+      console.error(`❌ Applying operations to ${names.join(', ')} failed:`, error.message);
+
+      // Nothing was written; every collection in the save reports the failure
+      return names.map(collectionName => ({
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode || 500,
+        collectionName,
+        ...(error.errors && { details: error.errors })
+      }));
     }
+  }
 
-    const updatedCollection = await prisma.mockDataCollection.update({
-      where: { id: collectionId },
-      data: {
-        ...updateData,
-        ...(updateData.data && { schema: this.inferSchema(updateData.data) })
-      }
-    });
+  // Replay one collection's operations on its locked, latest data
+  replayOperations(current, operations, baseVersion) {
+    const currentVersion = this.getCollectionVersion(current);
+    const merged = baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== currentVersion;
+
+    // Id-based inserts/updates/deletes merge onto newer data; whole-array replaces would clobber it
+    if (merged && operations.some(operation => operation.type === 'replace')) {
+      throw this.versionConflict(current, baseVersion);
+    }
 
-    return updatedCollection;
+    const { data, summary } = collectionApi.applyOperations(current.data, operations);
+
+    this.assertDataMatchesSchema(data, current.schema);
+
+    return { data, summary, merged };
   }
 
-  // Delete collection
-  async deleteCollection(collectionId, userId) {
-    const collection = await this.getCollection(collectionId, userId);
+  // Write a replayed collection and snapshot it
+  async writeReplay(tx, { current, data, summary, merged, operationCount }, userId, executionContext) {
+    const metadata = this.nextExecutionMetadata(current, userId, executionContext);
 
-    await prisma.mockDataCollection.delete({
-      where: { id: collectionId }
+    const collection = await tx.mockDataCollection.update({
+      where: { id: current.id },
+      data: { data, metadata },
+      select: {
+        id: true,
+        name: true,
+        updatedAt: true
+      }
     });
 
-    return { success: true };
+    await this.snapshotSave(tx, current, {
+      data,
+      version: metadata.version,
+      operation: 'SAVE_FROM_EXECUTION',
+      userId,
+      executionContext,
+      metadata: { operations: summary, merged }
+    });
+
+    return { collection, data, summary, metadata, merged, operationCount };
   }
 
-  // Validate data against schema
-  validateDataAgainstSchema(data, schema) {
-    if (!schema || !schema.items || !schema.items.properties) {
-      return { valid: true, errors: [] };
+  // Update collection data
+  async updateCollection(collectionId, userId, updateData) {
+    const { expectedVersion } = updateData;
+    const changes = Object.fromEntries(
+      UPDATABLE_FIELDS
+        .filter(field => updateData[field] !== undefined)
+        .map(field => [field, updateData[field]])
+    );
+    await this.getCollection(collectionId, userId);
+
+    if (changes.data && !Array.isArray(changes.data)) {
+      throw new Error('DATA_MUST_BE_ARRAY');
     }
 
-    const errors = [];
-    const requiredFields = schema.items.required || [];
-    const properties = schema.items.properties;
+    if (changes.schema) {
+      schemaValidator.assertValidSchema(changes.schema);
+      mockDataRelationService.assertValidReferences(changes.schema);
+    }
 
-    data.forEach((item, index) => {
-      // Check required fields
-      requiredFields.forEach(field => {
-        if (item[field] === undefined || item[field] === null) {
-          errors.push(`Item ${index} missing required field: ${field}`);
+    if (changes.name) {
+      this.validateCollectionName(changes.name);
+    }
+
+    let cascaded = [];
+    const updatedCollection = await prisma.$transaction(async (tx) => {
+      const current = await this.lockCollection(tx, collectionId);
+
+      // Clients send the version they edited; a newer one means someone else saved first
+      this.assertVersion(current, expectedVersion);
+
+      // Variants are matched by name, so renaming the base renames them too
+      if (changes.name && changes.name !== current.name) {
+        if (current.environmentId) {
+          const error = new Error('VARIANT_RENAME_NOT_ALLOWED');
+          error.statusCode = 400;
+          error.errors = [{ field: 'name', message: 'Rename the base collection; its environment variants follow' }];
+          throw error;
         }
-      });
+        await this.assertNameAvailable(tx, current.projectId, changes.name);
 
-      // Check field types
-      Object.entries(item).forEach(([key, value]) => {
-        const fieldSchema = properties[key];
-        if (fieldSchema) {
-          const expectedType = fieldSchema.type;
-          const actualType = Array.isArray(value) ? 'array' : typeof value;
-          
-          if (expectedType && actualType !== expectedType) {
-            errors.push(`Item ${index} field "${key}": expected ${expectedType}, got ${actualType}`);
-          }
+        await tx.mockDataCollection.updateMany({
+          where: { projectId: current.projectId, name: current.name, environmentId: { not: null } },
+          data: { name: changes.name }
+        });
+      }
+
+      // A new schema must fit the data it will govern, new or existing
+      const schema = changes.schema || current.schema;
+      if (changes.data || changes.schema) {
+        this.assertDataMatchesSchema(changes.data || current.data, schema);
+
+        const relationChanges = new Map([[collectionId, { current, data: changes.data || current.data, schema }]]);
+        cascaded = await this.applyRelations(tx, relationChanges, userId);
+        if (changes.data) changes.data = relationChanges.get(collectionId).data;
+      }
+
+      // Data and schema changes are both new versions
+      const versioned = Boolean(changes.data || changes.schema);
+      if (versioned) {
+        // Update metadata
+        const { backup, ...currentMetadata } = current.metadata || {};
+        changes.metadata = {
+          ...currentMetadata,
+          version: this.getCollectionVersion(current) + 1,
+          lastManualUpdate: new Date().toISOString(),
+          updatedBy: userId
+        };
+      }
+
+      const updated = await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: {
+          ...changes,
+          // Declared schemas are kept; only schemaless collections get one inferred
+          ...(changes.data && !schema && { schema: this.inferSchema(changes.data) })
         }
       });
+
+      if (versioned) {
+        await this.snapshotSave(tx, current, {
+          data: updated.data,
+          schema: updated.schema,
+          version: changes.metadata.version,
+          operation: 'MANUAL_UPDATE',
+          userId
+        });
+      }
+
+      return updated;
     });
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    if (changes.data || changes.schema) {
+      await mockDataVersionService.pruneAfterSave(collectionId);
+    }
+    await this.pruneSavedVersions(cascaded.map(entry => entry.id));
+
+    return cascaded.length > 0 ? { ...updatedCollection, cascaded } : updatedCollection;
   }
 
-  // Generate mock data based on schema
-  generateDataFromSchema(schema, count = 10) {
-    if (!schema || !schema.properties) return null;
+  // Lock a collection row for the rest of the transaction and read its latest state
+  async lockCollection(tx, collectionId) {
+    const locked = await this.lockCollections(tx, [collectionId]);
+    return locked.get(collectionId);
+  }
 
-    const data = [];
-    
-    for (let i = 0; i < count; i++) {
-      const item = {};
-      
-      for (const [key, property] of Object.entries(schema.properties)) {
-        item[key] = this.generateFieldValue(property, key);
-      }
-      
-      // Add ID if not specified
-      if (!item.id) {
-        item.id = i + 1;
+  // Lock several rows in id order so concurrent multi-collection saves cannot deadlock
+  async lockCollections(tx, collectionIds) {
+    const ids = [...new Set(collectionIds)].sort();
+
+    for (const id of ids) {
+      await tx.$queryRaw`SELECT id FROM "mock_data_collections" WHERE id = ${id} FOR UPDATE`;
+    }
+
+    const collections = await tx.mockDataCollection.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        projectId: true,
+        environmentId: true,
+        name: true,
+        data: true,
+        schema: true,
+        metadata: true
       }
-      
-      data.push(item);
+    });
+
+    if (collections.length !== ids.length) {
+      throw new Error('COLLECTION_NOT_FOUND');
     }
 
-    return data;
+    return new Map(collections.map(collection => [collection.id, collection]));
   }
 
-  // Generate default data for common collection types
-  generateDefaultData(collectionName, count = 10) {
-    const generators = {
-      users: () => this.generateUsers(count),
-      products: () => this.generateProducts(count),
-      orders: () => this.generateOrders(count),
-      posts: () => this.generatePosts(count),
-      categories: () => this.generateCategories(count)
+  // Collections created before versioning count as version 1
+  getCollectionVersion(collection) {
+    return parseInt(collection.metadata?.version) || 1;
+  }
+
+  // Compare-and-swap guard; no expected version means last write wins
+  assertVersion(collection, expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') return;
+
+    if (parseInt(expectedVersion) !== this.getCollectionVersion(collection)) {
+      throw this.versionConflict(collection, expectedVersion);
+    }
+  }
+
+  versionConflict(collection, expectedVersion) {
+    const error = new Error('COLLECTION_VERSION_CONFLICT');
+    error.statusCode = 409;
+    error.errors = {
+      collectionId: collection.id,
+      collectionName: collection.name,
+      expectedVersion: parseInt(expectedVersion),
+      currentVersion: this.getCollectionVersion(collection)
     };
+    return error;
+  }
 
-    const generator = generators[collectionName.toLowerCase()] || generators.users;
-    return generator();
+  // Version bump recorded on every execution save (old data lives in the version store)
+  nextExecutionMetadata(current, userId, executionContext) {
+    const { backup, ...currentMetadata } = current.metadata || {};
+
+    return {
+      ...currentMetadata,
+      version: this.getCollectionVersion(current) + 1,
+      saveCount: (currentMetadata.saveCount || 0) + 1,
+      lastSavedFromExecution: new Date().toISOString(),
+      lastExecutionContext: executionContext,
+      lastSavedBy: userId
+    };
   }
 
-  // Generate fake users
-  generateUsers(count = 10) {
-    const users = [];
-    
-    for (let i = 0; i < count; i++) {
-      users.push({
-        id: i + 1,
-        name: faker.person.fullName(),
-        email: faker.internet.email(),
-        avatar: faker.image.avatar(),
-        role: faker.helpers.arrayElement(['user', 'admin', 'moderator']),
-        isActive: faker.datatype.boolean(),
-        createdAt: faker.date.past().toISOString(),
-        updatedAt: faker.date.recent().toISOString()
-      });
-    }
-    
-    return users;
+  // Snapshot a save inside its transaction, after a baseline of the data it replaced
+  async snapshotSave(tx, current, { data, schema, version, operation, userId, executionContext, metadata = {} }) {
+    const previousVersion = this.getCollectionVersion(current);
+    await mockDataVersionService.ensureBaseline(tx, current, previousVersion);
+
+    return mockDataVersionService.recordVersion(tx, {
+      collectionId: current.id,
+      version,
+      data,
+      schema: schema ?? current.schema,
+      operation,
+      userId,
+      executionContext,
+      metadata: { ...metadata, previousVersion }
+    });
   }
 
-  // Generate fake products
-  generateProducts(count = 10) {
-    const products = [];
-    
-    for (let i = 0; i < count; i++) {
-      products.push({
-        id: i + 1,
-        name: faker.commerce.productName(),
-        description: faker.commerce.productDescription(),
-        price: parseFloat(faker.commerce.price()),
-        category: faker.commerce.department(),
-        inStock: faker.datatype.boolean(),
-        images: [faker.image.url()],
-        tags: faker.helpers.arrayElements(['featured', 'new', 'sale'], 2),
-        createdAt: faker.date.past().toISOString()
-      });
+  // Enforce references for a save (changes: Map<id, { current, data, schema? }>).
+  // onDelete cascades update `data` in place; other collections they touch are written here
+  async applyRelations(tx, changes, userId, executionContext = {}) {
+    const [{ current: first }] = changes.values();
+    const original = new Map([...changes].map(([id, entry]) => [id, entry.data]));
+
+    const cascaded = await mockDataRelationService.enforce(
+      tx,
+      first.projectId,
+      changes,
+      (client, ids) => this.lockCollections(client, ids)
+    );
+
+    // setNull can break a schema that does not allow null
+    for (const [id, entry] of changes) {
+      if (entry.data !== original.get(id)) {
+        this.assertDataMatchesSchema(entry.data, entry.schema ?? entry.current.schema);
+      }
     }
-    
-    return products;
-  }
 
-  // Generate fake orders
-  generateOrders(count = 10) {
-    const orders = [];
-    
-    for (let i = 0; i < count; i++) {
-      orders.push({
-        id: i + 1,
-        userId: faker.number.int({ min: 1, max: 10 }),
-        productId: faker.number.int({ min: 1, max: 10 }),
-        quantity: faker.number.int({ min: 1, max: 5 }),
-        total: parseFloat(faker.commerce.price()),
-        status: faker.helpers.arrayElement(['pending', 'completed', 'cancelled']),
-        createdAt: faker.date.past().toISOString()
+    const results = [];
+    for (const { current, data, reasons } of cascaded) {
+      this.assertDataMatchesSchema(data, current.schema);
+
+      const { backup, ...currentMetadata } = current.metadata || {};
+      const metadata = {
+        ...currentMetadata,
+        version: this.getCollectionVersion(current) + 1,
+        lastCascadeAt: new Date().toISOString(),
+        lastCascadeBy: userId
+      };
+
+      await tx.mockDataCollection.update({
+        where: { id: current.id },
+        data: { data, metadata }
       });
-    }
-    
-    return orders;
-  }
 
-  // Generate fake blog posts
-  generatePosts(count = 10) {
-    const posts = [];
-    
-    for (let i = 0; i < count; i++) {
-      posts.push({
-        id: i + 1,
-        title: faker.lorem.sentence(),
-        content: faker.lorem.paragraphs(3),
-        author: faker.person.fullName(),
-        category: faker.helpers.arrayElement(['tech', 'lifestyle', 'business']),
-        isPublished: faker.datatype.boolean(),
-        views: faker.number.int({ min: 0, max: 1000 }),
-        createdAt: faker.date.past().toISOString()
+      await this.snapshotSave(tx, current, {
+        data,
+        version: metadata.version,
+        operation: 'CASCADE',
+        userId,
+        executionContext,
+        metadata: { cascade: reasons }
+      });
+
+      console.log(`🔗 [MockDataService] Cascaded into "${current.name}" (v${metadata.version})`);
+
+      results.push({
+        id: current.id,
+        name: current.name,
+        itemCount: data.length,
+        version: metadata.version,
+        cascade: reasons
       });
     }
-    
-    return posts;
+
+    return results;
   }
 
-  // Generate fake categories
-  generateCategories(count = 5) {
-    const categories = [];
-    const uniqueCategories = new Set();
-    
-    while (categories.length < count && uniqueCategories.size < 20) {
-      const category = faker.commerce.department();
-      
-      if (!uniqueCategories.has(category)) {
-        uniqueCategories.add(category);
-        categories.push({
-          id: categories.length + 1,
-          name: category,
-          description: faker.lorem.sentence(),
-          isActive: true,
-          createdAt: faker.date.past().toISOString()
-        });
-      }
+  async pruneSavedVersions(collectionIds) {
+    for (const collectionId of collectionIds) {
+      await mockDataVersionService.pruneAfterSave(collectionId);
     }
-    
-    return categories;
   }
 
-  // Generate field value based on schema property
-  generateFieldValue(property, fieldName) {
-    const { type, format, enum: enumValues } = property;
-    
-    // Handle enums first
-    if (enumValues && Array.isArray(enumValues)) {
-      return faker.helpers.arrayElement(enumValues);
-    }
-    
-    // Handle based on type and common field names
-    switch (type) {
-      case 'string':
-        if (format === 'email') return faker.internet.email();
-        if (format === 'date-time') return faker.date.anytime().toISOString();
-        if (format === 'uri') return faker.image.url();
-        
-        // Smart field name detection
-        if (fieldName.includes('name')) return faker.person.fullName();
-        if (fieldName.includes('email')) return faker.internet.email();
-        if (fieldName.includes('phone')) return faker.phone.number();
-        if (fieldName.includes('address')) return faker.location.streetAddress();
-        if (fieldName.includes('city')) return faker.location.city();
-        if (fieldName.includes('country')) return faker.location.country();
-        if (fieldName.includes('description')) return faker.lorem.sentence();
-        if (fieldName.includes('title')) return faker.lorem.sentence();
-        
-        return faker.lorem.words(3);
-        
-      case 'number':
-      case 'integer':
-        if (fieldName.includes('price') || fieldName.includes('amount')) {
-          return parseFloat(faker.commerce.price());
+  // Generate items from the collection schema, appended or replacing the data
+  async generateCollectionData(collectionId, userId, options = {}) {
+    const { count = 10, mode = 'append', seed, locale, refDate, expectedVersion } = options;
+
+    await this.verifyCollectionEditAccess(collectionId, userId);
+
+    const { collection, items, generation, metadata, cascaded } = await prisma.$transaction(async (tx) => {
+      const current = await this.lockCollection(tx, collectionId);
+      this.assertVersion(current, expectedVersion);
+
+      const existing = Array.isArray(current.data) ? current.data : [];
+      const schema = current.schema && schemaValidator.getItemSchema(current.schema)?.properties
+        ? current.schema
+        : existing.length > 0 ? this.inferSchema(existing) : mockDataGenerator.getDefaultSchema(current.name);
+
+      // Appended items continue after the highest numeric id
+      const startId = mode === 'append'
+        ? existing.reduce((max, item) => (Number.isInteger(item?.id) ? Math.max(max, item.id) : max), 0) + 1
+        : 1;
+
+      // x-ref fields pick from the referenced collections' current items
+      const references = await mockDataRelationService.loadReferencePools(tx, current.projectId, schema, {
+        name: current.name,
+        environmentId: current.environmentId,
+        data: mode === 'append' ? existing : []
+      });
+
+      const generation = mockDataGenerator.generate(schema, {
+        count,
+        seed,
+        locale,
+        refDate,
+        startId,
+        references,
+        collectionName: current.name
+      });
+      let data = mode === 'append' ? [...existing, ...generation.items] : generation.items;
+
+      this.assertDataMatchesSchema(data, current.schema);
+
+      // Replacing data removes items others may reference
+      const changes = new Map([[collectionId, { current, data }]]);
+      const cascaded = await this.applyRelations(tx, changes, userId);
+      data = changes.get(collectionId).data;
+
+      const { backup, ...currentMetadata } = current.metadata || {};
+      const metadata = {
+        ...currentMetadata,
+        version: this.getCollectionVersion(current) + 1,
+        lastGeneratedAt: new Date().toISOString(),
+        lastGeneratedBy: userId
+      };
+
+      const collection = await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: { data, metadata },
+        select: {
+          id: true,
+          name: true,
+          updatedAt: true
         }
-        if (fieldName.includes('age')) {
-          return faker.number.int({ min: 18, max: 80 });
+      });
+
+      await this.snapshotSave(tx, current, {
+        data,
+        version: metadata.version,
+        operation: 'GENERATE',
+        userId,
+        metadata: {
+          mode,
+          count: generation.items.length,
+          seed: generation.seed,
+          locale: generation.locale,
+          refDate: generation.refDate
         }
-        return faker.number.int({ min: 1, max: 1000 });
-        
-      case 'boolean':
-        return faker.datatype.boolean();
-        
-      case 'array':
-        return [];
-        
-      default:
-        return null;
+      });
+
+      return {
+        collection: { ...collection, itemCount: data.length, version: metadata.version },
+        items: generation.items,
+        generation,
+        metadata,
+        cascaded
+      };
+    });
+
+    await this.pruneSavedVersions([collectionId, ...cascaded.map(entry => entry.id)]);
+
+    return {
+      success: true,
+      message: `Generated ${items.length} items for ${collection.name}`,
+      collection,
+      items,
+      // Pass seed, locale and refDate back to reproduce this exact data
+      generation: {
+        mode,
+        count: items.length,
+        seed: generation.seed,
+        locale: generation.locale,
+        refDate: generation.refDate
+      },
+      cascaded,
+      metadata: {
+        version: metadata.version
+      }
+    };
+  }
+
+  // Delete collection (deleting a variant falls its environment back to the base dataset)
+  async deleteCollection(collectionId, userId) {
+    const collection = await this.getCollection(collectionId, userId);
+
+    if (collection.environmentId) {
+      await prisma.mockDataCollection.delete({
+        where: { id: collectionId }
+      });
+
+      return { success: true };
     }
+
+    // References would dangle; the referencing schemas have to drop them first
+    const referencedBy = await mockDataRelationService.getReferencingCollections(
+      collection.projectId,
+      collection.name
+    );
+    if (referencedBy.length > 0) {
+      const error = new Error('COLLECTION_REFERENCED');
+      error.statusCode = 409;
+      error.errors = referencedBy;
+      throw error;
+    }
+
+    // Variants go with their base collection
+    const { count } = await prisma.mockDataCollection.deleteMany({
+      where: { projectId: collection.projectId, name: collection.name }
+    });
+
+    return { success: true, deleted: count };
+  }
+
+  // Validate data against schema (JSON Schema 2020-12)
+  validateDataAgainstSchema(data, schema) {
+    return schemaValidator.validateCollection(data, schema);
+  }
+
+  // Throw a 400 with per-item, per-path errors when data does not match
+  assertDataMatchesSchema(data, schema) {
+    const validationResult = this.validateDataAgainstSchema(data, schema);
+    if (validationResult.valid) return;
+
+    console.error(`❌ Schema validation failed:`, schemaValidator.summarize(validationResult.errors).slice(0, 5));
+
+    const error = new Error('SCHEMA_VALIDATION_FAILED');
+    error.statusCode = 400;
+    error.errors = validationResult.errors;
+    throw error;
+  }
+
+  // Generate mock data based on schema (null when the schema describes no fields)
+  generateDataFromSchema(schema, count = 10, options = {}) {
+    const itemSchema = schemaValidator.getItemSchema(schema);
+    if (!itemSchema || !itemSchema.properties) return null;
+
+    return mockDataGenerator.generate(schema, { ...options, count }).items;
+  }
+
+  // Generate default data for common collection types
+  generateDefaultData(collectionName, count = 10) {
+    return mockDataGenerator.generate(mockDataGenerator.getDefaultSchema(collectionName), { count }).items;
   }
 
-  // Infer schema from data
+  // Infer a JSON Schema (2020-12) from the collection's items
   inferSchema(data) {
     if (!Array.isArray(data) || data.length === 0) {
-      return { type: 'array', items: {} };
+      return { $schema: DRAFT_2020_12, type: 'array', items: {} };
     }
-    
-    const sample = data[0];
-    const properties = {};
-    const required = [];
-    
-    for (const [key, value] of Object.entries(sample)) {
-      properties[key] = this.inferPropertySchema(value, key);
-      required.push(key);
-    }
-    
+
     return {
+      $schema: DRAFT_2020_12,
       type: 'array',
-      items: {
-        type: 'object',
-        properties,
-        required
-      }
+      items: this.inferValueSchema(data)
     };
   }
 
-  // Infer property schema from value
-  inferPropertySchema(value, key) {
-    const type = typeof value;
-    
-    const schema = { type };
-    
-    if (type === 'string') {
-      if (key.includes('email')) schema.format = 'email';
-      if (key.includes('date')) schema.format = 'date-time';
-      if (key.includes('url') || key.includes('image')) schema.format = 'uri';
+  // Merge the shapes of several sample values into one schema
+  inferValueSchema(values) {
+    const present = values.filter(value => value !== undefined);
+    const types = new Set(present.map(value => this.getJsonType(value)));
+    if (types.has('integer') && types.has('number')) types.delete('integer');
+
+    const schema = {};
+    if (types.size === 1) schema.type = [...types][0];
+    if (types.size > 1) schema.type = [...types];
+
+    const nonNull = present.filter(value => value !== null);
+    if (nonNull.length === 0) return schema;
+
+    if (nonNull.every(value => this.getJsonType(value) === 'object')) {
+      const keys = [...new Set(nonNull.flatMap(value => Object.keys(value)))];
+
+      schema.properties = Object.fromEntries(
+        keys.map(key => [key, this.inferValueSchema(nonNull.map(value => value[key]))])
+      );
+      // Required only when every sampled item has the field
+      schema.required = keys.filter(key => nonNull.every(value => value[key] !== undefined));
     }
-    
-    if (type === 'number') {
-      schema.minimum = 0;
+
+    if (nonNull.every(Array.isArray)) {
+      const entries = nonNull.flat();
+      schema.items = entries.length > 0 ? this.inferValueSchema(entries) : {};
     }
-    
+
+    if (nonNull.every(value => typeof value === 'string')) {
+      const format = INFERRED_FORMATS.find(candidate =>
+        nonNull.every(value => schemaValidator.matchesFormat(value, candidate))
+      );
+      if (format) schema.format = format;
+    }
+
     return schema;
   }
 
+  getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
   // Validate collection name
   validateCollectionName(name) {
     if (!name || typeof name !== 'string') {
@@ -617,6 +928,20 @@ class MockDataService {
     return true;
   }
 
+  // Base collection names are unique per project; variants share their base's name
+  async assertNameAvailable(db, projectId, name) {
+    const existing = await db.mockDataCollection.findFirst({
+      where: { projectId, name, environmentId: null },
+      select: { id: true }
+    });
+    if (existing) {
+      const error = new Error('COLLECTION_NAME_TAKEN');
+      error.statusCode = 409;
+      error.errors = [{ field: 'name', collectionId: existing.id, message: `A collection named ${name} already exists` }];
+      throw error;
+    }
+  }
+
   // Verify project access
   async verifyProjectAccess(projectId, userId) {
     const project = await prisma.project.findFirst({
@@ -668,37 +993,50 @@ class MockDataService {
     return true;
   }
 
-  // Search within mock data
-  async searchCollection(collectionId, userId, query, filters = {}) {
+  // Search within mock data using the collection query language
+  // (?q=text&price[gt]=10&sort=-price&limit=20&cursor=...&fields=id,name&expand=userId)
+  async searchCollection(collectionId, userId, params = {}) {
     const collection = await this.getCollection(collectionId, userId);
-    let data = collection.data;
 
-    // Apply text search
-    if (query) {
-      data = data.filter(item => 
-        JSON.stringify(item).toLowerCase().includes(query.toLowerCase())
-      );
-    }
+    // Referenced collections are only loaded when the search expands them
+    const { collections, relations } = params.expand
+      ? await mockDataRelationService.loadRelated(collection)
+      : { collections: { [collection.name]: collection.data }, relations: {} };
 
-    // Apply filters
-    if (filters && Object.keys(filters).length > 0) {
-      data = data.filter(item => {
-        return Object.entries(filters).every(([key, value]) => {
-          return item[key] == value; // Loose equality for flexibility
-        });
-      });
+    let result;
+    try {
+      result = await collectionApi.query(collections, collection.name, params, relations);
+    } catch (error) {
+      if (error.statusCode) throw error;
+
+      const queryError = new Error('INVALID_QUERY');
+      queryError.statusCode = 400;
+      queryError.errors = [{ field: error.field || 'expand', message: error.message }];
+      throw queryError;
     }
 
+    const { q: query, sort, limit, offset, cursor, fields, expand, ...filters } = params;
+
     return {
       collection: {
         id: collection.id,
         name: collection.name,
         description: collection.description
       },
-      results: data,
-      total: data.length,
+      results: result.items,
+      total: result.total,
+      pagination: {
+        count: result.count,
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      },
       query,
-      filters
+      filters,
+      ...(sort && { sort }),
+      ...(fields && { fields }),
+      ...(expand && { expand })
     };
   }
 
@@ -763,6 +1101,9 @@ class MockDataService {
         itemCount: true,
         executionContext: true,
         createdAt: true,
+        version: {
+          select: { version: true }
+        },
         user: {
           select: {
             id: true,
@@ -776,69 +1117,358 @@ class MockDataService {
     return history;
   }
 
-  // Rollback to previous version
-  async rollbackCollection(collectionId, userId, version = null) {
+  // Version history for a collection
+  async getVersions(collectionId, userId, options = {}) {
+    const collection = await this.getCollection(collectionId, userId);
+    const { versions, total } = await mockDataVersionService.listVersions(collectionId, options);
+    const currentVersion = this.getCollectionVersion(collection);
+
+    return {
+      collectionId,
+      currentVersion,
+      total,
+      versions: versions.map(version => ({
+        ...version,
+        current: version.version === currentVersion
+      })),
+      retention: await mockDataVersionService.getRetentionPolicy(collection.projectId)
+    };
+  }
+
+  // A single version with its data
+  async getVersion(collectionId, userId, version) {
+    await this.getCollection(collectionId, userId);
+    return mockDataVersionService.getVersion(collectionId, version);
+  }
+
+  // Item-by-item diff between two versions (defaults to the current version)
+  async diffVersions(collectionId, userId, fromVersion, toVersion = null) {
+    const collection = await this.getCollection(collectionId, userId);
+    return mockDataVersionService.diffVersions(
+      collectionId,
+      fromVersion,
+      toVersion ?? this.getCollectionVersion(collection)
+    );
+  }
+
+  // Roll back to any retained version (defaults to the one before the current version)
+  async rollbackCollection(collectionId, userId, version = null, expectedVersion = null) {
     await this.verifyCollectionEditAccess(collectionId, userId);
+    const target = version !== null && version !== undefined
+      ? mockDataVersionService.parseVersion(version)
+      : null;
+
+    const { collection, snapshot, metadata, cascaded } = await prisma.$transaction(async (tx) => {
+      const current = await this.lockCollection(tx, collectionId);
+      this.assertVersion(current, expectedVersion);
+
+      const currentVersion = this.getCollectionVersion(current);
+      const snapshot = target !== null
+        ? await tx.mockDataVersion.findUnique({
+          where: { collectionId_version: { collectionId, version: target } }
+        })
+        : await tx.mockDataVersion.findFirst({
+          where: { collectionId, version: { lt: currentVersion } },
+          orderBy: { version: 'desc' }
+        });
 
-    const collection = await prisma.mockDataCollection.findUnique({
-      where: { id: collectionId },
-      select: {
-        data: true,
-        metadata: true
+      if (!snapshot) {
+        const error = new Error('VERSION_NOT_FOUND');
+        error.statusCode = 404;
+        throw error;
       }
+
+      // Restored data must still fit today's references
+      const changes = new Map([[collectionId, {
+        current,
+        data: snapshot.data,
+        schema: snapshot.schema ?? current.schema
+      }]]);
+      const cascaded = await this.applyRelations(tx, changes, userId);
+      const data = changes.get(collectionId).data;
+
+      // A rollback is a new version; history is never rewritten
+      const { backup, ...currentMetadata } = current.metadata || {};
+      const metadata = {
+        ...currentMetadata,
+        version: currentVersion + 1,
+        rolledBackFrom: currentVersion,
+        rolledBackTo: snapshot.version,
+        rolledBackAt: new Date().toISOString(),
+        rolledBackBy: userId
+      };
+
+      const collection = await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: {
+          data,
+          ...(snapshot.schema && { schema: snapshot.schema }),
+          metadata
+        },
+        select: {
+          id: true,
+          name: true,
+          updatedAt: true
+        }
+      });
+
+      await this.snapshotSave(tx, current, {
+        data,
+        schema: snapshot.schema,
+        version: metadata.version,
+        operation: 'ROLLBACK',
+        userId,
+        metadata: { fromVersion: currentVersion, toVersion: snapshot.version }
+      });
+
+      return { collection: { ...collection, itemCount: data.length }, snapshot, metadata, cascaded };
     });
 
-    if (!collection) {
-      throw new Error('COLLECTION_NOT_FOUND');
+    await this.pruneSavedVersions([collectionId, ...cascaded.map(entry => entry.id)]);
+
+    return {
+      success: true,
+      message: `Rolled back to version ${snapshot.version}`,
+      collection: {
+        id: collection.id,
+        name: collection.name,
+        itemCount: collection.itemCount,
+        version: metadata.version,
+        restoredVersion: snapshot.version,
+        updatedAt: collection.updatedAt
+      },
+      cascaded
+    };
+  }
+
+  // Base dataset and environment variants of a collection
+  async getDatasets(collectionId, userId) {
+    const collection = await this.getCollection(collectionId, userId);
+    const datasets = await mockDataEnvironmentService.getDatasets(collection.projectId, collection.name);
+
+    const base = datasets.find(dataset => !dataset.environmentId) || null;
+    return {
+      name: collection.name,
+      base: base && mockDataEnvironmentService.summarize(base),
+      variants: datasets
+        .filter(dataset => dataset.environmentId)
+        .map(dataset => mockDataEnvironmentService.summarize(dataset))
+    };
+  }
+
+  // Create an environment's variant of a collection, seeded with `data` or the source's data
+  async createVariant(collectionId, userId, { environmentId, data } = {}) {
+    await this.verifyCollectionEditAccess(collectionId, userId);
+    const source = await this.getCollection(collectionId, userId);
+    const environment = await mockDataEnvironmentService.getEnvironment(source.projectId, environmentId);
+
+    if (data !== undefined && !Array.isArray(data)) {
+      throw new Error('DATA_MUST_BE_ARRAY');
     }
 
-    // For now, we only have backup in metadata
-    // In a real system, you'd have proper versioning
-    const backup = collection._metadata?.backup;
-    if (!backup || !backup.previousData) {
-      throw new Error('NO_BACKUP_AVAILABLE');
+    const existing = await prisma.mockDataCollection.findFirst({
+      where: { projectId: source.projectId, name: source.name, environmentId },
+      select: { id: true }
+    });
+    if (existing) {
+      const error = new Error('VARIANT_ALREADY_EXISTS');
+      error.statusCode = 409;
+      error.errors = [{ field: 'environmentId', collectionId: existing.id, message: `${source.name} already has a ${environment.name} variant` }];
+      throw error;
     }
 
-    // Restore from backup
-    const updatedCollection = await prisma.mockDataCollection.update({
-      where: { id: collectionId },
-      data: {
-        data: backup.previousData,
-        updatedAt: new Date(),
+    const items = data ?? (Array.isArray(source.data) ? source.data : []);
+    this.assertDataMatchesSchema(items, source.schema);
+
+    const { variant, cascaded } = await prisma.$transaction(async (tx) => {
+      const variant = await tx.mockDataCollection.create({
+        data: {
+          projectId: source.projectId,
+          environmentId,
+          name: source.name,
+          description: source.description,
+          schema: source.schema ?? undefined,
+          data: items,
           metadata: {
-          ...collection.metadata,
-          version: (collection.metadata?.version || 1) + 1,
-          rolledBackFrom: collection.metadata?.version || 1,
-          rolledBackAt: new Date().toISOString(),
-          rolledBackBy: userId
+            createdBy: userId,
+            createdAt: new Date().toISOString(),
+            version: 1,
+            saveCount: 0,
+            copiedFrom: data === undefined ? source.id : null
+          }
+        },
+        select: {
+          id: true,
+          projectId: true,
+          environmentId: true,
+          name: true,
+          schema: true,
+          data: true,
+          createdAt: true
         }
-      }
+      });
+
+      // References resolve among this environment's datasets
+      const cascaded = await this.applyRelations(tx, new Map([
+        [variant.id, { current: { ...variant, data: [] }, data: items }]
+      ]), userId);
+
+      await mockDataVersionService.recordVersion(tx, {
+        collectionId: variant.id,
+        version: 1,
+        data: items,
+        schema: variant.schema,
+        operation: 'CREATE',
+        userId,
+        metadata: {
+          environmentId,
+          ...(data === undefined && { copiedFrom: source.id, sourceVersion: this.getCollectionVersion(source) })
+        }
+      });
+
+      return { variant, cascaded };
     });
 
-    // Log rollback
-    await this.logSaveOperation({
-      collectionId,
-      collectionName: 'Unknown', // Would need to fetch name
-      userId,
-      operation: 'rollback',
-      itemCount: backup.previousData.length,
-      metadata: {
-        fromVersion: collection.metadata?.version || 1,
-        toVersion: backup.previousVersion || 1,
-        rolledBackAt: new Date().toISOString()
-      }
+    await this.pruneSavedVersions(cascaded.map(entry => entry.id));
+
+    console.log(`🌍 [MockDataService] Created ${environment.name} variant of "${source.name}"`);
+
+    return {
+      success: true,
+      message: `Created ${environment.name} variant of ${source.name}`,
+      collection: {
+        id: variant.id,
+        name: variant.name,
+        environmentId,
+        environment,
+        itemCount: items.length,
+        version: 1,
+        createdAt: variant.createdAt
+      },
+      cascaded
+    };
+  }
+
+  // Copy a dataset's items into another environment (environmentId null = base dataset).
+  // Promoting also carries the schema; a missing target variant is created
+  async copyToEnvironment(collectionId, userId, { environmentId = null, includeSchema = false, expectedVersion } = {}) {
+    await this.verifyCollectionEditAccess(collectionId, userId);
+    const source = await this.getCollection(collectionId, userId);
+    const environment = environmentId
+      ? await mockDataEnvironmentService.getEnvironment(source.projectId, environmentId)
+      : null;
+
+    if ((source.environmentId ?? null) === environmentId) {
+      const error = new Error('SAME_ENVIRONMENT');
+      error.statusCode = 400;
+      error.errors = [{ field: 'environmentId', message: 'Source and target are the same dataset' }];
+      throw error;
+    }
+
+    const target = await prisma.mockDataCollection.findFirst({
+      where: { projectId: source.projectId, name: source.name, environmentId },
+      select: { id: true }
+    });
+
+    if (!target) {
+      if (!environmentId) throw new Error('COLLECTION_NOT_FOUND');
+
+      const created = await this.createVariant(collectionId, userId, { environmentId });
+      return { ...created, created: true };
+    }
+
+    const sourceData = Array.isArray(source.data) ? source.data : [];
+    const sourceVersion = this.getCollectionVersion(source);
+
+    const { collection, metadata, cascaded } = await prisma.$transaction(async (tx) => {
+      const current = await this.lockCollection(tx, target.id);
+      this.assertVersion(current, expectedVersion);
+
+      const schema = includeSchema && source.schema ? source.schema : current.schema;
+      this.assertDataMatchesSchema(sourceData, schema);
+
+      const changes = new Map([[current.id, { current, data: sourceData, schema }]]);
+      const cascaded = await this.applyRelations(tx, changes, userId);
+      const data = changes.get(current.id).data;
+
+      const { backup, ...currentMetadata } = current.metadata || {};
+      const metadata = {
+        ...currentMetadata,
+        version: this.getCollectionVersion(current) + 1,
+        lastCopiedFrom: source.id,
+        lastCopiedAt: new Date().toISOString(),
+        lastCopiedBy: userId
+      };
+
+      const collection = await tx.mockDataCollection.update({
+        where: { id: current.id },
+        data: {
+          data,
+          ...(includeSchema && source.schema && { schema: source.schema }),
+          metadata
+        },
+        select: {
+          id: true,
+          name: true,
+          environmentId: true,
+          updatedAt: true
+        }
+      });
+
+      await this.snapshotSave(tx, current, {
+        data,
+        schema,
+        version: metadata.version,
+        operation: 'ENVIRONMENT_COPY',
+        userId,
+        metadata: {
+          sourceCollectionId: source.id,
+          sourceEnvironmentId: source.environmentId ?? null,
+          sourceVersion,
+          includeSchema
+        }
+      });
+
+      return { collection: { ...collection, itemCount: data.length }, metadata, cascaded };
     });
 
+    await this.pruneSavedVersions([collection.id, ...cascaded.map(entry => entry.id)]);
+
+    const targetName = environment ? environment.name : 'base';
+    console.log(`🌍 [MockDataService] ${includeSchema ? 'Promoted' : 'Copied'} "${source.name}" to ${targetName} (v${metadata.version})`);
+
     return {
       success: true,
-      message: `Rolled back to version ${backup.previousVersion || 1}`,
+      message: `${includeSchema ? 'Promoted' : 'Copied'} ${collection.itemCount} items of ${source.name} to ${targetName}`,
+      created: false,
       collection: {
-        id: collectionId,
-        itemCount: backup.previousData.length,
-        version: (collection.metadata?.version || 1) + 1
-      }
+        id: collection.id,
+        name: collection.name,
+        environmentId: collection.environmentId,
+        environment,
+        itemCount: collection.itemCount,
+        version: metadata.version,
+        updatedAt: collection.updatedAt
+      },
+      source: {
+        id: source.id,
+        environmentId: source.environmentId ?? null,
+        version: sourceVersion
+      },
+      cascaded
     };
   }
+
+  // Project-wide version retention
+  async getVersionRetention(projectId, userId) {
+    await this.verifyProjectAccess(projectId, userId);
+    return mockDataVersionService.getRetentionPolicy(projectId);
+  }
+
+  async updateVersionRetention(projectId, userId, policy) {
+    await this.verifyProjectAccess(projectId, userId);
+    return mockDataVersionService.updateRetentionPolicy(projectId, policy);
+  }
 }
 
 export default new MockDataService();
\ No newline at end of file
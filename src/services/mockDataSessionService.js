@@ -0,0 +1,689 @@
+import prisma from '../config/database.js';
+import collectionApi from './execution/collectionApi.js';
+import mockDataService from './mockDataService.js';
+import mockDataVersionService from './mockDataVersionService.js';
+import mockDataRelationService from './mockDataRelationService.js';
+
+/**
+ * MOCK DATA SESSIONS
+ * - Opt-in per project (project.settings.mockDataSessions.mode)
+ * - A session is keyed by the X-Mock-Session header, else the API key or user
+ * - Execution saves in a session write copy-on-write overlays; base collections are untouched
+ * - Sessions can be listed, inspected, reset, discarded or merged into the base collections
+ * - Session rows are created on the first write, capped per project and dropped once idle
+ */
+
+const SESSION_MODES = ['off', 'header', 'apiKey', 'user'];
+const SESSION_HEADER = 'x-mock-session';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+// Anyone who can execute may pick a session id, so sessions are bounded
+const MAX_SESSIONS_PER_PROJECT = 100;
+const SESSION_IDLE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+class MockDataSessionService {
+  constructor() {
+    this.cleanupInterval = null;
+  }
+
+  // The session an execution runs in, or null for shared data.
+  // A session without a row yet has `id: null`; writeOperations creates it
+  async resolve(project, { headers = {}, apiKeyId = null, userId = null } = {}) {
+    const { mode } = this.withSettingsDefaults(project.settings?.mockDataSessions);
+    if (mode === 'off') return null;
+
+    const identity = this.getIdentity(mode, { headers, apiKeyId, userId });
+    if (!identity) return null;
+
+    const where = { projectId_key: { projectId: project.id, key: identity.key } };
+    const existing = await prisma.mockDataSession.findUnique({ where, select: { id: true } });
+    if (existing) {
+      await prisma.mockDataSession.update({ where, data: { lastUsedAt: new Date() } });
+    }
+
+    console.log(`🧪 [MockDataSessionService] Execution in session "${identity.key}"`);
+
+    return { id: existing?.id ?? null, projectId: project.id, key: identity.key, source: identity.source };
+  }
+
+  async resolveForProject(projectId, identity) {
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { id: true, settings: true }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    return this.resolve(project, identity);
+  }
+
+  // An explicit session header always wins; otherwise the mode picks the caller's identity
+  getIdentity(mode, { headers, apiKeyId, userId }) {
+    // Simulated request headers (dashboard executions) may not be lower-cased
+    const headerName = Object.keys(headers || {}).find(name => name.toLowerCase() === SESSION_HEADER);
+    const header = headerName ? headers[headerName] : undefined;
+    if (header !== undefined && header !== '') {
+      if (typeof header !== 'string' || !SESSION_ID_PATTERN.test(header)) {
+        throw this.createError('INVALID_SESSION_ID', 400, [{
+          field: SESSION_HEADER,
+          message: 'Session id must be 1-100 letters, digits, "_", ".", ":" or "-"'
+        }]);
+      }
+      return { key: `header:${header}`, source: 'HEADER' };
+    }
+
+    if (mode === 'apiKey' && apiKeyId) return { key: `apiKey:${apiKeyId}`, source: 'API_KEY' };
+    if (mode === 'user' && userId) return { key: `user:${userId}`, source: 'USER' };
+
+    return null;
+  }
+
+  // Execution collections as the session sees them (overlay data and version)
+  async applyOverlays(session, collections) {
+    if (!session?.id || collections.length === 0) return collections;
+
+    const overlays = await prisma.mockDataSessionOverlay.findMany({
+      where: { sessionId: session.id, collectionId: { in: collections.map(collection => collection.id) } },
+      select: { collectionId: true, data: true, version: true }
+    });
+    const byCollection = new Map(overlays.map(overlay => [overlay.collectionId, overlay]));
+
+    return collections.map(collection => {
+      const overlay = byCollection.get(collection.id);
+      return overlay
+        ? { ...collection, data: overlay.data || [], version: overlay.version }
+        : collection;
+    });
+  }
+
+  // Session counterpart of mockDataService.applyExecutionOperations (same result entries)
+  async applyExecutionOperations(session, targets, operations, userId, executionContext = {}) {
+    const names = [...collectionApi.groupByCollection(operations).keys()];
+
+    try {
+      return await this.writeOperations(session, targets, operations, userId, executionContext);
+    } catch (error) {
+      console.error(`❌ Applying session operations to ${names.join(', ')} failed:`, error.message);
+
+      return names.map(collectionName => ({
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode || 500,
+        collectionName,
+        session: this.summarizeSession(session),
+        ...(error.errors && { details: error.errors })
+      }));
+    }
+  }
+
+  // Session counterpart of mockDataService.saveFromExecution (whole-array save)
+  async saveData(session, collectionId, data, userId, executionContext = {}, options = {}) {
+    if (!Array.isArray(data)) {
+      throw new Error('DATA_MUST_BE_ARRAY');
+    }
+
+    const collection = await prisma.mockDataCollection.findUnique({
+      where: { id: collectionId },
+      select: { id: true, name: true }
+    });
+    if (!collection) {
+      throw new Error('COLLECTION_NOT_FOUND');
+    }
+
+    const [result] = await this.writeOperations(
+      session,
+      { [collection.name]: { id: collection.id, version: options.expectedVersion } },
+      [{ collection: collection.name, type: 'replace', items: data }],
+      userId,
+      executionContext
+    );
+
+    return result;
+  }
+
+  // Replay operations on the session's view of each collection and store the results as overlays
+  async writeOperations(session, targets, operations, userId, executionContext = {}) {
+    const groups = collectionApi.groupByCollection(operations);
+    const names = [...groups.keys()];
+
+    const missing = names.find(name => !targets[name]);
+    if (missing) {
+      throw this.createError('COLLECTION_NOT_FOUND', 404, { collectionName: missing });
+    }
+
+    for (const name of names) {
+      await mockDataService.verifyCollectionEditAccess(targets[name].id, userId);
+    }
+
+    await this.persist(session);
+
+    const context = { ...executionContext, sessionId: session.id };
+
+    const written = await prisma.$transaction(async (tx) => {
+      // Concurrent executions in one session are serialized; other sessions and the base are not blocked
+      await tx.$queryRaw`SELECT id FROM "mock_data_sessions" WHERE id = ${session.id} FOR UPDATE`;
+
+      const overlays = new Map((await tx.mockDataSessionOverlay.findMany({
+        where: { sessionId: session.id },
+        select: { collectionId: true, data: true, version: true, baseVersion: true }
+      })).map(overlay => [overlay.collectionId, overlay]));
+
+      const lockViews = async (client, ids) => {
+        const locked = await mockDataService.lockCollections(tx, ids);
+        for (const row of locked.values()) {
+          if (row.projectId !== session.projectId) {
+            throw this.createError('COLLECTION_NOT_FOUND', 404, { collectionId: row.id });
+          }
+        }
+        return new Map([...locked].map(([id, row]) => [id, this.toView(row, overlays.get(id))]));
+      };
+
+      const views = await lockViews(tx, names.map(name => targets[name].id));
+
+      const replays = names.map(name => ({
+        current: views.get(targets[name].id),
+        operationCount: groups.get(name).length,
+        ...mockDataService.replayOperations(views.get(targets[name].id), groups.get(name), targets[name].version)
+      }));
+
+      // References resolve against the session's data; cascades land in overlays too
+      const changes = new Map(replays.map(({ current, data }) => [current.id, { current, data }]));
+      const original = new Map(replays.map(({ current, data }) => [current.id, data]));
+      const cascaded = await mockDataRelationService.enforce(
+        this.viewClient(tx, overlays),
+        session.projectId,
+        changes,
+        lockViews
+      );
+
+      for (const [id, entry] of changes) {
+        if (entry.data !== original.get(id)) {
+          mockDataService.assertDataMatchesSchema(entry.data, entry.current.schema);
+        }
+      }
+
+      const applied = [];
+      for (const replay of replays) {
+        const data = changes.get(replay.current.id).data;
+        const overlay = await this.writeOverlay(tx, session, replay.current, data, overlays, replay.operationCount);
+        applied.push({ ...replay, data, overlay });
+      }
+
+      const cascadeResults = [];
+      for (const { current, data, reasons } of cascaded) {
+        mockDataService.assertDataMatchesSchema(data, current.schema);
+
+        const overlay = await this.writeOverlay(tx, session, current, data, overlays, 0);
+        console.log(`🔗 [MockDataSessionService] Cascaded into "${current.name}" (session v${overlay.version})`);
+
+        cascadeResults.push({
+          id: current.id,
+          name: current.name,
+          itemCount: data.length,
+          version: overlay.version,
+          cascade: reasons
+        });
+      }
+
+      return { applied, cascaded: cascadeResults };
+    });
+
+    return written.applied.map(({ current, data, summary, merged, operationCount, overlay }) => {
+      console.log(`✅ [MockDataSessionService] Applied ${operationCount} operations to "${current.name}" in session "${session.key}" (v${overlay.version})`);
+
+      return {
+        success: true,
+        message: `Applied ${operationCount} operations to ${current.name} (session ${session.key})`,
+        collection: {
+          id: current.id,
+          name: current.name,
+          itemCount: data.length,
+          version: overlay.version,
+          updatedAt: overlay.updatedAt
+        },
+        operations: summary,
+        merged,
+        cascaded: written.cascaded,
+        session: this.summarizeSession(session),
+        executionContext: context,
+        metadata: {
+          version: overlay.version,
+          baseVersion: overlay.baseVersion
+        }
+      };
+    });
+  }
+
+  // Create the row of a session on its first write (within the per-project cap)
+  async persist(session) {
+    if (session.id) return session;
+
+    const where = { projectId_key: { projectId: session.projectId, key: session.key } };
+    const existing = await prisma.mockDataSession.findUnique({ where, select: { id: true } });
+    if (existing) {
+      session.id = existing.id;
+      return session;
+    }
+
+    const count = await prisma.mockDataSession.count({ where: { projectId: session.projectId } });
+    if (count >= MAX_SESSIONS_PER_PROJECT) {
+      throw this.createError('SESSION_LIMIT_REACHED', 429, [{
+        field: SESSION_HEADER,
+        message: `The project already has ${MAX_SESSIONS_PER_PROJECT} sessions; discard or merge some first`
+      }]);
+    }
+
+    // Upsert: a concurrent first write in the same session may have created it meanwhile
+    const row = await prisma.mockDataSession.upsert({
+      where,
+      create: { projectId: session.projectId, key: session.key, source: session.source },
+      update: { lastUsedAt: new Date() },
+      select: { id: true }
+    });
+
+    session.id = row.id;
+    return session;
+  }
+
+  // A locked base row with the session's overlay in place of its data and version
+  toView(row, overlay) {
+    if (!overlay) return row;
+
+    return {
+      ...row,
+      data: overlay.data,
+      metadata: { ...(row.metadata || {}), version: overlay.version }
+    };
+  }
+
+  // Prisma stand-in for relation checks: collection data is read through the session's overlays
+  viewClient(tx, overlays) {
+    return {
+      mockDataCollection: {
+        findMany: (args) => tx.mockDataCollection.findMany(args),
+        findUnique: async (args) => {
+          const overlay = overlays.get(args.where.id);
+          return overlay ? { id: args.where.id, data: overlay.data } : tx.mockDataCollection.findUnique(args);
+        }
+      }
+    };
+  }
+
+  // Copy-on-write: the first save forks the collection at its current base version
+  async writeOverlay(tx, session, view, data, overlays, operationCount) {
+    const version = mockDataService.getCollectionVersion(view) + 1;
+
+    const overlay = await tx.mockDataSessionOverlay.upsert({
+      where: { sessionId_collectionId: { sessionId: session.id, collectionId: view.id } },
+      create: {
+        sessionId: session.id,
+        collectionId: view.id,
+        data,
+        baseVersion: mockDataService.getCollectionVersion(view),
+        version,
+        operationCount
+      },
+      update: {
+        data,
+        version,
+        operationCount: { increment: operationCount }
+      },
+      select: { collectionId: true, data: true, version: true, baseVersion: true, updatedAt: true }
+    });
+
+    overlays.set(view.id, overlay);
+    return overlay;
+  }
+
+  async listSessions(projectId, userId) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    const sessions = await prisma.mockDataSession.findMany({
+      where: { projectId },
+      orderBy: { lastUsedAt: 'desc' },
+      select: {
+        id: true,
+        key: true,
+        source: true,
+        lastUsedAt: true,
+        createdAt: true,
+        overlays: {
+          select: {
+            collectionId: true,
+            version: true,
+            operationCount: true,
+            updatedAt: true,
+            collection: { select: { name: true } }
+          }
+        }
+      }
+    });
+
+    return sessions.map(({ overlays, ...session }) => ({
+      ...session,
+      collectionCount: overlays.length,
+      operationCount: overlays.reduce((total, overlay) => total + overlay.operationCount, 0),
+      collections: overlays.map(overlay => overlay.collection.name)
+    }));
+  }
+
+  // Session with each overlay and whether the base collection moved on since it was forked
+  async getSession(sessionId, userId) {
+    const session = await this.getAccessibleSession(sessionId, userId);
+
+    const overlays = await prisma.mockDataSessionOverlay.findMany({
+      where: { sessionId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        collectionId: true,
+        data: true,
+        baseVersion: true,
+        version: true,
+        operationCount: true,
+        createdAt: true,
+        updatedAt: true,
+        collection: {
+          select: { name: true, environmentId: true, data: true, metadata: true }
+        }
+      }
+    });
+
+    return {
+      ...session,
+      overlays: overlays.map(({ collection, data, ...overlay }) => {
+        const currentBaseVersion = mockDataService.getCollectionVersion(collection);
+        return {
+          ...overlay,
+          collectionName: collection.name,
+          environmentId: collection.environmentId,
+          itemCount: Array.isArray(data) ? data.length : 0,
+          baseItemCount: Array.isArray(collection.data) ? collection.data.length : 0,
+          currentBaseVersion,
+          stale: currentBaseVersion !== overlay.baseVersion
+        };
+      })
+    };
+  }
+
+  // A collection's data in the session, diffed against the base collection
+  async getOverlay(sessionId, collectionId, userId) {
+    const session = await this.getAccessibleSession(sessionId, userId);
+
+    const overlay = await prisma.mockDataSessionOverlay.findUnique({
+      where: { sessionId_collectionId: { sessionId, collectionId } },
+      select: {
+        data: true,
+        baseVersion: true,
+        version: true,
+        operationCount: true,
+        updatedAt: true,
+        collection: {
+          select: { id: true, name: true, data: true, metadata: true }
+        }
+      }
+    });
+    if (!overlay) {
+      throw this.createError('SESSION_OVERLAY_NOT_FOUND', 404, [{
+        field: 'collectionId',
+        message: 'The session has no changes to this collection'
+      }]);
+    }
+
+    const { collection, ...rest } = overlay;
+    const currentBaseVersion = mockDataService.getCollectionVersion(collection);
+
+    return {
+      session,
+      collection: { id: collection.id, name: collection.name },
+      ...rest,
+      currentBaseVersion,
+      stale: currentBaseVersion !== overlay.baseVersion,
+      diff: mockDataVersionService.diffItems(
+        Array.isArray(collection.data) ? collection.data : [],
+        Array.isArray(overlay.data) ? overlay.data : []
+      )
+    };
+  }
+
+  // Drop the session's changes (all, or one collection's); the session itself is kept
+  async resetSession(sessionId, userId, { collectionId = null } = {}) {
+    const session = await this.getAccessibleSession(sessionId, userId);
+
+    const { count } = await prisma.mockDataSessionOverlay.deleteMany({
+      where: { sessionId, ...(collectionId && { collectionId }) }
+    });
+
+    return {
+      session,
+      reset: count,
+      message: count > 0
+        ? `Reset ${count} collection(s) in session ${session.key}`
+        : `Session ${session.key} has no changes to reset`
+    };
+  }
+
+  async discardSession(sessionId, userId) {
+    const session = await this.getAccessibleSession(sessionId, userId);
+
+    await prisma.mockDataSession.delete({ where: { id: sessionId } });
+
+    return { session, message: `Discarded session ${session.key}` };
+  }
+
+  // Write overlays into their base collections (SESSION_MERGE versions), then drop them.
+  // Overlays forked from an older base version conflict unless forced
+  async mergeSession(sessionId, userId, { collectionIds = null, force = false } = {}) {
+    const session = await this.getAccessibleSession(sessionId, userId);
+
+    const overlays = await prisma.mockDataSessionOverlay.findMany({
+      where: { sessionId, ...(collectionIds && { collectionId: { in: collectionIds } }) },
+      select: { collectionId: true, data: true, baseVersion: true, version: true, operationCount: true }
+    });
+    if (overlays.length === 0) {
+      throw this.createError('SESSION_HAS_NO_CHANGES', 400);
+    }
+
+    for (const overlay of overlays) {
+      await mockDataService.verifyCollectionEditAccess(overlay.collectionId, userId);
+    }
+
+    const executionContext = { sessionId, sessionKey: session.key };
+
+    const { merged, cascaded } = await prisma.$transaction(async (tx) => {
+      const locked = await mockDataService.lockCollections(tx, overlays.map(overlay => overlay.collectionId));
+
+      const conflicts = overlays
+        .filter(overlay => mockDataService.getCollectionVersion(locked.get(overlay.collectionId)) !== overlay.baseVersion)
+        .map(overlay => ({
+          collectionId: overlay.collectionId,
+          collectionName: locked.get(overlay.collectionId).name,
+          baseVersion: overlay.baseVersion,
+          currentVersion: mockDataService.getCollectionVersion(locked.get(overlay.collectionId))
+        }));
+      if (conflicts.length > 0 && !force) {
+        throw this.createError('SESSION_MERGE_CONFLICT', 409, conflicts);
+      }
+
+      // The schema may have changed since the session forked the data
+      for (const overlay of overlays) {
+        mockDataService.assertDataMatchesSchema(overlay.data, locked.get(overlay.collectionId).schema);
+      }
+
+      const changes = new Map(overlays.map(overlay => [
+        overlay.collectionId,
+        { current: locked.get(overlay.collectionId), data: overlay.data }
+      ]));
+      const cascaded = await mockDataService.applyRelations(tx, changes, userId, executionContext);
+
+      const merged = [];
+      for (const overlay of overlays) {
+        const current = locked.get(overlay.collectionId);
+        const data = changes.get(overlay.collectionId).data;
+
+        const { backup, ...currentMetadata } = current.metadata || {};
+        const metadata = {
+          ...currentMetadata,
+          version: mockDataService.getCollectionVersion(current) + 1,
+          lastSessionMergeAt: new Date().toISOString(),
+          lastSessionMergeBy: userId
+        };
+
+        await tx.mockDataCollection.update({
+          where: { id: current.id },
+          data: { data, metadata }
+        });
+
+        await mockDataService.snapshotSave(tx, current, {
+          data,
+          version: metadata.version,
+          operation: 'SESSION_MERGE',
+          userId,
+          executionContext,
+          metadata: {
+            session: session.key,
+            baseVersion: overlay.baseVersion,
+            sessionVersion: overlay.version,
+            operationCount: overlay.operationCount,
+            forced: conflicts.some(conflict => conflict.collectionId === current.id)
+          }
+        });
+
+        merged.push({
+          id: current.id,
+          name: current.name,
+          itemCount: data.length,
+          version: metadata.version
+        });
+      }
+
+      await tx.mockDataSessionOverlay.deleteMany({
+        where: { sessionId, collectionId: { in: overlays.map(overlay => overlay.collectionId) } }
+      });
+
+      return { merged, cascaded };
+    });
+
+    console.log(`🔀 [MockDataSessionService] Merged session "${session.key}" into ${merged.length} collection(s)`);
+
+    await mockDataService.pruneSavedVersions([...merged, ...cascaded].map(entry => entry.id));
+
+    return {
+      session,
+      merged,
+      cascaded,
+      message: `Merged ${merged.length} collection(s) from session ${session.key}`
+    };
+  }
+
+  async getSettings(projectId, userId) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { settings: true }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    return this.withSettingsDefaults(project.settings?.mockDataSessions);
+  }
+
+  async updateSettings(projectId, userId, { mode } = {}) {
+    await mockDataService.verifyProjectAccess(projectId, userId);
+
+    if (!SESSION_MODES.includes(mode)) {
+      throw this.createError('INVALID_SESSION_SETTINGS', 400, [{
+        field: 'mode',
+        message: `mode must be one of: ${SESSION_MODES.join(', ')}`
+      }]);
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { settings: true }
+    });
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    const settings = { ...this.withSettingsDefaults(project.settings?.mockDataSessions), mode };
+
+    await prisma.project.update({
+      where: { id: projectId },
+      data: {
+        settings: { ...(project.settings || {}), mockDataSessions: settings }
+      }
+    });
+
+    return settings;
+  }
+
+  startCleanup() {
+    if (this.cleanupInterval) return;
+
+    this.cleanupInterval = setInterval(() => {
+      this.removeIdleSessions().catch(error => {
+        console.error('❌ Idle mock data session cleanup failed:', error.message);
+      });
+    }, CLEANUP_INTERVAL_MS);
+    this.cleanupInterval.unref();
+
+    console.log('🧹 Mock data session cleanup started');
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupInterval);
+    this.cleanupInterval = null;
+  }
+
+  // Drop sessions (and their overlays) nobody executed in for SESSION_IDLE_TTL_MS
+  async removeIdleSessions(now = Date.now()) {
+    const { count } = await prisma.mockDataSession.deleteMany({
+      where: { lastUsedAt: { lt: new Date(now - SESSION_IDLE_TTL_MS) } }
+    });
+
+    if (count > 0) {
+      console.log(`🧹 [MockDataSessionService] Removed ${count} idle session(s)`);
+    }
+
+    return count;
+  }
+
+  withSettingsDefaults(settings = {}) {
+    return {
+      mode: 'off',
+      ...(settings || {})
+    };
+  }
+
+  // Sessions are managed by anyone who can edit the project's data
+  async getAccessibleSession(sessionId, userId) {
+    const session = await prisma.mockDataSession.findUnique({
+      where: { id: sessionId },
+      select: { id: true, projectId: true, key: true, source: true, lastUsedAt: true, createdAt: true }
+    });
+    if (!session) {
+      throw this.createError('SESSION_NOT_FOUND', 404);
+    }
+
+    await mockDataService.verifyProjectAccess(session.projectId, userId);
+
+    return session;
+  }
+
+  summarizeSession(session) {
+    return { id: session.id, key: session.key, source: session.source };
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new MockDataSessionService();
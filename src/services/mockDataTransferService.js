@@ -0,0 +1,679 @@
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import prisma from '../config/database.js';
+import mockDataService from './mockDataService.js';
+import schemaValidator from './schemaValidator.js';
+
+/**
+ * MOCK DATA FILE IMPORT / EXPORT
+ * - CSV (header mapping, schema-guided type coercion), NDJSON and JSON imports
+ * - Per-row errors; abort the import or skip the bad rows
+ * - append / replace / upsert, recorded as an IMPORT version
+ * - Streamed CSV / NDJSON / JSON exports
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+const IMPORT_MODES = ['append', 'replace', 'upsert'];
+const DELIMITERS = [',', ';', '\t', '|'];
+const MAX_REPORTED_ERRORS = 100;
+const EXPORT_BATCH_SIZE = 500;
+
+// Spreadsheets evaluate cells starting with these; exports prefix them with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Header paths may not walk into an item's prototype
+const UNSAFE_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+class MockDataTransferService {
+  // Parse an uploaded file and save its rows into a collection
+  async importCollection(collectionId, userId, file, options = {}) {
+    await mockDataService.verifyCollectionEditAccess(collectionId, userId);
+
+    const mode = options.mode || 'append';
+    if (!IMPORT_MODES.includes(mode)) {
+      throw this.createError('INVALID_IMPORT_MODE', 400, [{ field: 'mode', message: `mode must be one of: ${IMPORT_MODES.join(', ')}` }]);
+    }
+
+    const collection = await prisma.mockDataCollection.findUnique({
+      where: { id: collectionId },
+      select: { id: true, name: true, schema: true, data: true }
+    });
+    if (!collection) {
+      throw new Error('COLLECTION_NOT_FOUND');
+    }
+
+    const format = this.detectFormat(file, options.format);
+    const itemSchema = schemaValidator.getItemSchema(collection.schema);
+    const parsed = this.parseFile(file.buffer.toString('utf8'), format, itemSchema, options);
+
+    // Rows without an id get one now so required-id schemas validate; saved ids are assigned under the lock
+    const existing = Array.isArray(collection.data) ? collection.data : [];
+    const withIds = this.assignIds(parsed.rows, mode === 'replace' ? [] : existing, itemSchema);
+    const rowErrors = [
+      ...parsed.errors,
+      ...this.findDuplicateIds(parsed.rows, existing, mode),
+      ...this.validateRows(withIds, collection.schema)
+    ];
+
+    const invalidRows = new Set(rowErrors.map(error => error.row));
+    const rows = parsed.rows.filter(row => !invalidRows.has(row.row));
+    const summary = {
+      format,
+      mode,
+      totalRows: parsed.total,
+      validRows: rows.length,
+      invalidRows: invalidRows.size,
+      ...(parsed.columns && { columns: parsed.columns })
+    };
+
+    if (rowErrors.length > 0 && options.onError !== 'skip') {
+      throw this.createError('IMPORT_VALIDATION_FAILED', 400, this.sortErrors(rowErrors).slice(0, MAX_REPORTED_ERRORS));
+    }
+
+    const errors = this.sortErrors(rowErrors).slice(0, MAX_REPORTED_ERRORS);
+
+    if (options.dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        message: `${rows.length} of ${summary.totalRows} rows would be imported into ${collection.name}`,
+        ...summary,
+        errors,
+        preview: this.assignIds(rows, mode === 'replace' ? [] : existing, itemSchema).slice(0, 10).map(row => row.item)
+      };
+    }
+
+    const { result, cascaded } = await prisma.$transaction(async (tx) => {
+      const current = await mockDataService.lockCollection(tx, collectionId);
+      mockDataService.assertVersion(current, options.expectedVersion);
+
+      const currentData = Array.isArray(current.data) ? current.data : [];
+      const items = this.assignIds(rows, mode === 'replace' ? [] : currentData, itemSchema).map(row => row.item);
+      const { data, inserted, updated } = this.mergeItems(currentData, items, mode);
+
+      mockDataService.assertDataMatchesSchema(data, current.schema);
+
+      const changes = new Map([[collectionId, { current, data }]]);
+      const cascaded = await mockDataService.applyRelations(tx, changes, userId);
+      const saved = changes.get(collectionId).data;
+
+      const { backup, ...currentMetadata } = current.metadata || {};
+      const metadata = {
+        ...currentMetadata,
+        version: mockDataService.getCollectionVersion(current) + 1,
+        lastImportAt: new Date().toISOString(),
+        lastImportBy: userId
+      };
+
+      const collectionRow = await tx.mockDataCollection.update({
+        where: { id: collectionId },
+        data: { data: saved, metadata },
+        select: {
+          id: true,
+          name: true,
+          updatedAt: true
+        }
+      });
+
+      const skippedRows = [...invalidRows].sort((a, b) => a - b);
+      await mockDataService.snapshotSave(tx, current, {
+        data: saved,
+        version: metadata.version,
+        operation: 'IMPORT',
+        userId,
+        metadata: {
+          format,
+          mode,
+          filename: file.originalname || null,
+          totalRows: summary.totalRows,
+          inserted,
+          updated,
+          skippedRows: skippedRows.slice(0, MAX_REPORTED_ERRORS),
+          errors
+        }
+      });
+
+      return {
+        result: {
+          collection: { ...collectionRow, itemCount: saved.length, version: metadata.version },
+          inserted,
+          updated
+        },
+        cascaded
+      };
+    });
+
+    await mockDataService.pruneSavedVersions([collectionId, ...cascaded.map(entry => entry.id)]);
+
+    console.log(`📥 [MockDataTransfer] Imported ${rows.length} ${format.toUpperCase()} rows into "${result.collection.name}" (v${result.collection.version})`);
+
+    return {
+      success: true,
+      message: `Imported ${rows.length} of ${summary.totalRows} rows into ${result.collection.name}`,
+      ...summary,
+      inserted: result.inserted,
+      updated: result.updated,
+      skipped: invalidRows.size,
+      errors,
+      collection: result.collection,
+      cascaded
+    };
+  }
+
+  // Explicit format, then file extension, then MIME type
+  detectFormat(file, requested) {
+    if (requested) {
+      if (!FORMATS[requested]) {
+        throw this.createError('UNSUPPORTED_IMPORT_FORMAT', 400, [{ field: 'format', message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` }]);
+      }
+      return requested;
+    }
+
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+    if (name.endsWith('.ndjson') || name.endsWith('.jsonl') || file.mimetype === 'application/x-ndjson') return 'ndjson';
+    if (name.endsWith('.json') || file.mimetype === 'application/json') return 'json';
+
+    throw this.createError('UNSUPPORTED_IMPORT_FORMAT', 400, [{ field: 'format', message: 'Could not detect the file format; pass format=csv|ndjson|json' }]);
+  }
+
+  // rows: [{ row, line, item }] (row is 1-based among data rows); errors: per-row parse/coercion errors; total: rows in the file
+  parseFile(text, format, itemSchema, options = {}) {
+    const content = text.replace(/^﻿/, '');
+
+    if (format === 'csv') return this.parseCsvRows(content, itemSchema, options);
+    if (format === 'ndjson') return this.parseNdjsonRows(content);
+    return this.parseJsonRows(content);
+  }
+
+  parseCsvRows(text, itemSchema, options) {
+    const delimiter = options.delimiter || this.detectDelimiter(text);
+    if (!DELIMITERS.includes(delimiter)) {
+      throw this.createError('INVALID_DELIMITER', 400, [{ field: 'delimiter', message: `delimiter must be one of: , ; tab |` }]);
+    }
+
+    const records = this.parseCsv(text, delimiter);
+    if (records.length === 0) {
+      throw this.createError('EMPTY_IMPORT_FILE', 400);
+    }
+
+    const [header, ...body] = records;
+    const headers = header.cells.map(cell => cell.trim());
+    const paths = this.mapHeaders(headers, itemSchema, options.mapping || {});
+    const rows = [];
+    const errors = [];
+
+    body.forEach((record, index) => {
+      const row = index + 1;
+      const item = {};
+      let valid = true;
+
+      if (record.cells.length > headers.length) {
+        errors.push({ row, line: record.line, message: `expected ${headers.length} columns, got ${record.cells.length}` });
+        return;
+      }
+
+      headers.forEach((column, position) => {
+        const path = paths[position];
+        if (!path) return;
+
+        const result = this.coerceCell(record.cells[position] ?? '', this.getPropertySchema(itemSchema, path));
+        if (result.error) {
+          valid = false;
+          errors.push({ row, line: record.line, column, field: path, message: result.error });
+          return;
+        }
+        if (result.value !== undefined) this.setPath(item, path, result.value);
+      });
+
+      if (valid) rows.push({ row, line: record.line, item });
+    });
+
+    return {
+      rows,
+      errors,
+      total: body.length,
+      columns: headers.map((column, position) => ({ column, field: paths[position] }))
+    };
+  }
+
+  parseNdjsonRows(text) {
+    const rows = [];
+    const errors = [];
+    let row = 0;
+
+    text.split(/\r?\n/).forEach((content, index) => {
+      if (content.trim() === '') return;
+      row++;
+
+      try {
+        const item = JSON.parse(content);
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          errors.push({ row, line: index + 1, message: 'each line must be a JSON object' });
+          return;
+        }
+        rows.push({ row, line: index + 1, item });
+      } catch (error) {
+        errors.push({ row, line: index + 1, message: `invalid JSON: ${error.message}` });
+      }
+    });
+
+    return { rows, errors, total: row };
+  }
+
+  parseJsonRows(text) {
+    let items;
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      throw this.createError('INVALID_JSON_FILE', 400, [{ message: error.message }]);
+    }
+
+    if (!Array.isArray(items)) {
+      throw this.createError('INVALID_JSON_FILE', 400, [{ message: 'JSON imports must be an array of objects' }]);
+    }
+
+    const rows = [];
+    const errors = [];
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push({ row: index + 1, message: 'each entry must be a JSON object' });
+        return;
+      }
+      rows.push({ row: index + 1, item });
+    });
+
+    return { rows, errors, total: items.length };
+  }
+
+  // RFC 4180: quoted fields may contain delimiters, doubled quotes and line breaks
+  parseCsv(text, delimiter = ',') {
+    const records = [];
+    let cells = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[index + 1] === '\n') index++;
+        cells.push(field);
+        records.push({ line: recordLine, cells });
+        cells = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw this.createError('CSV_PARSE_ERROR', 400, [{ line: recordLine, message: 'unterminated quoted field' }]);
+    }
+    if (field !== '' || cells.length > 0) {
+      cells.push(field);
+      records.push({ line: recordLine, cells });
+    }
+
+    // Blank lines are not rows
+    return records.filter(record => record.cells.length > 1 || record.cells[0] !== '');
+  }
+
+  // The candidate that splits the header line most often
+  detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+  }
+
+  // Header -> field path: explicit mapping, exact or loosely matching schema property, or the header itself
+  mapHeaders(headers, itemSchema, mapping) {
+    let explicit = mapping;
+    if (typeof mapping === 'string') {
+      try {
+        explicit = JSON.parse(mapping);
+      } catch {
+        throw this.createError('INVALID_MAPPING', 400, [{ field: 'mapping', message: 'mapping must be a JSON object of { "CSV header": "field.path" }' }]);
+      }
+    }
+    if (!explicit || typeof explicit !== 'object' || Array.isArray(explicit)) {
+      throw this.createError('INVALID_MAPPING', 400, [{ field: 'mapping', message: 'mapping must be a JSON object of { "CSV header": "field.path" }' }]);
+    }
+
+    const properties = itemSchema?.properties || {};
+    const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const byNormalized = new Map(Object.keys(properties).map(key => [normalize(key), key]));
+
+    const paths = headers.map(header => {
+      // null or "" skips the column
+      if (Object.hasOwn(explicit, header)) return explicit[header] || null;
+      if (Object.hasOwn(properties, header) || header.includes('.')) return header;
+
+      const match = byNormalized.get(normalize(header));
+      if (match) return match;
+      return itemSchema?.additionalProperties === false || header === '' ? null : header;
+    });
+
+    const unsafe = headers.filter((header, position) => paths[position] && !this.isSafePath(paths[position]));
+    if (unsafe.length > 0) {
+      throw this.createError('INVALID_IMPORT_HEADER', 400, unsafe.map(header => ({
+        column: header,
+        message: `must map to a field path without ${UNSAFE_PATH_KEYS.join(', ')}`
+      })));
+    }
+    return paths;
+  }
+
+  isSafePath(path) {
+    return typeof path === 'string' && path.split('.').every(key => !UNSAFE_PATH_KEYS.includes(key));
+  }
+
+  // Nested property schema for a dotted path
+  getPropertySchema(itemSchema, path) {
+    return String(path).split('.').reduce(
+      (schema, key) => (schema?.properties && Object.hasOwn(schema.properties, key) ? schema.properties[key] : undefined),
+      itemSchema
+    ) || null;
+  }
+
+  // Cell text -> typed value according to the field schema ({ value } or { error })
+  coerceCell(raw, schema) {
+    const text = /^'[=+\-@\t\r]/.test(raw) ? raw.slice(1) : raw;
+    const types = !schema ? [] : Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+    // Empty cells leave the field out (or null when the schema allows it)
+    if (text === '') return { value: types.includes('null') ? null : undefined };
+
+    if (types.length === 0) {
+      if (Array.isArray(schema?.enum)) {
+        const match = schema.enum.find(value => String(value) === text);
+        return { value: match !== undefined ? match : text };
+      }
+      return { value: schema ? text : this.inferCell(text) };
+    }
+
+    const coercers = {
+      integer: () => (/^-?\d+$/.test(text.trim()) ? Number(text) : undefined),
+      number: () => (text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined),
+      boolean: () => {
+        const normalized = text.trim().toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+        if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+        return undefined;
+      },
+      null: () => (text.trim().toLowerCase() === 'null' ? null : undefined),
+      array: () => {
+        const parsed = this.parseJsonCell(text);
+        if (Array.isArray(parsed)) return parsed;
+        // a,b,c -> ['a', 'b', 'c'], each coerced by the item schema
+        const entries = text.split(',').map(entry => this.coerceCell(entry.trim(), schema.items || null));
+        return entries.some(entry => entry.error) ? undefined : entries.map(entry => entry.value);
+      },
+      object: () => {
+        const parsed = this.parseJsonCell(text);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+      },
+      string: () => text
+    };
+
+    for (const type of ['integer', 'number', 'boolean', 'null', 'array', 'object', 'string']) {
+      if (!types.includes(type)) continue;
+      const value = coercers[type]();
+      if (value !== undefined) return { value };
+    }
+
+    return { error: `expected ${types.join(' or ')}, got "${text}"` };
+  }
+
+  // Schemaless columns: booleans, null and plain numbers (no leading zeros, so codes stay text)
+  inferCell(text) {
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null') return null;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  parseJsonCell(text) {
+    if (!/^\s*[[{]/.test(text)) return undefined;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  }
+
+  setPath(item, path, value) {
+    if (!this.isSafePath(path)) return;
+    const keys = path.split('.');
+    let target = item;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+
+  // Rows without an id continue the collection's integer ids, or get a UUID
+  assignIds(rows, existing, itemSchema) {
+    const idType = itemSchema?.properties?.id?.type;
+    const integerIds = idType === 'integer' || idType === 'number' ||
+      (!idType && existing.every(item => Number.isInteger(item?.id)));
+    let nextId = [...existing, ...rows.map(row => row.item)]
+      .reduce((max, item) => (Number.isInteger(item?.id) ? Math.max(max, item.id) : max), 0) + 1;
+
+    return rows.map(row => (row.item.id !== undefined
+      ? row
+      : { ...row, item: { id: integerIds ? nextId++ : randomUUID(), ...row.item } }));
+  }
+
+  // append rejects ids that already exist; every mode rejects ids repeated in the file
+  findDuplicateIds(rows, existing, mode) {
+    const existingIds = new Set(existing.map(item => String(item?.id)));
+    const seen = new Map();
+    const errors = [];
+
+    for (const { row, line, item } of rows) {
+      if (item.id === undefined) continue;
+      const key = String(item.id);
+
+      if (seen.has(key)) {
+        errors.push({ row, line, field: 'id', message: `id ${JSON.stringify(item.id)} is repeated (first on row ${seen.get(key)})` });
+        continue;
+      }
+      seen.set(key, row);
+
+      if (mode === 'append' && existingIds.has(key)) {
+        errors.push({ row, line, field: 'id', message: `id ${JSON.stringify(item.id)} already exists (use mode=upsert to update it)` });
+      }
+    }
+
+    return errors;
+  }
+
+  // Schema errors mapped back to file rows
+  validateRows(rows, schema) {
+    const result = schemaValidator.validateCollection(rows.map(row => row.item), schema);
+    if (result.valid) return [];
+
+    return result.errors
+      .filter(error => error.index !== null)
+      .map(error => ({
+        row: rows[error.index].row,
+        ...(rows[error.index].line && { line: rows[error.index].line }),
+        field: error.path === '/' ? null : error.path.slice(1).replace(/\//g, '.'),
+        keyword: error.keyword,
+        message: error.message
+      }));
+  }
+
+  // Upserts merge into the item with the same id, keeping fields the file does not have
+  mergeItems(currentData, items, mode) {
+    if (mode === 'replace') {
+      return { data: items, inserted: items.length, updated: 0 };
+    }
+
+    const data = [...currentData];
+    const indexById = new Map(data.map((item, index) => [String(item?.id), index]));
+    let inserted = 0;
+    let updated = 0;
+
+    for (const item of items) {
+      const index = mode === 'upsert' ? indexById.get(String(item.id)) : undefined;
+      if (index !== undefined) {
+        data[index] = { ...data[index], ...item };
+        updated++;
+      } else {
+        if (mode === 'append' && indexById.has(String(item.id))) {
+          throw this.createError('IMPORT_ID_CONFLICT', 409, [{ field: 'id', message: `id ${JSON.stringify(item.id)} was added by another save` }]);
+        }
+        indexById.set(String(item.id), data.length);
+        data.push(item);
+        inserted++;
+      }
+    }
+
+    return { data, inserted, updated };
+  }
+
+  sortErrors(errors) {
+    return [...errors].sort((a, b) => a.row - b.row);
+  }
+
+  // Stream a collection as CSV, NDJSON or JSON
+  async exportCollection(collectionId, userId, options = {}) {
+    const format = options.format || 'json';
+    if (!FORMATS[format]) {
+      throw this.createError('UNSUPPORTED_EXPORT_FORMAT', 400, [{ field: 'format', message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` }]);
+    }
+
+    const delimiter = options.delimiter || ',';
+    if (!DELIMITERS.includes(delimiter)) {
+      throw this.createError('INVALID_DELIMITER', 400, [{ field: 'delimiter', message: 'delimiter must be one of: , ; tab |' }]);
+    }
+
+    const collection = await mockDataService.getCollection(collectionId, userId);
+    const items = Array.isArray(collection.data) ? collection.data : [];
+    const fields = options.fields
+      ? String(options.fields).split(',').map(field => field.trim()).filter(Boolean)
+      : null;
+
+    const chunks = format === 'csv'
+      ? this.serializeCsv(items, fields || this.getColumns(items, collection.schema), delimiter)
+      : this.serializeJson(items, format, fields);
+
+    return {
+      filename: `${collection.name}.${FORMATS[format].extension}`,
+      contentType: FORMATS[format].contentType,
+      itemCount: items.length,
+      stream: Readable.from(chunks)
+    };
+  }
+
+  // Schema property order (nested objects flattened to dot paths), then any other keys in the data
+  getColumns(items, schema) {
+    const columns = [];
+    const add = (column) => {
+      if (!columns.includes(column)) columns.push(column);
+    };
+
+    const fromSchema = (properties, prefix) => Object.entries(properties || {}).forEach(([key, property]) => {
+      if (property?.type === 'object' && property.properties) {
+        fromSchema(property.properties, `${prefix}${key}.`);
+      } else {
+        add(`${prefix}${key}`);
+      }
+    });
+    fromSchema(schemaValidator.getItemSchema(schema)?.properties, '');
+
+    const fromItem = (value, prefix) => Object.entries(value || {}).forEach(([key, entry]) => {
+      if (entry && typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length > 0) {
+        fromItem(entry, `${prefix}${key}.`);
+      } else if (!columns.some(column => column.startsWith(`${prefix}${key}.`))) {
+        add(`${prefix}${key}`);
+      }
+    });
+    items.forEach(item => fromItem(item, ''));
+
+    return columns;
+  }
+
+  * serializeCsv(items, columns, delimiter) {
+    const getPath = (item, path) => path.split('.').reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      item
+    );
+
+    yield '﻿' + columns.map(column => this.toCsvCell(column, delimiter)).join(delimiter) + '\r\n';
+
+    for (let start = 0; start < items.length; start += EXPORT_BATCH_SIZE) {
+      yield items.slice(start, start + EXPORT_BATCH_SIZE)
+        .map(item => columns.map(column => this.toCsvCell(getPath(item, column), delimiter)).join(delimiter) + '\r\n')
+        .join('');
+    }
+  }
+
+  * serializeJson(items, format, fields) {
+    const pick = (item) => (fields
+      ? Object.fromEntries(fields.filter(field => item?.[field] !== undefined).map(field => [field, item[field]]))
+      : item);
+
+    if (format === 'json') yield '[';
+
+    for (let start = 0; start < items.length; start += EXPORT_BATCH_SIZE) {
+      const batch = items.slice(start, start + EXPORT_BATCH_SIZE).map(item => JSON.stringify(pick(item)));
+      yield format === 'json'
+        ? (start > 0 ? ',\n' : '\n') + batch.join(',\n')
+        : batch.join('\n') + '\n';
+    }
+
+    if (format === 'json') yield '\n]\n';
+  }
+
+  toCsvCell(value, delimiter) {
+    if (value === undefined || value === null) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new MockDataTransferService();
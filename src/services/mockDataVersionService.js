@@ -0,0 +1,341 @@
+import prisma from '../config/database.js';
+
+/**
+ * MOCK DATA VERSION SERVICE
+ * - Immutable snapshot per save, linked to its MockDataSaveLog
+ * - List, view and diff versions item-by-item
+ * - Per-project retention policy (project.settings.versionRetention); seed versions are kept
+ */
+
+const DEFAULT_RETENTION = {
+  maxVersions: 50,
+  maxAgeDays: null
+};
+
+const RETENTION_BOUNDS = {
+  maxVersions: { min: 1, max: 1000 },
+  maxAgeDays: { min: 1, max: 3650 }
+};
+
+class MockDataVersionService {
+  // Write the save log and its snapshot (pass a transaction client to keep them atomic)
+  async recordVersion(client, { collectionId, version, data, schema, operation, userId, executionContext, metadata = {} }) {
+    const items = Array.isArray(data) ? data : [];
+
+    const saveLog = await client.mockDataSaveLog.create({
+      data: {
+        collectionId,
+        userId,
+        operation,
+        itemCount: items.length,
+        executionContext: executionContext || {},
+        metadata: { ...metadata, version }
+      }
+    });
+
+    return client.mockDataVersion.create({
+      data: {
+        collectionId,
+        version,
+        data: items,
+        ...(schema && { schema }),
+        itemCount: items.length,
+        operation,
+        saveLogId: saveLog.id
+      },
+      select: {
+        id: true,
+        version: true,
+        saveLogId: true,
+        createdAt: true
+      }
+    });
+  }
+
+  // Snapshot data saved before versioning existed, so the first save can be rolled back
+  async ensureBaseline(client, collection, version) {
+    const existing = await client.mockDataVersion.findUnique({
+      where: { collectionId_version: { collectionId: collection.id, version } },
+      select: { id: true }
+    });
+
+    if (existing) return;
+
+    const items = Array.isArray(collection.data) ? collection.data : [];
+    await client.mockDataVersion.create({
+      data: {
+        collectionId: collection.id,
+        version,
+        data: items,
+        ...(collection.schema && { schema: collection.schema }),
+        itemCount: items.length,
+        operation: 'MANUAL_UPDATE'
+      }
+    });
+  }
+
+  // Version list (newest first, without data)
+  async listVersions(collectionId, { limit = 20, offset = 0 } = {}) {
+    const [versions, total] = await Promise.all([
+      prisma.mockDataVersion.findMany({
+        where: { collectionId },
+        orderBy: { version: 'desc' },
+        take: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        skip: Math.max(parseInt(offset) || 0, 0),
+        select: {
+          id: true,
+          version: true,
+          itemCount: true,
+          operation: true,
+          isSeed: true,
+          createdAt: true,
+          saveLog: {
+            select: {
+              id: true,
+              executionContext: true,
+              metadata: true,
+              user: {
+                select: {
+                  id: true,
+                  name: true,
+                  email: true
+                }
+              }
+            }
+          }
+        }
+      }),
+      prisma.mockDataVersion.count({ where: { collectionId } })
+    ]);
+
+    return { versions, total };
+  }
+
+  // Version numbers arrive as path, query or body strings; only positive integers name a version
+  parseVersion(value, field = 'version') {
+    const version = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : NaN;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw this.createError('INVALID_VERSION', 400, [{ field, message: `${field} must be a positive integer` }]);
+    }
+
+    return version;
+  }
+
+  // Single version with its data
+  async getVersion(collectionId, version, field = 'version') {
+    const snapshot = await prisma.mockDataVersion.findUnique({
+      where: {
+        collectionId_version: { collectionId, version: this.parseVersion(version, field) }
+      },
+      include: {
+        saveLog: {
+          select: {
+            id: true,
+            operation: true,
+            executionContext: true,
+            metadata: true,
+            userId: true
+          }
+        }
+      }
+    });
+
+    if (!snapshot) {
+      throw this.createError('VERSION_NOT_FOUND', 404);
+    }
+
+    return snapshot;
+  }
+
+  // Item-by-item diff between two versions
+  async diffVersions(collectionId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(collectionId, fromVersion, 'from'),
+      this.getVersion(collectionId, toVersion, 'to')
+    ]);
+
+    return {
+      from: { version: from.version, itemCount: from.itemCount, createdAt: from.createdAt },
+      to: { version: to.version, itemCount: to.itemCount, createdAt: to.createdAt },
+      ...this.diffItems(from.data, to.data)
+    };
+  }
+
+  // Items are matched by id; items without one are matched by position
+  diffItems(before = [], after = []) {
+    const keyOf = (item, index) => (item && item.id !== undefined ? `id:${item.id}` : `index:${index}`);
+    const beforeByKey = new Map(before.map((item, index) => [keyOf(item, index), item]));
+    const afterByKey = new Map(after.map((item, index) => [keyOf(item, index), item]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [key, item] of afterByKey) {
+      if (!beforeByKey.has(key)) {
+        added.push(item);
+        continue;
+      }
+
+      const previous = beforeByKey.get(key);
+      const fields = this.changedFields(previous, item);
+      if (fields.length === 0) {
+        unchanged++;
+      } else {
+        changed.push({ id: item?.id ?? null, fields, before: previous, after: item });
+      }
+    }
+
+    for (const [key, item] of beforeByKey) {
+      if (!afterByKey.has(key)) removed.push(item);
+    }
+
+    return {
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged
+      },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  // Top-level fields whose values differ
+  changedFields(before, after) {
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+      return JSON.stringify(before) === JSON.stringify(after) ? [] : ['(value)'];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  }
+
+  // Retention policy for a project, with defaults filled in
+  async getRetentionPolicy(projectId) {
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { settings: true }
+    });
+
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    return { ...DEFAULT_RETENTION, ...(project.settings?.versionRetention || {}) };
+  }
+
+  // Store a project's retention policy and apply it to every collection
+  async updateRetentionPolicy(projectId, policy) {
+    const retention = this.validateRetentionPolicy(policy);
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        settings: true,
+        mockData: { select: { id: true } }
+      }
+    });
+
+    if (!project) {
+      throw this.createError('PROJECT_NOT_FOUND', 404);
+    }
+
+    await prisma.project.update({
+      where: { id: projectId },
+      data: {
+        settings: { ...(project.settings || {}), versionRetention: retention }
+      }
+    });
+
+    let pruned = 0;
+    for (const collection of project.mockData) {
+      pruned += await this.pruneVersions(collection.id, retention);
+    }
+
+    return { retention, pruned };
+  }
+
+  validateRetentionPolicy(policy = {}) {
+    const retention = { ...DEFAULT_RETENTION };
+    const errors = [];
+
+    for (const [field, { min, max }] of Object.entries(RETENTION_BOUNDS)) {
+      const value = policy[field];
+      if (value === undefined) continue;
+
+      // Only the age limit can be switched off
+      if (value === null && field === 'maxAgeDays') {
+        retention[field] = null;
+        continue;
+      }
+
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        errors.push({ field, message: `${field} must be an integer between ${min} and ${max}` });
+        continue;
+      }
+      retention[field] = parsed;
+    }
+
+    if (errors.length > 0) {
+      throw this.createError('INVALID_RETENTION_POLICY', 400, errors);
+    }
+
+    return retention;
+  }
+
+  // Delete versions outside the retention policy; the newest version and the seed are always kept
+  async pruneVersions(collectionId, retention = null) {
+    let policy = retention;
+    if (!policy) {
+      const collection = await prisma.mockDataCollection.findUnique({
+        where: { id: collectionId },
+        select: { projectId: true }
+      });
+      if (!collection) return 0;
+      policy = await this.getRetentionPolicy(collection.projectId);
+    }
+
+    const versions = await prisma.mockDataVersion.findMany({
+      where: { collectionId },
+      orderBy: { version: 'desc' },
+      select: { id: true, isSeed: true, createdAt: true }
+    });
+
+    const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const expired = versions.filter((version, index) =>
+      index > 0 && !version.isSeed && (index >= policy.maxVersions || (cutoff && version.createdAt.getTime() < cutoff))
+    );
+
+    if (expired.length === 0) return 0;
+
+    const { count } = await prisma.mockDataVersion.deleteMany({
+      where: { id: { in: expired.map(version => version.id) } }
+    });
+
+    return count;
+  }
+
+  // Retention runs after the save has committed; failures must not fail the save
+  async pruneAfterSave(collectionId) {
+    try {
+      await this.pruneVersions(collectionId);
+    } catch (error) {
+      console.error(`Failed to prune versions for collection ${collectionId}:`, error.message);
+    }
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new MockDataVersionService();
@@ -0,0 +1,160 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+/**
+ * JSON SCHEMA VALIDATOR
+ * - JSON Schema draft 2020-12 (Ajv) with standard formats
+ * - Collection schemas describe the whole array; item schemas are wrapped
+ * - Per-item, per-path errors
+ */
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+const MAX_ERRORS = 100;
+const MAX_CACHED_SCHEMAS = 200;
+
+class SchemaValidator {
+  constructor() {
+    this.ajv = new Ajv2020({
+      allErrors: true,
+      strict: false,
+      allowUnionTypes: true,
+      // Decimal steps like multipleOf: 0.01 must accept 19.99
+      multipleOfPrecision: 8
+    });
+    addFormats(this.ajv);
+
+    this.cache = new Map();
+  }
+
+  // Collection schemas are `{ type: 'array', items }`; a bare item schema is accepted too
+  toCollectionSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) return null;
+    if (schema.type === 'array' || schema.items || schema.prefixItems) return schema;
+
+    const { $schema, ...itemSchema } = schema;
+    return {
+      $schema: $schema || DRAFT_2020_12,
+      type: 'array',
+      items: itemSchema
+    };
+  }
+
+  // Schema for a single item (what generators and forms work from)
+  getItemSchema(schema) {
+    const collectionSchema = this.toCollectionSchema(schema);
+    if (!collectionSchema) return null;
+
+    const items = collectionSchema.items;
+    return items && typeof items === 'object' && Object.keys(items).length > 0 ? items : null;
+  }
+
+  // Reject schemas that are not valid JSON Schema
+  assertValidSchema(schema, field = 'schema') {
+    const collectionSchema = this.toCollectionSchema(schema);
+    if (!collectionSchema) return;
+
+    const { $schema, ...withoutDialect } = collectionSchema;
+    if (!this.ajv.validateSchema(withoutDialect)) {
+      throw this.createError('INVALID_SCHEMA', 400, (this.ajv.errors || []).map(error => ({
+        field,
+        path: error.instancePath || '/',
+        message: error.message
+      })));
+    }
+  }
+
+  // Validate a collection's items; errors carry the item index and a JSON pointer within it
+  validateCollection(data, schema) {
+    const collectionSchema = this.toCollectionSchema(schema);
+    if (!collectionSchema) {
+      return { valid: true, errors: [] };
+    }
+
+    const validate = this.compile(collectionSchema);
+    if (validate(data)) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = validate.errors.slice(0, MAX_ERRORS).map(error => {
+      const [, index, ...path] = error.instancePath.split('/');
+      const itemIndex = index === undefined || index === '' ? null : Number(index);
+
+      return {
+        index: Number.isInteger(itemIndex) ? itemIndex : null,
+        path: path.length > 0 ? `/${path.join('/')}` : '/',
+        keyword: error.keyword,
+        message: this.formatMessage(error),
+        params: error.params
+      };
+    });
+
+    return {
+      valid: false,
+      errors,
+      truncated: validate.errors.length > MAX_ERRORS
+    };
+  }
+
+  // Whether a string satisfies a named format
+  matchesFormat(value, format) {
+    return this.compile({ type: 'string', format })(value);
+  }
+
+  // Human-readable error lines ("Item 3 /email: must match format "email"")
+  summarize(errors) {
+    return errors.map(error => (error.index === null || error.index === undefined
+      ? `${error.path}: ${error.message}`
+      : `Item ${error.index} ${error.path}: ${error.message}`));
+  }
+
+  formatMessage(error) {
+    if (error.keyword === 'additionalProperties') {
+      return `unexpected property "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'required') {
+      return `missing required property "${error.params.missingProperty}"`;
+    }
+    if (error.keyword === 'enum') {
+      return `must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+    return error.message;
+  }
+
+  // Compiled validators are cached by schema content; any declared dialect is validated as 2020-12
+  compile(schema) {
+    // A root $id would be registered globally, so two collections sharing one could not both compile
+    const { $schema, $id, ...withoutDialect } = schema;
+    const key = JSON.stringify(withoutDialect);
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    let validate;
+    try {
+      validate = this.ajv.compile(withoutDialect);
+    } catch (error) {
+      throw this.createError('INVALID_SCHEMA', 400, [{ field: 'schema', path: '/', message: error.message }]);
+    } finally {
+      // Validators are kept in this.cache only; Ajv's own cache is never evicted
+      this.ajv.removeSchema(withoutDialect);
+    }
+
+    if (this.cache.size >= MAX_CACHED_SCHEMAS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, validate);
+
+    return validate;
+  }
+
+  createError(message, statusCode, errors = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (errors) error.errors = errors;
+    return error;
+  }
+}
+
+export default new SchemaValidator();
+export { DRAFT_2020_12 };
@@ -0,0 +1,192 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import prisma from '../src/config/database.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import apiKeyRoutes from '../src/routes/apiKeyRoutes.js';
+import endpointsRoutes from '../src/routes/endpointsRoutes.js';
+import executeRoutes from '../src/routes/executeRoutes.js';
+import { createUser, createProject, createEndpoint, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+describe('API keys', () => {
+  let owner;
+  let project;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    owner = await createUser();
+    project = await createProject(owner);
+  });
+
+  describe('service', () => {
+    test('returns the secret once and stores only its hash', async () => {
+      const created = await apiKeyService.createApiKey(owner.id, { name: 'CI' });
+
+      assert.match(created.secret, /^flx_/);
+      const [stored] = prisma.$rows('apiKey');
+      assert.notEqual(stored.key, created.secret);
+      assert.equal(stored.key, apiKeyService.hashKey(created.secret));
+
+      const listed = await apiKeyService.getUserApiKeys(owner.id);
+      assert.equal(listed[0].secret, undefined);
+      assert.deepEqual(listed[0].permissions.scopes, ['execute']);
+    });
+
+    test('authenticates live keys and rejects revoked, expired and rotated ones', async () => {
+      const created = await apiKeyService.createApiKey(owner.id, { name: 'CI' });
+      assert.equal((await apiKeyService.authenticate(created.secret)).user.id, owner.id);
+
+      const rotated = await apiKeyService.rotateApiKey(created.id, owner.id);
+      await assert.rejects(apiKeyService.authenticate(created.secret), { message: 'INVALID_API_KEY', statusCode: 401 });
+      assert.equal((await apiKeyService.authenticate(rotated.secret)).id, created.id);
+
+      await apiKeyService.revokeApiKey(created.id, owner.id);
+      await assert.rejects(apiKeyService.authenticate(rotated.secret), { message: 'API_KEY_REVOKED' });
+
+      const expired = await apiKeyService.createApiKey(owner.id, { name: 'Old', expiresAt: '2000-01-01T00:00:00.000Z' });
+      await assert.rejects(apiKeyService.authenticate(expired.secret), { message: 'API_KEY_EXPIRED' });
+    });
+
+    test('refuses scopes on projects the owner cannot access', async () => {
+      const stranger = await createUser();
+      const foreign = await createProject(stranger);
+
+      await assert.rejects(
+        apiKeyService.createApiKey(owner.id, { name: 'CI', projectIds: [foreign.id] }),
+        { message: 'API_KEY_SCOPE_ACCESS_DENIED', statusCode: 403 }
+      );
+    });
+
+    test('records usage', async () => {
+      const created = await apiKeyService.createApiKey(owner.id, { name: 'CI' });
+
+      await apiKeyService.recordUsage(created.id);
+      await apiKeyService.recordUsage(created.id);
+
+      const [stored] = prisma.$rows('apiKey');
+      assert.equal(stored.callCount, 2);
+      assert.ok(stored.lastUsed instanceof Date);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    before(async () => {
+      const router = express.Router();
+      router.use('/api-keys', apiKeyRoutes);
+      router.use('/endpoints', endpointsRoutes);
+      router.use('/execute', executeRoutes);
+      app = await startApp('/api', router);
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+      mock.method(sandboxService, 'executeEndpoint', async (endpointId, userId, requestData) => ({
+        endpointId,
+        userId,
+        apiKeyId: requestData.apiKeyId
+      }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const createKey = (data) => apiKeyService.createApiKey(owner.id, { name: 'CI', ...data });
+
+    test('validates PATCH bodies', async () => {
+      const key = await createKey();
+
+      const invalidName = await app.request('PATCH', `/api/api-keys/${key.id}`, { body: { name: 123 }, headers: authHeaders(owner) });
+      assert.equal(invalidName.status, 400);
+      assert.equal(invalidName.body.errors[0].path, 'name');
+
+      const invalidScope = await app.request('PATCH', `/api/api-keys/${key.id}`, { body: { scopes: ['admin'] }, headers: authHeaders(owner) });
+      assert.equal(invalidScope.status, 400);
+
+      const valid = await app.request('PATCH', `/api/api-keys/${key.id}`, { body: { name: '  Mobile  ', scopes: ['read'] }, headers: authHeaders(owner) });
+      assert.equal(valid.status, 200);
+      assert.equal(valid.body.data.name, 'Mobile');
+      assert.deepEqual(valid.body.data.permissions.scopes, ['read']);
+    });
+
+    test('cannot manage keys with another key', async () => {
+      const key = await createKey({ scopes: ['read', 'execute'] });
+
+      const response = await app.request('GET', '/api/api-keys', { headers: { 'X-API-Key': key.secret } });
+      assert.equal(response.status, 401);
+    });
+
+    test('requires the read scope to read endpoints', async () => {
+      await createEndpoint(project, { path: '/users' });
+      const executeOnly = await createKey({ scopes: ['execute'] });
+      const reader = await createKey({ scopes: ['read'] });
+
+      const denied = await app.request('GET', `/api/endpoints/${project.id}/endpoints`, { headers: { 'X-API-Key': executeOnly.secret } });
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.error, 'API_KEY_SCOPE_DENIED');
+
+      const allowed = await app.request('GET', `/api/endpoints/${project.id}/endpoints`, { headers: { 'X-API-Key': reader.secret } });
+      assert.equal(allowed.status, 200);
+      assert.equal(allowed.body.data.endpoints.length, 1);
+    });
+
+    test('limits reads to the endpoints and projects a key is scoped to', async () => {
+      const visible = await createEndpoint(project, { path: '/users' });
+      const hidden = await createEndpoint(project, { path: '/orders' });
+      const otherProject = await createProject(owner);
+      const elsewhere = await createEndpoint(otherProject, { path: '/users' });
+      const key = await createKey({ scopes: ['read'], projectIds: [project.id], endpointIds: [visible.id, elsewhere.id] });
+      const headers = { 'X-API-Key': key.secret };
+
+      const list = await app.request('GET', `/api/endpoints/${project.id}/endpoints`, { headers });
+      assert.deepEqual(list.body.data.endpoints.map(endpoint => endpoint.id), [visible.id]);
+      assert.equal(list.body.data.pagination.total, 1);
+
+      assert.equal((await app.request('GET', `/api/endpoints/${project.id}/endpoints/${hidden.id}`, { headers })).status, 403);
+      assert.equal((await app.request('GET', `/api/endpoints/${otherProject.id}/endpoints`, { headers })).status, 403);
+      assert.equal((await app.request('GET', `/api/endpoints/${project.id}/endpoints/${elsewhere.id}`, { headers })).status, 404);
+    });
+
+    test('keeps endpoint writes behind a user session', async () => {
+      const key = await createKey({ scopes: ['read', 'execute'] });
+
+      const response = await app.request('POST', `/api/endpoints/${project.id}/endpoints`, {
+        body: { path: '/users', method: 'GET', name: 'Users' },
+        headers: { 'X-API-Key': key.secret }
+      });
+      assert.equal(response.status, 401);
+    });
+
+    test('requires the execute scope to execute and attributes the call', async () => {
+      const endpoint = await createEndpoint(project, { path: '/users' });
+      const reader = await createKey({ scopes: ['read'] });
+      const executor = await createKey({ scopes: ['execute'] });
+      const path = `/api/execute/project/${project.id}/endpoint/${endpoint.id}`;
+
+      assert.equal((await app.request('POST', path, { body: {}, headers: { 'X-API-Key': reader.secret } })).status, 403);
+
+      const executed = await app.request('POST', path, { body: {}, headers: { 'X-API-Key': executor.secret } });
+      assert.equal(executed.status, 200);
+      assert.equal(executed.body.data.apiKeyId, executor.id);
+      assert.equal(prisma.$rows('apiKey').find(key => key.id === executor.id).callCount, 1);
+    });
+
+    test('cannot execute another project\'s endpoint through a scoped project', async () => {
+      const other = await createProject(owner);
+      const foreignEndpoint = await createEndpoint(other, { path: '/secrets' });
+      const scoped = await createKey({ scopes: ['execute'], projectIds: [project.id] });
+
+      const response = await app.request('POST', `/api/execute/project/${project.id}/endpoint/${foreignEndpoint.id}`, {
+        body: {},
+        headers: { 'X-API-Key': scoped.secret }
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error, 'ENDPOINT_NOT_FOUND');
+      assert.equal(sandboxService.executeEndpoint.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import isolateRuntime from '../src/services/execution/isolateRuntime.js';
+import resourceLimits from '../src/services/execution/resourceLimits.js';
+
+const run = promisify(execFile);
+const limits = resourceLimits.resolve({ timeout: 1000 }, 'USER');
+
+// Both runtimes must settle async endpoint code the same way
+const runtimes = {
+  container: async (code) => {
+    const { stdout } = await run(process.execPath, ['-e', dockerManager.wrapCode(code)], { timeout: 10000 }).catch(error => error);
+    const result = dockerManager.parseResult(stdout);
+    return { success: result.success !== false, output: result.data ?? null, error: result.error || null };
+  },
+  isolate: (code) => isolateRuntime.executeCode(code, limits)
+};
+
+for (const [name, execute] of Object.entries(runtimes)) {
+  describe(`async endpoint code (${name})`, () => {
+    test('awaits top-level await and returned promises', async () => {
+      const awaited = await execute('const value = await Promise.resolve(41); return value + 1;');
+      assert.deepEqual([awaited.success, awaited.output], [true, 42]);
+
+      const returned = await execute('return Promise.all([1, Promise.resolve(2)]);');
+      assert.deepEqual(returned.output, [1, 2]);
+    });
+
+    test('maps thrown errors and rejections to failures', async () => {
+      const thrown = await execute('await null; throw new Error("boom");');
+      assert.deepEqual([thrown.success, thrown.error], [false, 'boom']);
+
+      const rejected = await execute('return Promise.reject("plain reason");');
+      assert.deepEqual([rejected.success, rejected.error], [false, 'plain reason']);
+    });
+
+    test('fails executions with rejections nobody awaited', async () => {
+      const result = await execute('Promise.reject(new Error("forgotten")); return "done";');
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Unhandled promise rejection: forgotten');
+    });
+
+    test('fails promises that can never settle', async () => {
+      const result = await execute('await new Promise(() => {});');
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'PROMISE_NEVER_SETTLED');
+    });
+  });
+}
+
+describe('async endpoint code (isolate timeout)', () => {
+  test('counts microtask work against the timeout', async () => {
+    const result = await isolateRuntime.executeCode(
+      'const spin = async () => { await null; return spin(); }; await spin();',
+      resourceLimits.resolve({ timeout: 200 }, 'USER')
+    );
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'EXECUTION_TIMEOUT');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import collectionAccess from '../src/services/execution/collectionAccess.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import { createUser, createProject, createEndpoint, createCollection } from './helpers/fixtures.js';
+
+describe('execution collection access', () => {
+  describe('reference detection', () => {
+    test('finds literal references, including hyphenated names', () => {
+      const { names, dynamic } = collectionAccess.detectReferences(`
+        const items = db.collection('order-items').find();
+        const users = getCollectionByName("users");
+        const products = mockData[\`product_catalog\`];
+        return mockData.reviews.length;
+      `);
+
+      assert.deepEqual([...names].sort(), ['order-items', 'product_catalog', 'reviews', 'users']);
+      assert.equal(dynamic, false);
+    });
+
+    test('treats computed names as dynamic and dotted hyphens as subtraction', () => {
+      assert.equal(collectionAccess.detectReferences('db.collection(name)').dynamic, true);
+      assert.equal(collectionAccess.detectReferences('Object.keys(mockData)').dynamic, true);
+      assert.deepEqual([...collectionAccess.detectReferences('mockData.order-items').names], ['order']);
+    });
+  });
+
+  describe('declared access', () => {
+    test('accepts every valid collection name', () => {
+      assert.deepEqual(
+        collectionAccess.normalize({ 'order-items': 'read', users_v2: 'write' }),
+        { 'order-items': 'read', users_v2: 'write' }
+      );
+      assert.equal(collectionAccess.normalize(null), null);
+    });
+
+    test('rejects bad names and access levels', () => {
+      for (const access of [{ 'bad name': 'read' }, { users: 'admin' }, ['users'], 'users']) {
+        assert.throws(() => collectionAccess.normalize(access), { message: 'INVALID_COLLECTION_ACCESS', statusCode: 400 });
+      }
+    });
+
+    test('limits an endpoint to its declared collections', () => {
+      const project = [{ id: 'c1', name: 'users' }, { id: 'c2', name: 'order-items' }, { id: 'c3', name: 'secrets' }];
+
+      assert.deepEqual(
+        collectionAccess.getAvailable({ collectionAccess: { users: 'read', 'order-items': 'write' } }, project),
+        [{ id: 'c1', name: 'users', access: 'read' }, { id: 'c2', name: 'order-items', access: 'write' }]
+      );
+      assert.equal(collectionAccess.getAvailable({}, project).every(collection => collection.access === 'write'), true);
+    });
+  });
+
+  describe('executions', () => {
+    let owner;
+    let project;
+    let users;
+    let orderItems;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      owner = await createUser();
+      project = await createProject(owner);
+      users = await createCollection(project, { name: 'users', data: [{ id: 'u1', name: 'Ada' }] });
+      orderItems = await createCollection(project, { name: 'order-items', data: [{ id: 'i1', userId: 'u1' }] });
+      await createCollection(project, { name: 'unused', data: [{ id: 'x' }] });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const execute = (endpoint) => sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+
+    test('load only the collections the code references', async () => {
+      const endpoint = await createEndpoint(project, { code: "return db.collection('order-items').count();" });
+      const loaded = await collectionAccess.loadForExecution(endpoint, prisma.$rows('mockDataCollection'), null);
+
+      assert.deepEqual(loaded.map(collection => collection.name), ['order-items']);
+      assert.equal(loaded[0].version, 1);
+    });
+
+    test('read several collections and route saves to the right ids', async () => {
+      const endpoint = await createEndpoint(project, {
+        path: '/orders',
+        method: 'POST',
+        collectionAccess: { users: 'read', 'order-items': 'write' },
+        code: `
+          const user = db.collection('users').findOne({ id: 'u1' });
+          db.collection('order-items').insert({ id: 'i2', userId: user.id });
+          return { user: user.name, items: db.collection('order-items').count() };
+        `
+      });
+
+      const result = await execute(endpoint);
+
+      assert.deepEqual(result.data, { user: 'Ada', items: 2 });
+      assert.deepEqual(result.savedData.results.map(entry => entry.collection.id), [orderItems.id]);
+      const rows = prisma.$rows('mockDataCollection');
+      assert.equal(rows.find(row => row.id === orderItems.id).data.length, 2);
+      assert.equal(rows.find(row => row.id === users.id).data.length, 1);
+    });
+
+    test('keep declared read-only collections unwritable', async () => {
+      const endpoint = await createEndpoint(project, {
+        collectionAccess: { users: 'read' },
+        code: "db.collection('users').insert({ name: 'x' }); return 'never';"
+      });
+
+      const result = await execute(endpoint);
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /read-only/);
+      assert.equal(prisma.$rows('mockDataCollection').find(row => row.id === users.id).data.length, 1);
+    });
+  });
+});
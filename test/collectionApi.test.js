@@ -0,0 +1,186 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import collectionApi, { createCollectionApi } from '../src/services/execution/collectionApi.js';
+import mockDataService from '../src/services/mockDataService.js';
+import { createUser, createProject, createCollection } from './helpers/fixtures.js';
+
+const users = () => [
+  { id: 'u1', name: 'Ada', age: 36, tags: ['admin', 'beta'], address: { city: 'London' } },
+  { id: 'u2', name: 'Grace', age: 45, tags: ['beta'], address: { city: 'Arlington' } },
+  { id: 'u3', name: 'Linus', age: 28, tags: [] }
+];
+
+describe('collection API', () => {
+  describe('queries', () => {
+    test('filter with operators, nested paths and logical groups', () => {
+      const { db } = createCollectionApi({ users: users() });
+      const collection = db.collection('users');
+
+      assert.deepEqual(collection.find({ age: { $gte: 36 } }).map(user => user.id), ['u1', 'u2']);
+      assert.deepEqual(collection.find({ 'address.city': 'London' }).map(user => user.id), ['u1']);
+      assert.deepEqual(collection.find({ $or: [{ name: /^L/ }, { tags: 'admin' }] }).map(user => user.id), ['u1', 'u3']);
+      assert.deepEqual(collection.find({}, { sort: { age: -1 }, limit: 1 }).map(user => user.id), ['u2']);
+      assert.equal(collection.findOne({ id: 'u2' }).name, 'Grace');
+      assert.equal(collection.count({ tags: { $size: 0 } }), 1);
+      assert.equal(collection.findOne('u3').name, 'Linus');
+    });
+
+    test('return copies that cannot change the collection', () => {
+      const { db } = createCollectionApi({ users: users() });
+
+      db.collection('users').findOne({ id: 'u1' }).name = 'Changed';
+
+      assert.equal(db.collection('users').findOne({ id: 'u1' }).name, 'Ada');
+    });
+
+    test('reject unknown collections and writes to read-only ones', () => {
+      const { db } = createCollectionApi({ users: users() }, { users: 'read' });
+
+      assert.throws(() => db.collection('orders'), /not available/);
+      assert.throws(() => db.collection('users').insert({ name: 'x' }), /read-only/);
+      assert.equal(db.isWritable('users'), false);
+    });
+  });
+
+  describe('operation log', () => {
+    test('records inserts, updates and deletes instead of the whole array', () => {
+      const api = createCollectionApi({ users: users() });
+      const collection = api.db.collection('users');
+
+      const created = collection.insert({ name: 'Margaret' });
+      collection.update({ id: 'u1' }, { $inc: { age: 1 }, $push: { tags: 'new' } });
+      collection.delete({ id: 'u3' });
+
+      assert.deepEqual(api.getOperations().map(operation => operation.type), ['insert', 'update', 'delete']);
+      assert.deepEqual(api.getOperations()[0].items.map(item => item.id), [created.id]);
+      assert.deepEqual(api.getOperations()[1].ids, ['u1']);
+      assert.deepEqual(api.getOperations()[2].ids, ['u3']);
+    });
+
+    test('replays onto newer data without clobbering concurrent changes', () => {
+      const api = createCollectionApi({ users: users() });
+      api.db.collection('users').update({ id: 'u1' }, { $inc: { age: 1 } });
+      api.db.collection('users').insert({ id: 'u9', name: 'Barbara' });
+
+      // Another execution renamed u2 and added u4 meanwhile
+      const latest = [...users().map(user => (user.id === 'u2' ? { ...user, name: 'Grace H.' } : user)), { id: 'u4', name: 'Ken' }];
+      const { data, summary } = collectionApi.applyOperations(latest, api.getOperations());
+
+      assert.deepEqual(data.map(user => user.id), ['u1', 'u2', 'u3', 'u4', 'u9']);
+      assert.equal(data[0].age, 37);
+      assert.equal(data[1].name, 'Grace H.');
+      assert.deepEqual(summary, { inserted: 1, updated: 1, deleted: 0, replaced: false });
+    });
+
+    test('records regex pulls as the exact values they removed', () => {
+      const api = createCollectionApi({ users: users() });
+
+      api.db.collection('users').update({}, { $pull: { tags: /^b/ } });
+
+      const [operation] = api.getOperations();
+      assert.deepEqual(operation.changes, { $pull: { tags: { $in: ['beta'] } } });
+      assert.equal(collectionApi.validateOperations([operation]).length, 1);
+
+      const { data } = collectionApi.applyOperations([...users(), { id: 'u5', tags: ['beta', 'gamma'] }], [operation]);
+      assert.deepEqual(data.map(user => user.tags), [['admin'], [], [], ['beta', 'gamma']]); // u5 was not selected
+    });
+  });
+
+  describe('unsafe input', () => {
+    afterEach(() => {
+      delete Object.prototype.polluted;
+    });
+
+    test('refuses prototype keys in field paths', () => {
+      const api = createCollectionApi({ users: users() });
+      const collection = api.db.collection('users');
+
+      assert.throws(() => collection.update({ id: 'u1' }, { $set: { '__proto__.polluted': true } }), /invalid field path/);
+      assert.throws(() => collection.update({ id: 'u1' }, { 'constructor.prototype.polluted': true }), /invalid field path/);
+      assert.throws(() => collection.find({ '__proto__.polluted': true }), /invalid field path/);
+      assert.throws(() => collection.query({ fields: 'constructor' }), /invalid field path/);
+      assert.equal({}.polluted, undefined);
+
+      const replay = [{ collection: 'users', type: 'update', ids: ['u1'], changes: { $set: { '__proto__.polluted': true } } }];
+      assert.throws(() => collectionApi.applyOperations(users(), replay), /invalid field path/);
+      assert.equal({}.polluted, undefined);
+    });
+
+    test('drops operations with unsafe keys, unknown operators or regex pulls', () => {
+      const update = (changes) => ({ collection: 'users', type: 'update', ids: ['u1'], changes });
+
+      const valid = collectionApi.validateOperations([
+        update({ $set: { name: 'ok', 'address.city': 'Paris' } }),
+        update({ name: 'plain' }),
+        update({ $set: { '__proto__.polluted': true } }),
+        update(JSON.parse('{"__proto__": {"polluted": true}}')),
+        update({ 'constructor.prototype': {} }),
+        update({ $where: { name: 'x' } }),
+        update({ $set: { name: 'x' }, age: 3 }),
+        update({ $pull: { tags: { $regex: '^(a+)+$' } } }),
+        update({ $pull: { tags: { $not: { $regex: 'a' } } } }),
+        update([]),
+        { collection: 'users', type: 'insert', items: [{ id: 'x' }] },
+        { collection: 'users', type: 'drop' }
+      ]);
+
+      assert.deepEqual(valid.map(operation => operation.changes ?? operation.type), [
+        { $set: { name: 'ok', 'address.city': 'Paris' } },
+        { name: 'plain' },
+        'insert'
+      ]);
+    });
+  });
+
+  describe('saving execution operations', () => {
+    let owner;
+    let collection;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      owner = await createUser();
+      const project = await createProject(owner);
+      collection = await createCollection(project, { name: 'users', data: users(), metadata: { version: 1 } });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('merges stale executions and bumps the version once per save', async () => {
+      const first = createCollectionApi({ users: users() });
+      first.db.collection('users').update({ id: 'u1' }, { $set: { name: 'Ada L.' } });
+      const second = createCollectionApi({ users: users() });
+      second.db.collection('users').delete({ id: 'u3' });
+
+      const targets = { users: { id: collection.id, version: 1 } };
+      const [saved] = await mockDataService.applyExecutionOperations(targets, first.getOperations(), owner.id);
+      const [merged] = await mockDataService.applyExecutionOperations(targets, second.getOperations(), owner.id);
+
+      assert.equal(saved.merged, false);
+      assert.equal(merged.merged, true);
+      assert.equal(merged.collection.version, 3);
+
+      const [row] = prisma.$rows('mockDataCollection');
+      assert.deepEqual(row.data.map(user => user.name), ['Ada L.', 'Grace']);
+    });
+
+    test('refuses stale whole-array replaces', async () => {
+      const stale = createCollectionApi({ users: users() });
+      stale.db.collection('users').replace([]);
+      await mockDataService.applyExecutionOperations({ users: { id: collection.id, version: 1 } }, [
+        { collection: 'users', type: 'insert', items: [{ id: 'u8' }] }
+      ], owner.id);
+
+      const [result] = await mockDataService.applyExecutionOperations(
+        { users: { id: collection.id, version: 1 } },
+        stale.getOperations(),
+        owner.id
+      );
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'COLLECTION_VERSION_CONFLICT');
+      assert.equal(prisma.$rows('mockDataCollection')[0].data.length, 4);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import containerPool from '../src/services/execution/containerPool.js';
+
+const ContainerPool = containerPool.constructor;
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('container pool', () => {
+  let pool;
+  let created;
+  let destroyed;
+  let resetExitCode;
+
+  beforeEach(() => {
+    created = 0;
+    destroyed = [];
+    resetExitCode = 0;
+    dockerManager.activeContainers.clear();
+
+    mock.method(dockerManager, 'createContainer', async () => {
+      const containerId = `container-${++created}`;
+      dockerManager.activeContainers.set(containerId, { createdAt: Date.now(), lastUsed: Date.now() });
+      return containerId;
+    });
+    mock.method(dockerManager, 'destroyContainer', async (containerId) => {
+      destroyed.push(containerId);
+      dockerManager.activeContainers.delete(containerId);
+    });
+    mock.method(dockerManager, 'execCommand', async () => resetExitCode);
+    mock.method(dockerManager, 'getContainerStatus', async (containerId) =>
+      dockerManager.activeContainers.get(containerId)?.status || 'running'
+    );
+
+    pool = new ContainerPool();
+    pool.poolSize = 1;
+    pool.maxUses = 3;
+  });
+
+  afterEach(async () => {
+    clearInterval(pool.healthCheckInterval);
+    mock.restoreAll();
+    dockerManager.activeContainers.clear();
+  });
+
+  test('warms the target number of containers per runtime', async () => {
+    pool.poolSize = 2;
+    await pool.initialize();
+
+    assert.equal(created, 2);
+    assert.equal(pool.getMetrics().runtimes.node.idle, 2);
+    assert.ok(dockerManager.activeContainers.get('container-1').pooled);
+  });
+
+  test('serves warm containers and retires extras beyond the target', async () => {
+    await pool.initialize();
+
+    const containerId = await pool.acquire('node');
+    assert.equal(containerId, 'container-1');
+    await tick();
+    assert.equal(pool.getMetrics().runtimes.node.idle, 1); // topped up in the background
+
+    await pool.release(containerId);
+    const metrics = pool.getMetrics().runtimes.node;
+    assert.equal(metrics.warmHits, 1);
+    assert.equal(metrics.busy, 0);
+    assert.equal(dockerManager.execCommand.mock.callCount(), 0);
+    assert.deepEqual(destroyed, ['container-1']);
+  });
+
+  test('returns reset containers to the pool when below target', async () => {
+    const containerId = await pool.acquire('node');
+    assert.equal(pool.getMetrics().runtimes.node.coldStarts, 1);
+    await tick();
+    pool.getPool('node').idle = []; // as if the warm container had been handed out
+
+    await pool.release(containerId);
+
+    assert.equal(dockerManager.execCommand.mock.callCount(), 1);
+    const [, command] = dockerManager.execCommand.mock.calls[0].arguments;
+    assert.match(command[2], /rm -rf \/tmp\/\* .*\/dev\/shm\/\*/);
+    assert.deepEqual(pool.getPool('node').idle.map(entry => entry.containerId), [containerId]);
+  });
+
+  test('recycles dirty, worn-out and unresettable containers', async () => {
+    const dirty = await pool.acquire('node');
+    await tick();
+    pool.getPool('node').idle = [];
+    await pool.release(dirty, { dirty: true });
+    assert.ok(destroyed.includes(dirty));
+
+    const worn = await pool.acquire('node');
+    await tick();
+    pool.getPool('node').idle = [];
+    pool.getPool('node').busy.get(worn).uses = pool.maxUses;
+    await pool.release(worn);
+    assert.ok(destroyed.includes(worn));
+
+    resetExitCode = 1;
+    const broken = await pool.acquire('node');
+    await tick();
+    pool.getPool('node').idle = [];
+    await pool.release(broken);
+    assert.ok(destroyed.includes(broken));
+
+    const metrics = pool.getMetrics().runtimes.node;
+    assert.equal(metrics.recycled, 3);
+    assert.equal(metrics.resetFailures, 1);
+  });
+
+  test('skips idle containers that died or aged out', async () => {
+    await pool.initialize();
+    pool.getPool('node').idle[0].createdAt = Date.now() - pool.maxAge - 1;
+
+    const containerId = await pool.acquire('node');
+
+    assert.equal(containerId, 'container-2');
+    assert.ok(destroyed.includes('container-1'));
+  });
+
+  test('health checks replace stopped idle containers', async () => {
+    await pool.initialize();
+    dockerManager.activeContainers.get('container-1').status = 'exited';
+
+    await pool.runHealthChecks();
+
+    assert.equal(pool.getMetrics().runtimes.node.unhealthyRemoved, 1);
+    assert.deepEqual(pool.getPool('node').idle.map(entry => entry.containerId), ['container-2']);
+  });
+
+  test('keeps warming failures out of acquire', async () => {
+    dockerManager.createContainer.mock.mockImplementation(async () => {
+      throw new Error('CONTAINER_CREATION_FAILED');
+    });
+
+    await pool.replenish('node');
+    assert.equal(pool.getPool('node').warming, 0);
+    await assert.rejects(pool.acquire('node'), { message: 'CONTAINER_CREATION_FAILED' });
+  });
+
+  test('destroys unpooled containers on release and drains on shutdown', async () => {
+    await pool.initialize();
+    await pool.release('stray');
+    assert.deepEqual(destroyed, ['stray']);
+
+    await pool.shutdown();
+    assert.deepEqual(destroyed, ['stray', 'container-1']);
+    assert.equal(pool.getMetrics().initialized, false);
+  });
+});
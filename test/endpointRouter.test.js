@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouter from '../src/services/endpointRouter.js';
+
+const endpoint = (id, path, method = 'GET', pathParams) => ({ id, path, method, pathParams });
+
+describe('endpoint path router', () => {
+  test('matches `:param` and `{param}` templates and decodes values', () => {
+    const endpoints = [endpoint('a', '/users/:id'), endpoint('b', '/orders/{orderId}/items/:itemId')];
+
+    assert.deepEqual(endpointRouter.match(endpoints, 'GET', '/users/j%20doe'), { endpoint: endpoints[0], params: { id: 'j doe' } });
+    assert.deepEqual(endpointRouter.match(endpoints, 'GET', '/orders/7/items/9').params, { orderId: '7', itemId: '9' });
+    assert.equal(endpointRouter.match(endpoints, 'POST', '/users/1'), null);
+    assert.equal(endpointRouter.match(endpoints, 'GET', '/users/1/extra'), null);
+  });
+
+  test('prefers static segments over parameters', () => {
+    const endpoints = [endpoint('param', '/users/:id'), endpoint('static', '/users/me')];
+
+    assert.equal(endpointRouter.match(endpoints, 'GET', '/users/me').endpoint.id, 'static');
+    assert.equal(endpointRouter.match(endpoints, 'GET', '/users/42').endpoint.id, 'param');
+  });
+
+  test('coerces typed params and skips routes whose types do not match', () => {
+    const endpoints = [
+      endpoint('numeric', '/items/:id', 'GET', { id: 'integer' }),
+      endpoint('slug', '/items/:slug', 'GET', { slug: { type: 'string', pattern: '^[a-z-]+$' } })
+    ];
+
+    assert.deepEqual(endpointRouter.match(endpoints, 'GET', '/items/12'), { endpoint: endpoints[0], params: { id: 12 } });
+    assert.equal(endpointRouter.match(endpoints, 'GET', '/items/blue-shoe').endpoint.id, 'slug');
+    assert.equal(endpointRouter.match(endpoints, 'GET', '/items/Blue_Shoe'), null);
+  });
+
+  test('coerces numbers, booleans, enums and UUIDs', () => {
+    assert.deepEqual(endpointRouter.coerceValue('2.5', { type: 'number' }), { valid: true, value: 2.5 });
+    assert.deepEqual(endpointRouter.coerceValue('true', { type: 'boolean' }), { valid: true, value: true });
+    assert.equal(endpointRouter.coerceValue('yes', { type: 'boolean' }).valid, false);
+    assert.equal(endpointRouter.coerceValue('3', { type: 'integer', enum: [1, 2] }).valid, false);
+    assert.equal(endpointRouter.coerceValue('not-a-uuid', { type: 'string', format: 'uuid' }).valid, false);
+  });
+
+  test('rejects unroutable templates', () => {
+    assert.throws(() => endpointRouter.compile('users'), { message: 'INVALID_ENDPOINT_PATH' });
+    assert.throws(() => endpointRouter.compile('/users/:id-copy'), { message: 'INVALID_ENDPOINT_PATH' });
+    assert.throws(() => endpointRouter.compile('/a/:id/b/:id'), { message: 'DUPLICATE_PATH_PARAM' });
+  });
+
+  test('finds routes that would match the same requests', () => {
+    const endpoints = [endpoint('a', '/users/:id'), endpoint('b', '/users/:id', 'POST')];
+
+    assert.equal(endpointRouter.findConflict(endpoints, { path: '/users/{userId}', method: 'GET' }).id, 'a');
+    assert.equal(endpointRouter.findConflict(endpoints, { id: 'a', path: '/users/{userId}', method: 'GET' }), null);
+    assert.equal(endpointRouter.findConflict(endpoints, { path: '/users/me', method: 'GET' }), null);
+  });
+
+  test('converts templates to OpenAPI paths', () => {
+    assert.equal(endpointRouter.toOpenAPIPath('/users/:id/posts/{postId}'), '/users/{id}/posts/{postId}');
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import endpointScaffoldService from '../src/services/endpointScaffoldService.js';
+import documentationService from '../src/services/documentationService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createEndpoint, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const bookSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string', minLength: 1 },
+    genre: { enum: ['fiction', 'science'] },
+    authorId: { type: 'integer', 'x-ref': 'authors' },
+    createdAt: { type: 'string', format: 'date-time' }
+  },
+  required: ['id', 'title', 'authorId']
+};
+
+describe('CRUD scaffold', () => {
+  let owner;
+  let project;
+  let books;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    project = await createProject(owner);
+    await createCollection(project, { name: 'authors', data: [{ id: 1, name: 'Ursula' }] });
+    books = await createCollection(project, {
+      name: 'books',
+      schema: bookSchema,
+      data: [{ id: 1, title: 'The Dispossessed', genre: 'fiction', authorId: 1 }],
+      metadata: { version: 1 }
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('definitions', () => {
+    test('create all six endpoints with schemas derived from the collection', async () => {
+      const { basePath, endpoints } = await endpointScaffoldService.scaffoldCollection(books.id, owner.id);
+
+      assert.equal(basePath, '/books');
+      assert.deepEqual(endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`), [
+        'GET /books', 'GET /books/:id', 'POST /books', 'PUT /books/:id', 'PATCH /books/:id', 'DELETE /books/:id'
+      ]);
+
+      const [list, get, create, , update] = endpoints;
+      assert.deepEqual(list.collectionAccess, { authors: 'read', books: 'read' });
+      assert.deepEqual(create.collectionAccess, { books: 'write' });
+      assert.deepEqual(get.pathParams, { id: { type: 'integer' } });
+      assert.deepEqual(list.queryParams.genre.enum, ['fiction', 'science']);
+      assert.ok(list.queryParams.cursor && list.queryParams.expand);
+      assert.deepEqual(list.responseSchema.properties.items.items, bookSchema);
+      assert.deepEqual(Object.keys(create.requestSchema.properties), ['title', 'genre', 'authorId']);
+      assert.deepEqual(create.requestSchema.required, ['title', 'authorId']);
+      assert.equal(update.requestSchema.required, undefined);
+    });
+
+    test('honour basePath and a subset of operations', async () => {
+      const { endpoints } = await endpointScaffoldService.scaffoldCollection(books.id, owner.id, {
+        basePath: '/library/books/',
+        operations: ['get', 'list']
+      });
+
+      assert.deepEqual(endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`), ['GET /library/books', 'GET /library/books/:id']);
+    });
+
+    test('create nothing when any route is taken', async () => {
+      await createEndpoint(project, { path: '/books/:bookId', method: 'DELETE' });
+
+      await assert.rejects(
+        endpointScaffoldService.scaffoldCollection(books.id, owner.id),
+        (error) => {
+          assert.equal(error.message, 'ENDPOINT_ROUTE_CONFLICT');
+          assert.equal(error.statusCode, 409);
+          assert.equal(error.errors.length, 1);
+          return true;
+        }
+      );
+      assert.equal(prisma.$rows('endpoint').length, 1);
+    });
+
+    test('show up in the OpenAPI spec', async () => {
+      await endpointScaffoldService.scaffoldCollection(books.id, owner.id);
+
+      const spec = await documentationService.generateOpenAPISpec(project.id, owner.id);
+      const paths = Object.keys(spec.paths);
+
+      assert.equal(paths.some(path => path.endsWith('/books')), true);
+      const itemPath = Object.entries(spec.paths).find(([path]) => path.endsWith('/books/{id}'))[1];
+      assert.deepEqual(Object.keys(itemPath).sort(), ['delete', 'get', 'patch', 'put']);
+      assert.equal(itemPath.get.parameters.find(parameter => parameter.in === 'path').name, 'id');
+    });
+  });
+
+  describe('generated code', () => {
+    let endpoints;
+
+    beforeEach(async () => {
+      mock.method(console, 'warn', () => {});
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      ({ endpoints } = await endpointScaffoldService.scaffoldCollection(books.id, owner.id));
+    });
+
+    const call = async (method, path, request = {}) => {
+      const endpoint = endpoints.find(entry => entry.method === method && entry.path === path);
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, request);
+      return result.response;
+    };
+    const stored = () => prisma.$rows('mockDataCollection').find(row => row.id === books.id).data;
+
+    test('list, create, read, update and delete items', async () => {
+      const created = await call('POST', '/books', { body: { title: 'Solaris', genre: 'science', authorId: 1 } });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.id, 2);
+      assert.equal(created.headers.location, '/books/2');
+
+      const page = await call('GET', '/books', { query: { genre: 'science', expand: 'authorId' } });
+      assert.deepEqual(page.body.items.map(book => [book.title, book.author.name]), [['Solaris', 'Ursula']]);
+      assert.equal(String(page.headers['x-total-count']), '1');
+
+      const updated = await call('PATCH', '/books/:id', { params: { id: '2' }, body: { title: 'Solaris (1961)' } });
+      assert.equal(updated.body.title, 'Solaris (1961)');
+
+      const replaced = await call('PUT', '/books/:id', { params: { id: '2' }, body: { title: 'Solaris', authorId: 1 } });
+      assert.equal(replaced.body.genre, undefined);
+
+      assert.equal((await call('DELETE', '/books/:id', { params: { id: '1' } })).status, 204);
+      assert.deepEqual(stored().map(book => book.title), ['Solaris']);
+    });
+
+    test('answer 404 and 400 like a real API', async () => {
+      assert.equal((await call('GET', '/books/:id', { params: { id: '99' } })).status, 404);
+      assert.equal((await call('PATCH', '/books/:id', { params: { id: '99' }, body: { title: 'x' } })).status, 404);
+      assert.equal((await call('DELETE', '/books/:id', { params: { id: '99' } })).status, 404);
+      assert.equal((await call('GET', '/books', { query: { 'price[between]': '1' } })).status, 400);
+      assert.equal((await call('POST', '/books', { body: [] })).status, 400);
+      assert.equal(stored().length, 1);
+    });
+  });
+
+  describe('route', () => {
+    let app;
+
+    before(async () => {
+      app = await startApp('/api/mock-data', mockDataRoutes);
+    });
+
+    after(() => app.close());
+
+    test('validate operations and basePath', async () => {
+      const scaffold = (body) => app.request('POST', `/api/mock-data/collections/${books.id}/scaffold`, { body, headers: authHeaders(owner) });
+
+      assert.equal((await scaffold({ operations: ['list', 'purge'] })).status, 400);
+      assert.equal((await scaffold({ basePath: 'books' })).status, 400);
+      assert.equal(prisma.$rows('endpoint').length, 0);
+
+      const created = await scaffold({ operations: ['list'] });
+      assert.equal(created.status, 201, created.text);
+      assert.equal(created.body.message, 'Created 1 endpoints for books');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import endpointService from '../src/services/endpointService.js';
+import exportImportService from '../src/services/exportImportService.js';
+import { ProjectExportImportService } from '../src/services/ProjectExportImportService.js';
+import { createUser, createProject, createEndpoint } from './helpers/fixtures.js';
+
+describe('endpoint routes', () => {
+  let owner;
+  let project;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    owner = await createUser();
+    project = await createProject(owner);
+  });
+
+  test('rejects endpoints that collide with an existing route', async () => {
+    await endpointService.createEndpoint(project.id, owner.id, { path: '/users/:id', method: 'GET', name: 'Get user' });
+
+    await assert.rejects(
+      endpointService.createEndpoint(project.id, owner.id, { path: '/users/{userId}', method: 'GET', name: 'Again' }),
+      (error) => error.message === 'ENDPOINT_ROUTE_CONFLICT' && error.statusCode === 409 && error.errors.conflictsWith.path === '/users/:id'
+    );
+
+    const post = await endpointService.createEndpoint(project.id, owner.id, { path: '/users/:id', method: 'POST', name: 'Post' });
+    assert.equal(post.path, '/users/:id');
+  });
+
+  test('rejects unroutable paths with 400', async () => {
+    await assert.rejects(
+      endpointService.createEndpoint(project.id, owner.id, { path: '/users/:id-x', method: 'GET', name: 'Bad' }),
+      (error) => error.message === 'INVALID_ENDPOINT_PATH' && error.statusCode === 400
+    );
+  });
+
+  test('only checks moved routes when updating', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET' });
+    const orders = await createEndpoint(project, { path: '/orders', method: 'GET' });
+
+    await assert.rejects(
+      endpointService.updateEndpoint(orders.id, owner.id, { path: '/users' }),
+      { message: 'ENDPOINT_ROUTE_CONFLICT' }
+    );
+    const renamed = await endpointService.updateEndpoint(orders.id, owner.id, { name: 'Orders' });
+    assert.equal(renamed.path, '/orders');
+  });
+
+  describe('duplicating', () => {
+    test('suffixes a static tail segment', async () => {
+      const endpoint = await createEndpoint(project, { path: '/users', method: 'GET' });
+
+      const copy = await endpointService.duplicateEndpoint(endpoint.id, owner.id);
+
+      assert.equal(copy.path, '/users-copy');
+      assert.equal(copy.name, 'Endpoint (Copy)');
+    });
+
+    test('appends a static segment after a templated tail', async () => {
+      const endpoint = await createEndpoint(project, { path: '/users/:id', method: 'GET' });
+
+      const copy = await endpointService.duplicateEndpoint(endpoint.id, owner.id);
+
+      assert.equal(copy.path, '/users/:id/copy');
+      assert.doesNotThrow(() => endpointService.assertRoutesAvailable([copy]));
+    });
+
+    test('numbers copies until the route is free', async () => {
+      const endpoint = await createEndpoint(project, { path: '/users/:id', method: 'GET' });
+      await createEndpoint(project, { path: '/users/{userId}/copy', method: 'GET' });
+
+      const first = await endpointService.duplicateEndpoint(endpoint.id, owner.id);
+      const second = await endpointService.duplicateEndpoint(endpoint.id, owner.id);
+
+      assert.equal(first.path, '/users/:id/copy-2');
+      assert.equal(second.path, '/users/:id/copy-3');
+    });
+
+    test('copies the root route', async () => {
+      const endpoint = await createEndpoint(project, { path: '/', method: 'GET' });
+
+      assert.equal((await endpointService.duplicateEndpoint(endpoint.id, owner.id)).path, '/copy');
+    });
+  });
+
+  describe('importing', () => {
+    test('rejects custom JSON imports with ambiguous routes', async () => {
+      const file = JSON.stringify({
+        format: 'custom_json',
+        project: { name: 'Shop' },
+        endpoints: [
+          { path: '/users/:id', method: 'GET', name: 'One', code: '' },
+          { path: '/users/{userId}', method: 'GET', name: 'Two', code: '' }
+        ]
+      });
+
+      await assert.rejects(exportImportService.importProject(owner.id, file), /ENDPOINT_ROUTE_CONFLICT/);
+      assert.equal(await prisma.project.count({ where: { name: 'Shop (Imported)' } }), 0);
+    });
+
+    test('rejects file imports with ambiguous routes before creating the project', async () => {
+      const service = new ProjectExportImportService();
+      const projectData = {
+        project: { name: 'Shop', settings: {} },
+        endpoints: [
+          { path: '/users/{id}', method: 'GET', name: 'One' },
+          { path: '/users/:userId', method: 'GET', name: 'Two' }
+        ]
+      };
+
+      await assert.rejects(
+        service.createProjectFromImport(owner.id, projectData, { name: 'Shop', visibility: 'PRIVATE' }),
+        (error) => error.message === 'ENDPOINT_ROUTE_CONFLICT' && error.statusCode === 409
+      );
+      assert.equal(await prisma.project.count({ where: { name: 'Shop' } }), 0);
+    });
+
+    test('imports routes that only differ by method', async () => {
+      const service = new ProjectExportImportService();
+      const projectData = {
+        project: { name: 'Shop', settings: {} },
+        endpoints: [
+          { path: '/users/:id', method: 'GET', name: 'One' },
+          { path: '/users/:id', method: 'DELETE', name: 'Two' }
+        ]
+      };
+
+      const imported = await service.createProjectFromImport(owner.id, projectData, { name: 'Shop', visibility: 'PRIVATE' });
+      assert.equal(imported.endpoints.length, 2);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import executionScheduler from '../src/services/execution/executionScheduler.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import gatewayRoutes from '../src/routes/gatewayRoutes.js';
+import { createUser, createProject, createEndpoint } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const ExecutionScheduler = executionScheduler.constructor;
+
+describe('execution scheduler', () => {
+  let scheduler;
+  let pending;
+
+  // Enqueue without awaiting, remembering the order jobs start in
+  const enqueue = (started, userKey, projectId) => {
+    const slot = scheduler.acquire({ userKey, projectId }).then(result => {
+      started.push(`${userKey}@${projectId}`);
+      return result;
+    });
+    pending.push(slot.catch(() => {}));
+    return slot;
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {}); // queue logs are noise here
+    scheduler = new ExecutionScheduler();
+    Object.assign(scheduler, {
+      maxConcurrent: 2,
+      perUserLimit: 2,
+      perProjectLimit: 2,
+      maxQueueSize: 4,
+      maxQueuedPerUser: 3,
+      maxWaitMs: 1000
+    });
+    pending = [];
+  });
+
+  afterEach(async () => {
+    // Fail whatever is still waiting so no timer outlives the test
+    for (const queue of scheduler.queues.values()) {
+      for (const job of [...queue]) scheduler.expire(job);
+    }
+    await Promise.all(pending);
+    mock.restoreAll();
+  });
+
+  test('starts immediately while under every limit', async () => {
+    const slot = await scheduler.acquire({ userKey: 'u1', projectId: 'p1' });
+
+    assert.equal(slot.waitedMs >= 0, true);
+    assert.equal(scheduler.getMetrics().running, 1);
+
+    slot.release();
+    slot.release(); // releasing twice is harmless
+    assert.equal(scheduler.getMetrics().running, 0);
+  });
+
+  test('queues beyond the global limit and starts jobs as slots free up', async () => {
+    const started = [];
+    const first = await enqueue(started, 'u1', 'p1');
+    await enqueue(started, 'u2', 'p2');
+    const third = enqueue(started, 'u3', 'p3');
+
+    assert.equal(scheduler.getMetrics().queued, 1);
+    first.release();
+
+    const slot = await third;
+    assert.equal(slot.queuePosition, 1);
+    assert.deepEqual(started, ['u1@p1', 'u2@p2', 'u3@p3']);
+  });
+
+  test('enforces per-user and per-project concurrency', async () => {
+    scheduler.maxConcurrent = 10;
+    scheduler.perUserLimit = 1;
+    const started = [];
+
+    const a = await enqueue(started, 'u1', 'p1');
+    const blockedUser = enqueue(started, 'u1', 'p2');
+    await enqueue(started, 'u2', 'p1');
+    assert.deepEqual(started, ['u1@p1', 'u2@p1']);
+
+    const blockedProject = enqueue(started, 'u3', 'p1');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(scheduler.getMetrics().queued, 2);
+
+    a.release();
+    await Promise.all([blockedUser, blockedProject]);
+    assert.deepEqual(started.slice(2).sort(), ['u1@p2', 'u3@p1']);
+  });
+
+  test('serves project queues round-robin', async () => {
+    scheduler.maxConcurrent = 1;
+    scheduler.perUserLimit = 10;
+    scheduler.maxQueueSize = 10;
+    scheduler.maxQueuedPerUser = 10;
+    const started = [];
+
+    const running = await enqueue(started, 'busy', 'p1');
+    const queued = [
+      enqueue(started, 'u1', 'p1'),
+      enqueue(started, 'u1', 'p1'),
+      enqueue(started, 'u2', 'p2')
+    ];
+
+    assert.deepEqual(scheduler.getUserQueueStatus('u1').queued.map(job => job.position), [1, 3]);
+    assert.equal(scheduler.getUserQueueStatus('u2').queued[0].position, 2);
+
+    running.release();
+    (await queued[0]).release();
+    (await queued[2]).release();
+    await queued[1];
+
+    assert.deepEqual(started.slice(1), ['u1@p1', 'u2@p2', 'u1@p1']);
+  });
+
+  test('rejects when the queue or a user queue is full', async () => {
+    scheduler.maxConcurrent = 1;
+    scheduler.perUserLimit = 10;
+    await scheduler.acquire({ userKey: 'u0', projectId: 'p0' });
+
+    const started = [];
+    enqueue(started, 'u1', 'p1');
+    enqueue(started, 'u1', 'p1');
+    enqueue(started, 'u1', 'p1');
+
+    await assert.rejects(scheduler.acquire({ userKey: 'u1', projectId: 'p1' }), (error) =>
+      error.message === 'USER_EXECUTION_QUEUE_FULL' && error.statusCode === 429 && error.retryAfter >= 1
+    );
+
+    enqueue(started, 'u2', 'p2');
+    await assert.rejects(scheduler.acquire({ userKey: 'u3', projectId: 'p3' }), (error) =>
+      error.message === 'EXECUTION_QUEUE_FULL' && error.statusCode === 503
+    );
+    assert.equal(scheduler.getMetrics().rejected, 2);
+  });
+
+  test('gives up on jobs that wait too long', async () => {
+    scheduler.maxConcurrent = 1;
+    scheduler.maxWaitMs = 20;
+    await scheduler.acquire({ userKey: 'u1', projectId: 'p1' });
+
+    await assert.rejects(scheduler.acquire({ userKey: 'u2', projectId: 'p2' }), (error) =>
+      error.message === 'EXECUTION_QUEUE_TIMEOUT' && error.statusCode === 503 && error.waitedMs >= 20
+    );
+    assert.equal(scheduler.getMetrics().timedOut, 1);
+    assert.equal(scheduler.getMetrics().queued, 0);
+  });
+
+  test('estimates Retry-After from the queue and average run time', () => {
+    scheduler.maxConcurrent = 2;
+    scheduler.avgExecutionMs = 1500;
+
+    assert.equal(scheduler.estimateRetryAfter(0), 2);
+    assert.equal(scheduler.estimateRetryAfter(3), 3);
+  });
+
+  describe('over HTTP', () => {
+    let app;
+
+    before(async () => {
+      app = await startApp('/p', gatewayRoutes);
+    });
+
+    after(() => app.close());
+
+    afterEach(() => mock.restoreAll());
+
+    test('answers a full queue with 503 and Retry-After', async () => {
+      prisma.$reset();
+      const project = await createProject(await createUser(), { slug: 'shop' });
+      await createEndpoint(project, { path: '/users' });
+
+      Object.assign(scheduler, { maxConcurrent: 0, maxQueueSize: 0 });
+      mock.method(sandboxService, 'executeEndpoint', () => scheduler.acquire({ userKey: 'u1', projectId: project.id }));
+
+      const response = await app.request('GET', '/p/shop/users');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error, 'EXECUTION_QUEUE_FULL');
+      assert.equal(response.headers.get('retry-after'), String(response.body.retryAfter));
+    });
+  });
+});
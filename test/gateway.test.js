@@ -0,0 +1,143 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import gatewayService from '../src/services/gatewayService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import gatewayRoutes from '../src/routes/gatewayRoutes.js';
+import { createUser, createProject, createEndpoint } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+describe('public API gateway', () => {
+  let project;
+  let executions;
+  let app;
+
+  before(async () => {
+    app = await startApp('/p', gatewayRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    executions = [];
+    mock.method(sandboxService, 'executeEndpoint', async (endpointId, userId, requestData) => {
+      executions.push({ endpointId, userId, requestData });
+      return {
+        response: {
+          status: 201,
+          headers: { 'x-handled-by': endpointId },
+          cookies: [],
+          contentType: null,
+          body: { ok: true, params: requestData.params }
+        }
+      };
+    });
+
+    const owner = await createUser();
+    project = await createProject(owner, { slug: 'shop' });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('serves a matching endpoint with its status, headers and body', async () => {
+    const endpoint = await createEndpoint(project, { path: '/users/:id', method: 'GET', pathParams: { id: 'integer' } });
+
+    const response = await app.request('GET', '/p/shop/users/42?expand=orders');
+
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.get('x-handled-by'), endpoint.id);
+    assert.deepEqual(response.body, { ok: true, params: { id: 42 } });
+    assert.equal(executions[0].requestData.query.expand, 'orders');
+  });
+
+  test('returns 404 for unknown projects and unmatched routes', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET' });
+
+    const unknownProject = await app.request('GET', '/p/nope/users');
+    assert.equal(unknownProject.status, 404);
+    assert.equal(unknownProject.body.error, 'PROJECT_NOT_FOUND');
+
+    const wrongMethod = await app.request('POST', '/p/shop/users', { body: {} });
+    assert.equal(wrongMethod.status, 404);
+    assert.equal(wrongMethod.body.error, 'ROUTE_NOT_FOUND');
+    assert.equal(executions.length, 0);
+  });
+
+  test('ignores inactive endpoints and deleted projects', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET', isActive: false });
+    assert.equal((await app.request('GET', '/p/shop/users')).status, 404);
+
+    await createEndpoint(project, { path: '/orders', method: 'GET' });
+    await prisma.project.update({ where: { id: project.id }, data: { deletedAt: new Date() } });
+    assert.equal((await app.request('GET', '/p/shop/orders')).body.error, 'PROJECT_NOT_FOUND');
+  });
+
+  test('strips caller credentials before execution', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET' });
+
+    await gatewayService.handleRequest('shop', {
+      method: 'GET',
+      path: '/users',
+      headers: {
+        authorization: 'Bearer secret-jwt',
+        'x-access-token': 'secret-token',
+        'x-api-key': 'flx_secret',
+        cookie: 'accessToken=secret',
+        'Authorization': 'Basic abc',
+        'x-request-id': 'req-1'
+      }
+    });
+
+    assert.deepEqual(executions[0].requestData.headers, { 'x-request-id': 'req-1' });
+  });
+
+  test('strips credentials from requests arriving over HTTP', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET' });
+
+    await app.request('GET', '/p/shop/users', {
+      headers: { Cookie: 'accessToken=secret', 'X-Access-Token': 'secret', 'X-Trace': 'trace-1' }
+    });
+
+    const { headers } = executions[0].requestData;
+    assert.equal(headers.cookie, undefined);
+    assert.equal(headers['x-access-token'], undefined);
+    assert.equal(headers['x-trace'], 'trace-1');
+  });
+
+  test('answers HEAD requests with the GET endpoint', async () => {
+    const endpoint = await createEndpoint(project, { path: '/users', method: 'GET' });
+
+    const response = await app.request('HEAD', '/p/shop/users');
+
+    assert.equal(response.status, 201);
+    assert.equal(response.text, '');
+    assert.equal(executions[0].endpointId, endpoint.id);
+  });
+
+  test('prefers a dedicated HEAD endpoint over the GET fallback', async () => {
+    await createEndpoint(project, { path: '/users', method: 'GET' });
+    const head = await createEndpoint(project, { path: '/users', method: 'HEAD' });
+
+    await app.request('HEAD', '/p/shop/users');
+
+    assert.equal(executions[0].endpointId, head.id);
+  });
+
+  test('rejects API keys that may not execute the endpoint', async () => {
+    const endpoint = await createEndpoint(project, { path: '/users', method: 'GET' });
+    const other = await createEndpoint(project, { path: '/orders', method: 'GET' });
+
+    const apiKey = { id: 'key-1', permissions: { scopes: ['execute'], projectIds: [project.id], endpointIds: [other.id] } };
+
+    await assert.rejects(
+      gatewayService.handleRequest('shop', { method: 'GET', path: '/users', headers: {} }, { apiKey }),
+      { message: 'API_KEY_SCOPE_DENIED' }
+    );
+
+    await gatewayService.handleRequest('shop', { method: 'GET', path: '/orders', headers: {} }, { apiKey });
+    assert.equal(executions.length, 1);
+    assert.notEqual(executions[0].endpointId, endpoint.id);
+    assert.equal(executions[0].requestData.apiKeyId, 'key-1');
+  });
+});
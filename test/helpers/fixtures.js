@@ -0,0 +1,41 @@
+import jwt from 'jsonwebtoken';
+import prisma from '../../src/config/database.js';
+
+// Minimal rows for service and route tests
+
+export const createUser = (data = {}) => prisma.user.create({
+  data: { email: `user-${Math.random().toString(36).slice(2)}@example.com`, name: 'Test User', ...data }
+});
+
+export const createProject = async (owner, data = {}) => prisma.project.create({
+  data: {
+    name: 'Test Project',
+    slug: `project-${Math.random().toString(36).slice(2)}`,
+    ownerId: owner.id,
+    ...data
+  }
+});
+
+export const createEndpoint = (project, data = {}) => prisma.endpoint.create({
+  data: {
+    projectId: project.id,
+    name: 'Endpoint',
+    path: '/items',
+    method: 'GET',
+    code: 'return { ok: true };',
+    ...data
+  }
+});
+
+export const createCollection = (project, data = {}) => prisma.mockDataCollection.create({
+  data: {
+    projectId: project.id,
+    name: 'items',
+    data: [],
+    ...data
+  }
+});
+
+export const tokenFor = (user) => jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+
+export const authHeaders = (user) => ({ Authorization: `Bearer ${tokenFor(user)}` });
@@ -0,0 +1,36 @@
+import express from 'express';
+import errorHandler from '../../src/middleware/errorHandler.js';
+
+// Mount a router on a throwaway app and listen on a random port
+export const startApp = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    request: async (method, path, { body, headers = {} } = {}) => {
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // Non-JSON responses are exposed as text
+      }
+      return { status: response.status, headers: response.headers, body: json, text };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
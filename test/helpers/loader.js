@@ -0,0 +1,21 @@
+/**
+ * TEST MODULE LOADER
+ * - Swaps the database client and the generated Prisma package for the
+ *   in-memory client, so services load without Postgres or `prisma generate`
+ */
+
+const REPLACEMENTS = {
+  '@prisma/client': new URL('./prismaClient.js', import.meta.url).href
+};
+
+const DATABASE_MODULE = new URL('../../src/config/database.js', import.meta.url).href;
+const FAKE_DATABASE = new URL('./prisma.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (REPLACEMENTS[specifier]) {
+    return { url: REPLACEMENTS[specifier], shortCircuit: true };
+  }
+
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url === DATABASE_MODULE ? { url: FAKE_DATABASE, shortCircuit: true } : resolved;
+}
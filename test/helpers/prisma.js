@@ -0,0 +1,564 @@
+import { readFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * IN-MEMORY PRISMA CLIENT
+ * - Replaces src/config/database.js in tests (see loader.js)
+ * - Models, relations, defaults and unique keys are read from prisma/schema.prisma
+ * - Covers the query subset the services use: filters, select/include, _count,
+ *   nested connect/create, aggregate/groupBy, cascades and unique violations
+ * - $transaction runs one transaction at a time and rolls back on error,
+ *   which stands in for the row locks the services take with FOR UPDATE
+ */
+
+const SCHEMA = readFileSync(new URL('../../prisma/schema.prisma', import.meta.url), 'utf8');
+const SCALARS = ['String', 'Int', 'Float', 'Decimal', 'BigInt', 'Boolean', 'DateTime', 'Json', 'Bytes'];
+const FILTER_KEYS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'contains', 'startsWith', 'endsWith', 'mode', 'has', 'hasSome', 'hasEvery', 'isEmpty', 'path'];
+
+export const DbNull = Symbol('DbNull');
+export const JsonNull = Symbol('JsonNull');
+
+const camel = (name) => name[0].toLowerCase() + name.slice(1);
+const listOf = (value) => value === undefined ? [] : [].concat(value);
+const clone = (value) => structuredClone(value);
+
+const prismaError = (code, message, meta = {}) => Object.assign(new Error(message), { code, meta, name: 'PrismaClientKnownRequestError' });
+
+// Parse models, enums and relations out of schema.prisma
+const parseSchema = (source) => {
+  const models = {};
+  const enums = new Set([...source.matchAll(/^enum\s+(\w+)/gm)].map(match => match[1]));
+
+  for (const [, name, body] of source.matchAll(/^model\s+(\w+)\s*\{([\s\S]*?)^\}/gm)) {
+    const model = { name, fields: {}, relations: {}, uniques: [] };
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      const compound = line.match(/^@@(?:unique|id)\(\s*\[([^\]]+)\]/);
+      if (compound) {
+        model.uniques.push(compound[1].split(',').map(field => field.trim()));
+        continue;
+      }
+      if (line.startsWith('@@')) continue;
+
+      const [fieldName, rawType, ...rest] = line.split(/\s+/);
+      const attributes = rest.join(' ');
+      const type = rawType.replace(/[?[\]]/g, '');
+      const field = {
+        name: fieldName,
+        type,
+        list: rawType.endsWith('[]'),
+        optional: rawType.endsWith('?'),
+        isEnum: enums.has(type),
+        updatedAt: attributes.includes('@updatedAt'),
+        default: attributes.match(/@default\((.*?)\)(?:\s|$)/)?.[1]
+      };
+
+      if (/@id\b/.test(attributes) || /@unique\b/.test(attributes)) model.uniques.push([fieldName]);
+
+      if (SCALARS.includes(type) || field.isEnum) {
+        model.fields[fieldName] = field;
+      } else {
+        const relation = attributes.match(/@relation\(([^)]*)\)/)?.[1] || '';
+        model.relations[fieldName] = {
+          model: type,
+          many: field.list,
+          optional: field.optional,
+          name: relation.match(/name:\s*"([^"]+)"/)?.[1] || relation.match(/^\s*"([^"]+)"/)?.[1] || null,
+          fields: relation.match(/fields:\s*\[([^\]]+)\]/)?.[1].split(',').map(s => s.trim()) || null,
+          references: relation.match(/references:\s*\[([^\]]+)\]/)?.[1].split(',').map(s => s.trim()) || null,
+          onDelete: relation.match(/onDelete:\s*(\w+)/)?.[1] || null
+        };
+      }
+    }
+
+    models[name] = model;
+  }
+
+  // Resolve back-relations against their owning side
+  for (const model of Object.values(models)) {
+    for (const relation of Object.values(model.relations)) {
+      if (relation.fields) {
+        relation.local = relation.fields[0];
+        relation.remote = relation.references[0];
+        continue;
+      }
+      const owner = Object.values(models[relation.model].relations).find(candidate =>
+        candidate.model === model.name && candidate.fields && candidate.name === relation.name
+      );
+      relation.local = owner.references[0];
+      relation.remote = owner.fields[0];
+    }
+  }
+
+  return models;
+};
+
+const MODELS = parseSchema(SCHEMA);
+
+const generateId = () => 'c' + randomBytes(12).toString('hex');
+
+const defaultValue = (field) => {
+  if (field.updatedAt) return new Date();
+  if (field.default === undefined) return field.list ? [] : null;
+
+  const value = field.default;
+  if (value === 'cuid()' || value === 'uuid()' || value.startsWith('dbgenerated')) return generateId();
+  if (value === 'now()') return new Date();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('"')) {
+    const text = JSON.parse(value);
+    return field.type === 'Json' ? JSON.parse(text) : text;
+  }
+  if (value.startsWith('[')) return [];
+  return value; // enum member
+};
+
+const comparable = (value) => value instanceof Date ? value.getTime() : value;
+
+const deepEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const isFilter = (condition) =>
+  condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date) &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => FILTER_KEYS.includes(key));
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+export const createPrismaClient = () => {
+  let tables = Object.fromEntries(Object.keys(MODELS).map(name => [name, []]));
+  let lock = Promise.resolve();
+
+  const matchScalar = (value, condition, field) => {
+    if (condition === undefined) return true;
+    if (condition === null || condition === DbNull || condition === JsonNull) return value === null || value === undefined;
+    if (!isFilter(condition)) {
+      return field?.type === 'Json' || Array.isArray(condition) ? deepEqual(value, condition) : comparable(value) === comparable(condition);
+    }
+
+    const insensitive = condition.mode === 'insensitive';
+    const text = (input) => insensitive && typeof input === 'string' ? input.toLowerCase() : input;
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'equals':
+          if (condition.path) return true; // compared against the nested value below
+          if (operand === null) return value === null || value === undefined;
+          return typeof value === 'string' ? text(value) === text(operand) : deepEqual(value, operand);
+        case 'in': return operand.some(candidate => comparable(candidate) === comparable(value));
+        case 'notIn': return !operand.some(candidate => comparable(candidate) === comparable(value));
+        case 'not': return !matchScalar(value, operand, field);
+        case 'lt': return value !== null && compare(value, operand) < 0;
+        case 'lte': return value !== null && compare(value, operand) <= 0;
+        case 'gt': return value !== null && compare(value, operand) > 0;
+        case 'gte': return value !== null && compare(value, operand) >= 0;
+        case 'contains': return typeof value === 'string' && text(value).includes(text(operand));
+        case 'startsWith': return typeof value === 'string' && text(value).startsWith(text(operand));
+        case 'endsWith': return typeof value === 'string' && text(value).endsWith(text(operand));
+        case 'has': return Array.isArray(value) && value.includes(operand);
+        case 'hasSome': return Array.isArray(value) && operand.some(item => value.includes(item));
+        case 'hasEvery': return Array.isArray(value) && operand.every(item => value.includes(item));
+        case 'isEmpty': return Array.isArray(value) && (value.length === 0) === operand;
+        case 'path': {
+          const nested = listOf(operand).reduce((current, key) => current?.[key], value);
+          return condition.equals === undefined || deepEqual(nested, condition.equals);
+        }
+        default: return true;
+      }
+    });
+  };
+
+  const related = (modelName, row, relationName) => {
+    const relation = MODELS[modelName].relations[relationName];
+    return tables[relation.model].filter(candidate =>
+      row[relation.local] !== null && row[relation.local] !== undefined && candidate[relation.remote] === row[relation.local]
+    );
+  };
+
+  const matchWhere = (modelName, row, where = {}) => {
+    const model = MODELS[modelName];
+
+    return Object.entries(where || {}).every(([key, condition]) => {
+      if (condition === undefined) return true;
+      if (key === 'AND') return listOf(condition).every(part => matchWhere(modelName, row, part));
+      if (key === 'OR') return listOf(condition).some(part => matchWhere(modelName, row, part));
+      if (key === 'NOT') return !listOf(condition).some(part => matchWhere(modelName, row, part));
+
+      const relation = model.relations[key];
+      if (relation) {
+        const rows = related(modelName, row, key);
+        if (relation.many) {
+          if (condition.some) return rows.some(item => matchWhere(relation.model, item, condition.some));
+          if (condition.none) return !rows.some(item => matchWhere(relation.model, item, condition.none));
+          if (condition.every) return rows.every(item => matchWhere(relation.model, item, condition.every));
+          return true;
+        }
+        if (condition === null) return rows.length === 0;
+        if ('is' in condition) return condition.is === null ? rows.length === 0 : rows.some(item => matchWhere(relation.model, item, condition.is));
+        if ('isNot' in condition) return condition.isNot === null ? rows.length > 0 : !rows.some(item => matchWhere(relation.model, item, condition.isNot));
+        return rows.some(item => matchWhere(relation.model, item, condition));
+      }
+
+      // Compound unique selector: { projectId_name: { projectId, name } }
+      if (!model.fields[key] && condition && typeof condition === 'object') {
+        return Object.entries(condition).every(([field, value]) => matchScalar(row[field], value, model.fields[field]));
+      }
+
+      return matchScalar(row[key], condition, model.fields[key]);
+    });
+  };
+
+  const sortRows = (rows, orderBy) => {
+    const orders = listOf(orderBy).flatMap(order => Object.entries(order));
+    if (orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const [field, direction] of orders) {
+        const sort = typeof direction === 'object' ? direction.sort : direction;
+        const result = compare(a[field], b[field]);
+        if (result !== 0) return sort === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  const queryRows = (modelName, { where, orderBy, skip = 0, take } = {}) => {
+    let rows = sortRows(tables[modelName].filter(row => matchWhere(modelName, row, where)), orderBy);
+    if (take !== undefined && take < 0) rows = rows.slice(take);
+    rows = rows.slice(skip);
+    return take !== undefined && take >= 0 ? rows.slice(0, take) : rows;
+  };
+
+  const countRelations = (modelName, row, selection) => {
+    const model = MODELS[modelName];
+    const names = selection === true ? Object.keys(model.relations).filter(name => model.relations[name].many) : Object.keys(selection.select);
+
+    return Object.fromEntries(names.map(name => {
+      const relation = model.relations[name];
+      const option = selection === true ? true : selection.select[name];
+      const where = option === true ? undefined : option.where;
+      return [name, related(modelName, row, name).filter(item => matchWhere(relation.model, item, where)).length];
+    }));
+  };
+
+  const shape = (modelName, row, args = {}) => {
+    if (!row) return null;
+    const model = MODELS[modelName];
+    const output = {};
+
+    const addRelation = (name, option) => {
+      if (name === '_count') {
+        output._count = countRelations(modelName, row, option);
+        return;
+      }
+      const relation = model.relations[name];
+      const nested = option === true ? {} : option;
+      if (relation.many) {
+        const where = { AND: [nested.where || {}, { [relation.remote]: row[relation.local] }] };
+        output[name] = queryRows(relation.model, { ...nested, where }).map(item => shape(relation.model, item, nested));
+      } else {
+        output[name] = shape(relation.model, related(modelName, row, name)[0], nested);
+      }
+    };
+
+    if (args.select) {
+      for (const [name, option] of Object.entries(args.select)) {
+        if (!option) continue;
+        if (model.fields[name]) output[name] = clone(row[name]);
+        else addRelation(name, option);
+      }
+      return output;
+    }
+
+    for (const name of Object.keys(model.fields)) output[name] = clone(row[name]);
+    for (const [name, option] of Object.entries(args.include || {})) {
+      if (option) addRelation(name, option);
+    }
+    return output;
+  };
+
+  const assertUnique = (modelName, row) => {
+    for (const fields of MODELS[modelName].uniques) {
+      if (fields.some(field => row[field] === null || row[field] === undefined)) continue;
+      const clash = tables[modelName].find(other =>
+        other !== row && fields.every(field => comparable(other[field]) === comparable(row[field]))
+      );
+      if (clash) {
+        throw prismaError('P2002', `Unique constraint failed on the fields: (${fields.map(f => `\`${f}\``).join(',')})`, { target: fields });
+      }
+    }
+  };
+
+  const findOne = (modelName, where) => {
+    const row = tables[modelName].find(candidate => matchWhere(modelName, candidate, where));
+    if (!row) throw prismaError('P2025', `No ${modelName} found for the given where`, { modelName });
+    return row;
+  };
+
+  const normalizeValue = (field, value) => {
+    if (value === DbNull || value === JsonNull) return null;
+    if (field?.type === 'DateTime' && typeof value === 'string') return new Date(value);
+    return clone(value);
+  };
+
+  // Apply scalar writes and owning-side relation writes to a row
+  const applyData = (modelName, row, data, { creating = false } = {}) => {
+    const model = MODELS[modelName];
+    const deferred = [];
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+
+      const relation = model.relations[key];
+      if (relation) {
+        if (relation.fields) {
+          if (value.connect) row[relation.local] = findOne(relation.model, value.connect)[relation.remote];
+          if (value.disconnect) row[relation.local] = null;
+          if (value.create) row[relation.local] = createRow(relation.model, value.create)[relation.remote];
+        } else {
+          deferred.push([relation, value]);
+        }
+        continue;
+      }
+
+      const field = model.fields[key];
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && field?.type !== 'Json') {
+        if ('set' in value) row[key] = normalizeValue(field, value.set);
+        if ('increment' in value) row[key] = (row[key] || 0) + value.increment;
+        if ('decrement' in value) row[key] = (row[key] || 0) - value.decrement;
+        if ('multiply' in value) row[key] = (row[key] || 0) * value.multiply;
+        if ('divide' in value) row[key] = (row[key] || 0) / value.divide;
+        if ('push' in value) row[key] = [...(row[key] || []), ...listOf(value.push)];
+        continue;
+      }
+
+      row[key] = normalizeValue(field, value);
+    }
+
+    if (!creating) {
+      for (const field of Object.values(model.fields)) {
+        if (field.updatedAt && data[field.name] === undefined) row[field.name] = new Date();
+      }
+    }
+
+    return deferred;
+  };
+
+  // Back-relation writes need the parent row to exist first
+  const applyNested = (row, deferred) => {
+    for (const [relation, value] of deferred) {
+      for (const data of listOf(value.create)) {
+        createRow(relation.model, { ...data, [relation.remote]: row[relation.local] });
+      }
+      for (const data of listOf(value.createMany?.data)) {
+        createRow(relation.model, { ...data, [relation.remote]: row[relation.local] });
+      }
+      for (const where of listOf(value.connect)) {
+        findOne(relation.model, where)[relation.remote] = row[relation.local];
+      }
+    }
+  };
+
+  const createRow = (modelName, data) => {
+    const model = MODELS[modelName];
+    const row = Object.fromEntries(Object.values(model.fields).map(field => [field.name, defaultValue(field)]));
+    const deferred = applyData(modelName, row, data, { creating: true });
+
+    assertUnique(modelName, row);
+    tables[modelName].push(row);
+    applyNested(row, deferred);
+    return row;
+  };
+
+  const updateRow = (modelName, row, data) => {
+    const before = clone(row);
+    const deferred = applyData(modelName, row, data);
+    try {
+      assertUnique(modelName, row);
+    } catch (error) {
+      Object.assign(row, before);
+      throw error;
+    }
+    applyNested(row, deferred);
+    return row;
+  };
+
+  // Follow onDelete rules of every relation that points at the deleted row
+  const deleteRow = (modelName, row) => {
+    for (const model of Object.values(MODELS)) {
+      for (const relation of Object.values(model.relations)) {
+        if (!relation.fields || relation.model !== modelName) continue;
+
+        const children = tables[model.name].filter(child => child[relation.local] === row[relation.remote]);
+        if (children.length === 0) continue;
+
+        if (relation.onDelete === 'Cascade') {
+          children.forEach(child => deleteRow(model.name, child));
+        } else if (relation.onDelete === 'SetNull' || (!relation.onDelete && relation.optional)) {
+          children.forEach(child => { child[relation.local] = null; });
+        } else {
+          throw prismaError('P2003', `Foreign key constraint failed on the field: \`${relation.local}\``, { field_name: relation.local });
+        }
+      }
+    }
+    tables[modelName] = tables[modelName].filter(candidate => candidate !== row);
+  };
+
+  const aggregateRows = (modelName, rows, args) => {
+    const result = {};
+
+    if (args._count) {
+      result._count = args._count === true
+        ? rows.length
+        : Object.fromEntries(Object.keys(args._count).map(field => [
+          field,
+          field === '_all' ? rows.length : rows.filter(row => row[field] !== null && row[field] !== undefined).length
+        ]));
+    }
+
+    for (const operation of ['_sum', '_avg', '_min', '_max']) {
+      if (!args[operation]) continue;
+      result[operation] = {};
+
+      for (const field of Object.keys(args[operation])) {
+        const values = rows.map(row => row[field]).filter(value => value !== null && value !== undefined);
+        if (values.length === 0) {
+          result[operation][field] = null;
+          continue;
+        }
+        if (operation === '_sum') result[operation][field] = values.reduce((sum, value) => sum + value, 0);
+        if (operation === '_avg') result[operation][field] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        if (operation === '_min') result[operation][field] = clone([...values].sort(compare)[0]);
+        if (operation === '_max') result[operation][field] = clone([...values].sort(compare).at(-1));
+      }
+    }
+
+    return result;
+  };
+
+  const delegate = (modelName) => ({
+    findMany: async (args = {}) => queryRows(modelName, args).map(row => shape(modelName, row, args)),
+    findFirst: async (args = {}) => shape(modelName, queryRows(modelName, args)[0], args),
+    findUnique: async (args) => shape(modelName, tables[modelName].find(row => matchWhere(modelName, row, args.where)), args),
+    findFirstOrThrow: async (args = {}) => shape(modelName, queryRows(modelName, args)[0] || findOne(modelName, { id: Symbol('missing') }), args),
+    findUniqueOrThrow: async (args) => shape(modelName, findOne(modelName, args.where), args),
+    count: async (args = {}) => queryRows(modelName, args).length,
+    create: async (args) => shape(modelName, createRow(modelName, args.data), args),
+    createMany: async ({ data, skipDuplicates = false }) => {
+      let count = 0;
+      for (const item of listOf(data)) {
+        try {
+          createRow(modelName, item);
+          count++;
+        } catch (error) {
+          if (!skipDuplicates || error.code !== 'P2002') throw error;
+        }
+      }
+      return { count };
+    },
+    update: async (args) => shape(modelName, updateRow(modelName, findOne(modelName, args.where), args.data), args),
+    updateMany: async ({ where, data }) => {
+      const rows = queryRows(modelName, { where });
+      rows.forEach(row => updateRow(modelName, row, data));
+      return { count: rows.length };
+    },
+    upsert: async (args) => {
+      const row = tables[modelName].find(candidate => matchWhere(modelName, candidate, args.where));
+      return shape(modelName, row ? updateRow(modelName, row, args.update) : createRow(modelName, args.create), args);
+    },
+    delete: async (args) => {
+      const row = findOne(modelName, args.where);
+      const result = shape(modelName, row, args);
+      deleteRow(modelName, row);
+      return result;
+    },
+    deleteMany: async ({ where } = {}) => {
+      const rows = queryRows(modelName, { where });
+      rows.forEach(row => deleteRow(modelName, row));
+      return { count: rows.length };
+    },
+    aggregate: async (args = {}) => aggregateRows(modelName, queryRows(modelName, args), args),
+    groupBy: async (args) => {
+      const groups = new Map();
+      for (const row of queryRows(modelName, { where: args.where })) {
+        const key = JSON.stringify(args.by.map(field => comparable(row[field])));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+
+      let results = [...groups.values()].map(rows => ({
+        ...Object.fromEntries(args.by.map(field => [field, clone(rows[0][field])])),
+        ...aggregateRows(modelName, rows, args)
+      }));
+
+      for (const [field, direction] of listOf(args.orderBy).flatMap(order => Object.entries(order)).reverse()) {
+        const read = typeof direction === 'object'
+          ? (group) => group[field]?.[Object.keys(direction)[0]]
+          : (group) => group[field];
+        const sort = typeof direction === 'object' ? Object.values(direction)[0] : direction;
+        results = results.sort((a, b) => sort === 'desc' ? compare(read(b), read(a)) : compare(read(a), read(b)));
+      }
+
+      return args.take !== undefined ? results.slice(0, args.take) : results;
+    }
+  });
+
+  const models = Object.fromEntries(Object.keys(MODELS).map(name => [camel(name), delegate(name)]));
+  const raw = async () => [];
+
+  const transactionClient = {
+    ...models,
+    $queryRaw: raw,
+    $executeRaw: async () => 0,
+    $transaction: async (work) => typeof work === 'function' ? work(transactionClient) : Promise.all(work)
+  };
+
+  const client = {
+    ...models,
+    $queryRaw: raw,
+    $executeRaw: async () => 0,
+    $connect: async () => {},
+    $disconnect: async () => {},
+
+    // One transaction at a time; a failed transaction restores the snapshot
+    $transaction: (work) => {
+      const run = lock.then(async () => {
+        if (typeof work !== 'function') return Promise.all(work);
+
+        const snapshot = clone(tables);
+        try {
+          return await work(transactionClient);
+        } catch (error) {
+          tables = snapshot;
+          throw error;
+        }
+      });
+      lock = run.catch(() => {});
+      return run;
+    },
+
+    // Test helpers
+    $reset: () => {
+      tables = Object.fromEntries(Object.keys(MODELS).map(name => [name, []]));
+    },
+    $rows: (modelName) => tables[modelName[0].toUpperCase() + modelName.slice(1)]
+  };
+
+  return client;
+};
+
+const prisma = createPrismaClient();
+
+export default prisma;
@@ -0,0 +1,12 @@
+import prisma, { DbNull, JsonNull } from './prisma.js';
+
+// Stand-in for the generated @prisma/client package
+class PrismaClient {
+  constructor() {
+    return prisma;
+  }
+}
+
+export const Prisma = { DbNull, JsonNull };
+
+export default { PrismaClient, Prisma };
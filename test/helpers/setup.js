@@ -0,0 +1,13 @@
+import { register } from 'node:module';
+
+// Loaded with --import before any test file
+process.env.DATABASE_URL ||= 'postgresql://test@localhost/test';
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.NODE_ENV ||= 'test';
+
+register('./loader.js', import.meta.url);
+
+// App logs go to stderr: on stdout they can corrupt the test runner's message stream
+for (const level of ['log', 'info', 'debug']) {
+  console[level] = (...args) => console.error(...args);
+}
@@ -0,0 +1,243 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import prisma from '../src/config/database.js';
+import isolateRuntime from '../src/services/execution/isolateRuntime.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import containerPool from '../src/services/execution/containerPool.js';
+import codeExecutor from '../src/services/execution/codeExecutor.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import resourceLimits from '../src/services/execution/resourceLimits.js';
+import { createUser, createProject, createEndpoint, createCollection } from './helpers/fixtures.js';
+
+const run = promisify(execFile);
+const limits = resourceLimits.resolve({ timeout: 2000 }, 'USER');
+
+// Stands in for dockerManager.executeCode: the container wrapper run by the local node
+const executeInNode = async (containerId, code) => {
+  const { stdout } = await run(process.execPath, ['-e', dockerManager.wrapCode(code)], { timeout: 10000 }).catch(error => error);
+  const result = dockerManager.parseResult(stdout);
+  const success = Boolean(result) && result.success !== false;
+
+  return {
+    success,
+    output: result?.data ?? null,
+    error: result?.error || null,
+    logs: result?.logs || [],
+    operations: success ? result.operations || [] : [],
+    executionTime: 0,
+    exitCode: success ? 0 : 1,
+    memoryUsedMb: null,
+    cpuTimeMs: null
+  };
+};
+
+const withoutTimestamp = ({ timestamp, ...output }) => output;
+
+const ENDPOINT_CODE = `
+  const users = db.collection('users');
+  const created = users.insert({ name: request.body.name });
+  console.log('created', created.name);
+  await createAndSave({ name: 'Legacy' });
+  return Response.status(201).json({
+    names: users.find().map(user => user.name),
+    first: getCollection()[0].name,
+    current: currentCollection.name,
+    canSave: currentCollection.canSave,
+    region: environment.region,
+    env: utils ? 'helpers' : 'none'
+  });
+`;
+
+describe('isolate runtime', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('parity with the container runtime', () => {
+    const collections = [{ id: 'col-1', name: 'users', access: 'write', version: 1, data: [{ id: 'u1', name: 'Ada' }] }];
+    const project = { environments: [{ id: 'env-1', name: 'dev', variables: { region: 'eu' } }] };
+
+    const buildScript = (code) => sandboxService.createExecutionContext(
+      { code }, { body: { name: 'Grace' }, query: {}, params: {}, headers: {} }, project, collections, 'col-1', 'env-1', 'endpoint-1', 'user-1'
+    );
+
+    // Generated ids and timestamps differ between runs
+    const normalizeOperations = (operations) => operations.map(({ items, ...operation }) => ({
+      ...operation,
+      names: (items || []).map(item => item.name)
+    }));
+
+    test('endpoint scripts see the same globals and produce the same result', async () => {
+      const script = buildScript(ENDPOINT_CODE);
+      const [isolate, container] = await Promise.all([
+        isolateRuntime.executeCode(script, limits),
+        executeInNode('local', script)
+      ]);
+
+      assert.equal(isolate.success, true, isolate.error);
+      assert.deepEqual(withoutTimestamp(isolate.output), withoutTimestamp(container.output));
+      assert.deepEqual(isolate.output.data, {
+        names: ['Ada', 'Grace', 'Legacy'],
+        first: 'Ada',
+        current: 'users',
+        canSave: true,
+        region: 'eu',
+        env: 'helpers'
+      });
+      assert.equal(isolate.output.status, 201);
+      assert.equal(isolate.operations.length, 2);
+      assert.deepEqual(normalizeOperations(isolate.operations), normalizeOperations(container.operations));
+      assert.deepEqual(isolate.logs.map(log => log.message), container.logs.map(log => log.message));
+      assert.deepEqual(Object.keys(isolate).sort(), Object.keys(container).sort());
+    });
+
+    test('failures and read-only collections behave the same', async () => {
+      const readOnly = [{ ...collections[0], access: 'read' }];
+      const script = sandboxService.createExecutionContext(
+        { code: "db.collection('users').insert({ name: 'x' });" }, { body: {}, query: {}, params: {}, headers: {} }, project, readOnly, 'col-1', null, 'endpoint-1', 'user-1'
+      );
+
+      const [isolate, container] = await Promise.all([
+        isolateRuntime.executeCode(script, limits),
+        executeInNode('local', script)
+      ]);
+
+      assert.equal(isolate.success, false);
+      assert.equal(isolate.error, container.error);
+      assert.deepEqual(isolate.operations, []);
+    });
+
+    test('codeExecutor wraps both strategies in the same response', async () => {
+      mock.method(containerPool, 'acquire', async () => 'container-1');
+      mock.method(containerPool, 'release', async () => {});
+      mock.method(dockerManager, 'applyResourceLimits', async () => {});
+      mock.method(dockerManager, 'executeCode', executeInNode);
+
+      const context = {
+        code: 'const total = await Promise.resolve(mockData.items.length); return { total, q: request.query.q };',
+        mockData: { items: [1, 2, 3] },
+        request: { query: { q: 'a' } },
+        language: 'node'
+      };
+      const [docker, isolate] = await Promise.all([
+        codeExecutor.executeWithDocker(context),
+        codeExecutor.executeWithIsolate(context)
+      ]);
+
+      assert.equal(docker.strategy, 'docker');
+      assert.equal(isolate.strategy, 'isolate');
+      assert.deepEqual(withoutTimestamp(isolate.output), withoutTimestamp(docker.output));
+      assert.deepEqual(isolate.output.data, { total: 3, q: 'a' });
+      assert.deepEqual(Object.keys(isolate).sort(), Object.keys(docker).filter(key => key !== 'containerId').sort());
+    });
+  });
+
+  describe('isolation', () => {
+    test('exposes no host objects', async () => {
+      const result = await isolateRuntime.executeCode(
+        'return [typeof process, typeof require, typeof Buffer];',
+        limits
+      );
+
+      assert.deepEqual(result.output, ['undefined', 'undefined', 'undefined']);
+    });
+
+    test('stops runaway code at the timeout', async () => {
+      const result = await isolateRuntime.executeCode('while (true) {}', resourceLimits.resolve({ timeout: 200 }, 'USER'));
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'EXECUTION_TIMEOUT');
+    });
+  });
+
+  describe('endpoint executions', () => {
+    let owner;
+    let endpoint;
+    let collection;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      owner = await createUser();
+      const project = await createProject(owner);
+      collection = await createCollection(project, { name: 'users', data: [{ id: 'u1', name: 'Ada' }] });
+      endpoint = await createEndpoint(project, { path: '/users', method: 'POST', code: ENDPOINT_CODE.replace('environment.region', "environment.region || 'none'") });
+      mock.method(containerPool, 'acquire', async () => {
+        throw new Error('CONTAINER_CREATION_FAILED');
+      });
+    });
+
+    const execute = () => sandboxService.executeEndpoint(endpoint.id, owner.id, {
+      body: { name: 'Grace' },
+      mockDataCollectionId: collection.id
+    });
+
+    test('run in the isolate when Docker is down and still save', async () => {
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+
+      const result = await execute();
+
+      assert.equal(result.strategy, 'isolate', result.error);
+      assert.equal(result.response.status, 201);
+      assert.equal(containerPool.acquire.mock.callCount(), 0);
+      const [saved] = prisma.$rows('mockDataCollection');
+      assert.deepEqual(saved.data.map(user => user.name), ['Ada', 'Grace', 'Legacy']);
+      assert.equal(prisma.$rows('executionLog')[0].metadata.strategy, 'isolate');
+    });
+
+    test('wait for a free worker when the scheduler admits more runs than the isolate has', async () => {
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      const ping = await createEndpoint(await createProject(owner), { path: '/ping', code: "return 'pong';" });
+      const { maxWorkers } = isolateRuntime;
+      const queuedBefore = isolateRuntime.stats.queued;
+      isolateRuntime.maxWorkers = 1;
+
+      try {
+        const results = await Promise.all([1, 2, 3].map(() => sandboxService.executeEndpoint(ping.id, owner.id, {})));
+
+        assert.deepEqual(results.map(result => [result.strategy, result.response.body]), Array(3).fill(['isolate', 'pong']));
+        assert.equal(isolateRuntime.stats.queued - queuedBefore, 2);
+        assert.equal(isolateRuntime.activeWorkers, 0);
+      } finally {
+        isolateRuntime.maxWorkers = maxWorkers;
+      }
+    });
+
+    test('run in a pooled container when Docker is healthy', async () => {
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'HEALTHY' }));
+      containerPool.acquire.mock.mockImplementation(async () => 'container-1');
+      mock.method(containerPool, 'release', async () => {});
+      mock.method(dockerManager, 'applyResourceLimits', async () => {});
+      mock.method(dockerManager, 'executeCode', executeInNode);
+
+      const result = await execute();
+
+      assert.equal(result.strategy, 'docker');
+      assert.equal(result.response.status, 201);
+      assert.deepEqual(containerPool.release.mock.calls[0].arguments, ['container-1', { dirty: false }]);
+      assert.deepEqual(prisma.$rows('mockDataCollection')[0].data.map(user => user.name), ['Ada', 'Grace', 'Legacy']);
+    });
+
+    test('fall back to the isolate when no container can be acquired', async () => {
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'HEALTHY' }));
+
+      const result = await execute();
+
+      assert.equal(containerPool.acquire.mock.callCount(), 1);
+      assert.equal(result.strategy, 'isolate');
+      assert.equal(result.success, true);
+    });
+
+    test('do not fall back when Docker is pinned', async () => {
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'HEALTHY' }));
+      sandboxService.strategy = 'docker';
+
+      try {
+        await assert.rejects(execute(), { message: 'CONTAINER_CREATION_FAILED' });
+      } finally {
+        sandboxService.strategy = 'auto';
+      }
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import logCapture, { createLogCapture } from '../src/services/execution/logCapture.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+
+const run = promisify(execFile);
+
+// Run the container wrapper with the local node, as the container would
+const runWrapped = async (code) => {
+  const { stdout } = await run(process.execPath, ['-e', dockerManager.wrapCode(code)], { timeout: 10000 }).catch(error => error);
+  return { stdout, result: dockerManager.parseResult(stdout) };
+};
+
+describe('execution log capture', () => {
+  describe('createLogCapture', () => {
+    test('records every level with serialized arguments', () => {
+      const capture = createLogCapture();
+      const circular = { name: 'loop' };
+      circular.self = circular;
+
+      capture.console.log('user', { id: 1 });
+      capture.console.info(10n, undefined, null);
+      capture.console.warn(circular);
+      capture.console.error(new TypeError('bad'));
+      capture.console.debug(function handler() {}, Symbol('s'));
+      capture.console.trace('deep');
+
+      const logs = capture.getLogs();
+      assert.deepEqual(logs.map(log => log.level), ['log', 'info', 'warn', 'error', 'debug', 'debug']);
+      assert.deepEqual(logs[0].args, ['user', '{"id":1}']);
+      assert.equal(logs[1].message, '10n undefined null');
+      assert.equal(logs[2].message, '{"name":"loop","self":"[Circular]"}');
+      assert.match(logs[3].message, /^TypeError: bad/);
+      assert.equal(logs[4].message, '[Function handler] Symbol(s)');
+      assert.ok(!isNaN(Date.parse(logs[0].timestamp)));
+    });
+
+    test('truncates long arguments without splitting surrogate pairs', () => {
+      const capture = createLogCapture({ maxArgLength: 5 });
+
+      capture.console.log('abcd😀xyz');
+
+      const [log] = capture.getLogs();
+      assert.equal(log.message, 'abcd…[truncated]');
+      assert.equal(log.truncated, true);
+    });
+
+    test('caps entries and total size with a drop notice', () => {
+      const capture = createLogCapture({ maxEntries: 2 });
+      for (let i = 0; i < 5; i++) capture.console.log(i);
+
+      const logs = capture.getLogs();
+      assert.equal(logs.length, 3);
+      assert.equal(logs[2].dropped, 3);
+      assert.equal(logs[2].level, 'warn');
+
+      const sized = createLogCapture({ maxTotalLength: 10 });
+      sized.console.log('0123456789abc');
+      sized.console.log('more');
+      const sizedLogs = sized.getLogs();
+      assert.equal(sizedLogs[0].message, '0123456789…[truncated]');
+      assert.equal(sizedLogs[1].dropped, 1);
+    });
+  });
+
+  describe('normalize', () => {
+    test('re-validates untrusted sandbox logs', () => {
+      const logs = logCapture.normalize([
+        'plain',
+        { level: 'shout', timestamp: 'yesterday', args: [1, 'two'] },
+        { level: 'error', timestamp: '2026-01-01T00:00:00.000Z', message: 'from message' },
+        42,
+        null,
+        { level: 'warn', args: [], message: '7 dropped', dropped: 7 }
+      ]);
+
+      assert.deepEqual(logs.map(log => [log.level, log.message]), [
+        ['log', 'plain'],
+        ['log', '1 two'],
+        ['error', 'from message'],
+        ['warn', '7 log entries dropped (log limit reached)']
+      ]);
+      assert.ok(!isNaN(Date.parse(logs[1].timestamp)));
+      assert.equal(logs[2].timestamp, '2026-01-01T00:00:00.000Z');
+    });
+
+    test('re-applies limits and ignores non-arrays', () => {
+      const logs = logCapture.normalize(Array.from({ length: 150 }, (_, i) => String(i)));
+
+      assert.equal(logs.length, 101);
+      assert.equal(logs[100].dropped, 50);
+      assert.deepEqual(logCapture.normalize('nope'), []);
+    });
+  });
+
+  describe('container wrapper', () => {
+    test('captures console output next to the result and keeps stdout clean', async () => {
+      const { stdout, result } = await runWrapped(`
+        console.log('hello', { id: 1 });
+        console.error(new Error('boom'));
+        return { ok: true };
+      `);
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.data, { ok: true });
+      assert.deepEqual(result.logs.map(log => log.level), ['log', 'error']);
+      assert.deepEqual(result.logs[0].args, ['hello', '{"id":1}']);
+      assert.match(result.logs[1].message, /^Error: boom/);
+      assert.ok(!stdout.includes('hello\n'));
+    });
+
+    test('keeps logs written before a failure', async () => {
+      const { result } = await runWrapped(`
+        console.warn('about to fail');
+        throw new Error('nope');
+      `);
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'nope');
+      assert.equal(result.logs[0].message, 'about to fail');
+    });
+
+    test('reports dropped entries from noisy code', async () => {
+      const { result } = await runWrapped(`
+        for (let i = 0; i < 250; i++) console.log(i);
+        return null;
+      `);
+
+      assert.equal(result.logs.length, 101);
+      assert.equal(result.logs[100].dropped, 150);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const schema = {
+  type: 'object',
+  properties: { id: { type: 'string' }, name: { type: 'string' } },
+  required: ['id']
+};
+
+describe('mock data collections', () => {
+  let app;
+  let owner;
+  let project;
+  let collection;
+
+  before(async () => {
+    app = await startApp('/api/mock-data', mockDataRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    project = await createProject(owner);
+    collection = await createCollection(project, { name: 'users', data: [{ id: 'u1', name: 'Ada' }], metadata: { version: 1 } });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const row = () => prisma.$rows('mockDataCollection').find(entry => entry.id === collection.id);
+
+  describe('routes', () => {
+    test('update and delete collections by id', async () => {
+      const updated = await app.request('PUT', `/api/mock-data/collections/${collection.id}`, {
+        body: { data: [{ id: 'u2', name: 'Grace' }] },
+        headers: authHeaders(owner)
+      });
+
+      assert.equal(updated.status, 200, updated.text);
+      assert.equal(updated.body.data.metadata.version, 2);
+
+      const history = await app.request('GET', `/api/mock-data/collections/${collection.id}/save-history`, { headers: authHeaders(owner) });
+      assert.equal(history.status, 200, history.text);
+
+      const deleted = await app.request('DELETE', `/api/mock-data/collections/${collection.id}`, { headers: authHeaders(owner) });
+      assert.equal(deleted.status, 200, deleted.text);
+      assert.equal(prisma.$rows('mockDataCollection').length, 0);
+    });
+
+    test('check access through the owning project', async () => {
+      const stranger = await createUser();
+
+      const denied = await app.request('PUT', `/api/mock-data/collections/${collection.id}`, {
+        body: { name: 'taken' },
+        headers: authHeaders(stranger)
+      });
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.error, 'PROJECT_ACCESS_DENIED');
+
+      const missing = await app.request('DELETE', '/api/mock-data/collections/missing', { headers: authHeaders(owner) });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.error, 'COLLECTION_NOT_FOUND');
+      assert.equal(row().name, 'users');
+    });
+
+    test('report stale If-Match versions as conflicts', async () => {
+      await mockDataService.updateCollection(collection.id, owner.id, { data: [] });
+
+      const stale = await app.request('PUT', `/api/mock-data/collections/${collection.id}`, {
+        body: { data: [{ id: 'u3' }] },
+        headers: { ...authHeaders(owner), 'If-Match': '"1"' }
+      });
+
+      assert.equal(stale.status, 409);
+      assert.deepEqual(row().data, []);
+    });
+  });
+
+  describe('updates', () => {
+    test('ignore fields clients may not change', async () => {
+      const other = await createProject(owner);
+
+      const updated = await mockDataService.updateCollection(collection.id, owner.id, {
+        description: 'People',
+        projectId: other.id,
+        environmentId: 'env-1',
+        isSeedData: true,
+        metadata: { version: 99 }
+      });
+
+      assert.equal(updated.description, 'People');
+      assert.equal(row().projectId, project.id);
+      assert.equal(row().environmentId ?? null, null);
+      assert.notEqual(row().isSeedData, true);
+      assert.equal(row().metadata.version, 1);
+    });
+
+    test('version schema-only changes', async () => {
+      const updated = await mockDataService.updateCollection(collection.id, owner.id, { schema });
+
+      assert.equal(updated.metadata.version, 2);
+      assert.deepEqual(row().schema, schema);
+
+      await assert.rejects(
+        mockDataService.updateCollection(collection.id, owner.id, { schema: { ...schema, required: ['email'] } }),
+        { statusCode: 400 }
+      );
+      assert.equal(row().metadata.version, 2);
+    });
+
+    test('let only one of two concurrent edits of the same version win', async () => {
+      const results = await Promise.allSettled([
+        mockDataService.updateCollection(collection.id, owner.id, { data: [{ id: 'a' }], expectedVersion: 1 }),
+        mockDataService.updateCollection(collection.id, owner.id, { data: [{ id: 'b' }], expectedVersion: '1' })
+      ]);
+
+      const [won, lost] = results[0].status === 'fulfilled' ? results : [...results].reverse();
+      assert.equal(won.status, 'fulfilled');
+      assert.equal(lost.status, 'rejected');
+      assert.equal(lost.reason.message, 'COLLECTION_VERSION_CONFLICT');
+      assert.deepEqual(lost.reason.errors, {
+        collectionId: collection.id,
+        collectionName: 'users',
+        expectedVersion: 1,
+        currentVersion: 2
+      });
+      assert.deepEqual(row().data, won.value.data);
+      assert.equal(row().metadata.version, 2);
+    });
+
+    test('roll back the whole transaction when a step fails', async () => {
+      mock.method(mockDataService, 'snapshotSave', async () => {
+        throw new Error('SNAPSHOT_FAILED');
+      });
+
+      await assert.rejects(
+        mockDataService.updateCollection(collection.id, owner.id, { data: [{ id: 'u9' }] }),
+        { message: 'SNAPSHOT_FAILED' }
+      );
+      assert.deepEqual(row().data, [{ id: 'u1', name: 'Ada' }]);
+      assert.equal(row().metadata.version, 1);
+    });
+  });
+});
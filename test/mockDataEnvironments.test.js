@@ -0,0 +1,172 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataEnvironmentService from '../src/services/mockDataEnvironmentService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createEndpoint, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const userSchema = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string' } },
+  required: ['id', 'name']
+};
+
+describe('environment mock data', () => {
+  let app;
+  let owner;
+  let project;
+  let staging;
+  let users;
+
+  before(async () => {
+    app = await startApp('/api/mock-data', mockDataRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    project = await createProject(owner);
+    staging = await prisma.environment.create({ data: { projectId: project.id, name: 'staging', variables: {} } });
+    users = await createCollection(project, {
+      name: 'users',
+      schema: userSchema,
+      data: [{ id: 1, name: 'Ada' }],
+      metadata: { version: 1 }
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const post = (path, body, user = owner) => app.request('POST', `/api/mock-data${path}`, { body, headers: authHeaders(user) });
+  const rowsNamed = (name) => prisma.$rows('mockDataCollection').filter(row => row.name === name);
+
+  describe('names', () => {
+    test('keep base collection names unique per project', async () => {
+      const response = await post(`/project/${project.id}/collections`, { name: 'users', initialData: [] });
+
+      assert.equal(response.status, 409, response.text);
+      assert.equal(response.body.error, 'COLLECTION_NAME_TAKEN');
+      assert.deepEqual(response.body.errors.map(error => [error.field, error.collectionId]), [['name', users.id]]);
+      assert.equal(rowsNamed('users').length, 1);
+
+      const other = await createProject(owner);
+      const elsewhere = await post(`/project/${other.id}/collections`, { name: 'users', initialData: [] });
+      assert.equal(elsewhere.status, 201, elsewhere.text);
+    });
+
+    test('refuse renames onto a taken name', async () => {
+      const orders = await createCollection(project, { name: 'orders', data: [], metadata: { version: 1 } });
+
+      await assert.rejects(
+        mockDataService.updateCollection(orders.id, owner.id, { name: 'users' }),
+        { message: 'COLLECTION_NAME_TAKEN', statusCode: 409 }
+      );
+      assert.deepEqual(rowsNamed('users').map(row => row.id), [users.id]);
+    });
+
+    test('rename variants along with their base, never on their own', async () => {
+      const { collection: variant } = await mockDataService.createVariant(users.id, owner.id, { environmentId: staging.id });
+
+      await mockDataService.updateCollection(users.id, owner.id, { name: 'people' });
+      assert.deepEqual(rowsNamed('people').map(row => row.id).sort(), [users.id, variant.id].sort());
+
+      await assert.rejects(
+        mockDataService.updateCollection(variant.id, owner.id, { name: 'members' }),
+        { message: 'VARIANT_RENAME_NOT_ALLOWED', statusCode: 400 }
+      );
+    });
+  });
+
+  describe('variants', () => {
+    test('copy the base data, one per environment', async () => {
+      const created = await post(`/collections/${users.id}/variants`, { environmentId: staging.id });
+      assert.equal(created.status, 201, created.text);
+      assert.equal(created.body.data.collection.environmentId, staging.id);
+
+      const variant = rowsNamed('users').find(row => row.environmentId === staging.id);
+      assert.deepEqual(variant.data, [{ id: 1, name: 'Ada' }]);
+      assert.equal(variant.metadata.copiedFrom, users.id);
+
+      const again = await post(`/collections/${users.id}/variants`, { environmentId: staging.id });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error, 'VARIANT_ALREADY_EXISTS');
+
+      const listed = await app.request('GET', `/api/mock-data/collections/${users.id}/variants`, { headers: authHeaders(owner) });
+      assert.equal(listed.body.data.base.id, users.id);
+      assert.deepEqual(listed.body.data.variants.map(entry => [entry.id, entry.environmentId, entry.itemCount]), [[variant.id, staging.id, 1]]);
+    });
+
+    test('validate the data and the environment', async () => {
+      const invalid = await post(`/collections/${users.id}/variants`, { environmentId: staging.id, data: [{ id: 'x' }] });
+      assert.equal(invalid.status, 400);
+
+      const other = await createProject(owner);
+      const foreign = await prisma.environment.create({ data: { projectId: other.id, name: 'prod', variables: {} } });
+      const missing = await post(`/collections/${users.id}/variants`, { environmentId: foreign.id });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.error, 'ENVIRONMENT_NOT_FOUND');
+
+      assert.equal((await post(`/collections/${users.id}/variants`, {})).status, 400);
+      assert.equal(rowsNamed('users').length, 1);
+    });
+
+    test('copy into a new environment, then promote back to the base', async () => {
+      const copied = await post(`/collections/${users.id}/copy`, { environmentId: staging.id });
+      assert.equal(copied.status, 201, copied.text);
+      const variantId = copied.body.data.collection.id;
+
+      const widened = { ...userSchema, properties: { ...userSchema.properties, role: { type: 'string' } } };
+      await mockDataService.updateCollection(variantId, owner.id, { schema: widened, data: [{ id: 1, name: 'Ada', role: 'admin' }] });
+
+      const promoted = await post(`/collections/${variantId}/promote`, { environmentId: null, expectedVersion: 1 });
+      assert.equal(promoted.status, 200, promoted.text);
+
+      const base = prisma.$rows('mockDataCollection').find(row => row.id === users.id);
+      assert.deepEqual(base.data, [{ id: 1, name: 'Ada', role: 'admin' }]);
+      assert.deepEqual(base.schema, widened);
+      assert.equal(base.metadata.version, 2);
+
+      const same = await post(`/collections/${variantId}/copy`, { environmentId: staging.id });
+      assert.equal(same.body.error, 'SAME_ENVIRONMENT');
+    });
+  });
+
+  describe('execution scope', () => {
+    test('prefer the environment variant and fall back to the base', () => {
+      const rows = [
+        { id: 'base-users', name: 'users', environmentId: null },
+        { id: 'base-tags', name: 'tags', environmentId: null },
+        { id: 'staging-users', name: 'users', environmentId: 'staging' },
+        { id: 'prod-users', name: 'users', environmentId: 'prod' }
+      ];
+
+      const scoped = mockDataEnvironmentService.scope(rows, 'staging');
+      assert.deepEqual(scoped.map(row => row.id), ['base-tags', 'staging-users']);
+      assert.deepEqual(mockDataEnvironmentService.scope(rows).map(row => row.id), ['base-users', 'base-tags']);
+      assert.equal(mockDataEnvironmentService.resolveSelected(rows, scoped, 'base-users'), 'staging-users');
+    });
+
+    test('run endpoints against the chosen environment', async () => {
+      mock.method(console, 'warn', () => {});
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      await mockDataService.createVariant(users.id, owner.id, { environmentId: staging.id, data: [{ id: 1, name: 'Staging Ada' }] });
+      const endpoint = await createEndpoint(project, {
+        code: "return db.collection('users').find().map(user => user.name);",
+        collectionAccess: { users: 'read' }
+      });
+
+      const base = await sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+      const scoped = await sandboxService.executeEndpoint(endpoint.id, owner.id, { environmentId: staging.id });
+
+      assert.deepEqual(base.response.body, ['Ada']);
+      assert.deepEqual(scoped.response.body, ['Staging Ada']);
+    });
+  });
+});
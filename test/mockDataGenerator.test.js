@@ -0,0 +1,162 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataGenerator from '../src/services/mockDataGenerator.js';
+import schemaValidator from '../src/services/schemaValidator.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const refDate = '2026-01-01T00:00:00.000Z';
+
+const schema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    code: { type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' },
+    nickname: { type: 'string', minLength: 5, maxLength: 12 },
+    price: { type: 'number', minimum: 1, maximum: 50, multipleOf: 0.25 },
+    stock: { type: 'integer', exclusiveMinimum: 0, exclusiveMaximum: 10 },
+    status: { enum: ['draft', 'live'] },
+    tags: { type: 'array', minItems: 2, maxItems: 3, uniqueItems: true, items: { enum: ['a', 'b', 'c', 'd'] } },
+    company: { type: 'string', 'x-faker': 'company.name' },
+    rating: { type: 'integer', 'x-faker': { method: 'number.int', args: [{ min: 1, max: 5 }] } },
+    createdAt: { type: 'string', format: 'date-time' }
+  },
+  required: ['id', 'email', 'code', 'nickname', 'price', 'stock', 'status', 'tags', 'company', 'rating', 'createdAt'],
+  additionalProperties: false
+};
+
+describe('mock data generator', () => {
+  describe('generate', () => {
+    test('honours types, constraints, formats and x-faker hints', () => {
+      const { items } = mockDataGenerator.generate(schema, { count: 50, seed: 1, refDate });
+
+      assert.equal(items.length, 50);
+      assert.deepEqual(schemaValidator.validateCollection(items, schema).errors, []);
+      assert.deepEqual(items.slice(0, 3).map(item => item.id), [1, 2, 3]);
+      assert.equal(items.every(item => item.rating >= 1 && item.rating <= 5), true);
+    });
+
+    test('reproduce the same items from the same seed and reference date', () => {
+      const first = mockDataGenerator.generate(schema, { count: 5, seed: 'fixtures', refDate });
+      const again = mockDataGenerator.generate(schema, { count: 5, seed: 'fixtures', refDate });
+      const other = mockDataGenerator.generate(schema, { count: 5, seed: 'other', refDate });
+
+      assert.deepEqual(again.items, first.items);
+      assert.notDeepEqual(other.items, first.items);
+      assert.equal(first.seed, mockDataGenerator.normalizeSeed('fixtures'));
+      assert.equal(first.refDate, refDate);
+    });
+
+    test('return the random seed it used so the run can be repeated', () => {
+      const first = mockDataGenerator.generate(schema, { count: 3, refDate });
+      const replay = mockDataGenerator.generate(schema, { count: 3, seed: first.seed, refDate });
+
+      assert.equal(Number.isInteger(first.seed), true);
+      assert.deepEqual(replay.items, first.items);
+    });
+
+    test('use the requested locale and reject unknown ones', () => {
+      const nameSchema = { type: 'object', properties: { city: { type: 'string', 'x-faker': 'location.city' } } };
+      const english = mockDataGenerator.generate(nameSchema, { count: 5, seed: 3, refDate });
+      const german = mockDataGenerator.generate(nameSchema, { count: 5, seed: 3, locale: 'de', refDate });
+
+      assert.equal(german.locale, 'de');
+      assert.notDeepEqual(german.items, english.items);
+      assert.throws(() => mockDataGenerator.generate(nameSchema, { locale: 'xx_YY' }), { message: 'INVALID_LOCALE', statusCode: 400 });
+      assert.throws(() => mockDataGenerator.generate(nameSchema, { locale: '__proto__' }), { message: 'INVALID_LOCALE' });
+    });
+
+    test('keep x-unique values distinct', () => {
+      const { items } = mockDataGenerator.generate({
+        type: 'object',
+        properties: { size: { enum: ['S', 'M', 'L'], 'x-unique': true } }
+      }, { count: 5, seed: 9 });
+
+      assert.equal(new Set(items.map(item => item.size)).size, 5);
+    });
+
+    test('only call public faker methods', () => {
+      for (const hint of ['internet.nope', 'fs.readFileSync', 'internet.constructor', 'internet._private', 'person.fullName.call', '']) {
+        assert.throws(
+          () => mockDataGenerator.generate({ type: 'object', properties: { value: { 'x-faker': hint || { args: [] } } } }, { count: 1 }),
+          { message: 'INVALID_FAKER_HINT', statusCode: 400 },
+          JSON.stringify(hint)
+        );
+      }
+    });
+
+    test('fall back to built-in schemas by collection name', () => {
+      const products = mockDataGenerator.getDefaultSchema('Products');
+      const { items } = mockDataGenerator.generate(products, { count: 10, seed: 4 });
+
+      assert.deepEqual(schemaValidator.validateCollection(items, products).errors, []);
+      assert.equal(items.every(item => item.tags.length === 2), true);
+      assert.deepEqual(mockDataGenerator.getDefaultSchema('unknown').items, mockDataGenerator.getDefaultSchema('users').items);
+    });
+  });
+
+  describe('generate route', () => {
+    let app;
+    let owner;
+    let collection;
+
+    before(async () => {
+      app = await startApp('/api/mock-data', mockDataRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      owner = await createUser();
+      const project = await createProject(owner);
+      collection = await createCollection(project, {
+        name: 'products',
+        schema,
+        data: [],
+        metadata: { version: 1 }
+      });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const generate = (body) => app.request('POST', `/api/mock-data/collections/${collection.id}/generate`, {
+      body,
+      headers: authHeaders(owner)
+    });
+    const row = () => prisma.$rows('mockDataCollection')[0];
+
+    test('append continues ids and replace starts over reproducibly', async () => {
+      const first = await generate({ count: 3, seed: 42, refDate });
+      assert.equal(first.status, 201, first.text);
+      assert.deepEqual(first.body.data.generation, { mode: 'append', count: 3, seed: 42, locale: 'en', refDate });
+
+      const appended = await generate({ count: 2, seed: 43, refDate });
+      assert.deepEqual(row().data.map(item => item.id), [1, 2, 3, 4, 5]);
+      assert.equal(appended.body.data.metadata.version, 3);
+
+      const replaced = await generate({ count: 3, seed: 42, refDate, mode: 'replace' });
+      assert.equal(replaced.status, 201, replaced.text);
+      assert.deepEqual(row().data, first.body.data.items);
+    });
+
+    test('validate the request before generating', async () => {
+      for (const body of [{ count: 0 }, { count: 5000 }, { mode: 'merge' }, { seed: { value: 1 } }, { refDate: 'yesterday' }]) {
+        const response = await generate(body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+      }
+
+      const stranger = await createUser();
+      const denied = await app.request('POST', `/api/mock-data/collections/${collection.id}/generate`, {
+        body: { count: 1 },
+        headers: authHeaders(stranger)
+      });
+      assert.equal(denied.body.error, 'COLLECTION_EDIT_ACCESS_DENIED');
+      assert.deepEqual(row().data, []);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataRelationService from '../src/services/mockDataRelationService.js';
+import { createCollectionApi } from '../src/services/execution/collectionApi.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const orderSchema = (onDelete = 'restrict') => ({
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    userId: { type: ['integer', 'null'], 'x-ref': { collection: 'users', onDelete } },
+    tagIds: { type: 'array', items: { type: 'string', 'x-ref': 'tags.slug' } }
+  }
+});
+
+describe('mock data relations', () => {
+  describe('declarations', () => {
+    test('parse string and object references', () => {
+      assert.deepEqual(mockDataRelationService.parseRef('users'), { collection: 'users', targetField: 'id', onDelete: 'restrict', as: null });
+      assert.deepEqual(mockDataRelationService.parseRef('order-items.sku').targetField, 'sku');
+      assert.equal(mockDataRelationService.parseRef({ collection: 'users', onDelete: 'explode' }), null);
+      assert.equal(mockDataRelationService.parseRef('bad name.id'), null);
+    });
+
+    test('list references with default aliases', () => {
+      assert.deepEqual(
+        mockDataRelationService.getReferences(orderSchema('cascade')).map(ref => [ref.field, ref.collection, ref.many, ref.as, ref.onDelete]),
+        [['userId', 'users', false, 'user', 'cascade'], ['tagIds', 'tags', true, 'tags', 'restrict']]
+      );
+    });
+
+    test('reject malformed x-ref declarations', () => {
+      assert.throws(
+        () => mockDataRelationService.assertValidReferences({ type: 'object', properties: { userId: { 'x-ref': { collection: 'users', onDelete: 'nope' } } } }),
+        { message: 'INVALID_SCHEMA', statusCode: 400 }
+      );
+    });
+  });
+
+  describe('saving and deleting', () => {
+    let app;
+    let owner;
+    let project;
+    let users;
+    let orders;
+
+    before(async () => {
+      app = await startApp('/api/mock-data', mockDataRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      owner = await createUser();
+      project = await createProject(owner);
+      users = await createCollection(project, { name: 'users', data: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }], metadata: { version: 1 } });
+      await createCollection(project, { name: 'tags', data: [{ slug: 'new' }, { slug: 'sale' }], metadata: { version: 1 } });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const addOrders = async (onDelete) => {
+      orders = await createCollection(project, {
+        name: 'orders',
+        schema: orderSchema(onDelete),
+        data: [{ id: 10, userId: 1, tagIds: ['new'] }, { id: 11, userId: 2, tagIds: ['new', 'sale'] }],
+        metadata: { version: 1 }
+      });
+    };
+    const rowOf = (collection) => prisma.$rows('mockDataCollection').find(row => row.id === collection.id);
+
+    test('reject saves that point at missing items', async () => {
+      await addOrders();
+
+      await assert.rejects(
+        mockDataService.updateCollection(orders.id, owner.id, { data: [{ id: 12, userId: 99, tagIds: ['new', 'gone'] }] }),
+        (error) => {
+          assert.equal(error.message, 'REFERENCE_VALIDATION_FAILED');
+          assert.equal(error.statusCode, 400);
+          assert.deepEqual(error.errors.map(entry => entry.path), ['/userId', '/tagIds/1']);
+          return true;
+        }
+      );
+      assert.equal(rowOf(orders).data.length, 2);
+    });
+
+    test('restrict removing referenced items', async () => {
+      await addOrders('restrict');
+
+      await assert.rejects(
+        mockDataService.updateCollection(users.id, owner.id, { data: [{ id: 2, name: 'Grace' }] }),
+        { message: 'REFERENCE_RESTRICTED', statusCode: 409 }
+      );
+      assert.equal(rowOf(users).data.length, 2);
+    });
+
+    test('cascade and setNull follow the declaration', async () => {
+      await addOrders('cascade');
+
+      const result = await mockDataService.updateCollection(users.id, owner.id, { data: [{ id: 2, name: 'Grace' }] });
+      assert.deepEqual(rowOf(orders).data.map(order => order.id), [11]);
+      assert.equal(rowOf(orders).metadata.version, 2);
+      assert.deepEqual(result.cascaded.map(entry => [entry.name, entry.version]), [['orders', 2]]);
+
+      await mockDataService.updateCollection(orders.id, owner.id, { schema: orderSchema('setNull') });
+      await mockDataService.updateCollection(users.id, owner.id, { data: [] });
+      assert.deepEqual(rowOf(orders).data, [{ id: 11, userId: null, tagIds: ['new', 'sale'] }]);
+    });
+
+    test('refuse to delete a collection other schemas reference', async () => {
+      await addOrders();
+
+      const response = await app.request('DELETE', `/api/mock-data/collections/${users.id}`, { headers: authHeaders(owner) });
+
+      assert.equal(response.status, 409, response.text);
+      assert.equal(response.body.error, 'COLLECTION_REFERENCED');
+      assert.deepEqual(response.body.errors, [{ collectionId: orders.id, collectionName: 'orders', field: 'userId' }]);
+      assert.ok(rowOf(users));
+
+      const unreferenced = await createCollection(project, { name: 'notes', data: [] });
+      const deleted = await app.request('DELETE', `/api/mock-data/collections/${unreferenced.id}`, { headers: authHeaders(owner) });
+      assert.equal(deleted.status, 200, deleted.text);
+    });
+
+    test('generate orders that only reference existing users', async () => {
+      await addOrders();
+
+      const { items } = await mockDataService.generateCollectionData(orders.id, owner.id, { count: 20, seed: 5 });
+
+      assert.equal(items.every(order => [1, 2].includes(order.userId)), true);
+      assert.equal(items.every(order => order.tagIds.every(tag => ['new', 'sale'].includes(tag))), true);
+    });
+
+    test('expand references in searches', async () => {
+      await addOrders();
+
+      const response = await app.request('GET', `/api/mock-data/collections/${orders.id}/search?expand=userId,tagIds&id=11`, { headers: authHeaders(owner) });
+
+      assert.equal(response.status, 200, response.text);
+      const [order] = response.body.data.results;
+      assert.deepEqual(order.user, { id: 2, name: 'Grace' });
+      assert.deepEqual(order.tags, [{ slug: 'new' }, { slug: 'sale' }]);
+
+      const invalid = await app.request('GET', `/api/mock-data/collections/${orders.id}/search?expand=id`, { headers: authHeaders(owner) });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error, 'INVALID_QUERY');
+    });
+  });
+
+  describe('sandbox expand', () => {
+    test('embed referenced items, nested paths included', () => {
+      const relations = mockDataRelationService.buildRelationMap([
+        { name: 'orders', schema: orderSchema() },
+        { name: 'users', schema: { type: 'object', properties: { teamId: { 'x-ref': 'teams' } } } }
+      ]);
+      const { db } = createCollectionApi({
+        orders: [{ id: 10, userId: 1, tagIds: [] }],
+        users: [{ id: 1, teamId: 7 }],
+        teams: [{ id: 7, name: 'Core' }],
+        tags: []
+      }, {}, relations);
+
+      const [order] = db.collection('orders').find({}, { expand: 'userId.teamId' });
+
+      assert.deepEqual(order.user, { id: 1, teamId: 7, team: { id: 7, name: 'Core' } });
+      assert.equal(db.collection('orders').findOne({ id: 10 }).user, undefined);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import collectionApi, { createCollectionApi } from '../src/services/execution/collectionApi.js';
+import isolateRuntime from '../src/services/execution/isolateRuntime.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const products = [
+  { id: 1, name: 'Alpha desk', price: 120, tags: ['office'] },
+  { id: 2, name: 'Beta chair', price: 80, tags: ['office', 'sale'] },
+  { id: 3, name: 'Gamma lamp', price: 25, tags: ['sale'] },
+  { id: 4, name: 'alpha shelf', price: 60, tags: [] }
+];
+
+describe('collection search', () => {
+  describe('regex safety', () => {
+    afterEach(() => mock.restoreAll());
+
+    const search = (regex) => createCollectionApi({ products }).query('products', { 'name[regex]': regex });
+
+    test('accept ordinary patterns', () => {
+      assert.deepEqual(search('/^alpha/i').items.map(item => item.id), [1, 4]);
+      assert.deepEqual(search('(desk|lamp)$').items.map(item => item.id), [1, 3]);
+      assert.deepEqual(search('^[A-Z][a-z]+ (?:ch|la)').items.map(item => item.id), [2, 3]);
+    });
+
+    test('reject nested repetition and backreferences', () => {
+      for (const regex of ['(a+)+$', '(\\w+\\s?)*$', '((ab)*c)+', '^(a?){25}', '(.*,)*x', '(a)\\1', '(?<n>a)\\k<n>']) {
+        assert.throws(() => search(regex), { field: 'name', message: /variable-width groups or use backreferences/ }, regex);
+      }
+      assert.throws(
+        () => createCollectionApi({ products }).query('products', { filter: '{"name":{"\\u0024regex":"(a+)+$"}}' }),
+        { field: 'filter' }
+      );
+    });
+
+    test('run regex searches off the event loop', async () => {
+      mock.method(isolateRuntime, 'executeCode');
+      const collections = { products };
+
+      const plain = await collectionApi.query(collections, 'products', { 'price[lt]': 100 });
+      assert.equal(isolateRuntime.executeCode.mock.callCount(), 0);
+
+      const regex = await collectionApi.query(collections, 'products', { 'name[regex]': '/^alpha/i' });
+      const filtered = await collectionApi.query(collections, 'products', { filter: '{"name":{"\\u0024regex":"lamp"}}' });
+      assert.equal(isolateRuntime.executeCode.mock.callCount(), 2);
+
+      assert.deepEqual(plain.items.map(item => item.id), [2, 3, 4]);
+      assert.deepEqual(regex.items.map(item => item.id), [1, 4]);
+      assert.deepEqual(filtered.items.map(item => item.id), [3]);
+    });
+
+    test('stop catastrophic patterns the static check misses', async () => {
+      const collections = { products: [{ id: 1, name: `${'a'.repeat(40)}!` }] };
+      const started = Date.now();
+
+      await assert.rejects(
+        collectionApi.query(collections, 'products', { 'name[regex]': '^(a|aa)+$' }),
+        { field: 'regex', message: /took longer than/ }
+      );
+      assert.ok(Date.now() - started < 5000);
+    });
+  });
+
+  describe('route', () => {
+    let app;
+    let owner;
+    let collection;
+
+    before(async () => {
+      app = await startApp('/api/mock-data', mockDataRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+      prisma.$reset();
+      owner = await createUser();
+      const project = await createProject(owner);
+      collection = await createCollection(project, { name: 'products', data: products });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const search = (query) => app.request('GET', `/api/mock-data/collections/${collection.id}/search?${query}`, { headers: authHeaders(owner) });
+
+    test('filter, sort, paginate and project', async () => {
+      const first = await search('tags[contains]=office&sort=-price&limit=1&fields=id,price');
+
+      assert.equal(first.status, 200, first.text);
+      assert.deepEqual(first.body.data.results, [{ id: 1, price: 120 }]);
+      assert.equal(first.body.data.total, 2);
+      assert.equal(first.body.data.pagination.hasMore, true);
+
+      const next = await search(`tags[contains]=office&sort=-price&limit=1&fields=id,price&cursor=${first.body.data.pagination.nextCursor}`);
+      assert.deepEqual(next.body.data.results, [{ id: 2, price: 80 }]);
+      assert.equal(next.body.data.pagination.hasMore, false);
+    });
+
+    test('search regexes and text', async () => {
+      const regex = await search(`name[regex]=${encodeURIComponent('/^alpha/i')}`);
+      assert.equal(regex.status, 200, regex.text);
+      assert.deepEqual(regex.body.data.results.map(item => item.id), [1, 4]);
+
+      const text = await search('q=CHAIR');
+      assert.deepEqual(text.body.data.results.map(item => item.id), [2]);
+    });
+
+    test('report bad queries as 400', async () => {
+      for (const query of [`name[regex]=${encodeURIComponent('(a+)+$')}`, 'price[between]=1', 'sort=price:up', 'filter=nope']) {
+        const response = await search(query);
+
+        assert.equal(response.status, 400, query);
+        assert.equal(response.body.error, 'INVALID_QUERY');
+      }
+    });
+
+    test('report a busy isolate pool as unavailable', async () => {
+      mock.method(isolateRuntime, 'executeCode', async () => {
+        throw new Error('ISOLATE_LIMIT_EXCEEDED');
+      });
+
+      const response = await search(`name[regex]=${encodeURIComponent('^A')}`);
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error, 'SEARCH_UNAVAILABLE');
+    });
+  });
+});
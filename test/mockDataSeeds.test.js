@@ -0,0 +1,234 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataSeedService from '../src/services/mockDataSeedService.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const orderSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    userId: { type: 'integer', 'x-ref': { collection: 'users', onDelete: 'cascade' } }
+  }
+};
+
+describe('mock data seeds', () => {
+  let app;
+  let owner;
+  let project;
+  let staging;
+  let users;
+  let orders;
+
+  before(async () => {
+    app = await startApp('/api/mock-data', mockDataRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    project = await createProject(owner);
+    staging = await prisma.environment.create({ data: { projectId: project.id, name: 'staging', variables: {} } });
+    users = await createCollection(project, { name: 'users', data: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }], metadata: { version: 1 } });
+    orders = await createCollection(project, { name: 'orders', schema: orderSchema, data: [{ id: 10, userId: 2 }], metadata: { version: 1 } });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const rowOf = (collection) => prisma.$rows('mockDataCollection').find(row => row.id === collection.id);
+  const post = (path, body) => app.request('POST', `/api/mock-data${path}`, { body, headers: authHeaders(owner) });
+
+  describe('marking', () => {
+    test('mark the current data, then move the seed to another version', async () => {
+      const marked = await post(`/collections/${users.id}/seed`, {});
+      assert.equal(marked.status, 200, marked.text);
+      assert.equal(marked.body.data.seed.version, 1);
+
+      await mockDataService.updateCollection(users.id, owner.id, { data: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }, { id: 3, name: 'Linus' }] });
+      await mockDataSeedService.markSeed(users.id, owner.id, 2);
+
+      assert.deepEqual(prisma.$rows('mockDataVersion').filter(row => row.isSeed).map(row => row.version), [2]);
+      assert.equal(rowOf(users).isSeedData, true);
+      assert.equal(rowOf(users).metadata.seedVersion, 2);
+
+      assert.equal((await post(`/collections/${users.id}/seed`, { version: 9 })).status, 404);
+      assert.equal((await post(`/collections/${users.id}/seed`, { version: 'latest' })).status, 400);
+    });
+
+    test('clear the seed', async () => {
+      await mockDataSeedService.markSeed(users.id, owner.id);
+
+      const cleared = await app.request('DELETE', `/api/mock-data/collections/${users.id}/seed`, { headers: authHeaders(owner) });
+
+      assert.equal(cleared.status, 200);
+      assert.equal(rowOf(users).isSeedData, false);
+      assert.equal(rowOf(users).metadata.seedVersion, undefined);
+      assert.equal(prisma.$rows('mockDataVersion').some(row => row.isSeed), false);
+    });
+  });
+
+  describe('reset', () => {
+    test('restore every seeded collection and skip the rest', async () => {
+      await mockDataSeedService.markSeed(users.id, owner.id);
+      await mockDataSeedService.markSeed(orders.id, owner.id);
+      await mockDataService.updateCollection(users.id, owner.id, { data: [{ id: 1, name: 'Ada' }] });
+      assert.deepEqual(rowOf(orders).data, []);
+      await createCollection(project, { name: 'notes', data: [] });
+
+      const response = await post(`/project/${project.id}/reset`, {});
+
+      assert.equal(response.status, 200, response.text);
+      assert.deepEqual(response.body.data.reset.map(entry => [entry.name, entry.version, entry.seedVersion]), [['users', 3, 1], ['orders', 3, 1]]);
+      assert.deepEqual(response.body.data.skipped.map(entry => [entry.name, entry.reason]), [['notes', 'NO_SEED']]);
+      assert.deepEqual(rowOf(users).data.map(user => user.id), [1, 2]);
+      assert.deepEqual(rowOf(orders).data, [{ id: 10, userId: 2 }]);
+      assert.equal(prisma.$rows('mockDataVersion').filter(row => row.operation === 'RESET').length, 2);
+    });
+
+    test('restore nothing when one seed no longer fits', async () => {
+      await mockDataSeedService.markSeed(users.id, owner.id);
+      await mockDataSeedService.markSeed(orders.id, owner.id);
+      await mockDataService.updateCollection(users.id, owner.id, { data: [] });
+
+      // The orders seed points at user 2, which the edited users seed no longer has
+      await prisma.mockDataVersion.updateMany({ where: { collectionId: users.id, isSeed: true }, data: { data: [{ id: 1, name: 'Ada' }] } });
+
+      await assert.rejects(
+        mockDataSeedService.resetProject(project.id, owner.id),
+        { message: 'REFERENCE_VALIDATION_FAILED', statusCode: 400 }
+      );
+      assert.deepEqual(rowOf(users).data, []);
+      assert.deepEqual(rowOf(orders).data, []);
+    });
+
+    test('reset one environment without touching the shared base', async () => {
+      const { collection: variant } = await mockDataService.createVariant(users.id, owner.id, { environmentId: staging.id });
+      await mockDataSeedService.markSeed(users.id, owner.id);
+      await mockDataSeedService.markSeed(variant.id, owner.id);
+      await mockDataService.updateCollection(users.id, owner.id, { data: [] });
+      await mockDataService.updateCollection(variant.id, owner.id, { data: [] });
+
+      const result = await mockDataSeedService.resetProject(project.id, owner.id, { environmentId: staging.id });
+
+      assert.deepEqual(result.reset.map(entry => entry.id), [variant.id]);
+      assert.equal(rowOf(variant).data.length, 2);
+      assert.deepEqual(rowOf(users).data, []);
+    });
+
+    test('refuse a scope without seeds', async () => {
+      const response = await post(`/project/${project.id}/reset`, { environmentId: staging.id });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'NO_SEED_DATA');
+    });
+  });
+
+  describe('schedule', () => {
+    test('validate and store the schedule, keeping run bookkeeping server-side', async () => {
+      const put = (body) => app.request('PUT', `/api/mock-data/project/${project.id}/reset-schedule`, { body, headers: authHeaders(owner) });
+
+      assert.equal((await put({ intervalMinutes: 1 })).status, 400);
+      assert.equal((await put({ enabled: 'yes' })).status, 400);
+      assert.equal((await put({ environmentId: 'elsewhere' })).status, 404);
+
+      const saved = await put({ enabled: true, intervalMinutes: 30, lastRunAt: '2000-01-01T00:00:00.000Z' });
+      assert.equal(saved.status, 200, saved.text);
+      assert.equal(saved.body.data.lastRunAt, null);
+      assert.ok(new Date(saved.body.data.nextRunAt) > new Date());
+
+      const read = await app.request('GET', `/api/mock-data/project/${project.id}/reset-schedule`, { headers: authHeaders(owner) });
+      assert.deepEqual(read.body.data, saved.body.data);
+    });
+
+    test('run due resets once and record the result', async () => {
+      await mockDataSeedService.markSeed(users.id, owner.id);
+      await mockDataService.updateCollection(users.id, owner.id, { data: [] });
+      await mockDataSeedService.updateSchedule(project.id, owner.id, { enabled: true, intervalMinutes: 5 });
+
+      const due = (await prisma.project.findUnique({ where: { id: project.id } })).settings;
+      await prisma.project.update({
+        where: { id: project.id },
+        data: { settings: { ...due, mockDataReset: { ...due.mockDataReset, nextRunAt: new Date(Date.now() - 1000).toISOString() } } }
+      });
+
+      await mockDataSeedService.runScheduledResets();
+      await mockDataSeedService.runScheduledResets();
+
+      const { mockDataReset } = (await prisma.project.findUnique({ where: { id: project.id } })).settings;
+      assert.deepEqual(mockDataReset.lastResult, { success: true, reset: 1, skipped: 1 });
+      assert.ok(new Date(mockDataReset.nextRunAt) > new Date());
+      assert.equal(rowOf(users).data.length, 2);
+      assert.equal(prisma.$rows('mockDataVersion').filter(row => row.operation === 'RESET').length, 1);
+    });
+  });
+
+  describe('seed files', () => {
+    test('export seeds and current data', async () => {
+      await mockDataService.createVariant(users.id, owner.id, { environmentId: staging.id, data: [{ id: 5, name: 'Stage' }] });
+      await mockDataSeedService.markSeed(users.id, owner.id);
+      // Emptying users cascades to orders
+      await mockDataService.updateCollection(users.id, owner.id, { data: [] });
+
+      const response = await app.request('GET', `/api/mock-data/project/${project.id}/seed`, { headers: authHeaders(owner) });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.format, 'flux-mock-seed');
+      assert.deepEqual(
+        response.body.collections.map(entry => [entry.name, entry.environment, entry.data.length, entry.seeded]),
+        [['users', null, 2, undefined], ['orders', null, 0, false], ['users', 'staging', 1, false]]
+      );
+
+      const current = await mockDataSeedService.exportSeedFile(project.id, owner.id, { source: 'current' });
+      assert.equal(JSON.parse(current.content).collections[0].data.length, 0);
+    });
+
+    test('import a file: update existing collections, create new ones and mark them as seeds', async () => {
+      const response = await post(`/project/${project.id}/seed`, {
+        format: 'flux-mock-seed',
+        collections: [
+          { name: 'users', data: [{ id: 7, name: 'Barbara' }] },
+          { name: 'users', environment: 'staging', data: [{ id: 8, name: 'Stage' }] },
+          { name: 'orders', data: [{ id: 20, userId: 7 }] }
+        ]
+      });
+
+      assert.equal(response.status, 201, response.text);
+      assert.deepEqual(
+        response.body.data.collections.map(entry => [entry.name, entry.environment, entry.created, entry.version]),
+        [['users', null, false, 2], ['orders', null, false, 2], ['users', 'staging', true, 1]]
+      );
+      assert.deepEqual(rowOf(orders).data, [{ id: 20, userId: 7 }]);
+      assert.equal(prisma.$rows('mockDataCollection').filter(row => row.isSeedData).length, 3);
+    });
+
+    test('report every problem in a bad file and change nothing', async () => {
+      const response = await post(`/project/${project.id}/seed`, {
+        format: 'flux-mock-seed',
+        collections: [
+          { name: 'users', environment: 'prod', data: [] },
+          { name: 'x', data: {} },
+          { name: 'orders', data: [] },
+          { name: 'orders', data: [] }
+        ]
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'INVALID_SEED_FILE');
+      assert.deepEqual(response.body.errors.map(error => [error.index, error.field]), [
+        [0, 'environment'], [1, 'name'], [1, 'data'], [3, 'name']
+      ]);
+
+      const dangling = await post(`/project/${project.id}/seed`, {
+        format: 'flux-mock-seed',
+        collections: [{ name: 'orders', data: [{ id: 30, userId: 99 }] }]
+      });
+      assert.equal(dangling.status, 400);
+      assert.deepEqual(rowOf(orders).data, [{ id: 10, userId: 2 }]);
+    });
+  });
+});
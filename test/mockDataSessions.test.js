@@ -0,0 +1,188 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataSessionService from '../src/services/mockDataSessionService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createEndpoint, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+describe('mock data sessions', () => {
+  describe('identity', () => {
+    test('prefer the session header, then the mode identity', () => {
+      const identify = (mode, context) => mockDataSessionService.getIdentity(mode, { headers: {}, ...context });
+
+      assert.deepEqual(identify('user', { headers: { 'X-Mock-Session': 'qa-1' }, userId: 'u1' }), { key: 'header:qa-1', source: 'HEADER' });
+      assert.deepEqual(identify('apiKey', { apiKeyId: 'k1', userId: 'u1' }), { key: 'apiKey:k1', source: 'API_KEY' });
+      assert.deepEqual(identify('user', { userId: 'u1' }), { key: 'user:u1', source: 'USER' });
+      assert.equal(identify('header', { userId: 'u1' }), null);
+      assert.throws(() => identify('header', { headers: { 'x-mock-session': 'no spaces' } }), { message: 'INVALID_SESSION_ID', statusCode: 400 });
+    });
+  });
+
+  describe('executions', () => {
+    let app;
+    let owner;
+    let project;
+    let users;
+    let endpoint;
+
+    before(async () => {
+      app = await startApp('/api/mock-data', mockDataRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      owner = await createUser();
+      project = await createProject(owner);
+      users = await createCollection(project, { name: 'users', data: [{ id: 1, name: 'Ada' }], metadata: { version: 1 } });
+      endpoint = await createEndpoint(project, {
+        method: 'POST',
+        code: "if (request.body.name) db.collection('users').insert({ id: request.body.id, name: request.body.name }); return db.collection('users').find().map(user => user.name);",
+        collectionAccess: { users: 'write' }
+      });
+      await mockDataSessionService.updateSettings(project.id, owner.id, { mode: 'header' });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const run = async (session, body = {}) => {
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, {
+        body,
+        headers: session ? { 'X-Mock-Session': session } : {}
+      });
+      return result.response.body;
+    };
+    const base = () => prisma.$rows('mockDataCollection').find(row => row.id === users.id);
+    const sessionId = (key) => prisma.$rows('mockDataSession').find(row => row.key === `header:${key}`).id;
+    const request = (method, path, body) => app.request(method, `/api/mock-data${path}`, { body, headers: authHeaders(owner) });
+
+    test('keep each session\'s writes to itself', async () => {
+      assert.deepEqual(await run('alice', { id: 2, name: 'Alice' }), ['Ada', 'Alice']);
+      assert.deepEqual(await run('bob', { id: 3, name: 'Bob' }), ['Ada', 'Bob']);
+      assert.deepEqual(await run('alice'), ['Ada', 'Alice']);
+      assert.deepEqual(await run(null), ['Ada']);
+
+      assert.deepEqual(base().data, [{ id: 1, name: 'Ada' }]);
+      assert.equal(base().metadata.version, 1);
+      assert.deepEqual(prisma.$rows('mockDataSessionOverlay').map(row => [row.baseVersion, row.version]), [[1, 2], [1, 2]]);
+    });
+
+    test('create a session on its first write only', async () => {
+      assert.deepEqual(await run('reader'), ['Ada']);
+      assert.equal(prisma.$rows('mockDataSession').length, 0);
+
+      await run('reader', { id: 2, name: 'Reader' });
+      assert.deepEqual(prisma.$rows('mockDataSession').map(row => row.key), ['header:reader']);
+    });
+
+    test('cap the sessions of a project', async () => {
+      for (let index = 0; index < 100; index++) {
+        await prisma.mockDataSession.create({ data: { projectId: project.id, key: `header:s${index}`, source: 'HEADER' } });
+      }
+
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, {
+        body: { id: 2, name: 'Late' },
+        headers: { 'X-Mock-Session': 'late' }
+      });
+
+      assert.equal(result.savedData.results[0].error, 'SESSION_LIMIT_REACHED');
+      assert.equal(prisma.$rows('mockDataSession').length, 100);
+      assert.equal(prisma.$rows('mockDataSessionOverlay').length, 0);
+      assert.deepEqual(await run('s0', { id: 3, name: 'Existing' }), ['Ada', 'Existing']);
+    });
+
+    test('drop sessions once they are idle', async () => {
+      await run('stale', { id: 2, name: 'Stale' });
+      await run('fresh', { id: 3, name: 'Fresh' });
+      await prisma.mockDataSession.update({
+        where: { id: sessionId('stale') },
+        data: { lastUsedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }
+      });
+
+      assert.equal(await mockDataSessionService.removeIdleSessions(), 1);
+      assert.deepEqual(prisma.$rows('mockDataSession').map(row => row.key), ['header:fresh']);
+      assert.equal(prisma.$rows('mockDataSessionOverlay').length, 1);
+    });
+
+    test('write to the shared data when sessions are off', async () => {
+      await mockDataSessionService.updateSettings(project.id, owner.id, { mode: 'off' });
+
+      await run('alice', { id: 2, name: 'Alice' });
+
+      assert.equal(base().data.length, 2);
+      assert.equal(prisma.$rows('mockDataSession').length, 0);
+    });
+
+    test('list, inspect and reset sessions', async () => {
+      await run('alice', { id: 2, name: 'Alice' });
+      await run('alice', { id: 3, name: 'Alan' });
+      const id = sessionId('alice');
+
+      const listed = await request('GET', `/project/${project.id}/sessions`);
+      assert.deepEqual(listed.body.data.map(session => [session.key, session.collections, session.operationCount]), [['header:alice', ['users'], 2]]);
+
+      const overlay = await request('GET', `/sessions/${id}/collections/${users.id}`);
+      assert.equal(overlay.status, 200, overlay.text);
+      assert.equal(overlay.body.data.stale, false);
+      assert.deepEqual(overlay.body.data.diff.added.map(item => item.id), [2, 3]);
+
+      const reset = await request('POST', `/sessions/${id}/reset`, {});
+      assert.equal(reset.body.data.reset, 1);
+      assert.deepEqual(await run('alice'), ['Ada']);
+
+      assert.equal((await request('GET', `/sessions/${id}/collections/${users.id}`)).status, 404);
+    });
+
+    test('merge into the base, refusing stale overlays unless forced', async () => {
+      await run('alice', { id: 2, name: 'Alice' });
+      const id = sessionId('alice');
+
+      await mockDataService.updateCollection(users.id, owner.id, { data: [{ id: 1, name: 'Ada Lovelace' }] });
+
+      const session = await request('GET', `/sessions/${id}`);
+      assert.equal(session.body.data.overlays[0].stale, true);
+
+      const conflict = await request('POST', `/sessions/${id}/merge`, {});
+      assert.equal(conflict.status, 409);
+      assert.equal(conflict.body.error, 'SESSION_MERGE_CONFLICT');
+      assert.deepEqual(conflict.body.errors.map(entry => [entry.baseVersion, entry.currentVersion]), [[1, 2]]);
+
+      const forced = await request('POST', `/sessions/${id}/merge`, { force: true });
+      assert.equal(forced.status, 200, forced.text);
+      assert.deepEqual(base().data.map(user => user.name), ['Ada', 'Alice']);
+      assert.equal(base().metadata.version, 3);
+      assert.equal(prisma.$rows('mockDataSessionOverlay').length, 0);
+      assert.equal(prisma.$rows('mockDataVersion').filter(row => row.operation === 'SESSION_MERGE').length, 1);
+    });
+
+    test('discard sessions and keep strangers out', async () => {
+      await run('alice', { id: 2, name: 'Alice' });
+      const id = sessionId('alice');
+
+      const stranger = await createUser();
+      const denied = await app.request('GET', `/api/mock-data/sessions/${id}`, { headers: authHeaders(stranger) });
+      assert.equal(denied.body.error, 'PROJECT_ACCESS_DENIED');
+
+      assert.equal((await request('DELETE', `/sessions/${id}`)).status, 200);
+      assert.equal(prisma.$rows('mockDataSession').length, 0);
+      assert.equal(prisma.$rows('mockDataSessionOverlay').length, 0);
+      assert.equal((await request('GET', `/sessions/${id}`)).status, 404);
+    });
+
+    test('validate the session settings', async () => {
+      const put = (body) => request('PUT', `/project/${project.id}/session-settings`, body);
+
+      assert.equal((await put({ mode: 'cookie' })).status, 400);
+      assert.equal((await put({ mode: 'user' })).status, 200);
+      assert.deepEqual((await request('GET', `/project/${project.id}/session-settings`)).body.data, { mode: 'user' });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataTransferService from '../src/services/mockDataTransferService.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const productSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    price: { type: 'number' },
+    active: { type: 'boolean' },
+    dimensions: {
+      type: 'object',
+      properties: { width: { type: 'number' } }
+    }
+  },
+  required: ['id', 'name']
+};
+
+describe('mock data import / export', () => {
+  let app;
+  let owner;
+  let collection;
+
+  before(async () => {
+    app = await startApp('/api/mock-data', mockDataRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    const project = await createProject(owner);
+    collection = await createCollection(project, {
+      name: 'products',
+      schema: productSchema,
+      data: [{ id: 1, name: 'Desk', price: 120 }],
+      metadata: { version: 1 }
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const upload = async (filename, content, fields = {}, user = owner) => {
+    const form = new FormData();
+    form.append('file', new Blob([content]), filename);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+
+    const response = await fetch(`${app.baseUrl}/api/mock-data/collections/${collection.id}/import`, {
+      method: 'POST',
+      headers: authHeaders(user),
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const download = (query) => app.request('GET', `/api/mock-data/collections/${collection.id}/export?${query}`, { headers: authHeaders(owner) });
+  const stored = () => prisma.$rows('mockDataCollection')[0].data;
+
+  describe('import', () => {
+    test('coerce CSV cells by schema, nest dotted headers and continue ids', async () => {
+      const response = await upload('products.csv', 'Name;price;active;dimensions.width\nChair;80.5;true;45\nLamp;;false;\n');
+
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      assert.equal(response.body.data.inserted, 2);
+      assert.deepEqual(response.body.data.columns.map(column => column.field), ['name', 'price', 'active', 'dimensions.width']);
+      assert.deepEqual(stored(), [
+        { id: 1, name: 'Desk', price: 120 },
+        { id: 2, name: 'Chair', price: 80.5, active: true, dimensions: { width: 45 } },
+        { id: 3, name: 'Lamp', active: false }
+      ]);
+    });
+
+    test('upsert NDJSON and replace with JSON', async () => {
+      const upserted = await upload('products.ndjson', '{"id":1,"name":"Standing desk"}\n{"name":"Shelf"}\n', { mode: 'upsert' });
+      assert.equal(upserted.status, 201, JSON.stringify(upserted.body));
+      assert.deepEqual([upserted.body.data.inserted, upserted.body.data.updated], [1, 1]);
+      assert.deepEqual(stored().map(item => item.name), ['Standing desk', 'Shelf']);
+
+      const replaced = await upload('products.json', JSON.stringify([{ name: 'Stool' }]), { mode: 'replace' });
+      assert.equal(replaced.status, 201, JSON.stringify(replaced.body));
+      assert.deepEqual(stored(), [{ id: 1, name: 'Stool' }]);
+    });
+
+    test('report bad rows, or skip them when asked', async () => {
+      const csv = 'id,name,price\n1,Duplicate,5\n2,Chair,cheap\n3,Lamp,25\n';
+
+      const aborted = await upload('products.csv', csv);
+      assert.equal(aborted.status, 400);
+      assert.equal(aborted.body.error, 'IMPORT_VALIDATION_FAILED');
+      assert.deepEqual(aborted.body.errors.map(error => [error.row, error.field]), [[1, 'id'], [2, 'price']]);
+      assert.equal(stored().length, 1);
+
+      const skipped = await upload('products.csv', csv, { onError: 'skip' });
+      assert.equal(skipped.status, 201);
+      assert.equal(skipped.body.data.skipped, 2);
+      assert.deepEqual(stored().map(item => item.name), ['Desk', 'Lamp']);
+    });
+
+    test('preview a dry run without saving', async () => {
+      const response = await upload('products.csv', 'name\nChair\n', { dryRun: 'true' });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.preview, [{ id: 2, name: 'Chair' }]);
+      assert.equal(stored().length, 1);
+    });
+
+    test('refuse headers and mappings that reach the prototype', async () => {
+      for (const [csv, fields] of [
+        ['name,__proto__.polluted\nChair,yes\n', {}],
+        ['name,constructor.prototype.polluted\nChair,yes\n', {}],
+        ['name,extra\nChair,yes\n', { mapping: JSON.stringify({ extra: '__proto__.polluted' }) }]
+      ]) {
+        const response = await upload('products.csv', csv, fields);
+
+        assert.equal(response.status, 400, csv);
+        assert.equal(response.body.error, 'INVALID_IMPORT_HEADER');
+      }
+      assert.equal({}.polluted, undefined);
+      assert.equal(stored().length, 1);
+
+      const item = {};
+      mockDataTransferService.setPath(item, '__proto__.polluted', 'yes');
+      assert.equal({}.polluted, undefined);
+      assert.deepEqual(item, {});
+    });
+
+    test('check edit access and the expected version', async () => {
+      const stranger = await createUser();
+      const denied = await upload('products.csv', 'name\nChair\n', {}, stranger);
+      assert.equal(denied.body.error, 'COLLECTION_EDIT_ACCESS_DENIED');
+
+      const stale = await upload('products.csv', 'name\nChair\n', { expectedVersion: '7' });
+      assert.equal(stale.status, 409);
+      assert.equal(stored().length, 1);
+    });
+  });
+
+  describe('export', () => {
+    beforeEach(async () => {
+      await prisma.mockDataCollection.update({
+        where: { id: collection.id },
+        data: { data: [{ id: 1, name: '=HYPERLINK("x")', price: 120, dimensions: { width: 60 } }, { id: 2, name: 'Chair, oak' }] }
+      });
+    });
+
+    test('stream CSV with flattened columns and neutralised formulas', async () => {
+      const response = await download('format=csv');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="products.csv"');
+      assert.equal(response.headers.get('x-total-count'), '2');
+      // fetch decodes the body without the byte order mark
+      assert.equal(response.text, [
+        'id,name,price,active,dimensions.width',
+        '1,"\'=HYPERLINK(""x"")",120,,60',
+        '2,"Chair, oak",,,',
+        ''
+      ].join('\r\n'));
+    });
+
+    test('stream NDJSON and JSON, optionally projected', async () => {
+      const ndjson = await download('format=ndjson&fields=id,name');
+      assert.equal(ndjson.text, '{"id":1,"name":"=HYPERLINK(\\"x\\")"}\n{"id":2,"name":"Chair, oak"}\n');
+
+      const json = await download('');
+      assert.deepEqual(json.body, stored());
+    });
+
+    test('round-trip an export through an import', async () => {
+      const exported = await download('format=csv');
+      await prisma.mockDataCollection.update({ where: { id: collection.id }, data: { data: [] } });
+
+      const imported = await upload('products.csv', exported.text);
+
+      assert.equal(imported.status, 201, JSON.stringify(imported.body));
+      assert.deepEqual(stored(), [
+        { id: 1, name: '=HYPERLINK("x")', price: 120, dimensions: { width: 60 } },
+        { id: 2, name: 'Chair, oak' }
+      ]);
+    });
+
+    test('reject unknown formats and delimiters', async () => {
+      assert.equal((await download('format=xml')).body.error, 'UNSUPPORTED_EXPORT_FORMAT');
+      assert.equal((await download('format=csv&delimiter=%23')).body.error, 'INVALID_DELIMITER');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import mockDataService from '../src/services/mockDataService.js';
+import mockDataVersionService from '../src/services/mockDataVersionService.js';
+import mockDataRoutes from '../src/routes/mockDataRoutes.js';
+import { createUser, createProject, createCollection, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+describe('mock data versions', () => {
+  let app;
+  let owner;
+  let project;
+  let collection;
+
+  before(async () => {
+    app = await startApp('/api/mock-data', mockDataRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    prisma.$reset();
+    mock.method(console, 'log', () => {});
+    owner = await createUser();
+    project = await createProject(owner);
+    collection = await createCollection(project, { name: 'users', data: [{ id: 'u1', name: 'Ada' }], metadata: { version: 1 } });
+
+    // Versions 2 and 3
+    await mockDataService.updateCollection(collection.id, owner.id, { data: [{ id: 'u1', name: 'Ada L.' }, { id: 'u2', name: 'Grace' }] });
+    await mockDataService.updateCollection(collection.id, owner.id, { data: [{ id: 'u2', name: 'Grace' }] });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const row = () => prisma.$rows('mockDataCollection')[0];
+  const get = (path) => app.request('GET', `/api/mock-data/collections/${collection.id}${path}`, { headers: authHeaders(owner) });
+
+  describe('reading', () => {
+    test('list versions newest first and mark the current one', async () => {
+      const { versions, currentVersion, total } = await mockDataService.getVersions(collection.id, owner.id);
+
+      assert.equal(currentVersion, 3);
+      assert.equal(total, 3); // version 1 is the baseline taken before the first update
+      assert.deepEqual(versions.map(version => [version.version, version.current]), [[3, true], [2, false], [1, false]]);
+    });
+
+    test('return a version with its data', async () => {
+      const response = await get('/versions/2');
+
+      assert.equal(response.status, 200, response.text);
+      assert.deepEqual(response.body.data.data.map(user => user.name), ['Ada L.', 'Grace']);
+    });
+
+    test('reject version numbers that are not positive integers', async () => {
+      for (const version of ['abc', '0', '-1', '1.5', '2abc']) {
+        const response = await get(`/versions/${version}`);
+
+        assert.equal(response.status, 400, `${version}: ${response.text}`);
+        assert.equal(response.body.error, 'INVALID_VERSION');
+      }
+
+      assert.throws(() => mockDataVersionService.parseVersion(null), { message: 'INVALID_VERSION', statusCode: 400 });
+      assert.equal(mockDataVersionService.parseVersion('7'), 7);
+    });
+
+    test('report unknown versions as not found', async () => {
+      const response = await get('/versions/99');
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error, 'VERSION_NOT_FOUND');
+    });
+
+    test('diff versions item by item and validate both ends', async () => {
+      const diff = await get('/versions/diff?from=2');
+
+      assert.equal(diff.status, 200, diff.text);
+      assert.deepEqual(diff.body.data.summary, { added: 0, removed: 1, changed: 0, unchanged: 1 });
+      assert.equal(diff.body.data.to.version, 3);
+
+      const invalid = await get('/versions/diff?from=2&to=latest');
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors, [{ field: 'to', message: 'to must be a positive integer' }]);
+    });
+  });
+
+  describe('rollback', () => {
+    test('restore the previous version as a new version', async () => {
+      const result = await mockDataService.rollbackCollection(collection.id, owner.id);
+
+      assert.deepEqual([result.collection.version, result.collection.restoredVersion], [4, 2]);
+      assert.deepEqual(row().data.map(user => user.name), ['Ada L.', 'Grace']);
+      assert.equal(row().metadata.rolledBackTo, 2);
+      assert.equal(row().metadata.rolledBackFrom, 3);
+    });
+
+    test('restore a chosen version over HTTP', async () => {
+      const response = await app.request('POST', `/api/mock-data/collections/${collection.id}/rollback`, {
+        body: { version: '2', expectedVersion: 3 },
+        headers: authHeaders(owner)
+      });
+
+      assert.equal(response.status, 200, response.text);
+      assert.equal(row().metadata.rolledBackTo, 2);
+    });
+
+    test('reject invalid, unknown and stale targets without writing', async () => {
+      await assert.rejects(mockDataService.rollbackCollection(collection.id, owner.id, 'abc'), { message: 'INVALID_VERSION', statusCode: 400 });
+      await assert.rejects(mockDataService.rollbackCollection(collection.id, owner.id, 42), { message: 'VERSION_NOT_FOUND', statusCode: 404 });
+      await assert.rejects(mockDataService.rollbackCollection(collection.id, owner.id, 2, 1), { message: 'COLLECTION_VERSION_CONFLICT', statusCode: 409 });
+
+      assert.equal(row().metadata.version, 3);
+      assert.deepEqual(row().data, [{ id: 'u2', name: 'Grace' }]);
+    });
+
+    test('refuse users without edit access', async () => {
+      const stranger = await createUser();
+
+      await assert.rejects(mockDataService.rollbackCollection(collection.id, stranger.id, 2));
+      assert.equal(row().metadata.version, 3);
+    });
+  });
+
+  describe('retention', () => {
+    test('prune versions beyond the project policy but keep the newest', async () => {
+      const { retention, pruned } = await mockDataVersionService.updateRetentionPolicy(project.id, { maxVersions: 1 });
+
+      assert.equal(retention.maxVersions, 1);
+      assert.equal(pruned, 2);
+      assert.deepEqual(prisma.$rows('mockDataVersion').map(version => version.version), [3]);
+    });
+
+    test('reject out-of-range policies', () => {
+      assert.throws(
+        () => mockDataVersionService.validateRetentionPolicy({ maxVersions: 0, maxAgeDays: 'x' }),
+        { message: 'INVALID_RETENTION_POLICY', statusCode: 400 }
+      );
+      assert.equal(mockDataVersionService.validateRetentionPolicy({ maxAgeDays: null }).maxAgeDays, null);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import prisma from '../src/config/database.js';
+import requestValidator from '../src/services/execution/requestValidator.js';
+import endpointService from '../src/services/endpointService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import isolateRuntime from '../src/services/execution/isolateRuntime.js';
+import executeRoutes from '../src/routes/executeRoutes.js';
+import { createUser, createProject, createEndpoint, authHeaders } from './helpers/fixtures.js';
+import { startApp } from './helpers/http.js';
+
+const orderEndpoint = {
+  method: 'POST',
+  path: '/orders/:orderId',
+  requestSchema: {
+    type: 'object',
+    properties: {
+      sku: { type: 'string', minLength: 3 },
+      quantity: { type: 'integer', minimum: 1 }
+    },
+    required: ['sku', 'quantity'],
+    additionalProperties: false
+  },
+  pathParams: { orderId: 'integer' },
+  queryParams: {
+    dryRun: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    limit: { type: 'integer', maximum: 50, required: true }
+  },
+  headers: {
+    'X-Tenant': { type: 'string', enum: ['acme', 'globex'], required: true },
+    'Content-Type': 'application/json'
+  }
+};
+
+const validRequest = {
+  body: { sku: 'ABC-1', quantity: 2 },
+  params: { orderId: '42' },
+  query: { limit: '10', dryRun: 'true', tags: 'a,b' },
+  headers: { 'x-tenant': 'acme' }
+};
+
+describe('request validation', () => {
+  describe('validator', () => {
+    test('accept a matching request and coerce parameters to their declared types', () => {
+      const result = requestValidator.validate(orderEndpoint, validRequest);
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.values.params, { orderId: 42 });
+      assert.deepEqual(result.values.query, { limit: 10, dryRun: true, tags: ['a', 'b'] });
+      assert.deepEqual(result.values.body, validRequest.body);
+    });
+
+    test('report every mismatch by location and field', () => {
+      const result = requestValidator.validate(orderEndpoint, {
+        body: { sku: 'A', extra: true },
+        params: { orderId: 'abc' },
+        query: { limit: '99', dryRun: 'maybe' },
+        headers: { 'X-Tenant': 'initech' }
+      });
+
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.errors.map(error => [error.location, error.field, error.keyword]).sort(), [
+        ['body', 'extra', 'additionalProperties'],
+        ['body', 'quantity', 'required'],
+        ['body', 'sku', 'minLength'],
+        ['header', 'X-Tenant', 'enum'],
+        ['path', 'orderId', 'type'],
+        ['query', 'dryRun', 'type'],
+        ['query', 'limit', 'maximum']
+      ]);
+    });
+
+    test('require path params and parameters marked required', () => {
+      const result = requestValidator.validate(orderEndpoint, { body: validRequest.body });
+
+      assert.deepEqual(result.errors.map(error => [error.location, error.field, error.message]), [
+        ['path', 'orderId', 'missing required path parameter "orderId"'],
+        ['query', 'limit', 'missing required query parameter "limit"'],
+        ['header', 'X-Tenant', 'missing required header parameter "X-Tenant"']
+      ]);
+    });
+
+    test('skip bodies of GET requests and example payloads', () => {
+      assert.equal(requestValidator.validate({ ...orderEndpoint, method: 'GET' }, { ...validRequest, body: 'anything' }).valid, true);
+      assert.equal(requestValidator.validate({ method: 'POST', requestSchema: { sku: 'ABC-1' } }, { body: 5 }).valid, true);
+    });
+
+    test('cap the reported errors', () => {
+      const properties = Object.fromEntries(Array.from({ length: 120 }, (_, index) => [`f${index}`, { type: 'string' }]));
+      const result = requestValidator.validate(
+        { method: 'POST', requestSchema: { type: 'object', properties, required: Object.keys(properties) } },
+        { body: {} }
+      );
+
+      assert.equal(result.errors.length, 100);
+      assert.equal(result.truncated, true);
+    });
+  });
+
+  describe('endpoint definitions', () => {
+    let owner;
+    let project;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      owner = await createUser();
+      project = await createProject(owner);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('must compile when validation is switched on', async () => {
+      const broken = { ...orderEndpoint, name: 'Orders', queryParams: { limit: { type: 'integer', maximum: 'fifty' } }, validateRequest: true };
+
+      await assert.rejects(
+        endpointService.createEndpoint(project.id, owner.id, broken),
+        (error) => {
+          assert.equal(error.message, 'INVALID_SCHEMA');
+          assert.equal(error.statusCode, 400);
+          assert.equal(error.errors[0].field, 'queryParams.limit');
+          return true;
+        }
+      );
+
+      const endpoint = await endpointService.createEndpoint(project.id, owner.id, { ...broken, validateRequest: false });
+      await assert.rejects(
+        endpointService.updateEndpoint(endpoint.id, owner.id, { validateRequest: true }),
+        { message: 'INVALID_SCHEMA' }
+      );
+    });
+
+    test('refuse patterns that could backtrack exponentially', async () => {
+      const definition = {
+        ...orderEndpoint,
+        name: 'Orders',
+        requestSchema: {
+          type: 'object',
+          properties: {
+            sku: { type: 'string', pattern: '^(a+)+$' },
+            pattern: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' }
+          },
+          patternProperties: { '^(\\w+\\s?)*$': { type: 'string' } }
+        },
+        headers: { 'X-Tenant': { type: 'string', pattern: '(\\w+)\\1' } },
+        validateRequest: true
+      };
+
+      await assert.rejects(
+        endpointService.createEndpoint(project.id, owner.id, definition),
+        (error) => {
+          assert.equal(error.message, 'INVALID_SCHEMA');
+          assert.deepEqual(error.errors.map(entry => [entry.field, entry.path]), [
+            ['requestSchema', '/properties/sku/pattern'],
+            ['requestSchema', '/patternProperties/^(\\w+\\s?)*$'],
+            ['headers.X-Tenant', '/pattern']
+          ]);
+          return true;
+        }
+      );
+
+      const { requestSchema } = definition;
+      await endpointService.createEndpoint(project.id, owner.id, {
+        ...definition,
+        requestSchema: { ...requestSchema, properties: { pattern: requestSchema.properties.pattern }, patternProperties: {} },
+        headers: {}
+      });
+    });
+  });
+
+  describe('execution', () => {
+    let app;
+    let owner;
+    let project;
+    let endpoint;
+
+    before(async () => {
+      const router = express.Router();
+      router.use('/execute', executeRoutes);
+      app = await startApp('/api', router);
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      mock.method(console, 'error', () => {});
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      owner = await createUser();
+      project = await createProject(owner);
+      endpoint = await createEndpoint(project, {
+        ...orderEndpoint,
+        code: 'return { orderId: request.params.orderId, limit: request.query.limit, tags: request.query.tags };',
+        validateRequest: true
+      });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('hand the handler typed values', async () => {
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, validRequest);
+
+      assert.deepEqual(result.response.body, { orderId: 42, limit: 10, tags: ['a', 'b'] });
+    });
+
+    test('reject mismatches before running any code and log them', async () => {
+      mock.method(isolateRuntime, 'executeCode');
+
+      await assert.rejects(
+        sandboxService.executeEndpoint(endpoint.id, owner.id, { ...validRequest, body: { sku: 'ABC-1' } }),
+        (error) => {
+          assert.equal(error.message, 'REQUEST_VALIDATION_FAILED');
+          assert.equal(error.statusCode, 422);
+          assert.deepEqual(error.errors.map(entry => entry.field), ['quantity']);
+          return true;
+        }
+      );
+
+      assert.equal(isolateRuntime.executeCode.mock.callCount(), 0);
+      const [log] = prisma.$rows('executionLog');
+      assert.equal(log.statusCode, 422);
+      assert.equal(log.error, 'REQUEST_VALIDATION_FAILED');
+      assert.deepEqual(log.metadata.requestValidation.errors.map(entry => entry.field), ['quantity']);
+    });
+
+    test('run unchecked when validation is off', async () => {
+      await prisma.endpoint.update({ where: { id: endpoint.id }, data: { validateRequest: false } });
+
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, { params: { orderId: 'abc' }, body: {} });
+
+      assert.deepEqual(result.response.body, { orderId: 'abc' });
+    });
+
+    test('answer 422 with the field errors', async () => {
+      const response = await app.request('POST', `/api/execute/project/${project.id}/endpoint/${endpoint.id}`, {
+        body: { ...validRequest, headers: {} },
+        headers: authHeaders(owner)
+      });
+
+      assert.equal(response.status, 422, response.text);
+      assert.equal(response.body.error, 'REQUEST_VALIDATION_FAILED');
+      assert.deepEqual(response.body.errors.map(error => [error.location, error.field]), [['header', 'X-Tenant']]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import resourceLimits from '../src/services/execution/resourceLimits.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import endpointService from '../src/services/endpointService.js';
+import { createUser, createProject } from './helpers/fixtures.js';
+
+describe('sandbox resource limits', () => {
+  describe('resolve', () => {
+    test('applies defaults and derives CPU time and heap', () => {
+      assert.deepEqual(resourceLimits.resolve({}, 'USER'), {
+        timeoutMs: 5000,
+        memoryMb: 128,
+        cpuShares: 512,
+        pidsLimit: 64,
+        cpuTimeSeconds: 5,
+        heapMb: 96
+      });
+    });
+
+    test('clamps endpoint values to the plan', () => {
+      const user = resourceLimits.resolve({ timeout: 60000, memoryLimit: 2048 }, 'USER');
+      assert.equal(user.timeoutMs, 10000);
+      assert.equal(user.memoryMb, 256);
+
+      const admin = resourceLimits.resolve({ timeout: 60000, memoryLimit: 2048 }, 'ADMIN');
+      assert.equal(admin.timeoutMs, 30000);
+      assert.equal(admin.memoryMb, 512);
+      assert.equal(admin.pidsLimit, 128);
+
+      const tiny = resourceLimits.resolve({ timeout: 1, memoryLimit: 1 }, 'USER');
+      assert.equal(tiny.timeoutMs, 100);
+      assert.equal(tiny.memoryMb, 64);
+      assert.equal(tiny.cpuTimeSeconds, 1);
+      assert.equal(tiny.heapMb, 48);
+    });
+
+    test('treats unknown roles as the user plan', () => {
+      assert.equal(resourceLimits.resolve({ timeout: 60000 }, 'GUEST').timeoutMs, 10000);
+      assert.equal(resourceLimits.resolve({ timeout: 'soon' }).timeoutMs, 100);
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts values within the plan and missing values', () => {
+      assert.equal(resourceLimits.validate({ timeout: 10000, memoryLimit: 256 }, 'USER'), true);
+      assert.equal(resourceLimits.validate({ timeout: null }, 'USER'), true);
+    });
+
+    test('reports every out-of-bounds field', () => {
+      assert.throws(
+        () => resourceLimits.validate({ timeout: 10001, memoryLimit: 12.5 }, 'USER'),
+        (error) => error.message === 'RESOURCE_LIMITS_EXCEEDED' &&
+          error.statusCode === 400 &&
+          error.errors.map(item => item.field).join() === 'timeout,memoryLimit'
+      );
+    });
+  });
+
+  describe('endpoints', () => {
+    beforeEach(() => prisma.$reset());
+
+    test('are checked against the project owner plan on create and update', async () => {
+      const owner = await createUser();
+      const project = await createProject(owner);
+
+      await assert.rejects(
+        endpointService.createEndpoint(project.id, owner.id, { path: '/slow', method: 'GET', name: 'Slow', timeout: 30000 }),
+        { message: 'RESOURCE_LIMITS_EXCEEDED', statusCode: 400 }
+      );
+
+      const endpoint = await endpointService.createEndpoint(project.id, owner.id, { path: '/slow', method: 'GET', name: 'Slow', timeout: 10000 });
+      assert.equal(endpoint.timeout, 10000);
+
+      await assert.rejects(
+        endpointService.updateEndpoint(endpoint.id, owner.id, { memoryLimit: 512 }),
+        { message: 'RESOURCE_LIMITS_EXCEEDED' }
+      );
+
+      const admin = await createUser({ role: 'ADMIN' });
+      const adminProject = await createProject(admin);
+      const allowed = await endpointService.createEndpoint(adminProject.id, admin.id, { path: '/slow', method: 'GET', name: 'Slow', timeout: 30000 });
+      assert.equal(allowed.timeout, 30000);
+    });
+  });
+
+  describe('containers', () => {
+    afterEach(() => {
+      mock.restoreAll();
+      dockerManager.activeContainers.delete('container-1');
+    });
+
+    test('receive memory without swap, CPU shares and a PID cap', async () => {
+      const updates = [];
+      dockerManager.activeContainers.set('container-1', { container: { update: async (options) => updates.push(options) } });
+      const limits = resourceLimits.resolve({ memoryLimit: 128 }, 'USER');
+
+      await dockerManager.applyResourceLimits('container-1', limits);
+
+      assert.deepEqual(updates, [{ Memory: 134217728, MemorySwap: 134217728, CpuShares: 512, PidsLimit: 64 }]);
+      assert.equal(dockerManager.activeContainers.get('container-1').limits, limits);
+    });
+
+    test('surface update failures and unknown containers', async () => {
+      mock.method(console, 'error', () => {});
+      dockerManager.activeContainers.set('container-1', { container: { update: async () => { throw new Error('daemon gone'); } } });
+
+      await assert.rejects(dockerManager.applyResourceLimits('container-1', resourceLimits.resolve({}, 'USER')), { message: 'RESOURCE_LIMITS_APPLY_FAILED' });
+      await assert.rejects(dockerManager.applyResourceLimits('missing', {}), { message: 'CONTAINER_NOT_FOUND' });
+    });
+
+    test('map kill signals to limit errors', () => {
+      assert.equal(dockerManager.getLimitError(137), 'MEMORY_LIMIT_EXCEEDED');
+      assert.equal(dockerManager.getLimitError(134), 'MEMORY_LIMIT_EXCEEDED');
+      assert.equal(dockerManager.getLimitError(152), 'CPU_TIME_LIMIT_EXCEEDED');
+      assert.equal(dockerManager.getLimitError(1), null);
+    });
+  });
+});
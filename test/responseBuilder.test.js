@@ -0,0 +1,141 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import responseBuilder from '../src/services/execution/responseBuilder.js';
+import { startApp } from './helpers/http.js';
+
+// The helpers are injected into sandboxes as source, so test them the same way
+const Response = new Function(`${responseBuilder.getHelperSource()} return Response;`)();
+const build = (output) => responseBuilder.build({ success: true }, output);
+
+describe('endpoint response contract', () => {
+  describe('Response helpers', () => {
+    test('carry status, headers, cookies and content type through chains', () => {
+      const output = Response.status(404).header('X-Reason', 'gone').cookie('seen', 1, { maxAge: 60 }).type('application/problem+json').json({ id: 1 });
+
+      assert.equal(output.status, 404);
+      assert.equal(output.success, false);
+      assert.deepEqual(output.headers, { 'X-Reason': 'gone' });
+      assert.deepEqual(output.cookies, [{ name: 'seen', value: '1', options: { maxAge: 60 } }]);
+      assert.equal(output.contentType, 'application/problem+json');
+      assert.deepEqual(output.data, { id: 1 });
+    });
+
+    test('keep a chained 3xx status on redirects', () => {
+      assert.equal(Response.status(301).redirect('/new').status, 301);
+      assert.equal(Response.status(200).redirect('/new').status, 302);
+      assert.equal(Response.status(301).redirect('/new', 308).status, 308);
+      assert.equal(Response.header('X-A', 'b').redirect('/new').status, 302);
+      assert.equal(Response.redirect('/new').status, 302);
+    });
+  });
+
+  describe('build', () => {
+    test('treats plain return values as 200 bodies', () => {
+      assert.deepEqual(build({ users: [] }), { status: 200, headers: {}, cookies: [], contentType: null, body: { users: [] } });
+    });
+
+    test('reports failed executions and invalid statuses as 500s', () => {
+      assert.equal(responseBuilder.build({ success: false, error: 'boom' }).body.error, 'EXECUTION_FAILED');
+      assert.equal(build(Response.json({}, 42)).body.error, 'INVALID_RESPONSE_STATUS');
+    });
+
+    test('unwraps data, bodies, errors and redirects', () => {
+      assert.deepEqual(build(Response.json({ id: 1 }, 201)).body, { id: 1 });
+      assert.equal(build(Response.send('plain', 202)).body, 'plain');
+      assert.deepEqual(build(Response.error('Nope', 401)).body, { error: 'Nope' });
+
+      const redirect = build(Response.status(301).redirect('/next\r\nX-Injected: 1'));
+      assert.equal(redirect.status, 301);
+      assert.equal(redirect.headers.location, '/nextX-Injected: 1');
+      assert.equal(redirect.body, null);
+    });
+
+    test('drops hop-by-hop, CORS and security headers', () => {
+      const { headers } = build(Response.headers({
+        'X-Custom': 'ok',
+        'Set-Cookie': 'a=b',
+        'Transfer-Encoding': 'chunked',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Security-Policy': "default-src *",
+        'Strict-Transport-Security': 'max-age=0',
+        'X-Frame-Options': 'ALLOWALL',
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        'Bad Header': 'x',
+        'X-Split': 'a\r\nb'
+      }).json({}));
+
+      assert.deepEqual(headers, { 'x-custom': 'ok', 'x-split': 'ab' });
+    });
+
+    test('rejects app-reserved cookie names', () => {
+      const { cookies } = build(
+        Response.cookie('accessToken', 'stolen')
+          .cookie('REFRESHTOKEN', 'x')
+          .cookie('__Host-session', 'x')
+          .cookie('__Secure-id', 'x')
+          .clearCookie('accessToken')
+          .cookie('cart', 'abc', { sameSite: 'LAX', httpOnly: true, domain: 'evil.example' })
+          .json({})
+      );
+
+      assert.deepEqual(cookies, [{ name: 'cart', value: 'abc', options: { httpOnly: true, sameSite: 'lax' } }]);
+    });
+  });
+
+  describe('write', () => {
+    let app;
+
+    before(async () => {
+      const router = express.Router();
+      router.all('/:projectSlug{/*path}', (req, res) => {
+        responseBuilder.write(res, build(JSON.parse(req.get('x-output'))), { basePath: `/p/${req.params.projectSlug}` });
+      });
+      app = await startApp('/p', router);
+    });
+
+    after(() => app.close());
+
+    const send = (method, output) => app.request(method, '/p/shop/cart', { headers: { 'x-output': JSON.stringify(output) } });
+
+    test('scopes cookie paths to the project base path', async () => {
+      const response = await send('GET', Response.cookie('cart', 'a').cookie('pref', 'b', { path: '/account/' }).cookie('root', 'c', { path: '/' }).json({}));
+      const cookies = response.headers.getSetCookie();
+
+      assert.match(cookies[0], /^cart=a; Path=\/p\/shop$/);
+      assert.match(cookies[1], /^pref=b; Path=\/p\/shop\/account$/);
+      assert.match(cookies[2], /^root=c; Path=\/p\/shop$/);
+    });
+
+    test('writes status, headers and string or JSON bodies', async () => {
+      const json = await send('GET', Response.status(418).header('X-Teapot', 'yes').json({ short: true }));
+      assert.equal(json.status, 418);
+      assert.equal(json.headers.get('x-teapot'), 'yes');
+      assert.deepEqual(json.body, { short: true });
+
+      const text = await send('GET', Response.send('hello', 200));
+      assert.equal(text.text, 'hello');
+      assert.match(text.headers.get('content-type'), /^text\/plain/);
+
+      const redirect = await fetch(`${app.baseUrl}/p/shop/cart`, {
+        redirect: 'manual',
+        headers: { 'x-output': JSON.stringify(Response.status(307).redirect('/p/shop/next')) }
+      });
+      assert.equal(redirect.status, 307);
+      assert.equal(redirect.headers.get('location'), '/p/shop/next');
+    });
+
+    test('keeps app-owned headers the endpoint tried to override', async () => {
+      const response = await send('GET', Response.header('Access-Control-Allow-Origin', 'https://evil.example').json({}));
+      assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+
+    test('sends no body for HEAD and 204 responses', async () => {
+      assert.equal((await send('HEAD', Response.json({ a: 1 }))).text, '');
+      const empty = await send('GET', Response.noContent());
+      assert.equal(empty.status, 204);
+      assert.equal(empty.text, '');
+    });
+  });
+});
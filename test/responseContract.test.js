@@ -0,0 +1,205 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import responseValidator from '../src/services/execution/responseValidator.js';
+import endpointService from '../src/services/endpointService.js';
+import analyticsService from '../src/services/analyticsService.js';
+import documentationService from '../src/services/documentationService.js';
+import sandboxService from '../src/services/execution/sandboxManager.js';
+import dockerManager from '../src/services/execution/dockerManager.js';
+import { createUser, createProject, createEndpoint, createCollection } from './helpers/fixtures.js';
+
+const userSchema = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } },
+  required: ['id', 'email']
+};
+const errorSchema = {
+  type: 'object',
+  properties: { error: { type: 'string' } },
+  required: ['error']
+};
+
+describe('response contract', () => {
+  describe('validator', () => {
+    test('pick the exact status, then its class, then default', () => {
+      const responseSchema = { 200: userSchema, '4XX': errorSchema, default: { type: 'object' } };
+
+      assert.equal(responseValidator.getSchemaForStatus(responseSchema, 200).key, '200');
+      assert.equal(responseValidator.getSchemaForStatus(responseSchema, 404).key, '4XX');
+      assert.equal(responseValidator.getSchemaForStatus(responseSchema, 503).key, 'default');
+      assert.equal(responseValidator.getSchemaForStatus({ '2xx': userSchema }, 201).key, '2xx');
+    });
+
+    test('apply a single schema to 2xx responses only', () => {
+      assert.equal(responseValidator.getSchemaForStatus(userSchema, 201).key, 'responseSchema');
+      assert.equal(responseValidator.getSchemaForStatus(userSchema, 404), null);
+      assert.equal(responseValidator.getSchemaForStatus({ id: 1, email: 'example@example.com' }, 200), null);
+    });
+
+    test('report violations by path and skip empty bodies', () => {
+      const endpoint = { responseSchema: userSchema };
+
+      const result = responseValidator.check(endpoint, { status: 200, body: { id: '1' } });
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.violations.map(violation => [violation.path, violation.keyword]), [['/email', 'required'], ['/id', 'type']]);
+
+      assert.equal(responseValidator.check(endpoint, { status: 200, body: { id: 1, email: 'ada@example.com' } }).valid, true);
+      assert.equal(responseValidator.check(endpoint, { status: 204, body: null }), null);
+    });
+
+    test('turn an uncompilable schema into a violation instead of throwing', () => {
+      const result = responseValidator.check({ responseSchema: { type: 'object', required: 'id' } }, { status: 200, body: {} });
+
+      assert.equal(result.valid, false);
+      assert.equal(result.violations[0].keyword, 'schema');
+    });
+  });
+
+  describe('executions', () => {
+    let owner;
+    let project;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      mock.method(dockerManager, 'healthCheck', async () => ({ status: 'UNHEALTHY' }));
+      owner = await createUser();
+      project = await createProject(owner);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const endpointReturning = (body, data = {}) => createEndpoint(project, {
+      path: '/users/me',
+      code: `return ${JSON.stringify(body)};`,
+      responseSchema: userSchema,
+      ...data
+    });
+    const endpointRow = (endpoint) => prisma.$rows('endpoint').find(row => row.id === endpoint.id);
+
+    test('record violations but still answer when not strict', async () => {
+      const endpoint = await endpointReturning({ id: 1 });
+
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+
+      assert.equal(result.success, true);
+      assert.equal(result.response.status, 200);
+      assert.deepEqual(result.response.body, { id: 1 });
+      assert.deepEqual(result.contract.violations.map(violation => violation.path), ['/email']);
+
+      const [log] = prisma.$rows('executionLog');
+      assert.equal(log.metadata.responseContract.valid, false);
+      assert.equal(log.error, null);
+      assert.equal(endpointRow(endpoint).contractViolations, 1);
+      assert.ok(endpointRow(endpoint).lastContractViolation instanceof Date);
+    });
+
+    test('replace violating responses with a 500 on strict endpoints', async () => {
+      const endpoint = await endpointReturning({ id: 1 }, { strictResponse: true });
+
+      const result = await sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'RESPONSE_CONTRACT_VIOLATION');
+      assert.equal(result.response.status, 500);
+      assert.equal(result.response.body.error, 'RESPONSE_CONTRACT_VIOLATION');
+      assert.deepEqual(result.response.body.violations.map(violation => violation.path), ['/email']);
+      assert.equal(prisma.$rows('executionLog')[0].error, 'RESPONSE_CONTRACT_VIOLATION');
+    });
+
+    test('save nothing when a strict endpoint breaks its contract', async () => {
+      const users = await createCollection(project, { name: 'users', data: [], metadata: { version: 1 } });
+      const inserting = (data) => createEndpoint(project, {
+        code: "db.collection('users').insert({ id: 2 }); return { id: 2 };",
+        responseSchema: userSchema,
+        collectionAccess: { users: 'write' },
+        ...data
+      });
+      const strict = await inserting({ path: '/users/strict', strictResponse: true });
+      const lenient = await inserting({ path: '/users/lenient' });
+
+      const rejected = await sandboxService.executeEndpoint(strict.id, owner.id, {});
+      assert.equal(rejected.response.status, 500);
+      assert.deepEqual(rejected.savedData.results.map(result => [result.collectionName, result.error]), [['users', 'RESPONSE_CONTRACT_VIOLATION']]);
+      assert.deepEqual(prisma.$rows('mockDataCollection').find(row => row.id === users.id).data, []);
+
+      await sandboxService.executeEndpoint(lenient.id, owner.id, {});
+      assert.equal(prisma.$rows('mockDataCollection').find(row => row.id === users.id).data.length, 1);
+    });
+
+    test('leave matching responses and uncovered statuses alone', async () => {
+      const valid = await endpointReturning({ id: 1, email: 'ada@example.com' }, { strictResponse: true });
+      const uncovered = await createEndpoint(project, {
+        path: '/users/missing',
+        code: "return Response.status(404).json({ reason: 'gone' });",
+        responseSchema: userSchema,
+        strictResponse: true
+      });
+
+      const matching = await sandboxService.executeEndpoint(valid.id, owner.id, {});
+      const notFound = await sandboxService.executeEndpoint(uncovered.id, owner.id, {});
+
+      assert.equal(matching.contract.valid, true);
+      assert.equal(notFound.response.status, 404);
+      assert.equal(notFound.contract, null);
+      assert.equal(endpointRow(valid).contractViolations, 0);
+    });
+
+    test('show drift in endpoint and project analytics', async () => {
+      const endpoint = await endpointReturning({ id: 'one' });
+      await sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+      await sandboxService.executeEndpoint(endpoint.id, owner.id, {});
+
+      const endpointStats = await analyticsService.getEndpointAnalytics(endpoint.id, owner.id);
+      assert.equal(endpointStats.statistics.contractViolations, 2);
+      assert.equal(endpointStats.statistics.contractViolationRate, 100);
+      assert.deepEqual(endpointStats.performance.recentContractViolations[0].violations.map(violation => violation.path), ['/email', '/id']);
+
+      const projectStats = await analyticsService.getProjectAnalytics(project.id, owner.id);
+      assert.equal(projectStats.contractViolations.total, 2);
+      assert.deepEqual(projectStats.contractViolations.endpoints.map(entry => [entry.id, entry.violations]), [[endpoint.id, 2]]);
+    });
+  });
+
+  describe('endpoint definitions', () => {
+    let owner;
+    let project;
+
+    beforeEach(async () => {
+      prisma.$reset();
+      mock.method(console, 'log', () => {});
+      owner = await createUser();
+      project = await createProject(owner);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('must compile when strict mode is switched on', async () => {
+      const definition = { name: 'Me', method: 'GET', path: '/me', responseSchema: { 200: userSchema, '4XX': { type: 'object', required: 'error' } } };
+
+      await assert.rejects(
+        endpointService.createEndpoint(project.id, owner.id, { ...definition, strictResponse: true }),
+        (error) => {
+          assert.equal(error.message, 'INVALID_SCHEMA');
+          assert.equal(error.errors[0].field, 'responseSchema.4XX');
+          return true;
+        }
+      );
+
+      const endpoint = await endpointService.createEndpoint(project.id, owner.id, definition);
+      await assert.rejects(endpointService.updateEndpoint(endpoint.id, owner.id, { strictResponse: true }), { message: 'INVALID_SCHEMA' });
+    });
+
+    test('document each status of a per-status schema', async () => {
+      await createEndpoint(project, { path: '/me', responseSchema: { 200: userSchema, '4XX': errorSchema } });
+
+      const spec = await documentationService.generateOpenAPISpec(project.id, owner.id);
+      const [operation] = Object.values(spec.paths).map(path => path.get);
+
+      assert.deepEqual(Object.keys(operation.responses).filter(status => ['200', '4XX'].includes(status)), ['200', '4XX']);
+      assert.deepEqual(operation.responses['4XX'].content['application/json'].schema.required, ['error']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import schemaValidator from '../src/services/schemaValidator.js';
+
+const itemSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string', format: 'email' },
+    price: { type: 'number', multipleOf: 0.01 }
+  },
+  required: ['id'],
+  additionalProperties: false
+};
+
+describe('schema validator', () => {
+  describe('collections', () => {
+    test('wrap item schemas and report errors per item and path', () => {
+      const result = schemaValidator.validateCollection([
+        { id: '3f1c1f6e-8a53-4b7e-9a0e-7c1f2f3a4b5c', email: 'ada@example.com', price: 19.99 },
+        { email: 'not-an-email', extra: true }
+      ], itemSchema);
+
+      assert.equal(result.valid, false);
+      assert.deepEqual(
+        result.errors.map(error => [error.index, error.path, error.message]).sort(),
+        [
+          [1, '/', 'missing required property "id"'],
+          [1, '/', 'unexpected property "extra"'],
+          [1, '/email', 'must match format "email"']
+        ]
+      );
+      assert.deepEqual(
+        schemaValidator.summarize([{ index: 1, path: '/email', message: 'bad' }, { index: null, path: '/', message: 'too long' }]),
+        ['Item 1 /email: bad', '/: too long']
+      );
+    });
+
+    test('accept empty schemas and array schemas as they are', () => {
+      assert.equal(schemaValidator.validateCollection([1, 'a'], {}).valid, true);
+      assert.equal(schemaValidator.validateCollection([1, 2, 3], { type: 'array', maxItems: 2 }).valid, false);
+      assert.deepEqual(schemaValidator.getItemSchema({ type: 'array', items: itemSchema }), itemSchema);
+    });
+
+    test('reject invalid schemas with a 400', () => {
+      assert.throws(() => schemaValidator.assertValidSchema({ type: 'object', required: 'id' }), { message: 'INVALID_SCHEMA', statusCode: 400 });
+      assert.throws(() => schemaValidator.compile({ type: 'array', items: { $ref: '#/$defs/missing' } }), { message: 'INVALID_SCHEMA', statusCode: 400 });
+    });
+  });
+
+  describe('compiled schema cache', () => {
+    test('compile schemas sharing an $id independently', () => {
+      const strings = { $id: 'https://example.com/users.json', type: 'array', items: { $id: 'https://example.com/user.json', type: 'string' } };
+      const numbers = { $id: 'https://example.com/users.json', type: 'array', items: { $id: 'https://example.com/user.json', type: 'number' } };
+
+      assert.equal(schemaValidator.validateCollection(['a'], strings).valid, true);
+      assert.equal(schemaValidator.validateCollection([1], numbers).valid, true);
+      assert.equal(schemaValidator.validateCollection(['a'], numbers).valid, false);
+      assert.equal(schemaValidator.ajv.getSchema('https://example.com/users.json'), undefined);
+    });
+
+    test('do not let a failed compile reserve anything', () => {
+      const broken = { $id: 'https://example.com/broken.json', type: 'array', items: { $ref: '#/$defs/missing' } };
+      assert.throws(() => schemaValidator.compile(broken), { message: 'INVALID_SCHEMA' });
+
+      const fixed = { ...broken, items: { type: 'string' } };
+      assert.equal(schemaValidator.validateCollection(['a'], fixed).valid, true);
+    });
+
+    test('stay bounded however many schemas are compiled', () => {
+      schemaValidator.compile({ type: 'array', minItems: 0 });
+      const ajvCached = schemaValidator.ajv._cache.size;
+      const refs = Object.keys(schemaValidator.ajv.refs).length;
+
+      for (let maxItems = 0; maxItems < 300; maxItems++) {
+        schemaValidator.compile({ $id: `https://example.com/${maxItems}.json`, type: 'array', maxItems });
+      }
+
+      assert.equal(schemaValidator.cache.size, 200);
+      assert.equal(schemaValidator.ajv._cache.size, ajvCached);
+      assert.equal(Object.keys(schemaValidator.ajv.refs).length, refs);
+    });
+
+    test('reuse validators for equal schemas', () => {
+      assert.equal(
+        schemaValidator.compile({ type: 'array', items: { type: 'integer' } }),
+        schemaValidator.compile({ $schema: 'http://json-schema.org/draft-07/schema#', type: 'array', items: { type: 'integer' } })
+      );
+    });
+  });
+});